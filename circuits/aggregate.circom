@@ -0,0 +1,82 @@
+pragma circom 2.1.0;
+
+include "templates/aggregate_batches.circom";
+
+template Aggregate(numBatches, batchSize, smtLevels) {
+    // public input
+    signal input pubInput0;
+
+    // private / witness inputs (match AggregateBatches inputs)
+    signal input rootsF[numBatches + 1];
+
+    signal input batchId;
+    signal input start;
+    signal input numOps[numBatches];
+
+    signal input ops[numBatches][batchSize];
+    signal input ilos[numBatches][batchSize];
+    signal input ihis[numBatches][batchSize];
+
+    signal input neighbors_lo[numBatches][batchSize][64];
+    signal input oldDeg_lo[numBatches][batchSize];
+    signal input siblings_lo[numBatches][batchSize][smtLevels];
+    signal input isOld0_lo[numBatches][batchSize];
+    signal input oldKey_lo[numBatches][batchSize];
+    signal input oldValue_lo[numBatches][batchSize];
+    signal input arrIdx_lo[numBatches][batchSize];
+
+    signal input neighbors_hi[numBatches][batchSize][64];
+    signal input oldDeg_hi[numBatches][batchSize];
+    signal input siblings_hi[numBatches][batchSize][smtLevels];
+    signal input isOld0_hi[numBatches][batchSize];
+    signal input oldKey_hi[numBatches][batchSize];
+    signal input oldValue_hi[numBatches][batchSize];
+    signal input arrIdx_hi[numBatches][batchSize];
+
+    component agg = AggregateBatches(numBatches, batchSize, smtLevels);
+
+    for (var k=0; k<=numBatches; k++) agg.rootsF[k] <== rootsF[k];
+    agg.batchId <== batchId;
+    agg.start   <== start;
+
+    for (var k=0; k<numBatches; k++) {
+        agg.numOps[k] <== numOps[k];
+
+        for (var i=0; i<batchSize; i++) {
+            agg.ops[k][i]  <== ops[k][i];
+            agg.ilos[k][i] <== ilos[k][i];
+            agg.ihis[k][i] <== ihis[k][i];
+
+            for (var j=0; j<64; j++) {
+                agg.neighbors_lo[k][i][j] <== neighbors_lo[k][i][j];
+                agg.neighbors_hi[k][i][j] <== neighbors_hi[k][i][j];
+            }
+
+            agg.oldDeg_lo[k][i] <== oldDeg_lo[k][i];
+            agg.oldDeg_hi[k][i] <== oldDeg_hi[k][i];
+
+            for (var j=0; j<smtLevels; j++) {
+                agg.siblings_lo[k][i][j] <== siblings_lo[k][i][j];
+                agg.siblings_hi[k][i][j] <== siblings_hi[k][i][j];
+            }
+
+            agg.isOld0_lo[k][i] <== isOld0_lo[k][i];
+            agg.isOld0_hi[k][i] <== isOld0_hi[k][i];
+
+            agg.oldKey_lo[k][i] <== oldKey_lo[k][i];
+            agg.oldKey_hi[k][i] <== oldKey_hi[k][i];
+
+            agg.oldValue_lo[k][i] <== oldValue_lo[k][i];
+            agg.oldValue_hi[k][i] <== oldValue_hi[k][i];
+
+            agg.arrIdx_lo[k][i] <== arrIdx_lo[k][i];
+            agg.arrIdx_hi[k][i] <== arrIdx_hi[k][i];
+        }
+    }
+
+    // constrain: public input equals computed value
+    pubInput0 === agg.pubInput0;
+}
+
+// 4 batches of MAX_BATCH = 3 ops
+component main { public [pubInput0] } = Aggregate(4, 3, 32);
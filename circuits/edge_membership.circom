@@ -0,0 +1,6 @@
+pragma circom 2.1.0;
+
+include "templates/edge_membership.circom";
+
+// public signals (snarkjs order): [accountCommitment, root, allowSet[0..15]]
+component main { public [root, allowSet] } = EdgeMembership(32, 16, 0);
@@ -0,0 +1,7 @@
+pragma circom 2.1.0;
+
+include "templates/edge_membership.circom";
+
+// EdgeMembership over salted leaves (trees built by MainSalted): one more private input, leafSalt.
+// public signals (snarkjs order): [accountCommitment, root, allowSet[0..15]]
+component main { public [root, allowSet] } = EdgeMembership(32, 16, 1);
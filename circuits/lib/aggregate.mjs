@@ -0,0 +1,138 @@
+// circuits/lib/aggregate.mjs
+//
+// Input assembly for circuits/aggregate.circom (AggregateBatches(numBatches, batchSize, smtLevels)): several
+// consecutive batches proven at once, behind one public input.
+//
+//   buildAggregateWitness(state, batches, { batchId, start, batchSize, smtLevels })
+//     -> aggregateWitnesses(...) of one buildBatchWitness per batch; batches = op lists (queue words or
+//        {op, ilo, ihi}) in queue order, batch k gets batchId + k and starts where batch k-1 ended
+//   aggregateWitnesses(witnesses)
+//     -> { input, n, ns, oldRoot, newRoot, newGraphRoot, storageHashes, pubInput0, batches }
+//        from existing single-batch transcripts; throws unless each one continues the previous and
+//        matches its own storageHash and pubInput0
+//   computeAggregatePubInput0({ oldRoot, newRoot, batchId, start, ns, storageHashes })
+//
+//   pubInput0 = mask253(sha256(oldRoot | newRoot | batchId u64 | start u32 | n_0 .. n_{K-1} u32 |
+//                              sha256(storageHash_0 | ... | storageHash_{K-1})))
+//
+// Every batch goes through buildBatchWitness unchanged, so batch k's slice of the input is exactly what Main
+// would prove for it alone. The circuit does not recompute the per-batch pubInput0 (only its BatchTransition
+// and StorageHash), so aggregateWitnesses re-derives each batch's storageHash and pubInput0 from its slots here
+// and `batches[k].pubInput0` is what Main would check for batch k.
+//
+// NOTE: like buildBatchWitness, buildAggregateWitness advances the state in place.
+
+import {
+  BI,
+  assertU32,
+  assertU64,
+  buildTxDataFixedBytes,
+  computePubInput0,
+  fieldToBytes32BE,
+  mask253FromDigestBytes,
+  sha256,
+  toBytes32,
+  u32be,
+  u64be,
+} from "./encoding.mjs";
+import { buildBatchWitness } from "./witness.mjs";
+
+export function computeAggregatePubInput0({ oldRoot, newRoot, batchId, start, ns, storageHashes }) {
+  if (ns.length !== storageHashes.length) throw new Error(`${ns.length} batch sizes for ${storageHashes.length} storageHashes`);
+  const preimage = Buffer.concat([
+    fieldToBytes32BE(oldRoot),
+    fieldToBytes32BE(newRoot),
+    u64be(batchId),
+    u32be(start),
+    ...ns.map((n) => u32be(n)),
+    sha256(Buffer.concat(storageHashes.map(toBytes32))),
+  ]);
+  return mask253FromDigestBytes(sha256(preimage));
+}
+
+// batch k's own commitments, recomputed from the slots and roots that go into the aggregate input
+function checkBatchCommitments(w, k) {
+  const { input } = w;
+  const slots = input.ops.map((op, i) => ({ op: Number(op), ilo: Number(input.ilos[i]), ihi: Number(input.ihis[i]) }));
+  const storageHash = sha256(buildTxDataFixedBytes(slots, slots.length));
+  if (!storageHash.equals(toBytes32(w.storageHash))) {
+    throw new Error(`batch ${k} storageHash 0x${toBytes32(w.storageHash).toString("hex")} does not match its slots`);
+  }
+  const pubInput0 = computePubInput0({
+    oldRoot: w.oldRoot,
+    newRoot: w.newRoot,
+    batchId: input.batchId,
+    start: input.start,
+    n: w.n,
+    storageHash,
+  });
+  if (BI(w.pubInput0) !== pubInput0) throw new Error(`batch ${k} pubInput0 ${w.pubInput0} does not match its transcript (${pubInput0})`);
+}
+
+export function aggregateWitnesses(witnesses) {
+  if (!witnesses.length) throw new Error("no batches to aggregate");
+
+  witnesses.forEach((w, k) => {
+    if (w.n === 0) throw new Error(`batch ${k} is empty (submitBatch rejects n = 0)`);
+    if (k === 0) return;
+    const prev = witnesses[k - 1];
+    if (w.oldRoot !== prev.newRoot) {
+      throw new Error(`batch ${k} does not continue batch ${k - 1}: oldRootF ${w.oldRoot} != newRootF ${prev.newRoot}`);
+    }
+    if (BI(w.input.batchId) !== BI(prev.input.batchId) + 1n) {
+      throw new Error(`batch ${k} has batchId ${w.input.batchId}, expected ${BI(prev.input.batchId) + 1n}`);
+    }
+    if (BI(w.input.start) !== BI(prev.input.start) + BigInt(prev.n)) {
+      throw new Error(`batch ${k} starts at ${w.input.start}, expected ${BI(prev.input.start) + BigInt(prev.n)}`);
+    }
+  });
+  witnesses.forEach(checkBatchCommitments);
+
+  const first = witnesses[0];
+  const last = witnesses.at(-1);
+  const ns = witnesses.map((w) => w.n);
+  const storageHashes = witnesses.map((w) => w.storageHash);
+  const batchId = BI(first.input.batchId);
+  const start = BI(first.input.start);
+  const pubInput0 = computeAggregatePubInput0({ oldRoot: first.oldRoot, newRoot: last.newRoot, batchId, start, ns, storageHashes });
+
+  // every per-op field gets a leading [batch] index
+  const { pubInput0: _p, oldRootF: _o, newRootF: _n, batchId: _b, start: _s, numOps: _k, ...perOp } = first.input;
+  const input = {
+    pubInput0,
+
+    rootsF: [first.oldRoot, ...witnesses.map((w) => w.newRoot)],
+
+    batchId,
+    start,
+    numOps: ns.map(BigInt),
+
+    ...Object.fromEntries(Object.keys(perOp).map((key) => [key, witnesses.map((w) => w.input[key])])),
+  };
+
+  return {
+    input,
+    n: ns.reduce((a, b) => a + b, 0),
+    ns,
+    oldRoot: first.oldRoot,
+    newRoot: last.newRoot,
+    newGraphRoot: last.newGraphRoot,
+    storageHashes,
+    pubInput0,
+    batches: witnesses,
+  };
+}
+
+export async function buildAggregateWitness(state, batches, { batchId, start, batchSize, smtLevels }) {
+  let id = assertU64(batchId, "batchId");
+  let at = assertU32(start, "start");
+
+  const witnesses = [];
+  for (const ops of batches) {
+    const w = await buildBatchWitness(state, ops, { batchId: id, start: at, batchSize, smtLevels });
+    witnesses.push(w);
+    id += 1n;
+    at = assertU32(at + BigInt(w.n), "start");
+  }
+  return aggregateWitnesses(witnesses);
+}
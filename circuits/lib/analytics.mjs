@@ -0,0 +1,223 @@
+// circuits/lib/analytics.mjs
+//
+// Questions over the reconstructed trust graph (behind scripts/analytics.mjs). Only the neighbor arrays are
+// used, so a GraphState JSON works as well as a live GraphState and no SMT is rebuilt.
+//
+//   adjacency(state | GraphState JSON | forger snapshot) -> Map idx -> neighbor idxs (ascending), one entry per leaf
+//   bfs(adj, src, { maxHops })        -> Map idx -> hops from src (src at 0)
+//   hopCounts(dist)                   -> [{ hops, count }]
+//   components(adj)                   -> idx[][] largest first; an account whose links were all revoked is a singleton
+//   degreeDistribution(adj)           -> [{ degree, count }]
+//   nearCap(adj, { margin, cap })     -> [{ idx, degree }] with degree >= cap - margin (cap = MAX_DEGREE), fullest first
+//   mutualNeighbors(adj, a, b)        -> idx[] both a and b are linked to
+//   mutualCounts(adj, a, { top })     -> [{ idx, mutual, linked }] accounts sharing neighbors with a, most first
+//   trustRank(adj, { seeds, damping }) -> [{ idx, score }] PageRank whose teleport goes to `seeds` only (all
+//                                       accounts without seeds); scores sum to 1
+//   summarize(adj)                    -> accounts / edges / components / degree figures in one object
+//
+//   resolveAddresses(registry, idxs)  -> Map idx -> address via Registry.idxToAccount
+//   addressesFromEvents(events)       -> Map idx -> address from indexed AccountCreated events (no RPC)
+//   toGraphML(adj, opts) / toCSV(adj, opts) -> strings; opts: { addresses, rank } (Maps keyed by idx)
+
+import { BI } from "./encoding.mjs";
+import { MAX_DEGREE, SENTINEL } from "./graph_state.mjs";
+
+// -------------------------------
+// Graph
+// -------------------------------
+export function adjacency(src) {
+  const entries = src.accounts instanceof Map
+    ? [...src.accounts].map(([idx, a]) => [Number(idx), a.neighbors])
+    : (src.graph ?? src).accounts.map((a) => [Number(a.idx), a.neighbors]);
+
+  const adj = new Map();
+  for (const [idx, neighbors] of entries.sort(([a], [b]) => a - b)) {
+    adj.set(idx, neighbors.filter((x) => BI(x) !== SENTINEL).map(Number).sort((a, b) => a - b));
+  }
+  return adj;
+}
+
+const edgeList = (adj) => [...adj].flatMap(([a, ns]) => ns.filter((b) => a < b).map((b) => [a, b]));
+
+export function bfs(adj, src, { maxHops = Infinity } = {}) {
+  src = Number(src);
+  const dist = new Map([[src, 0]]);
+  let frontier = [src];
+  for (let hops = 1; frontier.length && hops <= maxHops; hops++) {
+    const next = [];
+    for (const u of frontier) {
+      for (const v of adj.get(u) ?? []) {
+        if (dist.has(v)) continue;
+        dist.set(v, hops);
+        next.push(v);
+      }
+    }
+    frontier = next;
+  }
+  return dist;
+}
+
+export function hopCounts(dist) {
+  const counts = new Map();
+  for (const h of dist.values()) counts.set(h, (counts.get(h) ?? 0) + 1);
+  return [...counts].sort(([a], [b]) => a - b).map(([hops, count]) => ({ hops, count }));
+}
+
+export function components(adj) {
+  const seen = new Set();
+  const out = [];
+  for (const idx of adj.keys()) {
+    if (seen.has(idx)) continue;
+    const members = [...bfs(adj, idx).keys()].sort((a, b) => a - b);
+    for (const m of members) seen.add(m);
+    out.push(members);
+  }
+  return out.sort((a, b) => b.length - a.length || a[0] - b[0]);
+}
+
+export function degreeDistribution(adj) {
+  const counts = new Map();
+  for (const ns of adj.values()) counts.set(ns.length, (counts.get(ns.length) ?? 0) + 1);
+  return [...counts].sort(([a], [b]) => a - b).map(([degree, count]) => ({ degree, count }));
+}
+
+export function nearCap(adj, { margin = 0, cap = MAX_DEGREE } = {}) {
+  return [...adj]
+    .filter(([, ns]) => ns.length >= cap - margin)
+    .map(([idx, ns]) => ({ idx, degree: ns.length }))
+    .sort((a, b) => b.degree - a.degree || a.idx - b.idx);
+}
+
+export function mutualNeighbors(adj, a, b) {
+  const other = new Set(adj.get(Number(b)) ?? []);
+  return (adj.get(Number(a)) ?? []).filter((x) => other.has(x));
+}
+
+export function mutualCounts(adj, a, { top = Infinity } = {}) {
+  a = Number(a);
+  const mine = new Set(adj.get(a) ?? []);
+  const counts = new Map();
+  for (const n of mine) {
+    for (const x of adj.get(n) ?? []) if (x !== a) counts.set(x, (counts.get(x) ?? 0) + 1);
+  }
+  return [...counts]
+    .map(([idx, mutual]) => ({ idx, mutual, linked: mine.has(idx) }))
+    .sort((x, y) => y.mutual - x.mutual || x.idx - y.idx)
+    .slice(0, top);
+}
+
+// Power iteration. Teleport and dangling mass both go to the seeds, so trust only flows out of them.
+export function trustRank(adj, { seeds = [], damping = 0.85, iterations = 100, tolerance = 1e-10 } = {}) {
+  const ids = [...adj.keys()];
+  if (!ids.length) return [];
+  const at = new Map(ids.map((idx, i) => [idx, i]));
+  for (const s of seeds) if (!at.has(Number(s))) throw new Error(`seed ${s} has no leaf in the graph`);
+
+  const teleport = new Float64Array(ids.length);
+  const from = seeds.length ? seeds.map((s) => at.get(Number(s))) : ids.map((_, i) => i);
+  for (const i of from) teleport[i] = 1 / from.length;
+
+  let rank = Float64Array.from(teleport);
+  for (let it = 0; it < iterations; it++) {
+    const next = new Float64Array(ids.length);
+    let dangling = 0;
+    ids.forEach((idx, i) => {
+      const ns = adj.get(idx);
+      if (!ns.length) dangling += rank[i];
+      for (const n of ns) next[at.get(n)] += (damping * rank[i]) / ns.length;
+    });
+    let delta = 0;
+    for (let i = 0; i < ids.length; i++) {
+      next[i] += ((1 - damping) + damping * dangling) * teleport[i];
+      delta += Math.abs(next[i] - rank[i]);
+    }
+    rank = next;
+    if (delta < tolerance) break;
+  }
+  return ids.map((idx, i) => ({ idx, score: rank[i] })).sort((a, b) => b.score - a.score || a.idx - b.idx);
+}
+
+export function summarize(adj) {
+  const comps = components(adj);
+  const degrees = [...adj.values()].map((ns) => ns.length);
+  const edges = degrees.reduce((s, d) => s + d, 0) / 2;
+  return {
+    accounts: adj.size,
+    edges,
+    isolated: degrees.filter((d) => d === 0).length,
+    components: comps.length,
+    largestComponent: comps[0]?.length ?? 0,
+    meanDegree: adj.size ? (2 * edges) / adj.size : 0,
+    maxDegree: degrees.length ? Math.max(...degrees) : 0,
+    atCap: degrees.filter((d) => d >= MAX_DEGREE).length,
+    degrees: degreeDistribution(adj),
+  };
+}
+
+// -------------------------------
+// Addresses
+// -------------------------------
+export async function resolveAddresses(registry, idxs, { concurrency = 8 } = {}) {
+  const out = new Map();
+  const queue = [...idxs];
+  const worker = async () => {
+    while (queue.length) {
+      const idx = queue.shift();
+      out.set(Number(idx), (await registry.idxToAccount(idx)).toLowerCase());
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+  return out;
+}
+
+export function addressesFromEvents(events) {
+  const out = new Map();
+  for (const e of events) {
+    if ((e.event ?? e.eventName) === "AccountCreated") out.set(Number(e.args.idx), String(e.args.owner).toLowerCase());
+  }
+  return out;
+}
+
+// -------------------------------
+// Export
+// -------------------------------
+function nodeRows(adj, { addresses = new Map(), rank } = {}) {
+  const component = new Map();
+  components(adj).forEach((members, c) => members.forEach((m) => component.set(m, c)));
+  const score = rank ? new Map(rank.map((r) => [r.idx, r.score])) : null;
+  return [...adj].map(([idx, ns]) => ({
+    idx,
+    address: addresses.get(idx) ?? "",
+    degree: ns.length,
+    component: component.get(idx),
+    ...(score && { rank: score.get(idx) ?? 0 }),
+  }));
+}
+
+const xml = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+export function toGraphML(adj, opts = {}) {
+  const rows = nodeRows(adj, opts);
+  const keys = [["address", "string"], ["degree", "int"], ["component", "int"], ...(opts.rank ? [["rank", "double"]] : [])];
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...keys.map(([k, t]) => `  <key id="${k}" for="node" attr.name="${k}" attr.type="${t}"/>`),
+    '  <graph id="trust" edgedefault="undirected">',
+    ...rows.map((r) => `    <node id="n${r.idx}">${keys.map(([k]) => `<data key="${k}">${xml(r[k])}</data>`).join("")}</node>`),
+    ...edgeList(adj).map(([a, b]) => `    <edge source="n${a}" target="n${b}"/>`),
+    "  </graph>",
+    "</graphml>",
+  ];
+  return lines.join("\n") + "\n";
+}
+
+// { nodes: "idx,address,degree,component[,rank]\n...", edges: "source,target\n..." } (each edge once, source < target)
+export function toCSV(adj, opts = {}) {
+  const rows = nodeRows(adj, opts);
+  const cols = ["idx", "address", "degree", "component", ...(opts.rank ? ["rank"] : [])];
+  return {
+    nodes: [cols.join(","), ...rows.map((r) => cols.map((c) => r[c]).join(","))].join("\n") + "\n",
+    edges: ["source,target", ...edgeList(adj).map(([a, b]) => `${a},${b}`)].join("\n") + "\n",
+  };
+}
@@ -0,0 +1,185 @@
+// circuits/lib/backend_bench.mjs
+//
+// Groth16 vs PLONK vs FFLONK on one circuit and one input (used by scripts/backends.mjs).
+//
+//   benchmarkBackends({ circuit, input?, protocols?, outDir?, ptau?, ptauDir?, samples?, rpc?, privateKey?, solc?, logger? })
+//     -> { circuit, nConstraints, witnessMs, rows: [row per protocol] }
+//
+// row: { protocol, skipped, gates, ptauPower, setupMs, proveMs, verifyMs, proofWords, proofBytes, proofJsonBytes,
+//        calldataBytes, calldataGas, verifyGas, gasSkipped }
+//
+// - input defaults to a full batch of ADDs for main-shaped circuits (variants.mjs sampleMainInput, with the
+//   batchSize / smtLevels of its `component main`).
+// - Every protocol is set up in the same outDir (one compile) via runSetup: Groth16 with a single-party zkey
+//   (no contributions, benchmark only), PLONK / FFLONK straight from the ptau. A protocol whose ptau does not
+//   fit is reported with `skipped` instead of aborting the others.
+// - proofBytes = proofWords * 32: what the proof costs in verifyProof calldata. calldataGas prices the whole
+//   verifyProof calldata at 16 gas per non-zero byte and 4 per zero byte (EIP-2028).
+// - verifyGas needs a node (rpc) and solc on PATH: the exported verifier is compiled, deployed from
+//   privateKey (or the node's first account) and verifyProof is estimated (including the 21000 base).
+//   Without them verifyGas is null and gasSkipped says why; nothing is estimated offline.
+
+import fs from "node:fs";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+import { ContractFactory, Interface, JsonRpcProvider, Wallet } from "ethers";
+import * as snarkjs from "snarkjs";
+
+import { PROTOCOLS, getBackend } from "./backends.mjs";
+import { verifierArgs } from "./calldata.mjs";
+import { REPO_ROOT, runSetup } from "./setup.mjs";
+import { readMainComponent, sampleMainInput } from "./variants.mjs";
+
+const ms = (t0) => Math.round(performance.now() - t0);
+
+export function calldataGas(hex) {
+  const bytes = Buffer.from(hex.replace(/^0x/, ""), "hex");
+  let gas = 0;
+  for (const b of bytes) gas += b === 0 ? 4 : 16;
+  return gas;
+}
+
+function solcCompile(solc, file, contract) {
+  const out = JSON.parse(execFileSync(solc, ["--optimize", "--combined-json", "abi,bin", file], { encoding: "utf8", maxBuffer: 64 << 20 }));
+  const key = Object.keys(out.contracts).find((k) => k.endsWith(`:${contract}`));
+  if (!key) throw new Error(`${file}: solc output has no ${contract}`);
+  const { abi, bin } = out.contracts[key];
+  return { abi: typeof abi === "string" ? JSON.parse(abi) : abi, bin: "0x" + bin };
+}
+
+// -> a function (backend, verifierPath, values) => gas, or the reason there is none
+async function gasMeter({ rpc, privateKey, solc }) {
+  if (!rpc) return { reason: "no rpc given" };
+  try {
+    execFileSync(solc, ["--version"], { stdio: "ignore" });
+  } catch {
+    return { reason: `${solc} not found` };
+  }
+  const provider = new JsonRpcProvider(rpc);
+  const signer = privateKey ? new Wallet(privateKey, provider) : await provider.getSigner();
+  return {
+    provider,
+    measure: async (backend, verifierPath, values) => {
+      const { abi, bin } = solcCompile(solc, verifierPath, backend.contract);
+      const verifier = await new ContractFactory(abi, bin, signer).deploy();
+      await verifier.waitForDeployment();
+      if (!(await verifier.verifyProof(...values))) throw new Error(`${backend.contract} rejects the proof on chain`);
+      return Number(await verifier.verifyProof.estimateGas(...values));
+    },
+  };
+}
+
+export async function benchmarkBackends({
+  circuit = path.join(REPO_ROOT, "circuits/main.circom"),
+  input,
+  protocols = PROTOCOLS,
+  outDir,
+  ptau,
+  ptauDir = path.join(REPO_ROOT, "circuits/powersOfTau"),
+  samples = 1,
+  rpc,
+  privateKey,
+  solc = "solc",
+  logger,
+} = {}) {
+  protocols.forEach((p) => getBackend(p));
+  const name = path.basename(circuit, ".circom");
+  outDir = path.resolve(outDir ?? path.join(REPO_ROOT, "circuits/build/backends", name));
+
+  if (!input) {
+    const { args } = readMainComponent(fs.readFileSync(circuit, "utf8"));
+    input = await sampleMainInput({ batchSize: args[0], smtLevels: args[1] });
+  }
+
+  const gas = await gasMeter({ rpc, privateKey, solc });
+  const res = { circuit: path.relative(REPO_ROOT, path.resolve(circuit)), nConstraints: null, witnessMs: null, rows: [] };
+
+  // compile runs before the ptau is picked, so the witness is measured even if every protocol is skipped
+  const r1cs = path.join(outDir, `${name}.r1cs`);
+  const wasm = path.join(outDir, `${name}_js`, `${name}.wasm`);
+  const wtns = { type: "mem" };
+  const witness = async () => {
+    if (res.witnessMs !== null || !fs.existsSync(wasm)) return;
+    res.nConstraints = (await snarkjs.r1cs.info(r1cs)).nConstraints;
+    let t = 0;
+    for (let i = 0; i < samples; i++) {
+      const t1 = performance.now();
+      await snarkjs.wtns.calculate(input, wasm, wtns);
+      t += performance.now() - t1;
+    }
+    res.witnessMs = Math.round(t / samples);
+  };
+
+  try {
+    for (const protocol of protocols) {
+      const backend = getBackend(protocol);
+      const row = { protocol, skipped: null, gates: null, ptauPower: null, setupMs: null, proveMs: null, verifyMs: null };
+      res.rows.push(row);
+
+      let setup;
+      const t0 = performance.now();
+      try {
+        setup = await runSetup({
+          circuit,
+          name,
+          outDir,
+          ptau,
+          ptauDir,
+          protocol,
+          contributions: 0,
+          // never main's src/Verifier.sol
+          verifier: path.join(outDir, `${backend.contract}.sol`),
+          logger,
+        });
+      } catch (e) {
+        if (!/ptau/.test(e.message)) throw e;
+        row.skipped = e.message.split("\n")[0];
+        if (backend.universal && fs.existsSync(r1cs)) row.gates = backend.requiredPower(null, r1cs).gates;
+        await witness();
+        continue;
+      }
+      row.setupMs = ms(t0);
+      await witness();
+
+      const { manifest, paths } = setup;
+      const setupStep = backend.universal ? manifest.steps[`${protocol}.setup`] : null;
+      row.gates = setupStep?.gates ?? null;
+      row.ptauPower = backend.universal ? setupStep.ptau.power : manifest.ptau.power;
+
+      let proved;
+      let t = 0;
+      for (let i = 0; i < samples; i++) {
+        const t1 = performance.now();
+        proved = await backend.prove(paths.zkey, wtns);
+        t += performance.now() - t1;
+      }
+      row.proveMs = Math.round(t / samples);
+
+      const { proof, publicSignals } = proved;
+      const vkey = JSON.parse(fs.readFileSync(paths.vkey, "utf8"));
+      const t2 = performance.now();
+      const ok = await backend.verify(vkey, publicSignals, proof);
+      row.verifyMs = ms(t2);
+      if (!ok) throw new Error(`${protocol} proof does not verify`);
+
+      // the exported verifier's own verifyProof(proof..., uint256[nPublic])
+      const args = verifierArgs(proof, publicSignals);
+      const values = [...backend.solidityValues(args), args.input];
+      const calldata = new Interface(backend.verifierAbi(args.input.length)).encodeFunctionData("verifyProof", values);
+      Object.assign(row, {
+        proofWords: backend.proofWords,
+        proofBytes: backend.proofWords * 32,
+        proofJsonBytes: JSON.stringify(proof).length,
+        calldataBytes: (calldata.length - 2) / 2,
+        calldataGas: calldataGas(calldata),
+        verifyGas: null,
+        gasSkipped: gas.reason ?? null,
+      });
+      if (gas.measure) row.verifyGas = await gas.measure(backend, paths.verifier, values);
+    }
+  } finally {
+    gas.provider?.destroy();
+  }
+
+  return res;
+}
@@ -0,0 +1,219 @@
+// circuits/lib/backends.mjs
+//
+// Proving systems behind setup / prover / calldata: Groth16 (circuit-specific phase 2) and the universal-setup
+// PLONK and FFLONK, which only need the ptau.
+//
+//   getBackend(protocol)            -> backend (below); protocol = "groth16" | "plonk" | "fflonk"
+//   readZkeyProtocol(zkey)          -> protocol from the zkey header (no need to load the key)
+//   solidityTemplate(protocol)      -> the snarkjs verifier template exportSolidityVerifier renders
+//   backendProver({ wasm, zkey, protocol? }) -> async (input) => { protocol, ...solidity args, publicSignals }
+//
+// backend:
+//   protocol, universal, contract        Solidity contract name in the exported verifier
+//   requiredPower(stats, r1cs)           -> { power, domainPower, gates? } smallest ptau power that fits
+//   setup(r1cs, ptau, zkey, logger)      snarkjs <protocol>.setup (groth16: the phase-2 start, zkey_0000)
+//   fullProve / prove / verify           snarkjs <protocol>.*
+//   toSolidity(proof) / fromSolidity(args)  proof <-> verifyProof arguments (without the public signals)
+//   verifierAbi(k), abiTypes             verifyProof(...) and the abi.encode layout of (proof args..., uint256[k])
+//   solidityValues(args)                 -> the proof args as ethers values (fflonk's bytes32 as 0x-hex)
+//   proofWords                           uint256 words of proof in verifyProof calldata
+//
+// PLONK and FFLONK size their domain from PLONK rows (r1cs.mjs plonkGates), not R1CS rows. FFLONK also commits
+// to a degree-9n polynomial, so its ptau must hold 9 * 2^domainPower + 18 points: three powers more.
+
+import fs from "node:fs";
+import { createRequire } from "node:module";
+import path from "node:path";
+import * as snarkjs from "snarkjs";
+
+import { BI } from "./encoding.mjs";
+import { plonkGates } from "./r1cs.mjs";
+import { toCircuitJSON } from "./witness.mjs";
+
+const require = createRequire(import.meta.url);
+const TEMPLATES = path.join(path.dirname(require.resolve("snarkjs")), "../templates");
+
+export const PROTOCOLS = ["groth16", "plonk", "fflonk"];
+
+// zkey header section: protocol u32 (snarkjs zkey_constants)
+const PROTOCOL_IDS = { 1: "groth16", 2: "plonk", 10: "fflonk" };
+
+function fail(code, message = code) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+const bitLength = (n) => Math.max(1, n.toString(2).length);
+const hex32 = (x) => "0x" + BI(x).toString(16).padStart(64, "0");
+
+// -------------------------------
+// Sizing
+// -------------------------------
+// snarkjs zkey_new: domain 2^p must hold constraints + public inputs + outputs
+function groth16Power({ nConstraints, nPubInputs, nOutputs }) {
+  const power = bitLength(nConstraints + nPubInputs + nOutputs);
+  return { power, domainPower: power };
+}
+
+// -------------------------------
+// Backends
+// -------------------------------
+const groth16 = {
+  protocol: "groth16",
+  universal: false,
+  contract: "Groth16Verifier",
+  template: "verifier_groth16.sol.ejs",
+  proofWords: 8,
+  abiTypes: ["uint256[2]", "uint256[2][2]", "uint256[2]"],
+  verifierAbi: (k) => [`function verifyProof(uint256[2] a, uint256[2][2] b, uint256[2] c, uint256[${k}] input) view returns (bool)`],
+
+  requiredPower: (stats) => groth16Power(stats),
+  setup: (r1cs, ptau, zkey, logger) => snarkjs.zKey.newZKey(r1cs, ptau, zkey, logger),
+  fullProve: (input, wasm, zkey) => snarkjs.groth16.fullProve(input, wasm, zkey),
+  prove: (zkey, wtns) => snarkjs.groth16.prove(zkey, wtns),
+  verify: (vkey, publicSignals, proof) => snarkjs.groth16.verify(vkey, publicSignals, proof),
+
+  // G2 coordinates swapped for the EVM pairing precompile; pi_a / pi_c drop their projective "1"
+  toSolidity: (proof) => ({
+    a: [BI(proof.pi_a[0]), BI(proof.pi_a[1])],
+    b: [
+      [BI(proof.pi_b[0][1]), BI(proof.pi_b[0][0])],
+      [BI(proof.pi_b[1][1]), BI(proof.pi_b[1][0])],
+    ],
+    c: [BI(proof.pi_c[0]), BI(proof.pi_c[1])],
+  }),
+  fromSolidity: ({ a, b, c }) =>
+    toCircuitJSON({
+      protocol: "groth16",
+      curve: "bn128",
+      pi_a: [BI(a[0]), BI(a[1]), 1n],
+      pi_b: [[BI(b[0][1]), BI(b[0][0])], [BI(b[1][1]), BI(b[1][0])], [1n, 0n]],
+      pi_c: [BI(c[0]), BI(c[1]), 1n],
+    }),
+  solidityValues: ({ a, b, c }) => [a, b, c],
+};
+
+// proof field order of snarkjs plonk exportSolidityCallData / verifier_plonk.sol
+const PLONK_POINTS = ["A", "B", "C", "Z", "T1", "T2", "T3", "Wxi", "Wxiw"];
+const PLONK_EVALS = ["eval_a", "eval_b", "eval_c", "eval_s1", "eval_s2", "eval_zw"];
+
+const plonk = {
+  protocol: "plonk",
+  universal: true,
+  contract: "PlonkVerifier",
+  template: "verifier_plonk.sol.ejs",
+  proofWords: 24,
+  abiTypes: ["uint256[24]"],
+  verifierAbi: (k) => [`function verifyProof(uint256[24] proof, uint256[${k}] input) view returns (bool)`],
+
+  requiredPower: (_stats, r1cs) => {
+    const { gates } = plonkGates(r1cs);
+    const domainPower = Math.max(3, bitLength(gates - 1));
+    return { power: domainPower, domainPower, gates };
+  },
+  setup: (r1cs, ptau, zkey, logger) => snarkjs.plonk.setup(r1cs, ptau, zkey, logger),
+  fullProve: (input, wasm, zkey) => snarkjs.plonk.fullProve(input, wasm, zkey),
+  prove: (zkey, wtns) => snarkjs.plonk.prove(zkey, wtns),
+  verify: (vkey, publicSignals, proof) => snarkjs.plonk.verify(vkey, publicSignals, proof),
+
+  toSolidity: (proof) => ({
+    proof: [...PLONK_POINTS.flatMap((k) => [BI(proof[k][0]), BI(proof[k][1])]), ...PLONK_EVALS.map((k) => BI(proof[k]))],
+  }),
+  fromSolidity: ({ proof }) => {
+    const out = { protocol: "plonk", curve: "bn128" };
+    PLONK_POINTS.forEach((k, i) => (out[k] = [BI(proof[2 * i]), BI(proof[2 * i + 1]), 1n]));
+    PLONK_EVALS.forEach((k, i) => (out[k] = BI(proof[2 * PLONK_POINTS.length + i])));
+    return toCircuitJSON(out);
+  },
+  solidityValues: ({ proof }) => [proof],
+};
+
+// proof field order of snarkjs fflonk exportSolidityCallData / verifier_fflonk.sol
+const FFLONK_POINTS = ["C1", "C2", "W1", "W2"];
+const FFLONK_EVALS = ["ql", "qr", "qm", "qo", "qc", "s1", "s2", "s3", "a", "b", "c", "z", "zw", "t1w", "t2w", "inv"];
+
+const fflonk = {
+  protocol: "fflonk",
+  universal: true,
+  contract: "FflonkVerifier",
+  template: "verifier_fflonk.sol.ejs",
+  proofWords: 24,
+  abiTypes: ["bytes32[24]"],
+  verifierAbi: (k) => [`function verifyProof(bytes32[24] proof, uint256[${k}] input) view returns (bool)`],
+
+  requiredPower: (_stats, r1cs) => {
+    const { gates } = plonkGates(r1cs);
+    // + 2 blinding rows per wire polynomial; FF_T_POL_DEG_MIN = 3
+    const domainPower = Math.max(3, bitLength(gates + 1));
+    return { power: domainPower + 3, domainPower, gates };
+  },
+  setup: (r1cs, ptau, zkey, logger) => snarkjs.fflonk.setup(r1cs, ptau, zkey, logger),
+  fullProve: (input, wasm, zkey) => snarkjs.fflonk.fullProve(input, wasm, zkey),
+  prove: (zkey, wtns) => snarkjs.fflonk.prove(zkey, wtns),
+  verify: (vkey, publicSignals, proof) => snarkjs.fflonk.verify(vkey, publicSignals, proof),
+
+  toSolidity: (proof) => ({
+    proof: [
+      ...FFLONK_POINTS.flatMap((k) => [BI(proof.polynomials[k][0]), BI(proof.polynomials[k][1])]),
+      ...FFLONK_EVALS.map((k) => BI(proof.evaluations[k])),
+    ],
+  }),
+  fromSolidity: ({ proof }) => {
+    const polynomials = {};
+    const evaluations = {};
+    FFLONK_POINTS.forEach((k, i) => (polynomials[k] = [BI(proof[2 * i]), BI(proof[2 * i + 1]), 1n]));
+    FFLONK_EVALS.forEach((k, i) => (evaluations[k] = BI(proof[2 * FFLONK_POINTS.length + i])));
+    return toCircuitJSON({ protocol: "fflonk", curve: "bn128", polynomials, evaluations });
+  },
+  solidityValues: ({ proof }) => [proof.map(hex32)],
+};
+
+export const BACKENDS = { groth16, plonk, fflonk };
+
+export function getBackend(protocol = "groth16") {
+  const b = BACKENDS[protocol];
+  if (!b) throw fail("BAD_PROTOCOL", `unknown protocol ${protocol} (expected ${PROTOCOLS.join(", ")})`);
+  return b;
+}
+
+export function solidityTemplate(protocol) {
+  return fs.readFileSync(path.join(TEMPLATES, getBackend(protocol).template), "utf8");
+}
+
+// zkey layout: "zkey" | version u32 | nSections u32 | { type u32, size u64, data }...; section 1 starts with the protocol id
+export function readZkeyProtocol(file) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const head = Buffer.alloc(12);
+    fs.readSync(fd, head, 0, 12, 0);
+    if (head.toString("ascii", 0, 4) !== "zkey") throw new Error(`${file}: not a zkey file`);
+    const nSections = head.readUInt32LE(8);
+
+    let pos = 12;
+    const sh = Buffer.alloc(16);
+    for (let i = 0; i < nSections; i++) {
+      fs.readSync(fd, sh, 0, 16, pos);
+      if (sh.readUInt32LE(0) === 1) {
+        const protocol = PROTOCOL_IDS[sh.readUInt32LE(12)];
+        if (!protocol) throw new Error(`${file}: unknown protocol id ${sh.readUInt32LE(12)}`);
+        return protocol;
+      }
+      pos += 12 + Number(sh.readBigUInt64LE(4));
+    }
+    throw new Error(`${file}: zkey has no header section`);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// -------------------------------
+// Prover
+// -------------------------------
+export function backendProver({ wasm, zkey, protocol = readZkeyProtocol(zkey) }) {
+  const backend = getBackend(protocol);
+  return async (input) => {
+    const { proof, publicSignals } = await backend.fullProve(toCircuitJSON(input), wasm, zkey);
+    return { protocol, ...backend.toSolidity(proof), publicSignals };
+  };
+}
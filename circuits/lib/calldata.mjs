@@ -0,0 +1,118 @@
+// circuits/lib/calldata.mjs
+//
+// snarkjs proof -> what Solidity takes (behind scripts/calldata.mjs). Groth16 by default; PLONK / FFLONK proofs
+// (see backends.mjs) are recognised by their `protocol` and encoded for the matching exported verifier.
+//
+//   proofToSolidityArgs(proof)          -> { a, b, c }            uint256[2], uint256[2][2], uint256[2] as bigints (Groth16)
+//   solidityArgsToProof(args)           -> snarkjs proof          (inverse; for local verification)
+//   verifierArgs(proof, publicSignals)  -> { protocol, a, b, c, input } verifyProof arguments
+//                                          plonk / fflonk: { protocol, proof, input }, proof = 24 words
+//   verifyLocal(vkey, args)             -> bool                   snarkjs <protocol>.verify; vkey is an object or a path
+//   verifyProofCalldata(args)           -> 0x...                  verifyProof(a, b, c, input) / verifyProof(proof, input)
+//   submitBatchCalldata({ newGraphRoot, n, a, b, c }) -> 0x...    Rollup.submitBatch(...) (Groth16 only)
+//   ffiBlob(args)                       -> base64(abi.encode(uint256[2], uint256[2][2], uint256[2], uint256[k]))
+//                                          plonk: (uint256[24], uint256[k]); fflonk: (bytes32[24], uint256[k])
+//   formatProof({ proof, publicSignals, vkey, newGraphRoot, n }) -> all of the above, verified first
+//
+// The G2 swap: snarkjs writes pi_b as [[x.c0, x.c1], [y.c0, y.c1]]; the EVM pairing precompile (and the
+// snarkjs-exported Verifier.sol) wants [[x.c1, x.c0], [y.c1, y.c0]]. pi_a / pi_c drop their projective "1".
+
+import fs from "node:fs";
+import { AbiCoder, Interface } from "ethers";
+
+import { BI, toBytes32 } from "./encoding.mjs";
+import { BACKENDS, getBackend } from "./backends.mjs";
+import { ROLLUP_ABI, VERIFIER_ABI } from "./rollup_abi.mjs";
+import { toCircuitJSON } from "./witness.mjs";
+
+const rollupIface = new Interface(ROLLUP_ABI);
+const verifierIface = new Interface(VERIFIER_ABI);
+
+function fail(code, message = code) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+// args without a protocol are Groth16 (what the forger and older callers pass)
+const backendOf = (args) => getBackend(args.protocol ?? "groth16");
+
+// -------------------------------
+// Proof <-> Solidity arguments
+// -------------------------------
+// snarkjs proof -> uint256[2] a, uint256[2][2] b, uint256[2] c (G2 coordinates swapped for the EVM)
+export function proofToSolidityArgs(proof) {
+  return BACKENDS.groth16.toSolidity(proof);
+}
+
+export function solidityArgsToProof(args) {
+  return backendOf(args).fromSolidity(args);
+}
+
+export function verifierArgs(proof, publicSignals) {
+  if (!Array.isArray(publicSignals) || publicSignals.length === 0) throw fail("BAD_PUBLIC", "publicSignals must be a non-empty array");
+  const backend = getBackend(proof.protocol ?? "groth16");
+  return { protocol: backend.protocol, ...backend.toSolidity(proof), input: publicSignals.map(BI) };
+}
+
+// -------------------------------
+// Local verification
+// -------------------------------
+export async function verifyLocal(vkey, args) {
+  const backend = backendOf(args);
+  const key = typeof vkey === "string" ? JSON.parse(fs.readFileSync(vkey, "utf8")) : vkey;
+  if (key.protocol !== backend.protocol) throw fail("BAD_VKEY", `expected a ${backend.protocol} verification key, got ${key.protocol}`);
+  const { input } = args;
+  if (key.nPublic !== input.length) throw fail("BAD_PUBLIC", `verification key has ${key.nPublic} public inputs, got ${input.length}`);
+  return backend.verify(key, toCircuitJSON(input), backend.fromSolidity(args));
+}
+
+// -------------------------------
+// Encodings
+// -------------------------------
+// Groth16 goes through IGroth16Verifier (uint256[1]); the exported PLONK / FFLONK verifiers take uint256[nPublic]
+export function verifyProofCalldata(args) {
+  const backend = backendOf(args);
+  const { input } = args;
+  if (backend.protocol === "groth16") {
+    if (input.length !== 1) throw fail("BAD_PUBLIC", `IGroth16Verifier takes uint256[1], got ${input.length} public signals`);
+    return verifierIface.encodeFunctionData("verifyProof", [args.a, args.b, args.c, input]);
+  }
+  const iface = new Interface(backend.verifierAbi(input.length));
+  return iface.encodeFunctionData("verifyProof", [...backend.solidityValues(args), input]);
+}
+
+export function submitBatchCalldata({ protocol = "groth16", newGraphRoot, n, a, b, c }) {
+  if (protocol !== "groth16") throw fail("UNSUPPORTED", `Rollup.submitBatch takes a groth16 proof, got ${protocol}`);
+  if (newGraphRoot === undefined || n === undefined) throw fail("BAD_ARGS", "submitBatch needs newGraphRoot and n");
+  return rollupIface.encodeFunctionData("submitBatch", [toBytes32(newGraphRoot), Number(n), a, b, c]);
+}
+
+// abi.decode(blob, (uint256[2], uint256[2][2], uint256[2], uint256[k])) with k = number of public signals;
+// plonk / fflonk: (uint256[24], uint256[k]) / (bytes32[24], uint256[k])
+export function ffiBlob(args) {
+  const backend = backendOf(args);
+  const { input } = args;
+  const types = [...backend.abiTypes, `uint256[${input.length}]`];
+  const hex = AbiCoder.defaultAbiCoder().encode(types, [...backend.solidityValues(args), input]);
+  return Buffer.from(hex.slice(2), "hex").toString("base64");
+}
+
+// verify: true requires vkey and throws PROOF_INVALID before anything is encoded
+export async function formatProof({ proof, publicSignals, vkey, newGraphRoot, n, verify = true }) {
+  const args = verifierArgs(proof, publicSignals);
+  let verified = null;
+  if (verify) {
+    if (!vkey) throw fail("NO_VKEY", "local verification needs a verification key");
+    verified = await verifyLocal(vkey, args);
+    if (!verified) throw fail("PROOF_INVALID", "proof does not verify against the verification key");
+  }
+
+  const out = { protocol: args.protocol, args: toCircuitJSON(args), verified, ffi: ffiBlob(args) };
+  if (args.protocol !== "groth16" || args.input.length === 1) out.verifyProofCalldata = verifyProofCalldata(args);
+  if (newGraphRoot !== undefined && n !== undefined) {
+    out.submitBatch = { newGraphRoot: "0x" + toBytes32(newGraphRoot).toString("hex"), n: Number(n) };
+    out.submitBatchCalldata = submitBatchCalldata({ newGraphRoot, n, ...args });
+  }
+  return out;
+}
@@ -0,0 +1,299 @@
+// circuits/lib/ceremony.mjs
+//
+// Phase-2 (circuit-specific) trusted setup ceremony with file-based hand-off (used by scripts/ceremony.mjs).
+//
+//   Ceremony.init({ dir, r1cs, ptau, contributors })  groth16 setup -> zkey/<name>_0000.zkey, ceremony.json
+//   ceremony.add(name) / drop(name)                    manage the contributor queue
+//   ceremony.next()                                    -> { contributor, zkey }: the file to hand over
+//   contribute({ input, output, name, entropy })       contributor side, offline -> contribution hash
+//   ceremony.accept(zkeyFile)                          snarkjs zkey verify + chain check, appends to the transcript
+//   ceremony.finalize({ beacon, iterations })          random beacon -> zkey/<name>_final.zkey + verification_key.json
+//   verifyTranscript({ dir })                          anyone: re-verify the final zkey from r1cs + ptau and match
+//                                                      every contribution hash against ceremony.json
+//
+// ceremony.json is the transcript. It pins the r1cs / ptau by sha256 and lists every accepted contribution
+// (name, contribution hash, sha256 of the zkey) in order. A contribution is accepted only if `zkey verify`
+// passes and its contribution list is exactly the transcript so far plus one entry labelled with the name at the
+// head of the queue. Nobody can skip, reorder or replace an earlier contributor. The label is the zkey's free-text
+// contribution name, which anyone can set: it keeps the queue in order but does not authenticate the contributor.
+//
+// Contributors should keep the hash printed by `contribute` and check that it appears in the final transcript.
+
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import * as snarkjs from "snarkjs";
+
+import { sha256File, requiredPower, pickPtau } from "./setup.mjs";
+
+export const CEREMONY_VERSION = 1;
+export const TRANSCRIPT_FILE = "ceremony.json";
+
+function fail(code, msg) {
+  const e = new Error(msg ? `${code}: ${msg}` : code);
+  e.code = code;
+  return e;
+}
+
+function hex(bytes) {
+  return Buffer.from(bytes).toString("hex");
+}
+
+// -------------------------------
+// snarkjs zkey verify, with the contribution list it logs
+// -------------------------------
+// verifyFromR1cs reports contributions only through its logger (formatHash blocks, newest first):
+//   "contribution #2 bob:\n\t\t<8 hex> <8 hex> ...", optionally followed by "Beacon generator: <hex>"
+//   and "Beacon iterations Exp: <n>".
+export async function zkeyVerify(r1cs, ptau, zkey) {
+  const errors = [];
+  const contributions = [];
+  let circuitHash = null;
+  const logger = {
+    error: (m) => errors.push(String(m)),
+    warn: () => {},
+    debug: () => {},
+    info: (m) => {
+      const s = String(m);
+      let g;
+      if ((g = s.match(/^Circuit Hash: \n([\s\S]+)$/))) {
+        circuitHash = g[1].replace(/\s+/g, "");
+      } else if ((g = s.match(/^contribution #(\d+) ?(.*):\n([\s\S]+)$/))) {
+        contributions.unshift({ index: Number(g[1]), name: g[2], contributionHash: g[3].replace(/\s+/g, "") });
+      } else if ((g = s.match(/^Beacon generator: ([0-9a-f]+)$/))) {
+        contributions[0].beacon = g[1];
+      } else if ((g = s.match(/^Beacon iterations Exp: (\d+)$/))) {
+        contributions[0].iterations = Number(g[1]);
+      }
+    },
+  };
+
+  let ok;
+  try {
+    ok = await snarkjs.zKey.verifyFromR1cs(r1cs, ptau, zkey, logger);
+  } catch (e) {
+    errors.push(e.message);
+    ok = false;
+  }
+  return { ok: ok === true, reason: ok === true ? null : errors.at(-1) ?? "zkey verify failed", circuitHash, contributions };
+}
+
+// -------------------------------
+// Contributor side (no ceremony dir needed)
+// -------------------------------
+// snarkjs mixes its own 64 random bytes into `entropy`; extra entropy from the contributor only adds to it.
+export async function contribute({ input, output, name, entropy }) {
+  if (!name) throw new Error("contribute needs a name");
+  const e = [crypto.randomBytes(32).toString("hex"), entropy ?? ""].join(":");
+  fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+  const h = await snarkjs.zKey.contribute(input, output, name, e);
+  if (!h) throw new Error(`contribution to ${input} failed`);
+  return hex(h);
+}
+
+// -------------------------------
+// Coordinator
+// -------------------------------
+export class Ceremony {
+  constructor(dir, transcript) {
+    this.dir = path.resolve(dir);
+    this.transcript = transcript;
+  }
+
+  abs(p) {
+    return path.resolve(this.dir, p);
+  }
+
+  zkeyPath(i) {
+    return path.join("zkey", `${this.transcript.circuit}_${String(i).padStart(4, "0")}.zkey`);
+  }
+
+  save() {
+    const file = path.join(this.dir, TRANSCRIPT_FILE);
+    fs.writeFileSync(file + ".tmp", JSON.stringify(this.transcript, null, 2) + "\n");
+    fs.renameSync(file + ".tmp", file);
+  }
+
+  static load(dir) {
+    const file = path.join(path.resolve(dir), TRANSCRIPT_FILE);
+    if (!fs.existsSync(file)) throw new Error(`no ${TRANSCRIPT_FILE} in ${dir} (run init first)`);
+    const t = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (t.version !== CEREMONY_VERSION) throw new Error(`unsupported ceremony version ${t.version}`);
+    return new Ceremony(dir, t);
+  }
+
+  // ptau: a file, or pass ptauDir to pick the smallest one that fits the r1cs
+  static async init({ dir, r1cs, ptau, ptauDir, name = path.basename(r1cs, ".r1cs"), contributors = [] }) {
+    dir = path.resolve(dir);
+    if (fs.existsSync(path.join(dir, TRANSCRIPT_FILE))) throw new Error(`${dir} already holds a ceremony`);
+    fs.mkdirSync(path.join(dir, "zkey"), { recursive: true });
+
+    const cir = await snarkjs.r1cs.info(r1cs);
+    const tau = pickPtau({ ptau, ptauDir, power: requiredPower(cir) });
+
+    const c = new Ceremony(dir, {
+      version: CEREMONY_VERSION,
+      circuit: name,
+      r1cs: { path: path.relative(dir, path.resolve(r1cs)), sha256: sha256File(r1cs), nConstraints: cir.nConstraints },
+      ptau: { path: path.relative(dir, tau.path), sha256: sha256File(tau.path), power: tau.power },
+      circuitHash: null,
+      initial: null,
+      queue: [],
+      contributions: [],
+      beacon: null,
+      final: null,
+    });
+    for (const n of contributors) c.add(n, { save: false });
+
+    const zkey0 = c.zkeyPath(0);
+    const cs = await snarkjs.zKey.newZKey(r1cs, tau.path, c.abs(zkey0));
+    if (!cs || cs === -1) throw new Error(`groth16 setup failed for ${r1cs} with ${tau.path}`);
+    c.transcript.circuitHash = hex(cs);
+    c.transcript.initial = { zkey: zkey0, sha256: sha256File(c.abs(zkey0)) };
+    c.save();
+    return c;
+  }
+
+  add(name, { save = true } = {}) {
+    if (this.transcript.final) throw fail("FINALIZED");
+    if (!name || name.length > 64) throw new Error("contributor name must be 1..64 characters (stored in the zkey)");
+    if (this.transcript.queue.includes(name) || this.transcript.contributions.some((c) => c.name === name)) {
+      throw new Error(`contributor ${name} already queued or contributed`);
+    }
+    this.transcript.queue.push(name);
+    if (save) this.save();
+  }
+
+  drop(name) {
+    const i = this.transcript.queue.indexOf(name);
+    if (i < 0) throw new Error(`contributor ${name} is not queued`);
+    this.transcript.queue.splice(i, 1);
+    this.save();
+  }
+
+  latest() {
+    return this.transcript.contributions.at(-1) ?? this.transcript.initial;
+  }
+
+  // The contributor whose turn it is and the zkey they should receive (copied to `out` if given).
+  next({ out } = {}) {
+    if (this.transcript.final) throw fail("FINALIZED");
+    const zkey = this.abs(this.latest().zkey);
+    if (out) {
+      fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+      fs.copyFileSync(zkey, out);
+    }
+    return { contributor: this.transcript.queue[0] ?? null, zkey: out ? path.resolve(out) : zkey, index: this.transcript.contributions.length + 1 };
+  }
+
+  // Checks `zkeyFile` against r1cs + ptau (snarkjs zkey verify) and against the transcript so far.
+  async accept(zkeyFile) {
+    if (this.transcript.final) throw fail("FINALIZED");
+    const expected = this.transcript.queue[0];
+    if (!expected) throw fail("EMPTY_QUEUE", "add a contributor first");
+
+    const v = await zkeyVerify(this.abs(this.transcript.r1cs.path), this.abs(this.transcript.ptau.path), zkeyFile);
+    if (!v.ok) throw fail("INVALID_ZKEY", v.reason);
+    if (v.circuitHash !== this.transcript.circuitHash) throw fail("CHAIN_MISMATCH", "zkey is for a different circuit");
+
+    const prev = this.transcript.contributions;
+    const got = v.contributions;
+    if (got.length !== prev.length + 1 || prev.some((c, i) => c.contributionHash !== got[i].contributionHash)) {
+      throw fail(
+        "CHAIN_MISMATCH",
+        `zkey must extend the ${prev.length} accepted contribution(s) by exactly one, it has ${got.length}`
+      );
+    }
+    const mine = got.at(-1);
+    if (mine.beacon) throw fail("CHAIN_MISMATCH", "a beacon is not a contribution");
+    if (mine.name !== expected) throw fail("UNEXPECTED_CONTRIBUTOR", `expected ${expected}, zkey is labelled "${mine.name}"`);
+
+    const index = prev.length + 1;
+    const dest = this.zkeyPath(index);
+    if (path.resolve(zkeyFile) !== this.abs(dest)) fs.copyFileSync(zkeyFile, this.abs(dest));
+
+    const entry = { index, name: mine.name, contributionHash: mine.contributionHash, zkey: dest, sha256: sha256File(this.abs(dest)) };
+    this.transcript.contributions.push(entry);
+    this.transcript.queue.shift();
+    this.save();
+    return entry;
+  }
+
+  // beacon: hex string, ideally public randomness fixed in advance (a future block hash); random if omitted
+  async finalize({ beacon, iterations = 10 } = {}) {
+    if (this.transcript.final) throw fail("FINALIZED");
+    if (this.transcript.contributions.length === 0) throw new Error("no contributions accepted yet");
+    if (beacon !== undefined && !/^([0-9a-fA-F]{2})+$/.test(beacon)) throw new Error("beacon must be a hex string");
+    beacon = (beacon ?? crypto.randomBytes(32).toString("hex")).toLowerCase();
+
+    const finalZkey = path.join("zkey", `${this.transcript.circuit}_final.zkey`);
+    const h = await snarkjs.zKey.beacon(this.abs(this.latest().zkey), this.abs(finalZkey), "final beacon", beacon, iterations);
+    if (!h) throw new Error("beacon failed (iterations must be 10..63)");
+
+    const v = await zkeyVerify(this.abs(this.transcript.r1cs.path), this.abs(this.transcript.ptau.path), this.abs(finalZkey));
+    if (!v.ok) throw fail("INVALID_ZKEY", v.reason);
+
+    const vkey = await snarkjs.zKey.exportVerificationKey(this.abs(finalZkey));
+    fs.writeFileSync(path.join(this.dir, "verification_key.json"), JSON.stringify(vkey, null, 1));
+
+    this.transcript.queue = [];
+    this.transcript.beacon = { beacon, iterations, contributionHash: hex(h) };
+    this.transcript.final = {
+      zkey: finalZkey,
+      sha256: sha256File(this.abs(finalZkey)),
+      vkey: "verification_key.json",
+      vkeySha256: sha256File(path.join(this.dir, "verification_key.json")),
+    };
+    this.save();
+    return this.transcript;
+  }
+}
+
+// -------------------------------
+// Public verifier
+// -------------------------------
+// Everything is recomputed from r1cs + ptau + final zkey; ceremony.json only says what to expect.
+// Paths default to the ones recorded in the transcript (relative to `dir`).
+export async function verifyTranscript({ dir, transcript, r1cs, ptau, zkey, vkey }) {
+  const t = transcript ?? JSON.parse(fs.readFileSync(path.join(dir, TRANSCRIPT_FILE), "utf8"));
+  const at = (p) => path.resolve(dir ?? ".", p);
+  const bad = (reason) => ({ ok: false, reason });
+
+  if (!t.final) return bad("ceremony not finalized");
+  r1cs ??= at(t.r1cs.path);
+  ptau ??= at(t.ptau.path);
+  zkey ??= at(t.final.zkey);
+  vkey ??= at(t.final.vkey);
+
+  for (const [what, file, sha] of [["r1cs", r1cs, t.r1cs.sha256], ["ptau", ptau, t.ptau.sha256], ["final zkey", zkey, t.final.sha256]]) {
+    if (!fs.existsSync(file)) return bad(`${what} not found: ${file}`);
+    if (sha256File(file) !== sha) return bad(`${what} sha256 mismatch`);
+  }
+
+  const v = await zkeyVerify(r1cs, ptau, zkey);
+  if (!v.ok) return bad(`zkey verify failed: ${v.reason}`);
+  if (v.circuitHash !== t.circuitHash) return bad("circuit hash mismatch");
+
+  const expected = [
+    ...t.contributions.map((c) => ({ name: c.name, contributionHash: c.contributionHash })),
+    { name: "final beacon", contributionHash: t.beacon.contributionHash, beacon: t.beacon.beacon, iterations: t.beacon.iterations },
+  ];
+  if (v.contributions.length !== expected.length) {
+    return bad(`zkey has ${v.contributions.length} contributions, transcript lists ${expected.length}`);
+  }
+  for (let i = 0; i < expected.length; i++) {
+    const [e, g] = [expected[i], v.contributions[i]];
+    if (e.name !== g.name || e.contributionHash !== g.contributionHash || e.beacon !== g.beacon || e.iterations !== g.iterations) {
+      return bad(`contribution #${i + 1} (${e.name}) does not match the zkey`);
+    }
+  }
+
+  if (fs.existsSync(vkey)) {
+    const want = await snarkjs.zKey.exportVerificationKey(zkey);
+    if (JSON.stringify(JSON.parse(fs.readFileSync(vkey, "utf8"))) !== JSON.stringify(want)) {
+      return bad("verification_key.json does not match the final zkey");
+    }
+  }
+
+  return { ok: true, reason: null, circuitHash: v.circuitHash, contributions: v.contributions };
+}
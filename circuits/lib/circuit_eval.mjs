@@ -0,0 +1,289 @@
+// circuits/lib/circuit_eval.mjs
+//
+// Witness evaluation + named signal extraction for compiled circuits (used by scripts/circuit-eval.mjs).
+//
+//   resolveArtifacts({ buildDir, circuit })  -> { name, wasmPath, wcalcPath, symPath }
+//   loadSym(symPath)                          -> Map(signalName -> witnessIdx, -1 if optimized away)
+//   calcWitness(artifacts, input)             -> bigint[]  (shared WitnessEngine: wasm loaded once per process)
+//   readSignal(sym, witness, "pb.ops")        -> bigint | nested bigint arrays
+//   encodeOutputs(specs, values)              -> ABI-encoded Buffer (abi.decode-able in Solidity)
+//   evalCircuit({ circuit, buildDir, input, outputs })    -> { types, values, abi }
+//   evalMany({ circuit, buildDir, inputs, outputs })      -> { types, results: [{ values, abi }], abi = abi.encode(bytes[]) }
+//   proveBatch({ words, batchId, start, history })
+//                                             -> Groth16 proof of Main for queued words; abi = (bytes32 newRoot, a, b, c)
+//
+// Artifact layout (what `circom <name>.circom --wasm --sym -o <buildDir>` produces):
+//   <buildDir>/<name>.sym
+//   <buildDir>/<name>_js/<name>.wasm
+//   <buildDir>/<name>_js/witness_calculator.js
+// If `circuit` is omitted the build dir must contain exactly one *.sym; several is an error, never a guess.
+
+import fs from "node:fs";
+import path from "node:path";
+import { AbiCoder } from "ethers";
+import * as snarkjs from "snarkjs";
+
+import { verifierArgs, verifyLocal } from "./calldata.mjs";
+import { BI, fieldToBytes32BE } from "./encoding.mjs";
+import { GraphState } from "./graph_state.mjs";
+import { buildBatchWitness, normalizeOps, toCircuitJSON } from "./witness.mjs";
+import { sharedEngine } from "./witness_engine.mjs";
+
+// -------------------------------
+// Artifacts
+// -------------------------------
+export function resolveArtifacts({ buildDir, circuit } = {}) {
+  if (!buildDir && !circuit) throw new Error("need buildDir or circuit");
+  const absBuild = path.resolve(buildDir ?? path.join("circuits/build", circuit));
+  if (!fs.existsSync(absBuild)) throw new Error(`build dir not found: ${absBuild}`);
+
+  let name = circuit;
+  if (!name) {
+    const syms = fs.readdirSync(absBuild).filter((n) => n.endsWith(".sym")).sort();
+    if (syms.length === 0) throw new Error(`no .sym in ${absBuild} (compile with --sym)`);
+    if (syms.length > 1) {
+      throw new Error(
+        `several circuits in ${absBuild}: ${syms.map((s) => s.slice(0, -4)).join(", ")}; pass "circuit" to pick one`
+      );
+    }
+    name = syms[0].slice(0, -4);
+  }
+
+  const symPath = path.join(absBuild, `${name}.sym`);
+  const jsDir = path.join(absBuild, `${name}_js`);
+  const wasmPath = path.join(jsDir, `${name}.wasm`);
+  const wcalcPath = path.join(jsDir, "witness_calculator.js");
+
+  const missing = [symPath, wasmPath, wcalcPath].filter((p) => !fs.existsSync(p));
+  if (missing.length) {
+    throw new Error(
+      `missing artifacts for circuit "${name}": ${missing.join(", ")}\n` +
+      `  build with: circom <path/to/${name}.circom> --wasm --sym -l node_modules -l circuits -o ${path.relative(process.cwd(), absBuild) || "."}`
+    );
+  }
+
+  return { name, wasmPath, wcalcPath, symPath };
+}
+
+// circom sym: labelId,witnessIdx,componentId,signalName (witnessIdx = -1 when the optimizer removed it)
+export function loadSym(symPath) {
+  const abs = path.resolve(symPath);
+  if (!fs.existsSync(abs)) throw new Error(`.sym not found: ${abs}`);
+
+  const map = new Map();
+  for (const line of fs.readFileSync(abs, "utf8").split("\n")) {
+    const s = line.trim();
+    if (!s) continue;
+    const parts = s.split(",");
+    if (parts.length < 4) continue;
+    const idx = parts[1].trim();
+    const name = parts.slice(3).join(",").trim();
+    if (/^-?\d+$/.test(idx) && name) map.set(name, Number(idx));
+  }
+
+  if (map.size === 0) throw new Error(`parsed 0 symbols from .sym: ${abs}`);
+  return map;
+}
+
+// -------------------------------
+// Witness
+// -------------------------------
+// Through the process-wide WitnessEngine: the wasm is read and the calculator built once per process, so a
+// caller evaluating many inputs (evalMany, the fuzzer, tests) only pays for the witnesses.
+export async function calcWitness({ wasmPath }, input, engine = sharedEngine()) {
+  return engine.calculate(wasmPath, input);
+}
+
+// -------------------------------
+// Named signals
+// -------------------------------
+// "outBytes", "main.outBytes", "pb.ops[1]", "sh.digest" ... -> scalar or nested arrays in index order
+export function readSignal(sym, witness, signalPath) {
+  const full = signalPath.startsWith("main.") || signalPath === "main" ? signalPath : `main.${signalPath}`;
+
+  const at = (name) => {
+    const idx = sym.get(name);
+    if (idx < 0) throw new Error(`signal ${name} was optimized away (compile with --O0 or expose it as an output)`);
+    return witness[idx];
+  };
+
+  if (sym.has(full)) return at(full);
+
+  // array: collect every "<full>[i]...[k]" (no deeper component access)
+  const prefix = `${full}[`;
+  const entries = [];
+  for (const name of sym.keys()) {
+    if (!name.startsWith(prefix)) continue;
+    const rest = name.slice(full.length);
+    if (!/^(\[\d+\])+$/.test(rest)) continue;
+    entries.push([rest.slice(1, -1).split("][").map(Number), name]);
+  }
+  if (entries.length === 0) {
+    const hint = [...sym.keys()].filter((k) => k.includes(signalPath.replace(/^main\./, "").split(/[.[]/)[0])).slice(0, 10);
+    throw new Error(`unknown signal ${full}${hint.length ? `; similar: ${hint.join(", ")}` : ""}`);
+  }
+
+  const dims = entries[0][0].length;
+  if (entries.some(([ix]) => ix.length !== dims)) throw new Error(`inconsistent dimensions under ${full}`);
+
+  const out = [];
+  for (const [ix, name] of entries) {
+    let node = out;
+    for (let d = 0; d < dims - 1; d++) node = node[ix[d]] ??= [];
+    node[ix[dims - 1]] = at(name);
+  }
+  return out;
+}
+
+// -------------------------------
+// ABI encoding
+// -------------------------------
+// spec: "name" | "name:type" | { signal, type }. Default type: uint256, or uint256[]... matching the signal's rank.
+export function parseOutputSpec(spec) {
+  if (typeof spec === "string") {
+    const i = spec.lastIndexOf(":");
+    return i < 0 ? { signal: spec, type: null } : { signal: spec.slice(0, i), type: spec.slice(i + 1) };
+  }
+  if (!spec?.signal) throw new Error(`bad output spec: ${JSON.stringify(spec)}`);
+  return { signal: spec.signal, type: spec.type ?? null };
+}
+
+function defaultType(value) {
+  let t = "uint256";
+  for (let v = value; Array.isArray(v); v = v[0]) t += "[]";
+  return t;
+}
+
+function bytesFromSignals(value, what) {
+  return Buffer.from(
+    value.map((b, i) => {
+      if (Array.isArray(b) || b < 0n || b > 255n) throw new Error(`${what}[${i}] is not a byte: ${b}`);
+      return Number(b);
+    })
+  );
+}
+
+// Signal value -> ethers-encodable value for `type`
+function coerce(type, value, what) {
+  const m = type.match(/^(.*)\[(\d*)\]$/);
+  if (m) {
+    if (!Array.isArray(value)) throw new Error(`${what}: ${type} needs an array signal`);
+    if (m[2] !== "" && value.length !== Number(m[2])) throw new Error(`${what}: expected ${m[2]} elements, got ${value.length}`);
+    return value.map((v, i) => coerce(m[1], v, `${what}[${i}]`));
+  }
+
+  if (type === "bytes32") {
+    // either one field element (big-endian) or 32 byte-valued signals
+    if (!Array.isArray(value)) return "0x" + fieldToBytes32BE(value).toString("hex");
+    if (value.length !== 32) throw new Error(`${what}: bytes32 from an array needs 32 bytes, got ${value.length}`);
+    return "0x" + bytesFromSignals(value, what).toString("hex");
+  }
+  if (type === "bytes") {
+    if (!Array.isArray(value)) throw new Error(`${what}: bytes needs an array of byte signals`);
+    return "0x" + bytesFromSignals(value, what).toString("hex");
+  }
+  if (type === "bool") {
+    if (value !== 0n && value !== 1n) throw new Error(`${what}: bool signal must be 0/1, got ${value}`);
+    return value === 1n;
+  }
+  if (/^uint\d*$/.test(type)) {
+    if (Array.isArray(value)) throw new Error(`${what}: ${type} needs a scalar signal (use ${type}[] for arrays)`);
+    return value;
+  }
+  throw new Error(`${what}: unsupported type ${type}`);
+}
+
+export function encodeOutputs(specs, values) {
+  const types = [];
+  const vals = [];
+  specs.forEach((spec, i) => {
+    const type = spec.type ?? defaultType(values[i]);
+    types.push(type);
+    vals.push(coerce(type, values[i], spec.signal));
+  });
+  return Buffer.from(AbiCoder.defaultAbiCoder().encode(types, vals).slice(2), "hex");
+}
+
+// One-shot: resolve, witness, extract, encode. Returns { types, values, abi }.
+export async function evalCircuit({ circuit, buildDir, input, outputs }) {
+  if (!Array.isArray(outputs) || outputs.length === 0) throw new Error("outputs must be a non-empty array");
+  const art = resolveArtifacts({ buildDir, circuit });
+  const sym = loadSym(art.symPath);
+  const witness = await calcWitness(art, input);
+
+  const specs = outputs.map(parseOutputSpec);
+  const values = specs.map((s) => readSignal(sym, witness, s.signal));
+  const abi = encodeOutputs(specs, values);
+  return { types: specs.map((s, i) => s.type ?? defaultType(values[i])), values, abi };
+}
+
+// Many inputs of one circuit in one call (one vm.ffi instead of one per input): witnesses come from the
+// engine's worker pool, in input order. abi = abi.encode(bytes[]), element i = evalCircuit(inputs[i]).abi.
+export async function evalMany({ circuit, buildDir, inputs, outputs }) {
+  if (!Array.isArray(inputs) || inputs.length === 0) throw new Error("inputs must be a non-empty array");
+  if (!Array.isArray(outputs) || outputs.length === 0) throw new Error("outputs must be a non-empty array");
+  const art = resolveArtifacts({ buildDir, circuit });
+  const sym = loadSym(art.symPath);
+  const specs = outputs.map(parseOutputSpec);
+
+  const results = [];
+  for await (const { result: witness } of sharedEngine().stream(art.wasmPath, inputs)) {
+    const values = specs.map((s) => readSignal(sym, witness, s.signal));
+    results.push({ values, abi: encodeOutputs(specs, values) });
+  }
+  const types = specs.map((s, i) => s.type ?? defaultType(results[0].values[i]));
+  const abi = AbiCoder.defaultAbiCoder().encode(["bytes[]"], [results.map((r) => r.abi)]);
+  return { types, results, abi: Buffer.from(abi.slice(2), "hex") };
+}
+
+// -------------------------------
+// Batch proving (Foundry end-to-end tests)
+// -------------------------------
+const defaultProver = ({ wasm, zkey }) => (input) => snarkjs.groth16.fullProve(toCircuitJSON(input), wasm, zkey);
+
+// words: the uint128 queue words of the batch (Rollup.getQueuedWords); history: the words of every earlier
+// batch, in order, replayed into an empty GraphState first. Artifacts are what `circuits:setup` writes for
+// main; the proof is checked against verification_key.json when it exists. `prover` is injectable for tests.
+export async function proveBatch({
+  words,
+  batchId = 0,
+  start,
+  history = [],
+  circuit = "main",
+  buildDir = path.join("circuits/build", circuit),
+  batchSize = 3,
+  smtLevels = 32,
+  prover,
+}) {
+  if (!Array.isArray(words) || words.length === 0) throw new Error("proveBatch requires a non-empty words array");
+  if (start === undefined) throw new Error("proveBatch requires start (first txId of the batch)");
+
+  const absBuild = path.resolve(buildDir);
+  const wasm = path.join(absBuild, `${circuit}_js`, `${circuit}.wasm`);
+  const zkey = path.join(absBuild, "zkey", `${circuit}_final.zkey`);
+  const vkey = path.join(absBuild, "verification_key.json");
+  if (!prover) {
+    const missing = [wasm, zkey].filter((p) => !fs.existsSync(p));
+    if (missing.length) {
+      throw new Error(`missing artifacts for circuit "${circuit}": ${missing.join(", ")}\n  build with: npm run circuits:setup`);
+    }
+  }
+
+  const state = await GraphState.create({ smtLevels });
+  for (const batch of history) for (const op of normalizeOps(batch)) await state.apply(op);
+
+  const w = await buildBatchWitness(state, words, { batchId: BI(batchId), start: BI(start), batchSize, smtLevels });
+  const { proof, publicSignals } = await (prover ?? defaultProver({ wasm, zkey }))(w.input);
+  const args = verifierArgs(proof, publicSignals);
+
+  if (args.input[0] !== w.pubInput0) throw new Error(`pubInput0 mismatch: proof has ${args.input[0]}, batch has ${w.pubInput0}`);
+  if (!prover && fs.existsSync(vkey) && !(await verifyLocal(vkey, args))) {
+    throw new Error(`PROOF_INVALID: proof does not verify against ${vkey}`);
+  }
+
+  const abi = AbiCoder.defaultAbiCoder().encode(
+    ["bytes32", "uint256[2]", "uint256[2][2]", "uint256[2]"],
+    [w.newGraphRoot, args.a, args.b, args.c]
+  );
+  return { newGraphRoot: w.newGraphRoot, n: w.n, pubInput0: w.pubInput0, ...args, abi: Buffer.from(abi.slice(2), "hex") };
+}
@@ -0,0 +1,85 @@
+// circuits/lib/edge_membership.mjs
+//
+// Input builder + Groth16 wrapper for circuits/edge_membership.circom (EdgeMembership(32, 16, 0)):
+// "my hidden account has a hidden neighbor in this public allow-set, under graph root R".
+//
+//   buildEdgeMembershipInput(state, { account, allowSet, salt })  -> circuit input (bigints)
+//   proveEdgeMembership(input, { wasm, zkey })                     -> { proof, publicSignals }
+//   verifyEdgeMembership({ vkey, proof, publicSignals, root, allowSet, accountCommitment? })
+//
+// Public signals are [accountCommitment, root, allowSet[0..setSize)] (outputs first, then public inputs).
+// A salted state (GraphState.create({ saltSecret })) adds the private leafSalt: prove with
+// circuits/edge_membership_salted.circom (EdgeMembership(32, 16, 1)). The public signals do not change.
+
+import crypto from "node:crypto";
+import * as snarkjs from "snarkjs";
+import { buildPoseidon } from "circomlibjs";
+
+import { BI, BN254_P } from "./encoding.mjs";
+import { proveAccount, rootToField } from "./membership.mjs";
+import { toCircuitJSON } from "./witness.mjs";
+
+export const EDGE_MEMBERSHIP_SET_SIZE = 16;
+
+export function randomSalt() {
+  return BI("0x" + crypto.randomBytes(32).toString("hex")) % BN254_P;
+}
+
+export async function buildAccountCommitment() {
+  const poseidon = await buildPoseidon();
+  return (account, salt) => poseidon.F.toObject(poseidon([BI(account), BI(salt)]));
+}
+
+// allow-set -> fixed-size, zero-padded array of bigints
+export function padAllowSet(allowSet, setSize = EDGE_MEMBERSHIP_SET_SIZE) {
+  const set = [...new Set(allowSet.map(BI))];
+  if (set.includes(0n)) throw new Error("ALLOW_SET_ZERO");
+  if (set.length > setSize) throw new Error("ALLOW_SET_TOO_LARGE");
+  while (set.length < setSize) set.push(0n);
+  return set;
+}
+
+export async function buildEdgeMembershipInput(state, { account, allowSet, salt = randomSalt(), setSize = EDGE_MEMBERSHIP_SET_SIZE }) {
+  const set = padAllowSet(allowSet, setSize);
+
+  const p = await proveAccount(state, account);
+  if (p.type !== "inclusion") throw new Error("ACCOUNT_NOT_IN_TREE");
+
+  const neighbors = p.neighbors.map(BI);
+  const nbrIdx = neighbors.findIndex((nb) => nb !== 0n && set.includes(nb));
+  if (nbrIdx < 0) throw new Error("NO_ALLOWED_NEIGHBOR");
+
+  return {
+    root: state.root,
+    allowSet: set,
+    account: BI(account),
+    salt: BI(salt),
+    neighbors,
+    degree: BI(p.degree),
+    siblings: p.siblings.map(BI),
+    nbrIdx: BigInt(nbrIdx),
+    ...(p.salt !== undefined && { leafSalt: BI(p.salt) }),
+  };
+}
+
+export async function proveEdgeMembership(input, { wasm, zkey }) {
+  return snarkjs.groth16.fullProve(toCircuitJSON(input), wasm, zkey);
+}
+
+// Checks the public signals are the ones the caller expects, then the Groth16 proof.
+export async function verifyEdgeMembership({ vkey, proof, publicSignals, root, allowSet, accountCommitment, setSize = EDGE_MEMBERSHIP_SET_SIZE }) {
+  const sig = publicSignals.map(BI);
+  if (sig.length !== 2 + setSize) return { ok: false, reason: "bad public signal count" };
+  if (sig[1] !== rootToField(root)) return { ok: false, reason: "root mismatch" };
+
+  const set = padAllowSet(allowSet, setSize);
+  for (let i = 0; i < setSize; i++) {
+    if (sig[2 + i] !== set[i]) return { ok: false, reason: "allowSet mismatch" };
+  }
+  if (accountCommitment !== undefined && sig[0] !== BI(accountCommitment)) {
+    return { ok: false, reason: "accountCommitment mismatch" };
+  }
+
+  const ok = await snarkjs.groth16.verify(vkey, publicSignals.map(String), proof);
+  return ok ? { ok: true, accountCommitment: sig[0] } : { ok: false, reason: "invalid proof" };
+}
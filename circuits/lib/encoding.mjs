@@ -0,0 +1,239 @@
+// circuits/lib/encoding.mjs
+//
+// Canonical off-chain encoding shared by the circuit tests, the FFI scripts and
+// any off-chain service (forger, indexer, ...). Everything here must stay
+// byte-for-byte identical to what Rollup.sol does:
+//
+//   - queue word:   w = (ilo<<40) | (ihi<<8) | op            (Rollup._packTx / _unpackTx)
+//   - tx record:    ilo(4 BE) | ihi(4 BE) | op(1)             (9 bytes)
+//   - txDataFixed:  MAX_BATCH records, unused tail slots = 9 zero bytes
+//   - storageHash:  sha256(txDataFixed)                       (Rollup._buildTxDataFixedAndStorageHash)
+//   - pubInputs:    oldRoot32 | newRoot32 | batchId(8 BE) | start(4 BE) | n(4 BE) | storageHash32  (112 bytes)
+//   - pubInput0:    mask253(sha256(pubInputs))                (Rollup._maskTo253)
+//
+// All helpers validate ranges and throw instead of silently truncating.
+
+import crypto from "node:crypto";
+
+// BN254 scalar field prime (circom field)
+export const BN254_P =
+  21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+export const OP_NOP = 0;
+export const OP_ADD = 1;
+export const OP_REVOKE = 2;
+
+export const TX_RECORD_BYTES = 9;
+export const PUBINPUTS_BYTES = 112;
+
+const U32_MAX = 0xffffffffn;
+const U64_MAX = (1n << 64n) - 1n;
+const MASK_253 = (1n << 253n) - 1n;
+
+export const BI = (x) => (typeof x === "bigint" ? x : BigInt(x));
+
+export function modP(x) {
+  let r = BI(x) % BN254_P;
+  if (r < 0n) r += BN254_P;
+  return r;
+}
+
+// -------------------------------
+// Range checks
+// -------------------------------
+export function assertU8(x, what = "u8") {
+  const v = BI(x);
+  if (v < 0n || v > 0xffn) throw new Error(`${what} out of byte range: ${v}`);
+  return v;
+}
+
+export function assertU32(x, what = "u32") {
+  const v = BI(x);
+  if (v < 0n || v > U32_MAX) throw new Error(`${what} out of range: ${v}`);
+  return v;
+}
+
+export function assertU64(x, what = "u64") {
+  const v = BI(x);
+  if (v < 0n || v > U64_MAX) throw new Error(`${what} out of range: ${v}`);
+  return v;
+}
+
+// Canonical field element: 0 <= x < p (no reduction)
+export function assertField(x, what = "value") {
+  const v = BI(x);
+  if (v < 0n || v >= BN254_P) throw new Error(`${what} is not a field element: ${v}`);
+  return v;
+}
+
+// -------------------------------
+// Fixed-width big-endian integers
+// -------------------------------
+export function u32be(n) {
+  const b = Buffer.alloc(4);
+  b.writeUInt32BE(Number(assertU32(n)), 0);
+  return b;
+}
+
+export function u64be(n) {
+  const b = Buffer.alloc(8);
+  b.writeBigUInt64BE(assertU64(n), 0);
+  return b;
+}
+
+// Serialize a field element (0 <= x < p) as a 32-byte big-endian integer; matches FieldToBytes().
+export function fieldToBytes32BE(x, what = "value") {
+  let v = assertField(x, what);
+  const out = Buffer.alloc(32);
+  for (let i = 31; i >= 0; i--) {
+    out[i] = Number(v & 0xffn);
+    v >>= 8n;
+  }
+  return out;
+}
+
+// bytes32 (Buffer / Uint8Array / 0x-hex) -> Buffer, length checked
+export function toBytes32(x) {
+  const b =
+    typeof x === "string" ? Buffer.from(x.replace(/^0x/, ""), "hex") : Buffer.from(x);
+  if (b.length !== 32) throw new Error(`expected 32 bytes, got ${b.length}`);
+  return b;
+}
+
+// event `bytes` come back as 0x-hex strings from ethers
+export function bytesArg(x) {
+  return typeof x === "string" ? Buffer.from(x.replace(/^0x/, ""), "hex") : Buffer.from(x);
+}
+
+export function bytesToBigIntBE(buf) {
+  const b = Buffer.from(buf);
+  return b.length === 0 ? 0n : BigInt("0x" + b.toString("hex"));
+}
+
+// -------------------------------
+// Queue words (Rollup._packTx / _unpackTx)
+// -------------------------------
+export function packTx(ilo, ihi, op) {
+  return (assertU32(ilo, "ilo") << 40n) | (assertU32(ihi, "ihi") << 8n) | assertU8(op, "op");
+}
+
+export function unpackTx(w) {
+  const v = BI(w);
+  if (v < 0n || v >= 1n << 128n) throw new Error(`tx word out of uint128 range: ${v}`);
+  // uint32(w >> 40), uint32(w >> 8), uint8(w): Solidity truncation semantics
+  return {
+    ilo: Number((v >> 40n) & U32_MAX),
+    ihi: Number((v >> 8n) & U32_MAX),
+    op: Number(v & 0xffn),
+  };
+}
+
+// -------------------------------
+// txDataFixed / storageHash
+// -------------------------------
+export function encodeTxRecord({ ilo, ihi, op }) {
+  const b = Buffer.alloc(TX_RECORD_BYTES);
+  b.writeUInt32BE(Number(assertU32(ilo, "ilo")), 0);
+  b.writeUInt32BE(Number(assertU32(ihi, "ihi")), 4);
+  b[8] = Number(assertU8(op, "op"));
+  return b;
+}
+
+export function decodeTxRecord(buf, offset = 0) {
+  const b = Buffer.from(buf);
+  if (b.length < offset + TX_RECORD_BYTES) throw new Error("tx record truncated");
+  return { ilo: b.readUInt32BE(offset), ihi: b.readUInt32BE(offset + 4), op: b[offset + 8] };
+}
+
+// records: [{ilo, ihi, op}] with records.length <= batchSize; tail slots are zero (NULL tx)
+export function buildTxDataFixedBytes(records, batchSize) {
+  if (!Number.isInteger(batchSize) || batchSize <= 0) throw new Error(`bad batchSize: ${batchSize}`);
+  if (records.length > batchSize) {
+    throw new Error(`too many records: ${records.length} > batchSize ${batchSize}`);
+  }
+  const out = Buffer.alloc(batchSize * TX_RECORD_BYTES);
+  records.forEach((r, i) => encodeTxRecord(r).copy(out, i * TX_RECORD_BYTES));
+  return out;
+}
+
+// Inverse of buildTxDataFixedBytes. Returns all batchSize slots (including zero tail slots).
+export function decodeTxDataFixed(txData) {
+  const b = Buffer.from(txData);
+  if (b.length % TX_RECORD_BYTES !== 0) {
+    throw new Error(`txData length ${b.length} is not a multiple of ${TX_RECORD_BYTES}`);
+  }
+  const out = [];
+  for (let off = 0; off < b.length; off += TX_RECORD_BYTES) out.push(decodeTxRecord(b, off));
+  return out;
+}
+
+// Same as the contract: read n queued words, fixed MAX_BATCH slots, sha256 over the whole buffer.
+export function txDataFromWords(words, batchSize) {
+  return buildTxDataFixedBytes(words.map(unpackTx), batchSize);
+}
+
+export function sha256(buf) {
+  return crypto.createHash("sha256").update(Buffer.from(buf)).digest();
+}
+
+export function storageHash(txDataFixed) {
+  return sha256(txDataFixed);
+}
+
+// -------------------------------
+// Public input (pubInput0)
+// -------------------------------
+// Roots may be given as field elements (bigint/number/decimal string) or as bytes32 (Buffer / 0x-hex).
+// Either way they must be below p: a Poseidon root never is, and FieldToBytes() cannot produce it.
+function rootBytes(x, what) {
+  if ((typeof x === "string" && x.startsWith("0x")) || Buffer.isBuffer(x) || x instanceof Uint8Array) {
+    const b = toBytes32(x);
+    assertField(bytesToBigIntBE(b), what);
+    return b;
+  }
+  return fieldToBytes32BE(x, what);
+}
+
+export function buildPubInputsPreimage({ oldRoot, newRoot, batchId, start, n, storageHash }) {
+  return Buffer.concat([
+    rootBytes(oldRoot, "oldRoot"),
+    rootBytes(newRoot, "newRoot"),
+    u64be(batchId),
+    u32be(start),
+    u32be(n),
+    toBytes32(storageHash),
+  ]);
+}
+
+export function mask253FromDigestBytes(digest32) {
+  return bytesToBigIntBE(toBytes32(digest32)) & MASK_253;
+}
+
+export function computePubInput0(args) {
+  return mask253FromDigestBytes(sha256(buildPubInputsPreimage(args)));
+}
+
+// Circuit convention: digest bits MSB-first per byte (digest[0] = MSB of byte0).
+export function digestBytesToBitsMSB(digest32) {
+  const d = toBytes32(digest32);
+  const bits = new Array(256);
+  for (let i = 0; i < 32; i++) {
+    for (let k = 0; k < 8; k++) bits[i * 8 + k] = BigInt((d[i] >> (7 - k)) & 1);
+  }
+  return bits;
+}
+
+export function bitsMSBToDigestBytes(bits) {
+  if (bits.length !== 256) throw new Error(`expected 256 bits, got ${bits.length}`);
+  const out = Buffer.alloc(32);
+  for (let i = 0; i < 32; i++) {
+    let v = 0;
+    for (let k = 0; k < 8; k++) {
+      const bit = Number(BI(bits[i * 8 + k]));
+      if (bit !== 0 && bit !== 1) throw new Error(`non-boolean bit at ${i * 8 + k}`);
+      v = (v << 1) | bit;
+    }
+    out[i] = v;
+  }
+  return out;
+}
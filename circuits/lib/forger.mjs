@@ -0,0 +1,264 @@
+// circuits/lib/forger.mjs
+//
+// Forger: drains Rollup's unforged queue.
+//
+//   loop:
+//     sync()        replay BatchSubmitted events we have not applied yet (other forgers' batches)
+//     pendingOps()  -> start, count; n = min(count, MAX_BATCH)
+//     getQueuedWords(start, n) -> buildBatchWitness on a clone of the state
+//     prove         (groth16 fullProve by default; injectable for tests; must stay groth16)
+//     submitBatch(newGraphRoot, n, a, b, c)
+//
+// Races: if another forger lands first, our tx reverts (VerifyFail because latestGraphRoot/batchId
+// moved, or EmptyBatch because the queue drained). We detect that by re-reading batchId, drop the
+// clone, and resync from events on the next tick.
+//
+// `rollup` is an ethers v6 Contract (ROLLUP_ABI) connected to a signer; anything with the same
+// shape works, which is how the unit tests drive it without a node.
+//
+// With a `store` (ForgerStore) every applied batch is journaled, and each sync first asks the store
+// whether the chain reorged under us (head or a recent batch block changed hash); if so the state
+// rolls back to the last finalized batch and the events are replayed. `provider` (default: the
+// rollup's) supplies getBlockNumber / getBlock for that.
+//
+// With a `policy` (see schedule.mjs) a non-empty queue is only forged when the policy says so; otherwise
+// forgeOnce returns { status: "deferred", reason }. The policy sees chain time, the age of the oldest
+// queued op (its TxQueued `ts`), the gas price and TX_FEE_WEI.
+
+import { backendProver } from "./backends.mjs";
+import { BI, bytesArg, decodeTxDataFixed, fieldToBytes32BE, toBytes32 } from "./encoding.mjs";
+import { buildBatchWitness, normalizeOps } from "./witness.mjs";
+
+// submitBatch verifies through IGroth16Verifier, so the forger's prover is always Groth16
+export function groth16Prover({ wasm, zkey }) {
+  return backendProver({ wasm, zkey, protocol: "groth16" });
+}
+
+// Custom error name from an ethers v6 CALL_EXCEPTION (or null)
+export function revertName(err, iface) {
+  if (err?.revert?.name) return err.revert.name;
+  const data = err?.data ?? err?.info?.error?.data ?? err?.error?.data;
+  if (iface && typeof data === "string" && data.startsWith("0x")) {
+    try {
+      return iface.parseError(data)?.name ?? null;
+    } catch {}
+  }
+  return null;
+}
+
+function rootHex(root) {
+  return "0x" + fieldToBytes32BE(root).toString("hex");
+}
+
+function divergence(msg) {
+  const e = new Error(`DIVERGENCE ${msg}`);
+  e.code = "DIVERGENCE";
+  return e;
+}
+
+const sleep = (ms, signal) =>
+  new Promise((resolve) => {
+    const t = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => (clearTimeout(t), resolve()), { once: true });
+  });
+
+export class Forger {
+  // state: GraphState matching on-chain batch `batchId - 1` (i.e. batches [0, batchId) applied)
+  constructor({ rollup, state, batchId = 0n, fromBlock = 0, prover, maxBatch, store, provider, policy, log = () => {} }) {
+    if (!prover) throw new Error("Forger requires a prover");
+    this.rollup = rollup;
+    this.state = state;
+    this.batchId = BI(batchId);
+    this.fromBlock = fromBlock;
+    this.prover = prover;
+    this.maxBatch = maxBatch;
+    this.store = store;
+    this.policy = policy;
+    this.provider = provider ?? rollup.runner?.provider;
+    this.log = log;
+    if (store && !this.provider) throw new Error("Forger with a store needs a provider (getBlock) for reorg checks");
+  }
+
+  async init() {
+    if (this.maxBatch === undefined) this.maxBatch = Number(await this.rollup.MAX_BATCH());
+    if (this.policy) this.txFeeWei = BI(await this.rollup.TX_FEE_WEI());
+    return this;
+  }
+
+  snapshot() {
+    return { batchId: this.batchId.toString(), fromBlock: this.fromBlock, graph: this.state.toJSON() };
+  }
+
+  async _blockHash(n) {
+    return (await this.provider.getBlock(n))?.hash ?? null;
+  }
+
+  async _rollbackOnReorg() {
+    const reorg = await this.store.findReorg((n) => this._blockHash(n));
+    if (!reorg) return;
+    this.log(`reorg: ${reorg.reason}; rolling back to finalized batch ${this.store.final.batchId}`);
+    const r = await this.store.rollback();
+    this.state = r.state;
+    this.batchId = r.batchId;
+    this.fromBlock = r.fromBlock;
+  }
+
+  // TxQueued `ts` of the queue head; one lookup per head
+  async _queuedTs(txId) {
+    if (this._head?.txId !== txId) {
+      const events = await this.rollup.queryFilter(this.rollup.filters.TxQueued(null, txId), 0);
+      const ev = events.find((e) => BI(e.args.txId) === txId);
+      this._head = { txId, ts: ev ? Number(ev.args.ts) : null };
+    }
+    return this._head.ts;
+  }
+
+  async _scheduleContext(start, lag) {
+    const latest = await this.provider?.getBlock?.("latest");
+    const now = Number(latest?.timestamp ?? Math.floor(Date.now() / 1000));
+    const fee = await this.provider?.getFeeData?.();
+    return {
+      now,
+      lag,
+      maxBatch: this.maxBatch,
+      oldestTs: (await this._queuedTs(start)) ?? now,
+      gasPriceWei: BI(fee?.gasPrice ?? fee?.maxFeePerGas ?? 0n),
+      txFeeWei: this.txFeeWei,
+    };
+  }
+
+  // Apply every BatchSubmitted we have not seen yet; verify each root against the event.
+  async sync() {
+    if (this.store) await this._rollbackOnReorg();
+
+    const onchain = BI(await this.rollup.batchId());
+    if (onchain < this.batchId) throw divergence(`local batchId ${this.batchId} ahead of chain ${onchain}`);
+
+    if (onchain > this.batchId) {
+      const events = await this.rollup.queryFilter(this.rollup.filters.BatchSubmitted(), this.fromBlock);
+      const byId = new Map(events.map((ev) => [BI(ev.args.batchId), ev]));
+
+      while (this.batchId < onchain) {
+        const ev = byId.get(this.batchId);
+        if (!ev) throw divergence(`missing BatchSubmitted for batchId ${this.batchId}`);
+
+        const n = Number(ev.args.n);
+        const records = decodeTxDataFixed(bytesArg(ev.args.txData)).slice(0, n);
+        try {
+          for (const r of records) await this.state.apply(r);
+        } catch (e) {
+          throw divergence(`batchId ${this.batchId}: op rejected by model (${e.message})`);
+        }
+
+        const want = ev.args.newGraphRoot.toLowerCase();
+        if (rootHex(this.state.root) !== want) {
+          throw divergence(`batchId ${this.batchId}: root ${rootHex(this.state.root)} != on-chain ${want}`);
+        }
+        await this.store?.record(
+          { batchId: this.batchId, n, startTxId: ev.args.startTxId, blockNumber: ev.blockNumber, blockHash: ev.blockHash, newGraphRoot: want, ops: records },
+          this.state
+        );
+
+        this.log(`synced batch ${this.batchId} (n=${n}) from chain`);
+        this.batchId += 1n;
+        this.fromBlock = Math.max(this.fromBlock, ev.blockNumber ?? 0);
+      }
+    }
+
+    const latest = toBytes32(await this.rollup.latestGraphRoot()).toString("hex");
+    if ("0x" + latest !== rootHex(this.state.root)) {
+      throw divergence(`latestGraphRoot 0x${latest} != local ${rootHex(this.state.root)}`);
+    }
+
+    if (this.store) {
+      const head = await this.provider.getBlockNumber();
+      await this.store.markHead({ blockNumber: head, blockHash: await this._blockHash(head) }, head);
+    }
+  }
+
+  // One forging attempt. Returns { status: "idle" | "deferred" | "submitted" | "race" | "verify-fail", ... }.
+  async forgeOnce() {
+    await this.sync();
+
+    const [startTxId, , count] = await this.rollup.pendingOps();
+    if (BI(count) === 0n) return { status: "idle" };
+
+    if (this.policy) {
+      const d = this.policy.decide(await this._scheduleContext(BI(startTxId), Number(count)));
+      if (!d.forge) return { status: "deferred", reason: d.reason, lag: Number(count) };
+    }
+
+    const n = Math.min(Number(count), this.maxBatch);
+    const start = BI(startTxId);
+    const words = Array.from(await this.rollup.getQueuedWords(start, n));
+
+    const next = await this.state.clone();
+    const built = await buildBatchWitness(next, words, {
+      batchId: this.batchId,
+      start,
+      batchSize: this.maxBatch,
+      smtLevels: next.smtLevels,
+    });
+
+    const proof = await this.prover(built.input);
+    if ((proof.protocol ?? "groth16") !== "groth16") throw new Error(`submitBatch takes a groth16 proof, prover returned ${proof.protocol}`);
+
+    let receipt;
+    try {
+      const tx = await this.rollup.submitBatch(built.newGraphRoot, n, proof.a, proof.b, proof.c);
+      receipt = await tx.wait();
+    } catch (err) {
+      const name = revertName(err, this.rollup.interface);
+      const onchain = BI(await this.rollup.batchId());
+      if (onchain !== this.batchId || name === "EmptyBatch") {
+        return { status: "race", reason: name ?? err.shortMessage ?? err.message, batchId: this.batchId };
+      }
+      if (name === "VerifyFail") return { status: "verify-fail", batchId: this.batchId, n };
+      throw err;
+    }
+
+    const result = {
+      status: "submitted",
+      batchId: this.batchId,
+      n,
+      start,
+      newRoot: built.newRoot,
+      newGraphRoot: built.newGraphRoot,
+      txHash: receipt?.hash,
+    };
+
+    await this.store?.record(
+      {
+        batchId: this.batchId,
+        n,
+        startTxId: start,
+        blockNumber: receipt?.blockNumber ?? 0,
+        blockHash: receipt?.blockHash,
+        newGraphRoot: built.newGraphRoot,
+        ops: normalizeOps(words),
+      },
+      next
+    );
+    this.state = next;
+    this.batchId += 1n;
+    if (receipt?.blockNumber !== undefined) this.fromBlock = Math.max(this.fromBlock, receipt.blockNumber);
+    return result;
+  }
+
+  // Runs until signal aborts. Divergence is fatal (local model no longer matches the chain).
+  async run({ intervalMs = 5000, signal, onResult = () => {} } = {}) {
+    while (!signal?.aborted) {
+      let res;
+      try {
+        res = await this.forgeOnce();
+      } catch (e) {
+        if (e.code === "DIVERGENCE") throw e;
+        this.log(`forge error: ${e?.shortMessage || e?.message || e}`);
+        res = { status: "error", error: e };
+      }
+      await onResult(res);
+      if (res.status === "submitted") continue; // keep draining
+      await sleep(intervalMs, signal);
+    }
+  }
+}
@@ -0,0 +1,230 @@
+// circuits/lib/forger_store.mjs
+//
+// Persistent graph state for a forger: survives restarts without replaying from genesis, and rolls back
+// when a reorg removes BatchSubmitted / TxQueued logs the forger already applied.
+//
+//   new ForgerStore(dir, { smtLevels, confirmations, checkpointEvery }).open()
+//     .state / .batchId / .fromBlock  live GraphState, next batchId, where to resume the event scan
+//     record(entry, state)            append one applied batch (synced or our own) to the journal
+//     markHead(head, latestBlock)     remember the scanned head; fold batches `confirmations` deep into the
+//                                     finalized state, checkpoint every `checkpointEvery` finalized batches
+//     findReorg(blockHashAt)          null | { blockNumber, reason }: head or an unfinalized batch changed hash
+//     rollback()                      live state := last finalized batch; later journal entries dropped
+//     check(state, latestGraphRoot)   recompute the root from the stored leaves, compare with the chain
+//
+// Layout (all JSON, no native dependencies):
+//   <dir>/checkpoint.json   { version, batchId, blockNumber, graph }   graph after batches [0, batchId)
+//   <dir>/journal.jsonl     one line per batch applied after the checkpoint:
+//                           { batchId, n, startTxId, blockNumber, blockHash, newGraphRoot, ops: [[op, ilo, ihi]] }
+//   <dir>/head.json         { blockNumber, blockHash } of the last block the forger synced against
+//
+// Crash safety: journal lines are appended and fsynced, so a crash leaves at most a torn last line, which is
+// dropped on open (the batch is then re-read from BatchSubmitted). checkpoint.json / head.json and journal
+// compaction are written to a temp file and renamed. Journal entries older than the checkpoint are ignored.
+// Reorgs deeper than `confirmations` cannot be undone and surface as DIVERGENCE. One process per dir.
+
+import fs from "node:fs";
+import path from "node:path";
+
+import { fieldToBytes32BE } from "./encoding.mjs";
+import { GraphState, DEFAULT_SMT_LEVELS } from "./graph_state.mjs";
+
+export const STORE_VERSION = 1;
+
+function rootHex(root) {
+  return "0x" + fieldToBytes32BE(root).toString("hex");
+}
+
+function divergence(msg) {
+  const e = new Error(`DIVERGENCE ${msg}`);
+  e.code = "DIVERGENCE";
+  return e;
+}
+
+function writeAtomic(file, text) {
+  const tmp = `${file}.tmp`;
+  const fd = fs.openSync(tmp, "w");
+  try {
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+const toOps = (entry) => entry.ops.map(([op, ilo, ihi]) => ({ op, ilo, ihi }));
+
+async function applyEntry(state, entry) {
+  try {
+    for (const op of toOps(entry)) await state.apply(op);
+  } catch (e) {
+    throw divergence(`store batchId ${entry.batchId}: op rejected by model (${e.message})`);
+  }
+  if (rootHex(state.root) !== entry.newGraphRoot) {
+    throw divergence(`store batchId ${entry.batchId}: root ${rootHex(state.root)} != recorded ${entry.newGraphRoot}`);
+  }
+}
+
+export class ForgerStore {
+  constructor(dir, { smtLevels = DEFAULT_SMT_LEVELS, confirmations = 12, checkpointEvery = 32, log = () => {} } = {}) {
+    this.dir = dir;
+    this.smtLevels = smtLevels;
+    this.confirmations = confirmations;
+    this.checkpointEvery = checkpointEvery;
+    this.log = log;
+
+    this.files = {
+      checkpoint: path.join(dir, "checkpoint.json"),
+      journal: path.join(dir, "journal.jsonl"),
+      head: path.join(dir, "head.json"),
+    };
+  }
+
+  async open({ fromBlock = 0 } = {}) {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    // finalized side: checkpoint on disk, `final` in memory (may be ahead of the checkpoint)
+    let cp = { batchId: 0, blockNumber: fromBlock, graph: null };
+    if (fs.existsSync(this.files.checkpoint)) {
+      cp = JSON.parse(fs.readFileSync(this.files.checkpoint, "utf8"));
+      if (cp.version !== STORE_VERSION) throw new Error(`unsupported store version ${cp.version} in ${this.files.checkpoint}`);
+    }
+    // fromJSON recomputes the root from the leaves and rejects a checkpoint whose stored root differs
+    const finalState = cp.graph
+      ? await GraphState.fromJSON(cp.graph, { smtLevels: this.smtLevels })
+      : await GraphState.create({ smtLevels: this.smtLevels });
+    this.checkpointBatchId = cp.batchId;
+    this.final = { state: finalState, batchId: cp.batchId, blockNumber: cp.blockNumber };
+
+    this.journal = this._readJournal().filter((e) => e.batchId >= cp.batchId);
+    this.head = fs.existsSync(this.files.head) ? JSON.parse(fs.readFileSync(this.files.head, "utf8")) : null;
+
+    this.state = await finalState.clone();
+    this.batchId = cp.batchId;
+    for (const entry of this.journal) {
+      if (entry.batchId !== this.batchId) throw divergence(`store journal skips from batchId ${this.batchId} to ${entry.batchId}`);
+      await applyEntry(this.state, entry);
+      this.batchId++;
+    }
+    this.fromBlock = this.journal.length ? this.journal.at(-1).blockNumber : cp.blockNumber;
+    this.log(`store ${this.dir}: checkpoint batch ${cp.batchId}, ${this.journal.length} journal entries, next batch ${this.batchId}`);
+    return this;
+  }
+
+  _readJournal() {
+    if (!fs.existsSync(this.files.journal)) return [];
+    const lines = fs.readFileSync(this.files.journal, "utf8").split("\n");
+    const out = [];
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i].trim()) continue;
+      try {
+        out.push(JSON.parse(lines[i]));
+      } catch (e) {
+        // a torn write can only be the last line
+        if (lines.slice(i + 1).some((l) => l.trim())) throw new Error(`corrupt journal line ${i + 1} in ${this.files.journal}`);
+        this.log(`store: dropping torn journal line ${i + 1}`);
+        this._writeJournal(out);
+        break;
+      }
+    }
+    return out;
+  }
+
+  _writeJournal(entries) {
+    writeAtomic(this.files.journal, entries.map((e) => JSON.stringify(e) + "\n").join(""));
+  }
+
+  // entry: { batchId, n, startTxId, blockNumber, blockHash, newGraphRoot, ops }, `state` already includes it
+  async record(entry, state) {
+    const rec = {
+      batchId: Number(entry.batchId),
+      n: Number(entry.n),
+      startTxId: Number(entry.startTxId),
+      blockNumber: Number(entry.blockNumber),
+      blockHash: entry.blockHash ?? null,
+      newGraphRoot: entry.newGraphRoot.toLowerCase(),
+      ops: entry.ops.map((o) => [Number(o.op), Number(o.ilo), Number(o.ihi)]),
+    };
+    if (rec.batchId !== this.batchId) throw new Error(`store expects batchId ${this.batchId}, got ${rec.batchId}`);
+    if (rootHex(state.root) !== rec.newGraphRoot) throw divergence(`batchId ${rec.batchId}: state root does not match the recorded root`);
+
+    const fd = fs.openSync(this.files.journal, "a");
+    try {
+      fs.writeSync(fd, JSON.stringify(rec) + "\n");
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    this.journal.push(rec);
+    this.state = state;
+    this.batchId++;
+    this.fromBlock = Math.max(this.fromBlock, rec.blockNumber);
+  }
+
+  unfinalized() {
+    return this.journal.filter((e) => e.batchId >= this.final.batchId);
+  }
+
+  async markHead(head, latestBlock = head.blockNumber) {
+    const depth = latestBlock - this.confirmations;
+    for (const entry of this.unfinalized()) {
+      if (entry.blockNumber > depth) break;
+      await applyEntry(this.final.state, entry);
+      this.final = { state: this.final.state, batchId: entry.batchId + 1, blockNumber: entry.blockNumber };
+    }
+
+    if (this.final.batchId - this.checkpointBatchId >= this.checkpointEvery) this._checkpoint();
+    this.head = { blockNumber: Number(head.blockNumber), blockHash: head.blockHash };
+    writeAtomic(this.files.head, JSON.stringify(this.head) + "\n");
+  }
+
+  _checkpoint() {
+    const { state, batchId, blockNumber } = this.final;
+    writeAtomic(
+      this.files.checkpoint,
+      JSON.stringify({ version: STORE_VERSION, batchId, blockNumber, graph: state.toJSON() }) + "\n"
+    );
+    this.journal = this.journal.filter((e) => e.batchId >= batchId);
+    this._writeJournal(this.journal);
+    this.checkpointBatchId = batchId;
+    this.log(`store: checkpoint at batch ${batchId} (block ${blockNumber})`);
+  }
+
+  // blockHashAt(n) -> hash of block n on the current chain (null if it does not exist)
+  async findReorg(blockHashAt) {
+    if (this.head?.blockHash) {
+      const now = await blockHashAt(this.head.blockNumber);
+      if (now !== this.head.blockHash) return { blockNumber: this.head.blockNumber, reason: `head block ${this.head.blockNumber} replaced` };
+    }
+    for (const entry of this.unfinalized()) {
+      if (!entry.blockHash) continue;
+      const now = await blockHashAt(entry.blockNumber);
+      if (now !== entry.blockHash) return { blockNumber: entry.blockNumber, reason: `batch ${entry.batchId} block ${entry.blockNumber} replaced` };
+    }
+    return null;
+  }
+
+  async rollback() {
+    const dropped = this.batchId - this.final.batchId;
+    this.journal = this.journal.filter((e) => e.batchId < this.final.batchId);
+    this._writeJournal(this.journal);
+    this.head = null;
+    fs.rmSync(this.files.head, { force: true });
+
+    this.state = await this.final.state.clone();
+    this.batchId = this.final.batchId;
+    this.fromBlock = this.final.blockNumber;
+    this.log(`store: rolled back ${dropped} batch(es) to finalized batch ${this.batchId}`);
+    return { state: this.state, batchId: BigInt(this.batchId), fromBlock: this.fromBlock };
+  }
+
+  // Integrity: the root recomputed from the stored leaves must equal the live root, and the chain's
+  // latestGraphRoot when the chain is at the same batch.
+  async check(state = this.state, latestGraphRoot) {
+    const rebuilt = await GraphState.fromJSON({ ...state.toJSON(), root: undefined }, { smtLevels: this.smtLevels });
+    const res = { root: rootHex(state.root), recomputed: rootHex(rebuilt.root), onchain: latestGraphRoot?.toLowerCase() ?? null };
+    res.ok = res.root === res.recomputed && (res.onchain === null || res.onchain === res.root);
+    return res;
+  }
+}
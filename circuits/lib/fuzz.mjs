@@ -0,0 +1,344 @@
+// circuits/lib/fuzz.mjs
+//
+// Differential fuzzing: ProcessBatch (fed by GraphState + buildBatchWitness) against an independent JS
+// reference model (used by scripts/fuzz.mjs and test/fuzz.test.js).
+//
+//   seededRand(seed)                           -> xorshift32 rng in [0, 1)
+//   Adjacency                                  -> the contract's view: linked pairs + degrees, op validity
+//   RefModel                                   -> Adjacency + a root rebuilt from scratch (no GraphState code)
+//   genCase(seed, { batchSize, smtLevels })    -> { seed, scenario, batchSize, smtLevels, prefix[], batches[][] }
+//   runCase(c, evalBatch, { Model })           -> { ok: true } | { ok: false, batch, kind, message }
+//   shrinkCase(c, failure, evalBatch, { ... }) -> { ...case, batches: [oneBatch], failure } that still fails
+//   saveFixture(dir, c) / loadFixtures(dir)    -> circuits/fixtures/fuzz/*.json
+//   circuitEvaluator(circuitPath, { engine })  -> evalBatch: circom_tester build, witnesses on the (shared) WitnessEngine
+//
+// A case is a prefix (applied to both models in JS only, like batches forged long ago) followed by a few
+// batches that also go through the circuit. Every op is one the contract would have queued: ADD of an
+// unlinked pair with both degrees < 64, REVOKE of a linked pair. Scenarios (seed % 3):
+//   mixed     random ADD / REVOKE traffic over a handful of accounts
+//   saturate  a hub one to three edges short of MAX_DEGREE, then batches that fill it, revoke and refill
+//   drain     an account with 1-3 neighbors whose batches revoke all of them (last neighbor removal)
+// Batch lengths are uniform in 1..batchSize, so most batches have NOP tail slots. Account keys stay below
+// 2^(smtLevels-1), the range every SMTProcessor path can hold.
+//
+// evalBatch(input) gets a ProcessBatch input without pubInput0 and returns out[0] (pubInput0) as a
+// bigint; it must throw when a constraint fails. Failure kinds:
+//   WITNESS_ERROR      GraphState / buildBatchWitness rejected a valid op
+//   ROOT_MISMATCH      GraphState root != reference root (before or after the batch)
+//   CIRCUIT_REJECTED   the witness does not satisfy the circuit
+//   PUBINPUT_MISMATCH  out[0] != pubInput0 computed from the reference roots and txData
+
+import fs from "node:fs";
+import path from "node:path";
+import { newMemEmptyTrie } from "circomlibjs";
+
+import { OP_ADD, OP_REVOKE, buildTxDataFixedBytes, computePubInput0, storageHash } from "./encoding.mjs";
+import { GraphState, MAX_DEGREE, SENTINEL, buildNeighborCommitment } from "./graph_state.mjs";
+import { REPO_ROOT } from "./setup.mjs";
+import { variantId } from "./variants.mjs";
+import { buildBatchWitness, withoutPubInput0 } from "./witness.mjs";
+import { withEngine } from "./witness_engine.mjs";
+
+export const SCENARIOS = ["mixed", "saturate", "drain"];
+export const FIXTURES_DIR = path.join(REPO_ROOT, "circuits/fixtures/fuzz");
+
+// xorshift32 as in test/modify_array.test.js; seed 0 would stay 0 forever, so it is remapped
+export function seededRand(seed) {
+  let x = seed >>> 0 || 0x9e3779b9;
+  return () => {
+    x ^= x << 13; x >>>= 0;
+    x ^= x >>> 17; x >>>= 0;
+    x ^= x << 5;  x >>>= 0;
+    return x / 0x100000000;
+  };
+}
+
+// -------------------------------
+// Models
+// -------------------------------
+const edge = (a, b) => ({ ilo: Math.min(a, b), ihi: Math.max(a, b) });
+
+export class Adjacency {
+  constructor() {
+    // idx -> Set(idx); an account stays once touched (its leaf stays in the SMT at degree 0)
+    this.adj = new Map();
+  }
+
+  neighbors(a) {
+    return this.adj.get(a) ?? new Set();
+  }
+
+  degree(a) {
+    return this.neighbors(a).size;
+  }
+
+  linked(a, b) {
+    return this.neighbors(a).has(b);
+  }
+
+  canApply({ op, ilo, ihi }) {
+    if (!(ilo > 0 && ilo < ihi)) return false;
+    if (op === OP_ADD) return !this.linked(ilo, ihi) && this.degree(ilo) < MAX_DEGREE && this.degree(ihi) < MAX_DEGREE;
+    if (op === OP_REVOKE) return this.linked(ilo, ihi);
+    return false;
+  }
+
+  apply(o) {
+    if (!this.canApply(o)) throw new Error(`INVALID_OP ${JSON.stringify(o)}`);
+    for (const [a, b] of [[o.ilo, o.ihi], [o.ihi, o.ilo]]) {
+      if (!this.adj.has(a)) this.adj.set(a, new Set());
+      if (o.op === OP_ADD) this.adj.get(a).add(b);
+      else this.adj.get(a).delete(b);
+    }
+  }
+
+  edges(a) {
+    const out = [];
+    for (const [x, ns] of this.adj) {
+      if (a !== undefined && x !== a) continue;
+      for (const y of ns) if (x < y || a !== undefined) out.push(edge(x, y));
+    }
+    return out;
+  }
+}
+
+// Leaf = NeighborCommitment(neighbors sorted descending, 0-padded to 64, degree); root = a fresh SMT over
+// every touched account. Nothing is shared with GraphState except the commitment hash itself.
+export class RefModel extends Adjacency {
+  constructor(commit) {
+    super();
+    this.commit = commit;
+  }
+
+  static async create() {
+    return new this(await buildNeighborCommitment());
+  }
+
+  leaf(a) {
+    const ns = [...this.neighbors(a)].map(BigInt).sort((x, y) => (x > y ? -1 : x < y ? 1 : 0));
+    while (ns.length < MAX_DEGREE) ns.push(SENTINEL);
+    return this.commit(ns, BigInt(this.degree(a)));
+  }
+
+  async root() {
+    const tree = await newMemEmptyTrie();
+    for (const a of this.adj.keys()) await tree.insert(a, this.leaf(a));
+    return tree.F.toObject(tree.root);
+  }
+}
+
+// -------------------------------
+// Generate
+// -------------------------------
+export function genCase(seed, { batchSize, smtLevels, batches = 3 }) {
+  const rng = seededRand(seed);
+  const int = (n) => Math.floor(rng() * n);
+  // keys below 2^(smtLevels-1) never need a leaf deeper than smtLevels - 1 (see GraphState._writeLeaf)
+  const maxKey = Math.min(2 ** (smtLevels - 1) - 1, 0xffffffff);
+
+  let scenario = SCENARIOS[seed % SCENARIOS.length];
+  if (scenario === "saturate" && maxKey < MAX_DEGREE + 8) scenario = "mixed";
+
+  const pool = new Set();
+  const want = Math.min(scenario === "saturate" ? MAX_DEGREE + 6 : 8, maxKey);
+  while (pool.size < want) pool.add(1 + int(maxKey));
+  const accounts = [...pool];
+  const focus = accounts[0];
+
+  const adj = new Adjacency();
+  const add = (a) => {
+    for (let tries = 0; tries < 64; tries++) {
+      const x = a ?? accounts[int(accounts.length)];
+      const y = accounts[int(accounts.length)];
+      const o = { op: OP_ADD, ...edge(x, y) };
+      if (x !== y && adj.canApply(o)) return o;
+    }
+    return null;
+  };
+  const revoke = (a) => {
+    const es = adj.edges(a);
+    return es.length ? { op: OP_REVOKE, ...es[int(es.length)] } : null;
+  };
+  const pick = (pAdd, a) => {
+    const first = rng() < pAdd ? add(a) ?? revoke(a) : revoke(a) ?? add(a);
+    return first ?? add() ?? revoke();
+  };
+  const push = (list, o) => {
+    if (!o) return;
+    adj.apply(o);
+    list.push(o);
+  };
+
+  const prefix = [];
+  if (scenario === "saturate") {
+    const target = MAX_DEGREE - 1 - int(3);
+    while (adj.degree(focus) < target) push(prefix, add(focus));
+    for (let i = int(6); i > 0; i--) push(prefix, add());
+  } else if (scenario === "drain") {
+    for (let i = 1 + int(3); i > 0; i--) push(prefix, add(focus));
+    for (let i = int(6); i > 0; i--) push(prefix, add());
+  } else {
+    for (let i = int(12); i > 0; i--) push(prefix, pick(0.7));
+  }
+
+  const out = [];
+  for (let b = 0; b < batches; b++) {
+    const ops = [];
+    for (let i = 1 + int(batchSize); i > 0; i--) {
+      if (scenario === "saturate") push(ops, pick(adj.degree(focus) < MAX_DEGREE ? 0.7 : 0.2, rng() < 0.8 ? focus : undefined));
+      else if (scenario === "drain") push(ops, pick(adj.degree(focus) ? 0.15 : 0.6, rng() < 0.8 ? focus : undefined));
+      else push(ops, pick(0.6, rng() < 0.3 ? accounts[int(4)] : undefined));
+    }
+    out.push(ops);
+  }
+
+  return { seed, scenario, batchSize, smtLevels, prefix, batches: out };
+}
+
+// Every op valid in sequence and no batch over capacity.
+export function isValidCase(c) {
+  const adj = new Adjacency();
+  for (const ops of [c.prefix, ...c.batches]) {
+    for (const o of ops) {
+      if (!adj.canApply(o)) return false;
+      adj.apply(o);
+    }
+  }
+  return c.batches.every((b) => b.length >= 1 && b.length <= c.batchSize);
+}
+
+// -------------------------------
+// Run
+// -------------------------------
+const firstLine = (e) => String(e?.message ?? e).split("\n")[0];
+
+export async function runCase(c, evalBatch, { Model = RefModel } = {}) {
+  const state = await GraphState.create({ smtLevels: c.smtLevels });
+  const ref = await Model.create();
+  const fail = (batch, kind, message) => ({ ok: false, batch, kind, message });
+
+  try {
+    for (const o of c.prefix) await state.apply(o);
+  } catch (e) {
+    return fail(0, "WITNESS_ERROR", `prefix: ${firstLine(e)}`);
+  }
+  for (const o of c.prefix) ref.apply(o);
+
+  let oldRoot = await ref.root();
+  let start = 1 + c.prefix.length;
+  for (const [i, ops] of c.batches.entries()) {
+    const batchId = BigInt(i);
+    if (state.root !== oldRoot) return fail(i, "ROOT_MISMATCH", `before batch: graph state ${state.root} != reference ${oldRoot}`);
+
+    let built;
+    try {
+      built = await buildBatchWitness(state, ops, { batchId, start, batchSize: c.batchSize, smtLevels: c.smtLevels });
+    } catch (e) {
+      return fail(i, "WITNESS_ERROR", firstLine(e));
+    }
+    for (const o of ops) ref.apply(o);
+    const newRoot = await ref.root();
+    if (built.newRoot !== newRoot) return fail(i, "ROOT_MISMATCH", `after batch: graph state ${built.newRoot} != reference ${newRoot}`);
+
+    const txData = buildTxDataFixedBytes(ops, c.batchSize);
+    const expected = computePubInput0({ oldRoot, newRoot, batchId, start, n: ops.length, storageHash: storageHash(txData) });
+
+    let out;
+    try {
+      out = await evalBatch(withoutPubInput0(built.input));
+    } catch (e) {
+      return fail(i, "CIRCUIT_REJECTED", firstLine(e));
+    }
+    if (out !== expected) return fail(i, "PUBINPUT_MISMATCH", `circuit ${out} != reference ${expected}`);
+
+    oldRoot = newRoot;
+    start += ops.length;
+  }
+  return { ok: true };
+}
+
+// -------------------------------
+// Shrink
+// -------------------------------
+// Greedy: fold the batches before the failing one into the prefix and drop the ones after it, then keep
+// removing single batch ops and prefix chunks (halving the chunk size) while the case stays valid and
+// still fails the same way. `onStep(case, failure)` sees every improvement.
+export async function shrinkCase(c, failure, evalBatch, { Model, onStep } = {}) {
+  let best = {
+    ...c,
+    prefix: [...c.prefix, ...c.batches.slice(0, failure.batch).flat()],
+    batches: [c.batches[failure.batch]],
+  };
+  let bestFailure = { ...failure, batch: 0 };
+
+  const attempt = async (cand) => {
+    if (!isValidCase(cand)) return false;
+    const res = await runCase(cand, evalBatch, { Model });
+    if (res.ok || res.kind !== failure.kind) return false;
+    best = cand;
+    bestFailure = res;
+    onStep?.(best, bestFailure);
+    return true;
+  };
+
+  for (let progress = true; progress; ) {
+    progress = false;
+
+    for (let i = 0; best.batches[0].length > 1 && i < best.batches[0].length; ) {
+      const batch = best.batches[0].filter((_, k) => k !== i);
+      if (await attempt({ ...best, batches: [batch] })) progress = true;
+      else i++;
+    }
+
+    for (let size = Math.ceil(best.prefix.length / 2); size >= 1; size = size === 1 ? 0 : Math.ceil(size / 2)) {
+      for (let i = 0; i < best.prefix.length; ) {
+        const prefix = [...best.prefix.slice(0, i), ...best.prefix.slice(i + size)];
+        if (await attempt({ ...best, prefix })) progress = true;
+        else i += size;
+      }
+    }
+  }
+
+  return { ...best, failure: { kind: bestFailure.kind, message: bestFailure.message } };
+}
+
+// -------------------------------
+// Fixtures
+// -------------------------------
+export function fixtureName(c) {
+  return `seed-${c.seed}-${variantId(c)}.json`;
+}
+
+export function saveFixture(dir, c) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, fixtureName(c));
+  const { seed, scenario, batchSize, smtLevels, prefix, batches, failure } = c;
+  fs.writeFileSync(file, JSON.stringify({ seed, scenario, batchSize, smtLevels, failure, prefix, batches }, null, 2) + "\n");
+  return file;
+}
+
+export function loadFixtures(dir = FIXTURES_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .sort()
+    .map((f) => ({ file: path.join(dir, f), ...JSON.parse(fs.readFileSync(path.join(dir, f), "utf8")) }));
+}
+
+// -------------------------------
+// Circuit
+// -------------------------------
+// out[0] of a ProcessBatchTest wrapper (circuits/test_circuits/process_batch_test.circom or a generated variant)
+export async function circuitEvaluator(circuitPath, { engine } = {}) {
+  const { wasm: wasmTester } = await import("circom_tester");
+  const tester = await wasmTester(circuitPath, {
+    include: [path.join(REPO_ROOT, "node_modules"), path.join(REPO_ROOT, "circuits")],
+  });
+  const circuit = withEngine(tester, engine);
+  return async (input) => {
+    const w = await circuit.calculateWitness(input, true);
+    await circuit.checkConstraints(w);
+    return w[1];
+  };
+}
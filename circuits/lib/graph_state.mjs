@@ -0,0 +1,307 @@
+// circuits/lib/graph_state.mjs
+//
+// Off-chain model of the graph state that ProcessOp / ProcessBatch prove over.
+//
+//   - SMT (circomlibjs, Poseidon) keyed by account index (uint32)
+//   - leaf value = NeighborCommitment(neighbors[64], degree)
+//       = Poseidon(Poseidon(n[0..15]), Poseidon(n[16..31]), Poseidon(n[32..47]), Poseidon(n[48..63]), degree)
+//   - neighbors[64] sorted strictly descending, unused slots = 0 (SENTINEL)
+//   - salted mode (GraphState.create({ saltSecret })): leaf value = Poseidon(NeighborCommitment(...), salt)
+//     with salt = deriveSalt(saltSecret, idx), fixed when the account's leaf is first inserted. This is
+//     LeafCommitment(1) / MainSalted; the default is LeafCommitment(0) / Main.
+//
+// apply({op, ilo, ihi}) mutates the state exactly like ProcessOp does (ModifyArray on lo then hi,
+// SMT write for lo then hi) and returns the per-op witness bundle the circuit needs.
+
+import crypto from "node:crypto";
+import { newMemEmptyTrie, buildPoseidon } from "circomlibjs";
+
+import { BI, BN254_P, OP_NOP, OP_ADD, OP_REVOKE, assertU32, bytesToBigIntBE, u32be } from "./encoding.mjs";
+
+export const MAX_DEGREE = 64;
+export const SENTINEL = 0n;
+export const DEFAULT_SMT_LEVELS = 32;
+
+export function emptyNeighbors() {
+  return new Array(MAX_DEGREE).fill(SENTINEL);
+}
+
+// -------------------------------
+// NeighborCommitment reference
+// -------------------------------
+export async function buildNeighborCommitment() {
+  const poseidon = await buildPoseidon();
+  const F = poseidon.F;
+  const H = (inputs) => F.toObject(poseidon(inputs.map(BI)));
+
+  return (neighbors, degree) => {
+    if (neighbors.length !== MAX_DEGREE) throw new Error(`expected ${MAX_DEGREE} neighbors`);
+    const h0 = H(neighbors.slice(0, 16));
+    const h1 = H(neighbors.slice(16, 32));
+    const h2 = H(neighbors.slice(32, 48));
+    const h3 = H(neighbors.slice(48, 64));
+    return H([h0, h1, h2, h3, degree]);
+  };
+}
+
+// LeafCommitment reference: (neighbors, degree) unsalted, (neighbors, degree, salt) salted
+export async function buildLeafCommitment() {
+  const poseidon = await buildPoseidon();
+  const commit = await buildNeighborCommitment();
+
+  return (neighbors, degree, salt) => {
+    const nc = commit(neighbors, degree);
+    return salt === undefined ? nc : poseidon.F.toObject(poseidon([nc, BI(salt)]));
+  };
+}
+
+// -------------------------------
+// Leaf salts
+// -------------------------------
+// salt(idx) = HMAC-SHA256(secret, "zkgraf/leaf-salt" | u32be(idx)) mod p. One secret covers every account,
+// and the salt handed to one account says nothing about another's.
+export function deriveSalt(secret, idx) {
+  if (secret === undefined || secret === null || secret.length === 0) throw new Error("SALT_SECRET_REQUIRED");
+  const mac = crypto.createHmac("sha256", secret).update("zkgraf/leaf-salt").update(u32be(idx)).digest();
+  return bytesToBigIntBE(mac) % BN254_P;
+}
+
+// -------------------------------
+// ModifyArray reference (strict: anything the circuit would reject throws)
+// -------------------------------
+// Returns the idx hint the circuit needs plus the new array / degree.
+export function modifyArray({ oldArr, oldDeg, element, optype }) {
+  const arr = oldArr.map(BI);
+  const deg = BI(oldDeg);
+  const e = BI(element);
+  const op = Number(optype);
+
+  if (op === OP_NOP) return { newArr: arr, newDeg: deg, idx: 0 };
+
+  if (op === OP_ADD) {
+    if (e === SENTINEL) throw new Error("INSERT_SENTINEL");
+    if (deg >= BigInt(MAX_DEGREE)) throw new Error("NODE_FULL");
+    // first slot where (idx==0 OR arr[idx-1] > e) AND e > arr[idx]
+    let idx = -1;
+    for (let i = 0; i < MAX_DEGREE; i++) {
+      const leftOk = i === 0 || arr[i - 1] > e;
+      if (leftOk && e > arr[i]) {
+        idx = i;
+        break;
+      }
+    }
+    if (idx < 0) throw new Error("INSERT_POS_INVALID"); // duplicate neighbor
+    const newArr = arr.slice();
+    for (let k = MAX_DEGREE - 1; k > idx; k--) newArr[k] = newArr[k - 1];
+    newArr[idx] = e;
+    return { newArr, newDeg: deg + 1n, idx };
+  }
+
+  if (op === OP_REVOKE) {
+    const idx = e === SENTINEL ? -1 : arr.indexOf(e);
+    if (idx < 0) throw new Error("REMOVE_MISMATCH");
+    const newArr = arr.slice();
+    for (let k = idx; k < MAX_DEGREE - 1; k++) newArr[k] = newArr[k + 1];
+    newArr[MAX_DEGREE - 1] = SENTINEL;
+    return { newArr, newDeg: deg - 1n, idx };
+  }
+
+  throw new Error("INVALID_OPTYPE");
+}
+
+// -------------------------------
+// GraphState
+// -------------------------------
+export class GraphState {
+  constructor(tree, commit, smtLevels, { salted = false, saltSecret } = {}) {
+    this.tree = tree;
+    this.F = tree.F;
+    this.commit = commit;
+    this.smtLevels = smtLevels;
+    this.salted = salted;
+    this.saltSecret = saltSecret;
+    // idx(number) -> { neighbors: bigint[64], degree: bigint, salt?: bigint }
+    this.accounts = new Map();
+  }
+
+  // saltSecret (string / Buffer) switches to salted leaves; keep it private, it opens every leaf.
+  static async create({ smtLevels = DEFAULT_SMT_LEVELS, saltSecret } = {}) {
+    const tree = await newMemEmptyTrie();
+    const commit = await buildLeafCommitment();
+    return new GraphState(tree, commit, smtLevels, { salted: saltSecret !== undefined, saltSecret });
+  }
+
+  // Rebuild from exported accounts (see toJSON()). Leaves are re-inserted in ascending idx order;
+  // the SMT root does not depend on insertion order. A salted export carries each account's salt but not
+  // the secret: without saltSecret the copy can update existing accounts but not insert new ones.
+  static async fromJSON(json, { smtLevels, saltSecret } = {}) {
+    if (saltSecret !== undefined && !json.salted) throw new Error("saltSecret given for an unsalted state");
+    const s = await GraphState.create({ smtLevels: json.smtLevels ?? smtLevels });
+    s.salted = Boolean(json.salted);
+    s.saltSecret = saltSecret;
+    const entries = [...json.accounts].sort((a, b) => a.idx - b.idx);
+    for (const { idx, neighbors, degree, salt } of entries) {
+      if (s.salted && salt === undefined) throw new Error(`account ${idx} has no salt`);
+      const acc = { neighbors: neighbors.map(BI), degree: BI(degree), ...(s.salted && { salt: BI(salt) }) };
+      await s.tree.insert(idx, s.commit(acc.neighbors, acc.degree, acc.salt));
+      s.accounts.set(idx, acc);
+    }
+    if (json.root !== undefined && s.root !== BI(json.root)) {
+      throw new Error(`root mismatch after restore: ${s.root} != ${json.root}`);
+    }
+    return s;
+  }
+
+  toJSON() {
+    const accounts = [...this.accounts.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([idx, a]) => ({
+        idx,
+        neighbors: a.neighbors.map(String),
+        degree: a.degree.toString(),
+        ...(this.salted && { salt: a.salt.toString() }),
+      }));
+    return { smtLevels: this.smtLevels, ...(this.salted && { salted: true }), root: this.root.toString(), accounts };
+  }
+
+  async clone() {
+    return GraphState.fromJSON(this.toJSON(), { smtLevels: this.smtLevels, saltSecret: this.saltSecret });
+  }
+
+  get root() {
+    return this.F.toObject(this.tree.root);
+  }
+
+  has(idx) {
+    return this.accounts.has(Number(idx));
+  }
+
+  // Returns copies; accounts without a leaf read as empty (all SENTINEL, degree 0).
+  neighbors(idx) {
+    const a = this.accounts.get(Number(idx));
+    return a ? a.neighbors.slice() : emptyNeighbors();
+  }
+
+  degree(idx) {
+    const a = this.accounts.get(Number(idx));
+    return a ? a.degree : 0n;
+  }
+
+  isLinked(a, b) {
+    return BI(b) !== SENTINEL && this.neighbors(a).includes(BI(b));
+  }
+
+  // Leaf salt of idx (salted mode only): the stored one, or the one its first insert will use.
+  // This is what an account holder needs to open its own leaf (membership.mjs, edge_membership.mjs).
+  salt(idx) {
+    if (!this.salted) return undefined;
+    const a = this.accounts.get(Number(idx));
+    return a ? a.salt : deriveSalt(this.saltSecret, Number(idx));
+  }
+
+  leafValue(idx) {
+    return this.commit(this.neighbors(idx), this.degree(idx), this.salt(idx));
+  }
+
+  // Writes the new leaf for idx into the SMT and returns the SMTProcessor witness fields.
+  async _writeLeaf(idx, newValue) {
+    const F = this.F;
+    const exists = this.accounts.has(idx);
+    const res = exists ? await this.tree.update(idx, newValue) : await this.tree.insert(idx, newValue);
+
+    const siblings = res.siblings.map((s) => F.toObject(s));
+    // _checkDepth keeps this from firing; updates report the full path, inserts a trimmed one
+    if (siblings.length >= this.smtLevels) {
+      throw new Error(`SMT depth ${siblings.length} exceeds smtLevels=${this.smtLevels}`);
+    }
+    while (siblings.length < this.smtLevels) siblings.push(0n);
+
+    // Same conventions as circomlib's smtprocessor tests
+    const isOld0 = exists ? 0n : res.isOld0 ? 1n : 0n;
+    return {
+      siblings,
+      isOld0,
+      oldKey: isOld0 ? 0n : F.toObject(res.oldKey),
+      oldValue: isOld0 ? 0n : F.toObject(res.oldValue),
+    };
+  }
+
+  async _applySide(idx, element, op) {
+    const oldArr = this.neighbors(idx);
+    const oldDeg = this.degree(idx);
+    const { newArr, newDeg, idx: arrIdx } = modifyArray({ oldArr, oldDeg, element, optype: op });
+    const salt = this.salt(idx);
+
+    const smt = await this._writeLeaf(idx, this.commit(newArr, newDeg, salt));
+    this.accounts.set(idx, { neighbors: newArr, degree: newDeg, ...(this.salted && { salt }) });
+
+    return { neighbors: oldArr, oldDeg, arrIdx: BigInt(arrIdx), ...smt, ...(this.salted && { salt }) };
+  }
+
+  // Validate before touching the tree so a rejected op leaves the state unchanged.
+  _check({ op, ilo, ihi }) {
+    if (op !== OP_ADD && op !== OP_REVOKE) throw new Error("INVALID_OPTYPE");
+    if (ilo === 0 || ihi === 0) throw new Error("MISSING_IDX");
+    if (ilo >= ihi) throw new Error("BAD_ORDER"); // contract always enqueues (min, max)
+    modifyArray({ oldArr: this.neighbors(ilo), oldDeg: this.degree(ilo), element: ihi, optype: op });
+    modifyArray({ oldArr: this.neighbors(ihi), oldDeg: this.degree(ihi), element: ilo, optype: op });
+    // salted: a fresh account's salt needs saltSecret (SALT_SECRET_REQUIRED)
+    this.salt(ilo);
+    this.salt(ihi);
+  }
+
+  // SMTLevIns needs the last of the smtLevels siblings to be 0, so no leaf may sit deeper than smtLevels - 1.
+  // Only inserts push leaves down: the new leaf and the one it collides with both end up one level below
+  // their common low-bit prefix, so a later update of either would be unprovable.
+  async _checkDepth(ilo, ihi) {
+    const shared = (a, b) => {
+      let i = 0;
+      while (i < 32 && ((a >>> i) & 1) === ((b >>> i) & 1)) i++;
+      return i;
+    };
+    const fresh = [ilo, ihi].filter((idx) => !this.accounts.has(idx));
+    let depth = 0;
+    for (const idx of fresh) {
+      const res = await this.tree.find(idx);
+      const d = res.isOld0 ? res.siblings.length : shared(idx, Number(this.F.toObject(res.notFoundKey))) + 1;
+      depth = Math.max(depth, d);
+    }
+    if (fresh.length === 2) depth = Math.max(depth, shared(ilo, ihi) + 1);
+    if (depth >= this.smtLevels) throw new Error(`SMT depth ${depth} exceeds smtLevels=${this.smtLevels}`);
+  }
+
+  // Apply one queued op. Returns { op, ilo, ihi, oldRoot, newRoot, lo, hi } where lo/hi hold
+  // { neighbors, oldDeg, siblings, isOld0, oldKey, oldValue, arrIdx } as ProcessOp expects them
+  // (+ salt in salted mode).
+  async apply({ op, ilo, ihi }) {
+    op = Number(op);
+    ilo = Number(assertU32(ilo, "ilo"));
+    ihi = Number(assertU32(ihi, "ihi"));
+
+    if (op === OP_NOP) return this.nop();
+    this._check({ op, ilo, ihi });
+    await this._checkDepth(ilo, ihi);
+
+    const oldRoot = this.root;
+    const lo = await this._applySide(ilo, ihi, op);
+    const hi = await this._applySide(ihi, ilo, op);
+
+    return { op, ilo, ihi, oldRoot, newRoot: this.root, lo, hi };
+  }
+
+  // NOP slot: state untouched, all-zero witnesses (SMTProcessor disabled, arrIdx within range).
+  nop() {
+    const zeros = () => ({
+      neighbors: emptyNeighbors(),
+      oldDeg: 0n,
+      siblings: new Array(this.smtLevels).fill(0n),
+      isOld0: 0n,
+      oldKey: 0n,
+      oldValue: 0n,
+      arrIdx: 0n,
+      ...(this.salted && { salt: 0n }),
+    });
+    const root = this.root;
+    return { op: OP_NOP, ilo: 0, ihi: 0, oldRoot: root, newRoot: root, lo: zeros(), hi: zeros() };
+  }
+}
@@ -0,0 +1,250 @@
+// circuits/lib/indexer.mjs
+//
+// Event indexer: rebuilds graph history from Rollup / Registry logs, without trusting any forger.
+//
+//   poll({ toBlock })  fetch TxQueued, BatchSubmitted, Vouched, WindowOpened, Stolen, ClosedNoLink
+//                      (Rollup) and AccountCreated (Registry) in block chunks, append to the store
+//   replay()           re-apply every BatchSubmitted txData payload to a GraphState, recompute each
+//                      newGraphRoot and compare to the one the contract accepted
+//   stateAt(k)         GraphState after batches [0, k] are applied
+//
+// The store is a JSON-lines file: one normalized event per line plus `{"type":"cursor","toBlock":N}`
+// lines marking how far the chain has been scanned. Appending only, so an interrupted poll leaves at
+// most events past the last cursor. load() truncates the file back to that cursor (atomic rewrite), so
+// the next poll fetches those events again without the file keeping a second copy.
+
+import fs from "node:fs";
+import path from "node:path";
+
+import { BI, bytesArg, decodeTxDataFixed, fieldToBytes32BE } from "./encoding.mjs";
+import { GraphState, DEFAULT_SMT_LEVELS } from "./graph_state.mjs";
+
+export const ROLLUP_EVENTS = ["TxQueued", "BatchSubmitted", "Vouched", "WindowOpened", "Stolen", "ClosedNoLink"];
+export const REGISTRY_EVENTS = ["AccountCreated"];
+
+function rootHex(root) {
+  return "0x" + fieldToBytes32BE(root).toString("hex");
+}
+
+// ethers Result / plain object -> { name: string | number | boolean }
+function plainArgs(args) {
+  const obj = typeof args?.toObject === "function" ? args.toObject() : { ...args };
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) {
+    if (/^\d+$/.test(k)) continue;
+    out[k] = typeof v === "bigint" ? v.toString() : v;
+  }
+  return out;
+}
+
+export function normalizeEvent(contract, ev) {
+  return {
+    type: "event",
+    contract,
+    event: ev.eventName ?? ev.fragment?.name,
+    blockNumber: ev.blockNumber,
+    logIndex: ev.index ?? ev.logIndex ?? 0,
+    txHash: ev.transactionHash,
+    args: plainArgs(ev.args),
+  };
+}
+
+const byPosition = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+// -------------------------------
+// Stores
+// -------------------------------
+export class MemoryStore {
+  constructor() {
+    this.events = [];
+    this.cursor = -1; // last fully scanned block
+  }
+
+  async load() {
+    return this;
+  }
+
+  async commit(events, toBlock) {
+    this.events.push(...events);
+    this.cursor = toBlock;
+  }
+}
+
+export class JsonlStore extends MemoryStore {
+  constructor(file) {
+    super();
+    this.file = file;
+  }
+
+  async load() {
+    this.events = [];
+    this.cursor = -1;
+    if (!fs.existsSync(this.file)) return this;
+
+    let pending = [];
+    const committed = [];
+    for (const line of fs.readFileSync(this.file, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      const rec = JSON.parse(line);
+      pending.push(line);
+      if (rec.type === "cursor") {
+        committed.push(...pending);
+        pending = [];
+        this.cursor = rec.toBlock;
+      } else {
+        this.events.push(rec);
+      }
+    }
+    if (pending.length) {
+      // events past the last cursor: the next poll re-fetches them, so they must not stay in the file
+      this.events.length -= pending.length;
+      this.truncate(committed);
+    }
+    return this;
+  }
+
+  truncate(lines) {
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, lines.map((l) => l + "\n").join(""));
+    fs.renameSync(tmp, this.file);
+  }
+
+  async commit(events, toBlock) {
+    fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true });
+    const lines = events.map((e) => JSON.stringify(e));
+    lines.push(JSON.stringify({ type: "cursor", toBlock }));
+    fs.appendFileSync(this.file, lines.join("\n") + "\n");
+    await super.commit(events, toBlock);
+  }
+}
+
+// -------------------------------
+// Indexer
+// -------------------------------
+export class Indexer {
+  constructor({ rollup, registry = null, store = new MemoryStore(), fromBlock = 0, chunkSize = 5000, smtLevels = DEFAULT_SMT_LEVELS, log = () => {} }) {
+    this.rollup = rollup;
+    this.registry = registry;
+    this.store = store;
+    this.fromBlock = fromBlock;
+    this.chunkSize = chunkSize;
+    this.smtLevels = smtLevels;
+    this.log = log;
+  }
+
+  async init() {
+    await this.store.load();
+    return this;
+  }
+
+  get events() {
+    return this.store.events;
+  }
+
+  // Scan (cursor, toBlock] and persist. Returns the number of new events.
+  async poll({ toBlock }) {
+    let added = 0;
+    let from = Math.max(this.store.cursor + 1, this.fromBlock);
+
+    while (from <= toBlock) {
+      const to = Math.min(toBlock, from + this.chunkSize - 1);
+      const batch = [];
+
+      const sources = [[this.rollup, "rollup", ROLLUP_EVENTS]];
+      if (this.registry) sources.push([this.registry, "registry", REGISTRY_EVENTS]);
+
+      for (const [contract, label, names] of sources) {
+        for (const name of names) {
+          const logs = await contract.queryFilter(contract.filters[name](), from, to);
+          for (const ev of logs) batch.push(normalizeEvent(label, ev));
+        }
+      }
+
+      batch.sort(byPosition);
+      await this.store.commit(batch, to);
+      this.log(`indexed blocks [${from}, ${to}]: ${batch.length} events`);
+      added += batch.length;
+      from = to + 1;
+    }
+    return added;
+  }
+
+  select(event) {
+    return this.events.filter((e) => e.event === event);
+  }
+
+  // BatchSubmitted events ordered by batchId (must be contiguous from 0)
+  batches() {
+    return this.select("BatchSubmitted")
+      .slice()
+      .sort((a, b) => (BI(a.args.batchId) < BI(b.args.batchId) ? -1 : 1));
+  }
+
+  // Replays batches [0, upTo] (default: all). Stops at the first divergence.
+  //   { state, roots: [{ batchId, n, startTxId, root, blockNumber }], divergence: null | { batchId, reason, ... } }
+  async replay({ upTo } = {}) {
+    const state = await GraphState.create({ smtLevels: this.smtLevels });
+    const roots = [];
+
+    const queued = new Map(this.select("TxQueued").map((e) => [Number(e.args.txId), e.args]));
+
+    let expectedId = 0n;
+    for (const ev of this.batches()) {
+      const batchId = BI(ev.args.batchId);
+      if (upTo !== undefined && batchId > BI(upTo)) break;
+
+      const fail = (reason, extra = {}) => ({ state, roots, divergence: { batchId, reason, blockNumber: ev.blockNumber, txHash: ev.txHash, ...extra } });
+
+      if (batchId !== expectedId) return fail(`expected batchId ${expectedId}`);
+
+      const n = Number(ev.args.n);
+      const start = Number(ev.args.startTxId);
+      const records = decodeTxDataFixed(bytesArg(ev.args.txData)).slice(0, n);
+
+      // txData must be exactly what TxQueued announced for [start, start + n)
+      for (let i = 0; i < n; i++) {
+        const q = queued.get(start + i);
+        if (!q) continue; // queued before fromBlock
+        const r = records[i];
+        if (Number(q.op) !== r.op || Number(q.ilo) !== r.ilo || Number(q.ihi) !== r.ihi) {
+          return fail(`txData[${i}] does not match TxQueued txId ${start + i}`);
+        }
+      }
+
+      try {
+        for (const r of records) await state.apply(r);
+      } catch (e) {
+        return fail(`op rejected by model (${e.message})`);
+      }
+
+      const computed = rootHex(state.root);
+      const expected = ev.args.newGraphRoot.toLowerCase();
+      if (computed !== expected) return fail("root mismatch", { expected, computed });
+
+      roots.push({ batchId, n, startTxId: start, root: computed, blockNumber: ev.blockNumber });
+      expectedId += 1n;
+    }
+
+    return { state, roots, divergence: null };
+  }
+
+  async stateAt(batchId) {
+    const { state, roots, divergence } = await this.replay({ upTo: batchId });
+    if (divergence) {
+      const e = new Error(`DIVERGENCE at batchId ${divergence.batchId}: ${divergence.reason}`);
+      e.code = "DIVERGENCE";
+      e.divergence = divergence;
+      throw e;
+    }
+    if (!roots.length || roots.at(-1).batchId !== BI(batchId)) throw new Error(`batchId ${batchId} not indexed`);
+    return state;
+  }
+
+  // Ops queued but not yet covered by any indexed BatchSubmitted
+  pending() {
+    const forged = this.batches().reduce((m, e) => Math.max(m, Number(e.args.startTxId) + Number(e.args.n) - 1), 0);
+    return this.select("TxQueued")
+      .filter((e) => Number(e.args.txId) > forged)
+      .map((e) => ({ txId: Number(e.args.txId), op: Number(e.args.op), ilo: Number(e.args.ilo), ihi: Number(e.args.ihi) }));
+  }
+}
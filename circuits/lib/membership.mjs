@@ -0,0 +1,197 @@
+// circuits/lib/membership.mjs
+//
+// Account / link proofs against a graph root, for apps that do not hold the full state.
+//
+//   inclusion:  SMT path for leaf idx + the opened leaf (neighbors[64], degree); the verifier recomputes
+//               NeighborCommitment(neighbors, degree) and hashes up to the root.
+//   exclusion:  SMT path for idx ending in an empty slot (isOld0 = 1) or in another account's leaf
+//               (oldKey, oldValue) that shares idx's path prefix => idx has no leaf under this root.
+//   link(a, b): inclusion for a and b, each opened array containing the other.
+//
+// Salted states (GraphState.create({ saltSecret })): an inclusion proof also carries the account's leaf salt,
+// so it opens that one leaf and nothing else; anyone given the proof learns the salt. Exclusion proofs carry
+// no salt: the neighboring leaf (oldValue) they reveal stays hidden, where an unsalted one can be opened by
+// guessing a small neighbor list.
+//
+// SMT conventions are circomlib's (same as SMTVerifier / SMTProcessor):
+//   leaf = Poseidon(key, value, 1), node = Poseidon(left, right), path bit i = bit i of key (LSB first).
+// Siblings are padded with zeros to smtLevels so proofs can be fed straight into SMTVerifier.
+//
+// Proofs are plain JSON (decimal strings; root as 0x bytes32, the same form as Rollup.latestGraphRoot).
+// The root inside a proof is informational: verifiers always check against a root the caller supplies.
+// Verifiers return { ok: true, ... } or { ok: false, reason } instead of throwing.
+
+import { buildPoseidon } from "circomlibjs";
+
+import { BI, fieldToBytes32BE, toBytes32, bytesToBigIntBE, assertU32 } from "./encoding.mjs";
+import { MAX_DEGREE, SENTINEL, buildLeafCommitment } from "./graph_state.mjs";
+
+export const PROOF_VERSION = 1;
+
+function rootHex(root) {
+  return "0x" + fieldToBytes32BE(root).toString("hex");
+}
+
+// Field element / decimal string / 0x bytes32 (latestGraphRoot) -> bigint
+export function rootToField(x) {
+  if (typeof x === "string" && x.startsWith("0x")) return bytesToBigIntBE(toBytes32(x));
+  return BI(x);
+}
+
+// -------------------------------
+// Prover (needs the full GraphState)
+// -------------------------------
+export async function proveAccount(state, idx) {
+  idx = Number(assertU32(idx, "idx"));
+  if (idx === 0) throw new Error("MISSING_IDX");
+
+  const F = state.F;
+  const res = await state.tree.find(idx);
+
+  const siblings = res.siblings.map((s) => F.toObject(s));
+  // SMTVerifier has the same last-sibling-is-0 rule as SMTProcessor (see GraphState._writeLeaf)
+  if (siblings.length >= state.smtLevels) {
+    throw new Error(`SMT depth ${siblings.length} exceeds smtLevels=${state.smtLevels}`);
+  }
+  while (siblings.length < state.smtLevels) siblings.push(0n);
+
+  const base = {
+    version: PROOF_VERSION,
+    root: rootHex(state.root),
+    idx,
+    smtLevels: state.smtLevels,
+    siblings: siblings.map(String),
+  };
+
+  if (res.found) {
+    return {
+      ...base,
+      type: "inclusion",
+      neighbors: state.neighbors(idx).map(String),
+      degree: state.degree(idx).toString(),
+      ...(state.salted && { salt: state.salt(idx).toString() }),
+    };
+  }
+
+  return {
+    ...base,
+    type: "exclusion",
+    isOld0: res.isOld0 ? 1 : 0,
+    oldKey: res.isOld0 ? "0" : F.toObject(res.notFoundKey).toString(),
+    oldValue: res.isOld0 ? "0" : F.toObject(res.notFoundValue).toString(),
+  };
+}
+
+export async function proveLink(state, a, b) {
+  a = Number(a);
+  b = Number(b);
+  if (!state.isLinked(a, b)) throw new Error("NOT_LINKED");
+  return {
+    version: PROOF_VERSION,
+    type: "link",
+    root: rootHex(state.root),
+    a: await proveAccount(state, a),
+    b: await proveAccount(state, b),
+  };
+}
+
+// -------------------------------
+// Verifier (pure JS, only needs Poseidon)
+// -------------------------------
+// neighbors strictly descending, non-zero prefix of length degree, zero tail
+function checkNeighbors(neighbors, degree) {
+  if (neighbors.length !== MAX_DEGREE) return `expected ${MAX_DEGREE} neighbors`;
+  if (degree < 0n || degree > BigInt(MAX_DEGREE)) return "degree out of range";
+  const d = Number(degree);
+  for (let i = 0; i < MAX_DEGREE; i++) {
+    if (i < d) {
+      if (neighbors[i] === SENTINEL) return `neighbors[${i}] is empty below degree`;
+      if (i > 0 && !(neighbors[i - 1] > neighbors[i])) return `neighbors not strictly descending at ${i}`;
+    } else if (neighbors[i] !== SENTINEL) {
+      return `neighbors[${i}] set above degree`;
+    }
+  }
+  return null;
+}
+
+export async function buildMembershipVerifier() {
+  const poseidon = await buildPoseidon();
+  const F = poseidon.F;
+  const H = (inputs) => F.toObject(poseidon(inputs.map(BI)));
+  const commit = await buildLeafCommitment();
+
+  const hashLeaf = (key, value) => H([key, value, 1n]);
+  const keyBit = (key, level) => (BI(key) >> BigInt(level)) & 1n;
+
+  // Fold a leaf hash up the (zero-trimmed) sibling path of `key`.
+  function rootFrom(key, leafHash, siblings) {
+    let depth = siblings.length;
+    while (depth > 0 && siblings[depth - 1] === 0n) depth--;
+    let h = leafHash;
+    for (let level = depth - 1; level >= 0; level--) {
+      h = keyBit(key, level) ? H([siblings[level], h]) : H([h, siblings[level]]);
+    }
+    return { root: h, depth };
+  }
+
+  function verifyAccount(proof, expectedRoot) {
+    const fail = (reason) => ({ ok: false, reason });
+    try {
+      const idx = BI(proof.idx);
+      const siblings = proof.siblings.map(BI);
+      if (proof.smtLevels !== undefined && siblings.length !== Number(proof.smtLevels)) return fail("siblings length != smtLevels");
+      if (expectedRoot === undefined) return fail("expected root required");
+      const want = rootToField(expectedRoot);
+
+      if (proof.type === "inclusion") {
+        const neighbors = proof.neighbors.map(BI);
+        const degree = BI(proof.degree);
+        const bad = checkNeighbors(neighbors, degree);
+        if (bad) return fail(bad);
+
+        const salt = proof.salt === undefined ? undefined : BI(proof.salt);
+        const { root } = rootFrom(idx, hashLeaf(idx, commit(neighbors, degree, salt)), siblings);
+        if (root !== want) return fail("root mismatch");
+        return { ok: true, type: "inclusion", idx: Number(idx), neighbors, degree };
+      }
+
+      if (proof.type === "exclusion") {
+        let leafHash = 0n;
+        if (BI(proof.isOld0) === 0n) {
+          const oldKey = BI(proof.oldKey);
+          if (oldKey === idx) return fail("oldKey equals idx");
+          leafHash = hashLeaf(oldKey, BI(proof.oldValue));
+        }
+        const { root, depth } = rootFrom(idx, leafHash, siblings);
+        if (leafHash !== 0n) {
+          for (let level = 0; level < depth; level++) {
+            if (keyBit(proof.oldKey, level) !== keyBit(idx, level)) return fail("oldKey is not on idx's path");
+          }
+        }
+        if (root !== want) return fail("root mismatch");
+        return { ok: true, type: "exclusion", idx: Number(idx) };
+      }
+
+      return fail(`unknown proof type ${proof.type}`);
+    } catch (e) {
+      return fail(`malformed proof (${e.message})`);
+    }
+  }
+
+  function verifyLink(proof, expectedRoot) {
+    if (proof.type !== "link") return { ok: false, reason: `unknown proof type ${proof.type}` };
+    const a = verifyAccount(proof.a, expectedRoot);
+    if (!a.ok) return { ok: false, reason: `a: ${a.reason}` };
+    const b = verifyAccount(proof.b, expectedRoot);
+    if (!b.ok) return { ok: false, reason: `b: ${b.reason}` };
+    if (a.type !== "inclusion" || b.type !== "inclusion") return { ok: false, reason: "link needs two inclusion proofs" };
+    if (!a.neighbors.includes(BI(b.idx)) || !b.neighbors.includes(BI(a.idx))) return { ok: false, reason: "not linked" };
+    return { ok: true, type: "link", a: a.idx, b: b.idx };
+  }
+
+  function verify(proof, expectedRoot) {
+    return proof?.type === "link" ? verifyLink(proof, expectedRoot) : verifyAccount(proof, expectedRoot);
+  }
+
+  return { verify, verifyAccount, verifyLink };
+}
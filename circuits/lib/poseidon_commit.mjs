@@ -0,0 +1,113 @@
+// circuits/lib/poseidon_commit.mjs
+//
+// Poseidon public-input commitment of circuits/main_poseidon.circom (ProcessBatchPoseidon), the alternative to
+// the sha256 + mask253 one in encoding.mjs that Rollup.sol checks.
+//
+//   storageHash = PoseidonChain(txWord_0, ..., txWord_{batchSize-1})      txWord = Rollup queue word, unused slots 0
+//   pubInput0   = Poseidon(oldRoot, newRoot, batchId, start, n, storageHash)
+//
+//   PoseidonChain(x): Poseidon(x) for up to 16 inputs; otherwise h = Poseidon(x[0..15]), then
+//                     h = Poseidon(h, next 15) until x runs out
+//
+// Encoders (pure, range-checked; what a contract would have to reproduce):
+//   txWords(records, batchSize)          -> bigint[batchSize]   packTx(ilo, ihi, op) per slot
+//   poseidonChunks(n)                    -> [[from, to), ...]   PoseidonChain's input slices
+//   buildPoseidonPreimage({ oldRoot, newRoot, batchId, start, n, storageHash }) -> the 6 field elements
+//
+// circomlibjs reference:
+//   buildPoseidonCommitment()            -> { hash(xs), chain(xs), storageHash(records | words, batchSize), pubInput0(args) }
+//   buildPoseidonBatchWitness(state, ops, { batchId, start, batchSize, smtLevels })
+//     -> buildBatchWitness(...) with pubInput0 / storageHash replaced by the Poseidon ones
+//        (the sha256 ones stay in `sha256: { pubInput0, storageHash }`); the MainPoseidon input
+//
+// Roots are field elements (or the bytes32 of one, as Rollup stores them); no byte packing, no mask.
+
+import { buildPoseidon } from "circomlibjs";
+
+import { BI, BN254_P, assertU32, assertU64, bytesToBigIntBE, packTx, toBytes32 } from "./encoding.mjs";
+import { buildBatchWitness, normalizeOps } from "./witness.mjs";
+
+// circomlib Poseidon takes at most 16 inputs
+export const POSEIDON_MAX_INPUTS = 16;
+
+function field(x, what) {
+  // 0x-hex parses as-is; Buffer / Uint8Array must be a bytes32
+  const v = x instanceof Uint8Array ? bytesToBigIntBE(toBytes32(x)) : BI(x);
+  if (v < 0n || v >= BN254_P) throw new Error(`${what} is not a field element: ${v}`);
+  return v;
+}
+
+// -------------------------------
+// Encoders
+// -------------------------------
+// records: [{ilo, ihi, op}] or queue words, at most batchSize; tail slots are word 0 (NOP)
+export function txWords(records, batchSize) {
+  if (!Number.isInteger(batchSize) || batchSize <= 0) throw new Error(`bad batchSize: ${batchSize}`);
+  const recs = normalizeOps(records);
+  if (recs.length > batchSize) throw new Error(`too many records: ${recs.length} > batchSize ${batchSize}`);
+  const words = recs.map((r) => packTx(r.ilo, r.ihi, r.op));
+  while (words.length < batchSize) words.push(0n);
+  return words;
+}
+
+export function poseidonChunks(n) {
+  if (!Number.isInteger(n) || n <= 0) throw new Error(`bad input count: ${n}`);
+  const first = Math.min(n, POSEIDON_MAX_INPUTS);
+  const chunks = [[0, first]];
+  for (let at = first; at < n; at += POSEIDON_MAX_INPUTS - 1) chunks.push([at, Math.min(n, at + POSEIDON_MAX_INPUTS - 1)]);
+  return chunks;
+}
+
+export function buildPoseidonPreimage({ oldRoot, newRoot, batchId, start, n, storageHash }) {
+  return [
+    field(oldRoot, "oldRoot"),
+    field(newRoot, "newRoot"),
+    assertU64(batchId, "batchId"),
+    assertU32(start, "start"),
+    assertU32(n, "n"),
+    field(storageHash, "storageHash"),
+  ];
+}
+
+// -------------------------------
+// circomlibjs reference
+// -------------------------------
+export async function buildPoseidonCommitment() {
+  const poseidon = await buildPoseidon();
+  const F = poseidon.F;
+  const hash = (xs) => F.toObject(poseidon(xs.map(BI)));
+
+  const chain = (xs) => {
+    let h = null;
+    for (const [from, to] of poseidonChunks(xs.length)) {
+      const part = xs.slice(from, to);
+      h = hash(h === null ? part : [h, ...part]);
+    }
+    return h;
+  };
+
+  return {
+    hash,
+    chain,
+    storageHash: (records, batchSize) => chain(txWords(records, batchSize)),
+    pubInput0: (args) => hash(buildPoseidonPreimage(args)),
+  };
+}
+
+let shared = null;
+
+export async function buildPoseidonBatchWitness(state, ops, opts) {
+  const w = await buildBatchWitness(state, ops, opts);
+  shared ??= buildPoseidonCommitment();
+  const P = await shared;
+
+  const storageHash = P.storageHash(ops, opts.batchSize);
+  const pubInput0 = P.pubInput0({ oldRoot: w.oldRoot, newRoot: w.newRoot, batchId: w.input.batchId, start: w.input.start, n: w.n, storageHash });
+  return {
+    ...w,
+    input: { ...w.input, pubInput0 },
+    pubInput0,
+    storageHash,
+    sha256: { pubInput0: w.pubInput0, storageHash: w.storageHash },
+  };
+}
@@ -0,0 +1,363 @@
+// circuits/lib/profile.mjs
+//
+// Constraint profiler: attributes every R1CS constraint to the component instance that owns it (used by
+// scripts/profile.mjs).
+//
+//   compileForProfile(circuit, { outDir }) -> { r1cs, sym, build }  (--O0 --r1cs --sym, + --O1 --r1cs)
+//   readR1cs(file, onConstraint)           -> re-exported from r1cs.mjs
+//   templateTree(circuit, include)         -> { main, templates: { T: { field: childTemplate } } } from the sources
+//   profileCircuit({ r1cs, sym, circuit, build }) -> report { nConstraints, components[], templates[] }
+//   profileFile(circuit, { outDir, ... }) -> compileForProfile + profileCircuit
+//   profileAtRef(ref, circuit, { ... })    -> the same for the circuit as committed at a git ref (base of a diff)
+//   diffReports(base, head)                -> { total, build, templates[], components[] } (changed rows only)
+//   formatReport / formatDiff              -> text tables
+//
+// Attribution needs every signal of every component to keep its own wire, which only --O0 guarantees:
+// --O1 merges `sub.in <== x` into one wire named after the parent, so a constraint inside `sub` would
+// look like it belongs to the parent. The profiler therefore compiles with --O0, owns each constraint by
+// the deepest component containing all of its wires, and drops the signal = signal / signal = constant
+// rows that --O1 substitutes away. --O1 also folds a few rows that only become trivial after constant
+// propagation (2 per SMTProcessor); those are not modelled. compileForProfile therefore also builds the
+// circuit with --O1, and the report carries both counts: `nConstraints` (attributed) and
+// `build.nConstraints` (what setup.mjs / variants.mjs see), the gap being `unattributed`.
+//
+// components[]: one row per instance down to `depth` levels below main, { path, template, self, total }.
+// templates[]: per template, { template, instances, total, self, perInstance }; an instance nested in
+// another instance of the same template is counted once.
+
+import fs from "node:fs";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+
+import { readR1cs } from "./r1cs.mjs";
+import { REPO_ROOT, collectSources } from "./setup.mjs";
+import { readMainComponent } from "./variants.mjs";
+
+export { readR1cs };
+
+export const REPORT_VERSION = 1;
+export const DEFAULT_INCLUDE = [path.join(REPO_ROOT, "node_modules"), path.join(REPO_ROOT, "circuits")];
+
+// -------------------------------
+// Compile
+// -------------------------------
+export function compileForProfile(circuit, { outDir, include = DEFAULT_INCLUDE, opt = "O1" } = {}) {
+  const name = path.basename(circuit, ".circom");
+  outDir = path.resolve(outDir ?? path.join(REPO_ROOT, "circuits/build/profile", name));
+  const buildDir = path.join(outDir, opt);
+  fs.mkdirSync(buildDir, { recursive: true });
+
+  const rel = (p) => path.relative(REPO_ROOT, path.resolve(p));
+  const circom = (...args) => {
+    for (const l of include) args.push("-l", rel(l));
+    // circom resolves relative includes from its cwd; keep every path repo-relative
+    execFileSync("circom", [rel(circuit), ...args], { cwd: REPO_ROOT, stdio: "ignore" });
+  };
+  circom("--r1cs", "--sym", "--O0", "-o", rel(outDir));
+  circom("--r1cs", `--${opt}`, "-o", rel(buildDir));
+  return {
+    r1cs: path.join(outDir, `${name}.r1cs`),
+    sym: path.join(outDir, `${name}.sym`),
+    build: { opt, r1cs: path.join(buildDir, `${name}.r1cs`) },
+  };
+}
+
+// -------------------------------
+// R1CS / sym
+// -------------------------------
+// --O1 substitutes away `a === b` and `a === k`: linear rows with one signal, or two signals and no constant.
+// (an empty A or B makes the row linear: C alone must vanish)
+export function isSubstitution(a, b, c) {
+  if (a.length && b.length) return false;
+  const signals = c.filter((w) => w !== 0).length;
+  return signals === 1 || (signals === 2 && c.length === 2);
+}
+
+// sym lines: labelIdx,wireIdx,templateIdx,main.a.b[1].sig
+function forEachSym(file, fn) {
+  const text = fs.readFileSync(file, "utf8");
+  let start = 0;
+  while (start < text.length) {
+    let end = text.indexOf("\n", start);
+    if (end === -1) end = text.length;
+    if (end > start) {
+      const line = text.slice(start, end);
+      const c1 = line.indexOf(",");
+      const c2 = line.indexOf(",", c1 + 1);
+      const c3 = line.indexOf(",", c2 + 1);
+      fn(Number(line.slice(c1 + 1, c2)), line.slice(c3 + 1));
+    }
+    start = end + 1;
+  }
+}
+
+// -------------------------------
+// Templates
+// -------------------------------
+function stripComments(src) {
+  return src.replace(/\/\*[\s\S]*?\*\//g, "").replace(/\/\/.*$/gm, "");
+}
+
+// For every template in the include closure: which template each component field is assigned.
+// `component f[n]; ... f[i] = T(...)` and `component f = T(...)` both map f -> T.
+export function templateTree(circuit, include = DEFAULT_INCLUDE) {
+  const templates = {};
+  for (const file of collectSources(circuit, include)) {
+    const src = stripComments(fs.readFileSync(file, "utf8"));
+    const re = /template\s+(?:parallel\s+|custom\s+)*(\w+)\s*\([^)]*\)\s*\{/g;
+    let m;
+    while ((m = re.exec(src))) {
+      let depth = 1;
+      let i = re.lastIndex;
+      while (depth && i < src.length) {
+        if (src[i] === "{") depth++;
+        else if (src[i] === "}") depth--;
+        i++;
+      }
+      const body = src.slice(re.lastIndex, i);
+      const fields = new Set([...body.matchAll(/component\s+(\w+)/g)].map((x) => x[1]));
+      const children = {};
+      for (const [, field, child] of body.matchAll(/\b(\w+)\s*(?:\[[^\]]*\]\s*)*=\s*(\w+)\s*\(/g)) {
+        if (fields.has(field)) children[field] = child;
+      }
+      templates[m[1]] = children;
+    }
+  }
+  const main = readMainComponent(stripComments(fs.readFileSync(circuit, "utf8"))).template;
+  return { main, templates };
+}
+
+// -------------------------------
+// Profile
+// -------------------------------
+// build: optional { opt, r1cs } of the same circuit compiled for real, to report its count next to ours
+export function profileCircuit({ r1cs, sym, circuit, build, include = DEFAULT_INCLUDE, depth = 4 }) {
+  // component tree, built from signal names: main.pb.step[0].modLo.x -> main > pb > step[0] > modLo
+  const ids = new Map();
+  const paths = [];
+  const parent = [];
+  const level = [];
+  const node = (p) => {
+    let id = ids.get(p);
+    if (id !== undefined) return id;
+    const dot = p.lastIndexOf(".");
+    const up = dot === -1 ? -1 : node(p.slice(0, dot));
+    id = paths.length;
+    ids.set(p, id);
+    paths.push(p);
+    parent.push(up);
+    level.push(up === -1 ? 0 : level[up] + 1);
+    return id;
+  };
+  const root = node("main");
+
+  const header = readR1cs(r1cs);
+  const wireNode = new Int32Array(header.nWires).fill(root);
+  forEachSym(sym, (wire, name) => {
+    if (wire >= 0) wireNode[wire] = node(name.slice(0, name.lastIndexOf(".")));
+  });
+
+  const lca = (x, y) => {
+    while (level[x] > level[y]) x = parent[x];
+    while (level[y] > level[x]) y = parent[y];
+    while (x !== y) {
+      x = parent[x];
+      y = parent[y];
+    }
+    return x;
+  };
+
+  const self = new Array(paths.length).fill(0);
+  let removed = 0;
+  readR1cs(r1cs, (a, b, c) => {
+    if (isSubstitution(a, b, c)) {
+      removed++;
+      return;
+    }
+    let owner = -1;
+    for (const lcs of [a, b, c]) {
+      for (const w of lcs) {
+        if (w === 0) continue;
+        owner = owner === -1 ? wireNode[w] : lca(owner, wireNode[w]);
+      }
+    }
+    self[owner === -1 ? root : owner]++;
+  });
+
+  // parents are always created before their children, so one backwards pass sums subtrees
+  const total = [...self];
+  for (let id = paths.length - 1; id > 0; id--) total[parent[id]] += total[id];
+
+  // templates, resolved top-down from the `component` declarations in the sources
+  const tree = circuit ? templateTree(circuit, include) : null;
+  const known = new Set(Object.keys(tree?.templates ?? {}));
+  const template = paths.map(() => "?");
+  if (tree) template[root] = tree.main;
+  for (let id = 1; id < paths.length; id++) {
+    const seg = paths[id].slice(paths[id].lastIndexOf(".") + 1);
+    const field = seg.replace(/\[.*$/, "");
+    // anonymous components: main.Sq_14_429 is `Sq()(...)` on line 14
+    const anon = field.match(/^(\w+?)_\d+_\d+$/)?.[1];
+    template[id] = tree?.templates[template[parent[id]]]?.[field] ?? (anon && known.has(anon) ? anon : "?");
+  }
+
+  const byTemplate = new Map();
+  for (let id = 0; id < paths.length; id++) {
+    const t = byTemplate.get(template[id]) ?? { template: template[id], instances: 0, total: 0, self: 0 };
+    let nested = false;
+    for (let up = parent[id]; up !== -1 && !nested; up = parent[up]) nested = template[up] === template[id];
+    t.instances++;
+    t.self += self[id];
+    if (!nested) t.total += total[id];
+    byTemplate.set(t.template, t);
+  }
+
+  const built = build ? { opt: build.opt, nConstraints: readR1cs(build.r1cs).nConstraints } : null;
+  return {
+    version: REPORT_VERSION,
+    circuit: circuit ? path.relative(REPO_ROOT, path.resolve(circuit)) : null,
+    nConstraints: total[root],
+    nSubstitutions: removed,
+    build: built,
+    unattributed: built ? total[root] - built.nConstraints : 0,
+    nWires: header.nWires,
+    nPubInputs: header.nPubInputs,
+    nOutputs: header.nOutputs,
+    depth,
+    components: paths
+      .map((p, id) => ({ path: p, template: template[id], self: self[id], total: total[id], level: level[id] }))
+      .filter((c) => c.level <= depth && c.total > 0)
+      .map(({ level: _, ...c }) => c),
+    templates: [...byTemplate.values()]
+      .filter((t) => t.total > 0)
+      .map((t) => ({ ...t, perInstance: Math.round(t.total / t.instances) }))
+      .sort((x, y) => y.total - x.total || x.template.localeCompare(y.template)),
+  };
+}
+
+export function profileFile(circuit, { outDir, include = DEFAULT_INCLUDE, opt = "O1", depth } = {}) {
+  const art = compileForProfile(circuit, { outDir, include, opt });
+  return profileCircuit({ ...art, circuit, include, depth });
+}
+
+// `git archive <ref> circuits` into <outDir>/src, then profile <outDir>/src/<circuit> against it. The
+// report's `circuit` path is the repo one, so it diffs cleanly against the working tree.
+export function profileAtRef(ref, circuit, { outDir, opt = "O1", depth } = {}) {
+  const relCircuit = path.relative(REPO_ROOT, path.resolve(circuit));
+  const safe = ref.replace(/[^\w.-]+/g, "_");
+  outDir = path.resolve(outDir ?? path.join(REPO_ROOT, "circuits/build/profile", `ref-${safe}`));
+  const src = path.join(outDir, "src");
+  fs.rmSync(src, { recursive: true, force: true });
+  fs.mkdirSync(src, { recursive: true });
+
+  const tar = execFileSync("git", ["archive", "--format=tar", ref, "circuits"], { cwd: REPO_ROOT, maxBuffer: 1 << 30 });
+  execFileSync("tar", ["-x", "-C", src], { input: tar });
+
+  const report = profileFile(path.join(src, relCircuit), {
+    outDir: path.join(outDir, "build"),
+    include: [path.join(REPO_ROOT, "node_modules"), path.join(src, "circuits")],
+    opt,
+    depth,
+  });
+  return { ...report, circuit: relCircuit, ref };
+}
+
+// -------------------------------
+// Diff
+// -------------------------------
+function delta(key, base, head) {
+  const d = head - base;
+  return { key, base, head, delta: d, pct: base ? Math.round((d / base) * 1000) / 10 : null };
+}
+
+function diffRows(base, head, keyOf) {
+  const b = new Map(base.map((r) => [keyOf(r), r.total]));
+  const h = new Map(head.map((r) => [keyOf(r), r.total]));
+  return [...new Set([...b.keys(), ...h.keys()])]
+    .map((k) => delta(k, b.get(k) ?? 0, h.get(k) ?? 0))
+    .filter((r) => r.delta !== 0)
+    .sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta) || x.key.localeCompare(y.key));
+}
+
+export function diffReports(base, head) {
+  return {
+    total: delta("total", base.nConstraints, head.nConstraints),
+    build: base.build && head.build ? delta(`build (--${head.build.opt})`, base.build.nConstraints, head.build.nConstraints) : null,
+    templates: diffRows(base.templates, head.templates, (t) => t.template),
+    components: diffRows(base.components, head.components, (c) => c.path),
+  };
+}
+
+// -------------------------------
+// Text
+// -------------------------------
+// the first `left` columns are names (left-aligned), the rest numbers
+function table(header, rows, left = 2) {
+  const cells = [header, ...rows.map((r) => r.map(String))];
+  const width = header.map((_, i) => Math.max(...cells.map((c) => c[i].length)));
+  return cells.map((c) => c.map((s, i) => (i < left ? s.padEnd(width[i]) : s.padStart(width[i]))).join("  ").trimEnd()).join("\n");
+}
+
+const pct = (n, of) => (of ? ((100 * n) / of).toFixed(1) : "0.0");
+const signed = (n) => (n > 0 ? `+${n}` : String(n));
+
+// Components as an indented tree, siblings by total (largest first). Array instances are folded into one
+// row (step[0], step[1], step[2] -> step[*] x3) so a 32-level SMT is one line, not 32.
+export function formatReport(report, { top = 25, depth = 3 } = {}) {
+  const groups = new Map();
+  for (const c of report.components) {
+    const key = c.path.replace(/\[\d+\]/g, "[*]");
+    const g = groups.get(key) ?? { key, template: c.template, count: 0, total: 0, self: 0, level: key.split(".").length - 1 };
+    if (g.template !== c.template) g.template = "*";
+    g.count++;
+    g.total += c.total;
+    g.self += c.self;
+    groups.set(key, g);
+  }
+  const kids = new Map();
+  for (const g of groups.values()) {
+    const up = g.key.includes(".") ? g.key.slice(0, g.key.lastIndexOf(".")) : null;
+    if (!kids.has(up)) kids.set(up, []);
+    kids.get(up).push(g);
+  }
+  const rows = [];
+  const walk = (up) => {
+    for (const g of (kids.get(up) ?? []).sort((x, y) => y.total - x.total || x.key.localeCompare(y.key))) {
+      if (g.level > depth) continue;
+      const name = g.level ? g.key.slice(g.key.lastIndexOf(".") + 1) : g.key;
+      rows.push([" ".repeat(2 * g.level) + name, g.template, g.count, g.total, Math.round(g.total / g.count), g.self, pct(g.total, report.nConstraints)]);
+      walk(g.key);
+    }
+  };
+  walk(null);
+
+  const build = report.build
+    ? `--${report.build.opt} build: ${report.build.nConstraints} constraints` +
+      (report.unattributed ? ` (${report.unattributed} more rows folded by --${report.build.opt} are still counted below)` : "")
+    : "no build r1cs given: counts are --O0 minus signal/constant equalities";
+  return [
+    `${report.circuit ?? "circuit"}: ${report.nConstraints} constraints, ${report.nWires} wires (--O0), ` +
+      `${report.nPubInputs} public inputs, ${report.nOutputs} outputs`,
+    build,
+    "",
+    table(["component", "template", "x", "total", "each", "self", "%"], rows),
+    "",
+    table(
+      ["template", "instances", "total", "per instance", "self", "%"],
+      report.templates.slice(0, top).map((t) => [t.template, t.instances, t.total, t.perInstance, t.self, pct(t.total, report.nConstraints)])
+    ),
+  ].join("\n") + "\n";
+}
+
+export function formatDiff(diff, { top = 25 } = {}) {
+  const rows = (list) => list.slice(0, top).map((r) => [r.key, r.base, r.head, signed(r.delta), r.pct === null ? "new" : `${signed(r.pct)}%`]);
+  const line = (t) => `${t.key}: ${t.base} -> ${t.head} (${signed(t.delta)}${t.pct === null ? "" : `, ${signed(t.pct)}%`})`;
+  return [
+    line(diff.total),
+    ...(diff.build ? [line(diff.build)] : []),
+    "",
+    diff.templates.length ? table(["template", "base", "head", "delta", "%"], rows(diff.templates), 1) : "templates: no change",
+    "",
+    diff.components.length ? table(["component", "base", "head", "delta", "%"], rows(diff.components), 1) : "components: no change",
+  ].join("\n") + "\n";
+}
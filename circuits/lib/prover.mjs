@@ -0,0 +1,411 @@
+// circuits/lib/prover.mjs
+//
+// Shared prover: a job queue that computes each witness on a WitnessEngine (wasm loaded once, worker_threads),
+// proves it in a child process, caches results by input hash and serves them over HTTP (see
+// circuits/scripts/prover.mjs). The proving system (groth16, plonk, fflonk) is read from the zkey.
+//
+//   new ProofService({ wasm, zkey, concurrency, maxQueue, cacheDir, workDir, witnessEngine }).init()
+//     submit(input)        -> { job, created }   same input (and artifacts) => same job id
+//     get(id) / list()     -> job views: { id, status, position, cached, createdAt, startedAt, finishedAt, witnessMs, result, error }
+//     wait(id, ms)         -> the job once it leaves queued / running, or as it is after ms
+//     cancel(id)           -> queued: dropped; running: its prover process is killed. The job is cancelled at
+//                             once, but its concurrency slot stays taken until its witness settles / process exits
+//   createProverServer(service)  -> node:http server
+//   httpProver({ url })          -> async (input) => { a, b, c, publicSignals }, a drop-in for groth16Prover
+//
+// status: queued -> running -> done | failed | cancelled. A job's result is what Rollup.submitBatch takes:
+// { newGraphRoot, n, a, b, c, pubInput0 } (decimal strings, G2 coordinates already swapped). With a plonk /
+// fflonk zkey it is { newGraphRoot, n, protocol, proof, pubInput0 }, proof = the verifier's 24 words.
+//
+// Jobs are keyed by sha256(artifacts, canonical input), so two forgers proving the same batch share one
+// job, and cancelling it cancels it for both. A failed or cancelled job runs again when resubmitted.
+//
+// A running job first writes its .wtns into workDir through the engine (witnessMs; an unsatisfiable input fails
+// here, before any process is forked), then a child proves from that file. The engine has `concurrency`
+// threads unless one is passed in (witnessEngine, not closed by close()); workDir defaults to a fresh temp dir.
+//
+// HTTP:
+//   POST   /jobs            { input }  -> 202 { job } (new) | 200 { job } (existing or cached)
+//   GET    /jobs            -> { jobs }
+//   GET    /jobs/:id[?wait=ms]
+//   DELETE /jobs/:id        -> { job }  (409 JOB_FINISHED once done / failed)
+//   GET    /status          -> { artifacts, protocol, concurrency, running, queued, cached, proved, witness: engine stats }
+// Errors are { error: CODE, message } with 400 BAD_JSON | BAD_INPUT, 404 NOT_FOUND, 413 TOO_LARGE, 503 QUEUE_FULL.
+
+import { fork } from "node:child_process";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { getBackend, readZkeyProtocol } from "./backends.mjs";
+import { BI, fieldToBytes32BE } from "./encoding.mjs";
+import { sha256File } from "./setup.mjs";
+import { toCircuitJSON } from "./witness.mjs";
+import { WitnessEngine } from "./witness_engine.mjs";
+
+const WORKER = fileURLToPath(new URL("./prover_worker.mjs", import.meta.url));
+const FINISHED = new Set(["done", "failed", "cancelled"]);
+
+function fail(code, message = code) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+// -------------------------------
+// Hashing / formatting
+// -------------------------------
+function canonical(x) {
+  if (Array.isArray(x)) return `[${x.map(canonical).join(",")}]`;
+  if (x && typeof x === "object") {
+    return `{${Object.keys(x).sort().map((k) => `${JSON.stringify(k)}:${canonical(x[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(typeof x === "number" ? String(x) : x);
+}
+
+// bigint / number / decimal string spellings of the same input hash alike
+export function inputHash(input, artifactsId = "") {
+  return crypto.createHash("sha256").update(`${artifactsId}\n${canonical(toCircuitJSON(input))}`).digest("hex");
+}
+
+export function formatResult(proof, publicSignals, input, protocol = "groth16") {
+  const args = getBackend(protocol).toSolidity(proof);
+  const out = toCircuitJSON({ ...(protocol !== "groth16" && { protocol }), ...args, pubInput0: BI(publicSignals[0]) });
+  if (input.newRootF === undefined) return out;
+  return {
+    newGraphRoot: "0x" + fieldToBytes32BE(BI(input.newRootF)).toString("hex"),
+    n: Number(input.numOps),
+    ...out,
+  };
+}
+
+// -------------------------------
+// Queue
+// -------------------------------
+export class ProofService {
+  constructor({ wasm, zkey, concurrency = 1, maxQueue = 100, maxJobs = 1000, cacheSize = 256, cacheDir, workDir, witnessEngine, log = () => {} }) {
+    if (!wasm || !zkey) throw new Error("ProofService requires wasm and zkey");
+    this.wasm = path.resolve(wasm);
+    this.zkey = path.resolve(zkey);
+    this.concurrency = concurrency;
+    this.maxQueue = maxQueue;
+    this.maxJobs = maxJobs;
+    this.cacheSize = cacheSize;
+    this.cacheDir = cacheDir;
+    this.workDir = workDir;
+    this.engine = witnessEngine;
+    this.ownsEngine = !witnessEngine;
+    this.log = log;
+
+    this.jobs = new Map(); // id -> job (insertion order = age)
+    this.queue = [];
+    this.running = new Map(); // id -> ChildProcess (null while the witness is computed)
+    this.slots = 0; // runs holding a concurrency slot: until the witness settles and the prover process exits
+    this.cache = new Map(); // id -> result, LRU
+    this.proved = 0;
+    this.runs = 0;
+  }
+
+  async init() {
+    for (const f of [this.wasm, this.zkey]) if (!fs.existsSync(f)) throw new Error(`missing artifact: ${f}`);
+    this.protocol = readZkeyProtocol(this.zkey);
+    this.artifacts = { wasm: sha256File(this.wasm), zkey: sha256File(this.zkey) };
+    this.artifactsId = `${this.artifacts.wasm}:${this.artifacts.zkey}`;
+    if (this.cacheDir) fs.mkdirSync(this.cacheDir, { recursive: true });
+    if (this.workDir) fs.mkdirSync(this.workDir, { recursive: true });
+    else this.workDir = this.ownedWorkDir = fs.mkdtempSync(path.join(os.tmpdir(), "zkgraf-prover-"));
+    this.engine ??= new WitnessEngine({ threads: this.concurrency, log: this.log });
+    this.engine.load(this.wasm);
+    return this;
+  }
+
+  view(job) {
+    const { input: _i, waiters: _w, ...rest } = job;
+    return { ...rest, ...(job.status === "queued" && { position: this.queue.indexOf(job) }) };
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.view(job) : null;
+  }
+
+  list() {
+    return [...this.jobs.values()].map((j) => this.view(j));
+  }
+
+  status() {
+    return {
+      artifacts: { wasm: this.wasm, zkey: this.zkey, ...this.artifacts },
+      protocol: this.protocol,
+      concurrency: this.concurrency,
+      running: this.running.size,
+      queued: this.queue.length,
+      cached: this.cache.size,
+      proved: this.proved,
+      witness: this.engine.stats(),
+    };
+  }
+
+  submit(input) {
+    if (!input || typeof input !== "object" || Array.isArray(input)) throw fail("BAD_INPUT", "input must be an object of circuit signals");
+    const id = inputHash(input, this.artifactsId);
+
+    const existing = this.jobs.get(id);
+    if (existing && !["failed", "cancelled"].includes(existing.status)) return { job: this.view(existing), created: false };
+
+    const now = Date.now();
+    const cached = this._cached(id);
+    if (cached) {
+      const job = { id, status: "done", cached: true, createdAt: now, startedAt: null, finishedAt: now, witnessMs: null, result: cached, error: null };
+      this._remember(job);
+      return { job: this.view(job), created: false };
+    }
+
+    if (this.queue.length >= this.maxQueue) throw fail("QUEUE_FULL", `queue holds ${this.maxQueue} jobs`);
+    const job = { id, status: "queued", cached: false, createdAt: now, startedAt: null, finishedAt: null, witnessMs: null, result: null, error: null, input, waiters: [] };
+    this._remember(job);
+    this.queue.push(job);
+    this._pump();
+    return { job: this.view(job), created: true };
+  }
+
+  wait(id, ms = 0) {
+    const job = this.jobs.get(id);
+    if (!job) return Promise.resolve(null);
+    if (FINISHED.has(job.status) || ms <= 0) return Promise.resolve(this.view(job));
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(t);
+        resolve(this.view(job));
+      };
+      const t = setTimeout(() => {
+        job.waiters = job.waiters.filter((w) => w !== done);
+        resolve(this.view(job));
+      }, ms);
+      job.waiters.push(done);
+    });
+  }
+
+  async cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (job.status === "queued") {
+      this.queue.splice(this.queue.indexOf(job), 1);
+      this._finish(job, "cancelled", { error: "cancelled" });
+    } else if (job.status === "running") {
+      const child = this.running.get(id);
+      this._finish(job, "cancelled", { error: "cancelled" });
+      child?.kill();
+    } else if (job.status !== "cancelled") {
+      throw fail("JOB_FINISHED", `job ${id} is ${job.status}`);
+    }
+    return this.view(job);
+  }
+
+  async close() {
+    for (const job of [...this.queue]) await this.cancel(job.id);
+    for (const id of [...this.running.keys()]) await this.cancel(id);
+    if (this.ownsEngine) await this.engine?.close();
+    if (this.ownedWorkDir) fs.rmSync(this.ownedWorkDir, { recursive: true, force: true });
+  }
+
+  _cached(id) {
+    if (this.cache.has(id)) {
+      const r = this.cache.get(id);
+      this.cache.delete(id);
+      this.cache.set(id, r);
+      return r;
+    }
+    const file = this.cacheDir && path.join(this.cacheDir, `${id}.json`);
+    if (!file || !fs.existsSync(file)) return null;
+    const r = JSON.parse(fs.readFileSync(file, "utf8"));
+    this._store(id, r, { disk: false });
+    return r;
+  }
+
+  _store(id, result, { disk = true } = {}) {
+    this.cache.set(id, result);
+    while (this.cache.size > this.cacheSize) this.cache.delete(this.cache.keys().next().value);
+    if (disk && this.cacheDir) fs.writeFileSync(path.join(this.cacheDir, `${id}.json`), JSON.stringify(result) + "\n");
+  }
+
+  // newest entry wins; drop the oldest finished jobs beyond maxJobs
+  _remember(job) {
+    this.jobs.delete(job.id);
+    this.jobs.set(job.id, job);
+    for (const [id, j] of this.jobs) {
+      if (this.jobs.size <= this.maxJobs) break;
+      if (FINISHED.has(j.status)) this.jobs.delete(id);
+    }
+  }
+
+  _pump() {
+    while (this.slots < this.concurrency && this.queue.length) this._start(this.queue.shift());
+  }
+
+  async _start(job) {
+    job.status = "running";
+    job.startedAt = Date.now();
+    this.running.set(job.id, null);
+    this.log(`job ${job.id.slice(0, 12)} running`);
+
+    // A cancelled job is finished at once, but its witness or prover process keeps the slot until it stops
+    this.slots++;
+    let held = true;
+    const release = () => {
+      if (!held) return;
+      held = false;
+      this.slots--;
+      this._pump();
+    };
+
+    // one file per run: a cancelled run may still be writing when the same input is resubmitted
+    const wtns = path.join(this.workDir, `${job.id.slice(0, 16)}-${++this.runs}.wtns`);
+    const t0 = performance.now();
+    try {
+      await this.engine.calculate(this.wasm, toCircuitJSON(job.input), { out: wtns });
+    } catch (e) {
+      if (job.status === "running") this._finish(job, "failed", { error: String(e?.message ?? e).split("\n")[0] });
+      return release();
+    }
+    job.witnessMs = Math.round(performance.now() - t0);
+    if (job.status !== "running") {
+      fs.rmSync(wtns, { force: true });
+      return release();
+    }
+
+    const child = fork(WORKER, [], { stdio: ["ignore", "ignore", "inherit", "ipc"] });
+    this.running.set(job.id, child);
+    child.send({ wtns, zkey: this.zkey, protocol: this.protocol });
+    child.once("message", (msg) => {
+      if (job.status !== "running") return;
+      if (msg.error) return this._finish(job, "failed", { error: msg.error });
+      const result = formatResult(msg.proof, msg.publicSignals, job.input, this.protocol);
+      this.proved++;
+      this._store(job.id, result);
+      this._finish(job, "done", { result });
+    });
+    child.once("error", (e) => {
+      if (job.status === "running") this._finish(job, "failed", { error: String(e?.message ?? e) });
+      release();
+    });
+    child.once("exit", (code, signal) => {
+      fs.rmSync(wtns, { force: true });
+      if (job.status === "running") this._finish(job, "failed", { error: `prover exited with ${signal ?? `code ${code}`}` });
+      release();
+    });
+  }
+
+  _finish(job, status, { result = null, error = null }) {
+    job.status = status;
+    job.finishedAt = Date.now();
+    job.result = result;
+    job.error = error;
+    delete job.input;
+    this.running.delete(job.id);
+    this.log(`job ${job.id.slice(0, 12)} ${status}${error ? `: ${error}` : ""}`);
+    for (const w of job.waiters.splice(0)) w();
+    this._pump();
+  }
+}
+
+// -------------------------------
+// HTTP
+// -------------------------------
+const STATUS = { BAD_JSON: 400, BAD_INPUT: 400, NOT_FOUND: 404, JOB_FINISHED: 409, TOO_LARGE: 413, QUEUE_FULL: 503 };
+
+function send(res, code, body) {
+  res.writeHead(code, { "content-type": "application/json" });
+  res.end(JSON.stringify(body) + "\n");
+}
+
+function readJson(req, maxBody) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > maxBody) {
+        reject(fail("TOO_LARGE", `body over ${maxBody} bytes`));
+        req.destroy();
+      } else chunks.push(c);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(fail("BAD_JSON", "body is not JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+export function createProverServer(service, { maxBody = 8 << 20, maxWaitMs = 60000 } = {}) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const [, head, id, ...rest] = url.pathname.split("/");
+    try {
+      if (head === "status" && !id && req.method === "GET") return send(res, 200, service.status());
+      if (head !== "jobs" || rest.length) throw fail("NOT_FOUND", `no route ${req.method} ${url.pathname}`);
+
+      if (!id && req.method === "POST") {
+        const body = await readJson(req, maxBody);
+        const { job, created } = service.submit(body?.input);
+        return send(res, created ? 202 : 200, { job });
+      }
+      if (!id && req.method === "GET") return send(res, 200, { jobs: service.list() });
+
+      if (id && req.method === "GET") {
+        const wait = Math.min(Number(url.searchParams.get("wait") ?? 0) || 0, maxWaitMs);
+        const job = await service.wait(id, wait);
+        if (!job) throw fail("NOT_FOUND", `no job ${id}`);
+        return send(res, 200, { job });
+      }
+      if (id && req.method === "DELETE") {
+        const job = await service.cancel(id);
+        if (!job) throw fail("NOT_FOUND", `no job ${id}`);
+        return send(res, 200, { job });
+      }
+      throw fail("NOT_FOUND", `no route ${req.method} ${url.pathname}`);
+    } catch (e) {
+      if (!STATUS[e.code]) service.log(`http error: ${e?.stack || e}`);
+      send(res, STATUS[e.code] ?? 500, { error: e.code ?? "INTERNAL", message: e.message });
+    }
+  });
+}
+
+// -------------------------------
+// Client
+// -------------------------------
+export function httpProver({ url, waitMs = 30000 }) {
+  const base = url.replace(/\/$/, "");
+  const call = async (method, p, body) => {
+    const r = await fetch(base + p, {
+      method,
+      headers: body ? { "content-type": "application/json" } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const json = await r.json();
+    if (!r.ok) throw fail(json.error ?? `HTTP_${r.status}`, json.message ?? `HTTP ${r.status}`);
+    return json.job;
+  };
+
+  return async (input) => {
+    let job = await call("POST", "/jobs", { input: toCircuitJSON(input) });
+    while (!FINISHED.has(job.status)) job = await call("GET", `/jobs/${job.id}?wait=${waitMs}`);
+    if (job.status !== "done") throw fail(job.status === "failed" ? "PROOF_FAILED" : "PROOF_CANCELLED", `job ${job.id} ${job.status}: ${job.error}`);
+
+    const { protocol, proof, a, b, c, pubInput0 } = job.result;
+    if (protocol) return { protocol, proof: proof.map(BI), publicSignals: [pubInput0] };
+    return {
+      a: a.map(BI),
+      b: b.map((row) => row.map(BI)),
+      c: c.map(BI),
+      publicSignals: [pubInput0],
+    };
+  };
+}
@@ -0,0 +1,21 @@
+// circuits/lib/prover_worker.mjs
+//
+// Child process body for ProofService: one prove (groth16, plonk or fflonk) per process, then exit.
+// (A process, not a worker_thread: snarkjs' web-worker shim cannot be loaded inside a worker thread.)
+// Receives { wtns, zkey, protocol } over IPC, the witness file the service's WitnessEngine wrote;
+// replies { proof, publicSignals } or { error }.
+
+import { getBackend } from "./backends.mjs";
+
+process.once("message", async ({ wtns, zkey, protocol = "groth16" }) => {
+  let reply;
+  try {
+    const { proof, publicSignals } = await getBackend(protocol).prove(zkey, wtns);
+    reply = { proof, publicSignals };
+  } catch (e) {
+    reply = { error: String(e?.message ?? e).split("\n")[0] };
+  }
+  // snarkjs leaves bn128 worker threads running
+  await globalThis.curve_bn128?.terminate();
+  process.send(reply, () => process.exit(0));
+});
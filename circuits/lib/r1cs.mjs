@@ -0,0 +1,75 @@
+// circuits/lib/r1cs.mjs
+//
+// R1CS file reading without snarkjs (which loads every coefficient as a field element).
+//
+//   readR1cs(file, onConstraint) -> header; calls onConstraint(a, b, c) with [wire, ...] per row
+//   plonkGates(file)             -> { gates, nPublic }: the PLONK rows snarkjs plonk / fflonk setup turns the r1cs into
+//
+// PLONK sizes its domain from these rows, not from R1CS rows: a sum gate holds 3 terms and a product gate one
+// per factor, and every extra term of a linear combination costs one addition row. Counting them the way
+// snarkjs does gives the exact figure, unless two coefficients of a joined combination cancel (then it is an
+// upper bound).
+
+import fs from "node:fs";
+
+// r1cs layout: "r1cs" | version u32 | nSections u32 | { type u32, size u64, data }...
+//   1 header:      n8 u32 | prime (n8) | nWires u32 | nOutputs u32 | nPubInputs u32 | nPrvInputs u32 | nLabels u64 | nConstraints u32
+//   2 constraints: per row, A | B | C, each nTerms u32 | { wire u32, coef (n8) }...
+export function readR1cs(file, onConstraint) {
+  const buf = fs.readFileSync(file);
+  if (buf.toString("ascii", 0, 4) !== "r1cs") throw new Error(`${file}: not an r1cs file`);
+  const nSections = buf.readUInt32LE(8);
+
+  const sections = {};
+  let pos = 12;
+  for (let i = 0; i < nSections; i++) {
+    sections[buf.readUInt32LE(pos)] = { start: pos + 12, size: Number(buf.readBigUInt64LE(pos + 4)) };
+    pos += 12 + sections[buf.readUInt32LE(pos)].size;
+  }
+  if (!sections[1] || !sections[2]) throw new Error(`${file}: missing header or constraints section`);
+
+  let p = sections[1].start;
+  const n8 = buf.readUInt32LE(p);
+  p += 4 + n8;
+  const header = {
+    nWires: buf.readUInt32LE(p),
+    nOutputs: buf.readUInt32LE(p + 4),
+    nPubInputs: buf.readUInt32LE(p + 8),
+    nPrvInputs: buf.readUInt32LE(p + 12),
+    nConstraints: buf.readUInt32LE(p + 24),
+  };
+
+  if (onConstraint) {
+    p = sections[2].start;
+    const lc = () => {
+      const n = buf.readUInt32LE(p);
+      p += 4;
+      const wires = new Array(n);
+      for (let k = 0; k < n; k++) {
+        wires[k] = buf.readUInt32LE(p);
+        p += 4 + n8;
+      }
+      return wires;
+    };
+    for (let i = 0; i < header.nConstraints; i++) onConstraint(lc(), lc(), lc());
+  }
+  return header;
+}
+
+export function plonkGates(file) {
+  let gates = 0;
+  const vars = (lc) => lc.filter((w) => w !== 0);
+  const isConstant = (lc) => lc.length > 0 && vars(lc).length === 0;
+  const sum = (n) => Math.max(0, n - 3) + 1;
+  const factor = (lc) => Math.max(0, vars(lc).length - 1);
+
+  const header = readR1cs(file, (a, b, c) => {
+    if (!a.length || !b.length) gates += sum(vars(c).length);
+    else if (isConstant(a)) gates += sum(new Set([...vars(b), ...vars(c)]).size);
+    else if (isConstant(b)) gates += sum(new Set([...vars(a), ...vars(c)]).size);
+    else gates += factor(a) + factor(b) + factor(c) + 1;
+  });
+  // one row per public signal
+  const nPublic = header.nOutputs + header.nPubInputs;
+  return { gates: gates + nPublic, nPublic };
+}
@@ -0,0 +1,54 @@
+// circuits/lib/rollup_abi.mjs
+//
+// Human-readable ethers ABI for the parts of Rollup.sol / Registry.sol / IGroth16Verifier used off-chain
+// (forger, indexer, tooling). Keep in sync with src/Rollup.sol.
+
+export const ROLLUP_ABI = [
+  // config
+  "function MAX_BATCH() view returns (uint32)",
+  "function MAX_DEGREE() view returns (uint8)",
+  "function TX_FEE_WEI() view returns (uint256)",
+  "function registry() view returns (address)",
+  "function verifier() view returns (address)",
+
+  // queue / roots
+  "function latestGraphRoot() view returns (bytes32)",
+  "function batchId() view returns (uint64)",
+  "function nextTxId() view returns (uint32)",
+  "function lastForgedId() view returns (uint32)",
+  "function feePool() view returns (uint256)",
+  "function balances(address) view returns (uint256)",
+  "function pendingOps() view returns (uint32 startTxId, uint32 endTxId, uint32 count)",
+  "function lag() view returns (uint32 pending)",
+  "function getQueuedTx(uint32 txId) view returns (uint32 ilo, uint32 ihi, uint8 op)",
+  "function getQueuedWords(uint32 startTxId, uint32 n) view returns (uint128[] words)",
+
+  // forging
+  "function submitBatch(bytes32 newGraphRoot, uint32 n, uint256[2] a, uint256[2][2] b, uint256[2] c)",
+
+  // events
+  "event TxQueued(uint64 indexed batchId, uint32 indexed txId, uint8 op, uint32 ilo, uint32 ihi, uint32 ts)",
+  "event BatchSubmitted(uint64 indexed batchId, uint32 n, uint32 startTxId, bytes32 storageHash, bytes32 newGraphRoot, bytes txData)",
+  "event Vouched(address indexed funder, address indexed counterparty, address lo, address hi, uint256 stakeWei, uint32 durationSeconds)",
+  "event WindowOpened(address indexed lo, address indexed hi, uint64 windowStart, uint64 windowEnd, uint256 stakeWei, uint32 durationSeconds)",
+  "event VouchCancelled(address indexed caller, address indexed counterparty, uint256 creditedWei)",
+  "event ClosedNoLink(address indexed caller, address indexed counterparty, uint256 stakeWei)",
+  "event Stolen(address indexed thief, address indexed counterparty, uint256 paidWei)",
+
+  // errors
+  "error EmptyBatch()",
+  "error VerifyFail()",
+  "error BadValue()",
+  "error BadOp()",
+];
+
+export const REGISTRY_ABI = [
+  "function accountIdx(address a) view returns (uint32)",
+  "function idxToAccount(uint32 idx) view returns (address)",
+  "function nextIdx() view returns (uint32)",
+  "event AccountCreated(address indexed owner, uint32 indexed idx)",
+];
+
+export const VERIFIER_ABI = [
+  "function verifyProof(uint256[2] a, uint256[2][2] b, uint256[2] c, uint256[1] input) view returns (bool)",
+];
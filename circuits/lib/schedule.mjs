@@ -0,0 +1,256 @@
+// circuits/lib/schedule.mjs
+//
+// When to forge. submitBatch pays n * TX_FEE_WEI, but a Main(3,32) proof and the verifier call cost the same
+// for n = 1 and n = MAX_BATCH, so a forger can trade latency for fuller (cheaper per op) batches.
+//
+//   policy.decide(ctx) -> { forge, n, reason, wakeAt? }
+//     ctx:    { now, lag, maxBatch, oldestTs, gasPriceWei, txFeeWei }   now / oldestTs in seconds (TxQueued `ts`)
+//     wakeAt: earliest time the answer can flip without new ops or a gas price change (the simulator skips to it)
+//
+//   eagerPolicy()                                      forge whenever anything is queued (the Forger without a policy)
+//   fullBatchPolicy({ maxWait })                       only full batches; a partial one goes after maxWait seconds
+//   maxLatencyPolicy({ targetLatency, proveSeconds })  partial batch once its oldest op would otherwise miss targetLatency
+//   profitPolicy({ minProfitWei, targetLatency, gas, proveCostWei, proveSeconds })
+//                                                      forge once n * fee - gas - proving >= minProfitWei; past
+//                                                      targetLatency forge anyway. A partial batch is also scored
+//                                                      as the full batch it could become: while that one earns
+//                                                      more and the deadline allows, the policy waits for ops.
+//                                                      Without targetLatency nothing bounds that wait, so it
+//                                                      takes the current profit as soon as it clears minProfitWei
+//   createPolicy(name, opts) / policyFromArgs(values)  by name: eager | full-batch | max-latency | profit
+//
+//   simulate(events, policy, opts)   replay the TxQueued events of an indexer store against one policy
+//   compare(events, policies, opts)  one metrics row per policy, same stream and cost model
+//
+// Cost model: gas(n) = gas.base + gas.perOp * n at the gas price of the tick the batch lands, plus proveCostWei per
+// proof (prover hardware / proof-service price). DEFAULT_GAS is a rough Groth16 verify + queue storage figure;
+// calibrate it with `forge test --gas-report` for the deployed verifier.
+
+import { BI } from "./encoding.mjs";
+
+export const DEFAULT_GAS = { base: 280000n, perOp: 12000n };
+export const POLICIES = ["eager", "full-batch", "max-latency", "profit"];
+
+// -------------------------------
+// Cost model
+// -------------------------------
+export function batchGas(n, gas = DEFAULT_GAS) {
+  return BI(gas.base) + BI(gas.perOp) * BI(n);
+}
+
+export function batchProfit({ n, txFeeWei, gasPriceWei, gas = DEFAULT_GAS, proveCostWei = 0n }) {
+  const revenueWei = BI(n) * BI(txFeeWei);
+  const gasWei = batchGas(n, gas) * BI(gasPriceWei);
+  const proveWei = BI(proveCostWei);
+  return { revenueWei, gasWei, proveWei, profitWei: revenueWei - gasWei - proveWei };
+}
+
+// -------------------------------
+// Policies
+// -------------------------------
+const fill = (ctx) => Math.min(ctx.lag, ctx.maxBatch);
+const age = (ctx) => ctx.now - ctx.oldestTs;
+const empty = () => ({ forge: false, n: 0, reason: "empty" });
+
+export function eagerPolicy() {
+  return {
+    name: "eager",
+    decide(ctx) {
+      if (ctx.lag === 0) return empty();
+      return { forge: true, n: fill(ctx), reason: "pending" };
+    },
+  };
+}
+
+export function fullBatchPolicy({ maxWait = Infinity } = {}) {
+  return {
+    name: maxWait === Infinity ? "full-batch" : `full-batch(maxWait=${maxWait}s)`,
+    decide(ctx) {
+      if (ctx.lag === 0) return empty();
+      if (ctx.lag >= ctx.maxBatch) return { forge: true, n: ctx.maxBatch, reason: "full" };
+      if (age(ctx) >= maxWait) return { forge: true, n: ctx.lag, reason: `oldest op waited ${age(ctx)}s` };
+      return { forge: false, n: ctx.lag, reason: `${ctx.lag}/${ctx.maxBatch} queued`, wakeAt: ctx.oldestTs + maxWait };
+    },
+  };
+}
+
+export function maxLatencyPolicy({ targetLatency, proveSeconds = 0 } = {}) {
+  if (!(targetLatency >= 0)) throw new Error("max-latency policy needs targetLatency (seconds)");
+  const slack = targetLatency - proveSeconds; // the op is only included once the proof is done
+  return {
+    name: `max-latency(${targetLatency}s)`,
+    decide(ctx) {
+      if (ctx.lag === 0) return empty();
+      if (ctx.lag >= ctx.maxBatch) return { forge: true, n: ctx.maxBatch, reason: "full" };
+      if (age(ctx) >= slack) return { forge: true, n: ctx.lag, reason: `oldest op ${age(ctx)}s old` };
+      return { forge: false, n: ctx.lag, reason: `${ctx.lag}/${ctx.maxBatch} queued, oldest ${age(ctx)}s`, wakeAt: ctx.oldestTs + slack };
+    },
+  };
+}
+
+export function profitPolicy({ minProfitWei = 0n, targetLatency = Infinity, gas = DEFAULT_GAS, proveCostWei = 0n, proveSeconds = 0 } = {}) {
+  const min = BI(minProfitWei);
+  return {
+    name: targetLatency === Infinity ? `profit(>=${min})` : `profit(>=${min}, ${targetLatency}s)`,
+    decide(ctx) {
+      if (ctx.lag === 0) return empty();
+      const n = fill(ctx);
+      const price = { txFeeWei: ctx.txFeeWei, gasPriceWei: ctx.gasPriceWei, gas, proveCostWei };
+      const { profitWei } = batchProfit({ n, ...price });
+      // what the same batch makes once the queue fills it, at today's gas price (more ops only help while
+      // the fee covers gas.perOp); a full batch can only get more profitable through cheaper gas
+      const fullProfitWei = batchProfit({ n: ctx.maxBatch, ...price }).profitWei;
+      const deadline = ctx.oldestTs + targetLatency - proveSeconds;
+      const decision = { n, profitWei, fullProfitWei };
+
+      if (ctx.now >= deadline) {
+        if (profitWei >= min) return { ...decision, forge: true, reason: `profit ${profitWei} wei` };
+        return { ...decision, forge: true, reason: `latency target, profit ${profitWei} wei` };
+      }
+      const waitForOps = n < ctx.maxBatch && targetLatency !== Infinity && fullProfitWei > profitWei && fullProfitWei >= min;
+      if (profitWei >= min && !waitForOps) return { ...decision, forge: true, reason: `profit ${profitWei} wei` };
+
+      let reason;
+      if (profitWei >= min) reason = `${n}/${ctx.maxBatch} queued: profit ${profitWei} wei now, ${fullProfitWei} as a full batch`;
+      else if (n < ctx.maxBatch && fullProfitWei >= min) reason = `profit ${profitWei} < ${min} wei, ${fullProfitWei} as a full batch`;
+      else reason = `profit ${profitWei} < ${min} wei, full batch ${fullProfitWei}: waiting for cheaper gas`;
+      return { ...decision, forge: false, reason, wakeAt: deadline };
+    },
+  };
+}
+
+export function createPolicy(name, opts = {}) {
+  if (name === "eager") return eagerPolicy();
+  if (name === "full-batch") return fullBatchPolicy(opts);
+  if (name === "max-latency") return maxLatencyPolicy(opts);
+  if (name === "profit") return profitPolicy(opts);
+  throw new Error(`unknown policy ${name} (one of ${POLICIES.join(", ")})`);
+}
+
+// parseArgs options shared by scripts/forger.mjs and scripts/schedule.mjs
+export const POLICY_OPTIONS = {
+  "target-latency": { type: "string" },
+  "max-wait": { type: "string" },
+  "min-profit-wei": { type: "string", default: "0" },
+  "prove-cost-wei": { type: "string", default: "0" },
+  "prove-seconds": { type: "string", default: "0" },
+  "gas-base": { type: "string", default: DEFAULT_GAS.base.toString() },
+  "gas-per-op": { type: "string", default: DEFAULT_GAS.perOp.toString() },
+};
+
+export function policyFromArgs(values, name = values.policy) {
+  const num = (k) => (values[k] === undefined ? undefined : Number(values[k]));
+  return createPolicy(name, {
+    targetLatency: num("target-latency"),
+    maxWait: num("max-wait"),
+    minProfitWei: BI(values["min-profit-wei"] ?? 0),
+    proveCostWei: BI(values["prove-cost-wei"] ?? 0),
+    proveSeconds: num("prove-seconds") ?? 0,
+    gas: { base: BI(values["gas-base"] ?? DEFAULT_GAS.base), perOp: BI(values["gas-per-op"] ?? DEFAULT_GAS.perOp) },
+  });
+}
+
+// -------------------------------
+// Simulator
+// -------------------------------
+// gasPrice: wei (constant) or [[ts, wei], ...] sorted by ts, each price holding from its ts on
+function gasSchedule(gasPrice) {
+  if (!Array.isArray(gasPrice)) return { at: () => BI(gasPrice), next: () => Infinity };
+  const steps = gasPrice.map(([ts, wei]) => [Number(ts), BI(wei)]);
+  return {
+    at: (t) => (steps.findLast(([ts]) => ts <= t) ?? steps[0])[1],
+    next: (t) => steps.find(([ts]) => ts > t)?.[0] ?? Infinity,
+  };
+}
+
+// TxQueued of an indexer store (normalizeEvent records) or ethers events -> [{ txId, ts }] in queue order
+export function queueArrivals(events) {
+  return events
+    .filter((e) => (e.event ?? e.eventName) === "TxQueued")
+    .map((e) => ({ txId: Number(e.args.txId), ts: Number(e.args.ts) }))
+    .sort((a, b) => a.txId - b.txId);
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// One forger polling every intervalSec; a batch lands proveSeconds after the decision and the forger decides
+// again right away (Forger.run keeps draining after a submit). Ops still queued `horizon` seconds after the
+// last arrival are reported as `unforged` rather than counted in the latency figures.
+export function simulate(
+  events,
+  policy,
+  {
+    maxBatch = 3,
+    txFeeWei = 50_000_000_000_000n,
+    gasPrice = 1_000_000_000n,
+    gas = DEFAULT_GAS,
+    proveCostWei = 0n,
+    proveSeconds = 0,
+    intervalSec = 5,
+    horizon = 86400,
+  } = {}
+) {
+  const arrivals = queueArrivals(events);
+  const prices = gasSchedule(gasPrice);
+  const batches = [];
+  const latencies = [];
+  const queue = [];
+
+  let i = 0;
+  let t = arrivals[0]?.ts ?? 0;
+  const end = (arrivals.at(-1)?.ts ?? 0) + horizon;
+
+  while (t <= end) {
+    while (i < arrivals.length && arrivals[i].ts <= t) queue.push(arrivals[i++]);
+    if (!queue.length) {
+      if (i >= arrivals.length) break;
+      t = arrivals[i].ts;
+      continue;
+    }
+
+    const ctx = { now: t, lag: queue.length, maxBatch, oldestTs: queue[0].ts, gasPriceWei: prices.at(t), txFeeWei: BI(txFeeWei) };
+    const d = policy.decide(ctx);
+    if (d.forge) {
+      const n = Math.min(d.n || queue.length, maxBatch, queue.length);
+      const landed = t + proveSeconds;
+      const ops = queue.splice(0, n);
+      batches.push({ at: landed, n, ...batchProfit({ n, txFeeWei, gasPriceWei: prices.at(landed), gas, proveCostWei }) });
+      for (const op of ops) latencies.push(landed - op.ts);
+      t = landed;
+      continue;
+    }
+
+    // nothing changes before the next arrival, the policy's own deadline or a gas price step; poll on the tick grid
+    const next = Math.min(arrivals[i]?.ts ?? Infinity, d.wakeAt ?? Infinity, prices.next(t));
+    if (next === Infinity) break;
+    t += Math.max(1, Math.ceil((next - t) / intervalSec)) * intervalSec;
+  }
+
+  latencies.sort((a, b) => a - b);
+  const sum = (k) => batches.reduce((s, b) => s + b[k], 0n);
+  const ops = latencies.length;
+  return {
+    policy: policy.name,
+    batches: batches.length,
+    ops,
+    unforged: queue.length + arrivals.length - i,
+    avgFill: batches.length ? ops / batches.length : 0,
+    latency: {
+      mean: ops ? latencies.reduce((s, x) => s + x, 0) / ops : null,
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95),
+      max: latencies.at(-1) ?? null,
+    },
+    revenueWei: sum("revenueWei"),
+    gasWei: sum("gasWei"),
+    proveWei: sum("proveWei"),
+    profitWei: sum("profitWei"),
+  };
+}
+
+export function compare(events, policies, opts = {}) {
+  return policies.map((p) => simulate(events, p, opts));
+}
@@ -0,0 +1,376 @@
+// circuits/lib/setup.mjs
+//
+// Build + setup pipeline for any circuit (used by scripts/setup.mjs).
+//
+//   compile     circom <circuit> --r1cs --wasm --sym          -> <name>.r1cs, <name>.sym, <name>_js/<name>.wasm
+//   setup       snarkjs groth16 setup with the smallest ptau that fits  -> zkey/<name>_0000.zkey
+//   contribute  N phase-2 contributions                          -> zkey/<name>_0001.zkey ... _000N.zkey
+//   beacon      final beacon                                     -> zkey/<name>_final.zkey
+//   verify      zkey verify against r1cs + ptau
+//   export      verification key + Solidity verifier             -> verification_key.json, <verifier>
+//
+// protocol "plonk" / "fflonk" (see backends.mjs) need no circuit-specific ceremony: after the shared compile
+// step they run only
+//
+//   <protocol>.setup   snarkjs <protocol> setup with the smallest ptau that fits  -> zkey/<name>_<protocol>.zkey
+//   <protocol>.export  verification key + Solidity verifier  -> verification_key_<protocol>.json, <verifier>
+//
+// and leave the Groth16 steps of the same build directory in the manifest, so all three can live side by side.
+//
+// Every step has a key: sha256 over its inputs (source files, parameters, hashes of upstream outputs).
+// <outDir>/manifest.json records each step's key and the sha256 of every file it produced; a step is
+// skipped when its key is unchanged and its outputs still hash to what the manifest says. Editing a
+// template therefore re-runs everything downstream, while re-running with nothing changed is a no-op.
+//
+// Entropy and beacon default to fresh randomness. They only enter a step key when passed explicitly,
+// so a random default does not invalidate a finished setup on the next run.
+
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { execFileSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import * as snarkjs from "snarkjs";
+
+import { getBackend, solidityTemplate } from "./backends.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const REPO_ROOT = path.join(__dirname, "../..");
+export const MANIFEST_VERSION = 1;
+const GROTH16_STEPS = ["compile", "setup", "contribute", "beacon", "verify", "export"];
+export const PTAU_URL = "https://storage.googleapis.com/zkevm/ptau/powersOfTau28_hez_final_";
+
+// -------------------------------
+// Hashing
+// -------------------------------
+export function sha256File(file) {
+  const h = crypto.createHash("sha256");
+  const fd = fs.openSync(file, "r");
+  try {
+    const buf = Buffer.alloc(1 << 20);
+    let n;
+    while ((n = fs.readSync(fd, buf, 0, buf.length, null)) > 0) h.update(buf.subarray(0, n));
+  } finally {
+    fs.closeSync(fd);
+  }
+  return h.digest("hex");
+}
+
+function sha256Json(obj) {
+  return crypto.createHash("sha256").update(JSON.stringify(obj)).digest("hex");
+}
+
+function hex(bytes) {
+  return Buffer.from(bytes).toString("hex");
+}
+
+// -------------------------------
+// Sources: the entry file plus everything it includes
+// -------------------------------
+export function collectSources(entry, includeDirs = []) {
+  const seen = new Set();
+  const visit = (file) => {
+    if (seen.has(file)) return;
+    seen.add(file);
+    const src = fs.readFileSync(file, "utf8").replace(/\/\*[\s\S]*?\*\//g, "").replace(/\/\/.*$/gm, "");
+    for (const [, inc] of src.matchAll(/include\s+"([^"]+)"\s*;/g)) {
+      const found = [path.dirname(file), ...includeDirs].map((d) => path.resolve(d, inc)).find((p) => fs.existsSync(p));
+      if (!found) throw new Error(`${file}: cannot resolve include "${inc}"`);
+      visit(found);
+    }
+  };
+  visit(path.resolve(entry));
+  return [...seen].sort();
+}
+
+// -------------------------------
+// Powers of tau
+// -------------------------------
+// Groth16 (snarkjs zkey_new): domain 2^p must hold constraints + public inputs + outputs
+export function requiredPower(stats) {
+  return getBackend("groth16").requiredPower(stats).power;
+}
+
+// ptau layout: "ptau" | version u32 | nSections u32 | { type u32, size u64, data }...; section 1 is the
+// header: n8 u32 | q (n8 bytes) | power u32 | ceremonyPower u32
+export function readPtauPower(file) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const head = Buffer.alloc(12);
+    fs.readSync(fd, head, 0, 12, 0);
+    if (head.toString("ascii", 0, 4) !== "ptau") throw new Error(`${file}: not a ptau file`);
+    const nSections = head.readUInt32LE(8);
+
+    let pos = 12;
+    const sh = Buffer.alloc(12);
+    for (let i = 0; i < nSections; i++) {
+      fs.readSync(fd, sh, 0, 12, pos);
+      const type = sh.readUInt32LE(0);
+      const size = Number(sh.readBigUInt64LE(4));
+      if (type === 1) {
+        const hdr = Buffer.alloc(size);
+        fs.readSync(fd, hdr, 0, size, pos + 12);
+        const n8 = hdr.readUInt32LE(0);
+        return { power: hdr.readUInt32LE(4 + n8), ceremonyPower: hdr.readUInt32LE(8 + n8) };
+      }
+      pos += 12 + size;
+    }
+    throw new Error(`${file}: ptau has no header section`);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Explicit `ptau` wins (and must be large enough); otherwise the smallest *.ptau in `ptauDir` that fits.
+export function pickPtau({ ptau, ptauDir, power }) {
+  const need = `circuit needs a ptau of power >= ${power}`;
+  if (ptau) {
+    if (!fs.existsSync(ptau)) throw new Error(`ptau not found: ${ptau}`);
+    const p = readPtauPower(ptau).power;
+    if (p < power) throw new Error(`${ptau} has power ${p}; ${need}`);
+    return { path: path.resolve(ptau), power: p };
+  }
+
+  const candidates = fs.existsSync(ptauDir)
+    ? fs.readdirSync(ptauDir)
+        .filter((n) => n.endsWith(".ptau"))
+        .map((n) => ({ path: path.resolve(ptauDir, n), power: readPtauPower(path.join(ptauDir, n)).power }))
+        .filter((c) => c.power >= power)
+        .sort((a, b) => a.power - b.power || a.path.localeCompare(b.path))
+    : [];
+  if (candidates.length === 0) {
+    const nn = String(Math.max(power, 8)).padStart(2, "0");
+    throw new Error(`no ptau in ${ptauDir} fits; ${need}\n  download: ${PTAU_URL}${nn}.ptau`);
+  }
+  return candidates[0];
+}
+
+// -------------------------------
+// Pipeline
+// -------------------------------
+function snarkLogger(logger) {
+  const errors = [];
+  return {
+    errors,
+    logger: {
+      error: (m) => { errors.push(m); logger?.error?.(m); },
+      warn: (m) => logger?.warn?.(m),
+      info: (m) => logger?.info?.(m),
+      debug: (m) => logger?.debug?.(m),
+    },
+  };
+}
+
+function check(what, res, errors) {
+  if (res === -1 || res === false || res === undefined) {
+    throw new Error(`${what} failed${errors.length ? `: ${errors.at(-1)}` : ""}`);
+  }
+  return res;
+}
+
+// main's Groth16 verifier lives where Foundry compiles it (Rollup.sol takes a Groth16 proof); others stay next
+// to their zkey
+export function defaultVerifierPath(name, outDir, protocol = "groth16") {
+  if (protocol !== "groth16") return path.join(outDir, `${getBackend(protocol).contract}.sol`);
+  return name === "main" ? path.join(REPO_ROOT, "src/Verifier.sol") : path.join(outDir, "Verifier.sol");
+}
+
+export async function runSetup({
+  circuit,
+  name = path.basename(circuit, ".circom"),
+  outDir = path.join(REPO_ROOT, "circuits/build", name),
+  ptau,
+  ptauDir = path.join(REPO_ROOT, "circuits/powersOfTau"),
+  include = [path.join(REPO_ROOT, "node_modules"), path.join(REPO_ROOT, "circuits")],
+  opt = "O1",
+  contributions = 1,
+  entropy,
+  beacon,
+  beaconIterations = 10,
+  protocol = "groth16",
+  verifier = defaultVerifierPath(name, outDir, protocol),
+  force = false,
+  logger,
+} = {}) {
+  if (!circuit) throw new Error("circuit is required");
+  if (!/^O[012]$/.test(opt)) throw new Error(`opt must be O0, O1 or O2, got ${opt}`);
+  const backend = getBackend(protocol);
+
+  outDir = path.resolve(outDir);
+  const zkeyDir = path.join(outDir, "zkey");
+  fs.mkdirSync(zkeyDir, { recursive: true });
+
+  const manifestPath = path.join(outDir, "manifest.json");
+  const old = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, "utf8")) : null;
+  const prevSteps = old?.version === MANIFEST_VERSION && old.name === name ? old.steps : {};
+  // steps of the other protocols stay in the manifest untouched (they re-run on their own if compile changed)
+  const ownSteps = backend.universal ? ["compile", `${protocol}.setup`, `${protocol}.export`] : GROTH16_STEPS;
+  const steps = Object.fromEntries(Object.entries(prevSteps).filter(([s]) => !ownSteps.includes(s)));
+  const manifest = { version: MANIFEST_VERSION, name, circuit: path.relative(REPO_ROOT, path.resolve(circuit)), steps };
+  const ran = [];
+  const skipped = [];
+
+  const rel = (p) => path.relative(REPO_ROOT, p);
+  const save = () => fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+  const hashOf = (step, file) => manifest.steps[step].outputs[rel(file)];
+
+  async function step(stepName, inputs, outputs, run) {
+    const key = sha256Json(inputs);
+    const prev = prevSteps[stepName];
+    const fresh =
+      !force &&
+      prev?.key === key &&
+      outputs.every((f) => fs.existsSync(f) && prev.outputs?.[rel(f)] === sha256File(f));
+    if (fresh) {
+      manifest.steps[stepName] = prev;
+      skipped.push(stepName);
+      logger?.info?.(`${stepName}: up to date`);
+      return prev;
+    }
+
+    logger?.info?.(`${stepName}: running`);
+    const info = (await run()) ?? {};
+    manifest.steps[stepName] = {
+      key,
+      ...info,
+      outputs: Object.fromEntries(outputs.map((f) => [rel(f), sha256File(f)])),
+    };
+    ran.push(stepName);
+    save();
+    return manifest.steps[stepName];
+  }
+
+  const { errors, logger: snarkLog } = snarkLogger(logger);
+
+  // compile
+  const sources = collectSources(circuit, include);
+  const r1cs = path.join(outDir, `${name}.r1cs`);
+  const sym = path.join(outDir, `${name}.sym`);
+  const wasm = path.join(outDir, `${name}_js`, `${name}.wasm`);
+  const circomVersion = execFileSync("circom", ["--version"], { encoding: "utf8" }).trim();
+
+  await step(
+    "compile",
+    { circomVersion, opt, sources: Object.fromEntries(sources.map((s) => [rel(s), sha256File(s)])) },
+    [r1cs, sym, wasm],
+    () => {
+      const args = [rel(path.resolve(circuit)), "--r1cs", "--wasm", "--sym", `--${opt}`, "-o", rel(outDir)];
+      for (const l of include) args.push("-l", rel(l));
+      // circom resolves relative includes from its cwd; keep every path repo-relative
+      execFileSync("circom", args, { cwd: REPO_ROOT, stdio: logger ? "inherit" : "ignore" });
+      return { circomVersion };
+    }
+  );
+
+  const cir = await snarkjs.r1cs.info(r1cs);
+  const stats = { nConstraints: cir.nConstraints, nPubInputs: cir.nPubInputs, nOutputs: cir.nOutputs, nPrvInputs: cir.nPrvInputs };
+  manifest.r1cs = { ...stats, requiredPower: requiredPower(stats) };
+
+  const sizing = backend.requiredPower(stats, r1cs);
+  const tau = pickPtau({ ptau, ptauDir, power: sizing.power });
+  const st = fs.statSync(tau.path);
+  const cachedTau = backend.universal ? prevSteps[`${protocol}.setup`]?.ptau : old?.ptau;
+  const tauHash =
+    cachedTau?.path === rel(tau.path) && cachedTau.size === st.size && cachedTau.mtimeMs === st.mtimeMs
+      ? cachedTau.sha256
+      : sha256File(tau.path);
+  const tauInfo = { path: rel(tau.path), power: tau.power, size: st.size, mtimeMs: st.mtimeMs, sha256: tauHash };
+  const rows = sizing.gates === undefined ? `${stats.nConstraints} constraints` : `${sizing.gates} ${protocol} gates`;
+  logger?.info?.(`${name}: ${rows} -> ptau power ${sizing.power} (using ${rel(tau.path)}, power ${tau.power})`);
+
+  const vkeyPath = path.join(outDir, backend.universal ? `verification_key_${protocol}.json` : "verification_key.json");
+  const verifierPath = path.resolve(verifier);
+  const exportKeys = async (zkey) => {
+    const vkey = await snarkjs.zKey.exportVerificationKey(zkey, snarkLog);
+    fs.writeFileSync(vkeyPath, JSON.stringify(vkey, null, 1));
+    fs.mkdirSync(path.dirname(verifierPath), { recursive: true });
+    const templates = { [protocol]: solidityTemplate(protocol) };
+    fs.writeFileSync(verifierPath, await snarkjs.zKey.exportSolidityVerifier(zkey, templates, snarkLog));
+  };
+  const done = (zkey) => {
+    save();
+    return { manifest, ran, skipped, paths: { manifest: manifestPath, r1cs, sym, wasm, zkey, vkey: vkeyPath, verifier: verifierPath } };
+  };
+
+  // universal setup: one deterministic step from r1cs + ptau, no ceremony
+  if (backend.universal) {
+    // manifest.ptau belongs to the Groth16 steps kept above; this run's ptau is recorded in its setup step
+    if (prevSteps.setup && old.ptau) manifest.ptau = old.ptau;
+    const zkey = path.join(zkeyDir, `${name}_${protocol}.zkey`);
+    await step(`${protocol}.setup`, { r1cs: hashOf("compile", r1cs), ptau: tauHash }, [zkey], async () => {
+      // plonk setup resolves to undefined on success (fflonk to 0), -1 on failure
+      check(`${protocol} setup`, (await backend.setup(r1cs, tau.path, zkey, snarkLog)) !== -1, errors);
+      return { ...sizing, ptau: tauInfo };
+    });
+    await step(
+      `${protocol}.export`,
+      { zkey: hashOf(`${protocol}.setup`, zkey), verifier: rel(verifierPath) },
+      [vkeyPath, verifierPath],
+      () => exportKeys(zkey)
+    );
+    return done(zkey);
+  }
+
+  manifest.ptau = tauInfo;
+
+  // setup
+  const zkeyPath = (i) => path.join(zkeyDir, `${name}_${String(i).padStart(4, "0")}.zkey`);
+  await step("setup", { r1cs: hashOf("compile", r1cs), ptau: tauHash }, [zkeyPath(0)], async () => {
+    check("groth16 setup", await snarkjs.zKey.newZKey(r1cs, tau.path, zkeyPath(0), snarkLog), errors);
+  });
+
+  // contribute
+  const entropies = [].concat(entropy ?? []);
+  let last = zkeyPath(0);
+  if (contributions > 0) {
+    const outs = Array.from({ length: contributions }, (_, i) => zkeyPath(i + 1));
+    await step(
+      "contribute",
+      { zkey: hashOf("setup", zkeyPath(0)), contributions, entropy: entropies.length ? sha256Json(entropies) : "random" },
+      outs,
+      async () => {
+        const hashes = [];
+        for (let i = 0; i < contributions; i++) {
+          const e = entropies[i] ?? crypto.randomBytes(32).toString("hex");
+          const h = await snarkjs.zKey.contribute(i === 0 ? zkeyPath(0) : outs[i - 1], outs[i], `contribution ${i + 1}`, e, snarkLog);
+          hashes.push(hex(check(`contribution ${i + 1}`, h, errors)));
+        }
+        return { contributionHashes: hashes };
+      }
+    );
+    last = outs.at(-1);
+  }
+
+  // beacon
+  const finalZkey = path.join(zkeyDir, `${name}_final.zkey`);
+  const lastStep = contributions > 0 ? "contribute" : "setup";
+  await step(
+    "beacon",
+    { zkey: hashOf(lastStep, last), beacon: beacon ?? "random", beaconIterations },
+    [finalZkey],
+    async () => {
+      const b = beacon ?? crypto.randomBytes(32).toString("hex");
+      const h = await snarkjs.zKey.beacon(last, finalZkey, "final beacon", b, beaconIterations, snarkLog);
+      return { beacon: b, beaconIterations, contributionHash: hex(check("beacon", h, errors)) };
+    }
+  );
+
+  // verify (no outputs; re-runs whenever the final zkey, r1cs or ptau change)
+  await step(
+    "verify",
+    { r1cs: hashOf("compile", r1cs), ptau: tauHash, zkey: hashOf("beacon", finalZkey) },
+    [],
+    async () => {
+      check("zkey verify", await snarkjs.zKey.verifyFromR1cs(r1cs, tau.path, finalZkey, snarkLog), errors);
+      return { ok: true };
+    }
+  );
+
+  // export
+  await step("export", { zkey: hashOf("beacon", finalZkey), verifier: rel(verifierPath) }, [vkeyPath, verifierPath], () =>
+    exportKeys(finalZkey)
+  );
+
+  return done(finalZkey);
+}
@@ -0,0 +1,198 @@
+// circuits/lib/variants.mjs
+//
+// (batchSize, smtLevels) variants of main and the parametric test wrappers (used by scripts/variants.mjs
+// and the circuit tests).
+//
+//   parseVariant("3x32")                 -> { batchSize: 3, smtLevels: 32 }
+//   readMainComponent(src)               -> { template, args, publics } of `component main ... = T(args);`
+//   generateVariant(v, { outRoot })      -> writes <outRoot>/b<batch>_s<levels>/<wrapper>.circom for every WRAPPERS entry
+//   compileVariant(gen, { only, opt })   -> circom --r1cs --wasm --sym per file, + constraint counts
+//   benchmarkVariant(gen, { ptau, ... }) -> witness time always; Groth16 setup + prove time when a ptau fits
+//
+// The committed files (circuits/main.circom, circuits/test_circuits/*_test.circom) stay the source of truth:
+// a variant is the same file with only the arguments of `component main` replaced. Generated files include
+// "templates/..." exactly like the originals, so they compile with `-l circuits` from the repo root.
+// <outRoot>/index.json lists every generated variant; the circuit tests pick them up from there.
+
+import fs from "node:fs";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+import * as snarkjs from "snarkjs";
+
+import { GraphState } from "./graph_state.mjs";
+import { buildBatchWitness, toCircuitJSON } from "./witness.mjs";
+import { REPO_ROOT, runSetup, requiredPower } from "./setup.mjs";
+
+export const VARIANTS_DIR = path.join(REPO_ROOT, "circuits/build/variants");
+
+// Which `component main` arguments follow batchSize / smtLevels.
+export const WRAPPERS = {
+  main: { source: "circuits/main.circom", args: (v) => [v.batchSize, v.smtLevels] },
+  process_batch_test: { source: "circuits/test_circuits/process_batch_test.circom", args: (v) => [v.batchSize, v.smtLevels] },
+  process_op_test: { source: "circuits/test_circuits/process_op_test.circom", args: (v) => [v.smtLevels] },
+  storage_hash_test: { source: "circuits/test_circuits/storage_hash_test.circom", args: (v) => [v.batchSize] },
+  storage_hash_bytes32_test: { source: "circuits/test_circuits/storage_hash_bytes32_test.circom", args: (v) => [v.batchSize] },
+};
+
+const MAIN_RE = /component\s+main\s*(\{[^}]*\})?\s*=\s*(\w+)\s*\(([^)]*)\)\s*;/;
+
+export function variantId({ batchSize, smtLevels }) {
+  return `b${batchSize}_s${smtLevels}`;
+}
+
+export function parseVariant(s) {
+  const m = String(s).trim().match(/^(\d+)x(\d+)$/);
+  if (!m) throw new Error(`bad variant "${s}" (expected <batchSize>x<smtLevels>, e.g. 3x32)`);
+  const v = { batchSize: Number(m[1]), smtLevels: Number(m[2]) };
+  // ilo / ihi are uint32 account indices: more than 32 levels buys nothing, fewer than 2 cannot hold a collision
+  if (v.batchSize < 1 || v.smtLevels < 2 || v.smtLevels > 32) throw new Error(`variant ${s} out of range (batchSize >= 1, 2 <= smtLevels <= 32)`);
+  return v;
+}
+
+export function readMainComponent(src) {
+  const m = src.match(MAIN_RE);
+  if (!m) throw new Error("no `component main = T(...)` found");
+  return {
+    template: m[2],
+    args: m[3].split(",").map((a) => a.trim()).filter(Boolean).map(Number),
+    publics: m[1] ?? null,
+  };
+}
+
+export function renderWrapper(src, args) {
+  if (!MAIN_RE.test(src)) throw new Error("no `component main = T(...)` found");
+  return src.replace(MAIN_RE, (_, publics, template) => `component main ${publics ? publics + " " : ""}= ${template}(${args.join(", ")});`);
+}
+
+// -------------------------------
+// Generate
+// -------------------------------
+function readIndex(outRoot) {
+  const file = path.join(outRoot, "index.json");
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : { variants: [] };
+}
+
+export function listVariants({ outRoot = VARIANTS_DIR } = {}) {
+  return readIndex(outRoot).variants;
+}
+
+export function generateVariant(v, { outRoot = VARIANTS_DIR } = {}) {
+  const id = variantId(v);
+  const dir = path.join(outRoot, id);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const files = {};
+  for (const [name, w] of Object.entries(WRAPPERS)) {
+    const src = fs.readFileSync(path.join(REPO_ROOT, w.source), "utf8");
+    files[name] = path.join(dir, `${name}.circom`);
+    const header = `// generated by circuits/scripts/variants.mjs from ${w.source} for ${id}; do not edit\n`;
+    fs.writeFileSync(files[name], header + renderWrapper(src, w.args(v)));
+  }
+
+  const index = readIndex(outRoot);
+  index.variants = [...index.variants.filter((x) => variantId(x) !== id), { batchSize: v.batchSize, smtLevels: v.smtLevels }]
+    .sort((a, b) => a.batchSize - b.batchSize || a.smtLevels - b.smtLevels);
+  fs.writeFileSync(path.join(outRoot, "index.json"), JSON.stringify(index, null, 2) + "\n");
+
+  return { id, batchSize: v.batchSize, smtLevels: v.smtLevels, dir, files };
+}
+
+// -------------------------------
+// Compile
+// -------------------------------
+export async function compileVariant(gen, { only = Object.keys(WRAPPERS), opt = "O1", logger } = {}) {
+  const out = {};
+  for (const name of only) {
+    const file = gen.files[name];
+    if (!file) throw new Error(`unknown wrapper ${name}`);
+    const t0 = performance.now();
+    const rel = (p) => path.relative(REPO_ROOT, p);
+    // circom resolves includes relative to its cwd; keep every path repo-relative
+    execFileSync(
+      "circom",
+      [rel(file), "--r1cs", "--wasm", "--sym", `--${opt}`, "-l", "node_modules", "-l", "circuits", "-o", rel(gen.dir)],
+      { cwd: REPO_ROOT, stdio: "ignore" }
+    );
+    const compileMs = performance.now() - t0;
+    const r1cs = path.join(gen.dir, `${name}.r1cs`);
+    const cir = await snarkjs.r1cs.info(r1cs);
+    out[name] = {
+      r1cs,
+      wasm: path.join(gen.dir, `${name}_js`, `${name}.wasm`),
+      nConstraints: cir.nConstraints,
+      nWires: cir.nVars,
+      requiredPower: requiredPower(cir),
+      compileMs: Math.round(compileMs),
+    };
+    logger?.info?.(`${gen.id} ${name}: ${cir.nConstraints} constraints (${out[name].compileMs} ms)`);
+  }
+  return out;
+}
+
+// -------------------------------
+// Benchmark main
+// -------------------------------
+// A full batch of distinct ADDs on a fresh graph: every slot does real SMT work.
+export async function sampleMainInput({ batchSize, smtLevels }) {
+  const state = await GraphState.create({ smtLevels });
+  const ops = Array.from({ length: batchSize }, (_, i) => ({ op: 1, ilo: 1, ihi: i + 2 }));
+  const built = await buildBatchWitness(state, ops, { batchId: 0n, start: 1, batchSize, smtLevels });
+  return toCircuitJSON(built.input);
+}
+
+// compiled: compileVariant(...).main. Proving needs a ptau (file or dir) that fits; otherwise proveMs is null
+// and `proveSkipped` says why.
+export async function benchmarkVariant(gen, compiled, { ptau, ptauDir, samples = 1, logger } = {}) {
+  const input = await sampleMainInput(gen);
+  const res = {
+    id: gen.id,
+    batchSize: gen.batchSize,
+    smtLevels: gen.smtLevels,
+    nConstraints: compiled.nConstraints,
+    constraintsPerOp: Math.round(compiled.nConstraints / gen.batchSize),
+    requiredPower: compiled.requiredPower,
+    witnessMs: null,
+    proveMs: null,
+    proveSkipped: null,
+  };
+
+  const wtns = { type: "mem" };
+  let t = 0;
+  for (let i = 0; i < samples; i++) {
+    const t0 = performance.now();
+    await snarkjs.wtns.calculate(input, compiled.wasm, wtns);
+    t += performance.now() - t0;
+  }
+  res.witnessMs = Math.round(t / samples);
+
+  if (!ptau && !ptauDir) {
+    res.proveSkipped = "no ptau given";
+    return res;
+  }
+
+  let zkey;
+  try {
+    const setup = await runSetup({
+      circuit: gen.files.main,
+      outDir: gen.dir,
+      ptau,
+      ptauDir,
+      contributions: 0,
+      verifier: path.join(gen.dir, "Verifier.sol"),
+      logger,
+    });
+    zkey = setup.paths.zkey;
+  } catch (e) {
+    res.proveSkipped = e.message.split("\n")[0];
+    return res;
+  }
+
+  t = 0;
+  for (let i = 0; i < samples; i++) {
+    const t0 = performance.now();
+    await snarkjs.groth16.prove(zkey, wtns);
+    t += performance.now() - t0;
+  }
+  res.proveMs = Math.round(t / samples);
+  return res;
+}
@@ -0,0 +1,127 @@
+// circuits/lib/witness.mjs
+//
+// Builds the full input object for Main(batchSize, smtLevels) (circuits/main.circom) from a
+// GraphState and the next n queued ops.
+//
+//   - slots [0, n) are the queued ops, in queue order, with GraphState witnesses
+//   - slots [n, batchSize) are NOP with all-zero witnesses (ProcessBatch forces ops/ilos/ihis = 0)
+//   - pubInput0 = mask253(sha256(oldRoot | newRoot | batchId | start | n | sha256(txDataFixed)))
+//   - a salted state (GraphState.create({ saltSecret })) adds salt_lo / salt_hi: the input of
+//     MainSalted (circuits/main_salted.circom) instead of Main. pubInput0 and txData are the same.
+//
+// NOTE: the state is advanced in place. If an op is rejected, the ops before it stay applied;
+// clone() the state first if you need all-or-nothing.
+
+import {
+  BI,
+  OP_NOP,
+  assertU32,
+  assertU64,
+  unpackTx,
+  buildTxDataFixedBytes,
+  storageHash as sha256StorageHash,
+  computePubInput0,
+  fieldToBytes32BE,
+} from "./encoding.mjs";
+
+// ops may be queue words (Rollup.unforged / getQueuedWords) or {op, ilo, ihi} records
+export function normalizeOps(ops) {
+  return ops.map((o) => {
+    if (typeof o === "bigint" || typeof o === "number" || typeof o === "string") return unpackTx(o);
+    return { op: Number(o.op), ilo: Number(o.ilo), ihi: Number(o.ihi) };
+  });
+}
+
+export async function buildBatchWitness(state, ops, { batchId, start, batchSize, smtLevels }) {
+  if (!Number.isInteger(batchSize) || batchSize <= 0) throw new Error(`bad batchSize: ${batchSize}`);
+  smtLevels = smtLevels ?? state.smtLevels;
+  if (smtLevels !== state.smtLevels) {
+    throw new Error(`smtLevels mismatch: circuit ${smtLevels}, state ${state.smtLevels}`);
+  }
+
+  const records = normalizeOps(ops);
+  if (records.length > batchSize) throw new Error(`too many ops: ${records.length} > batchSize ${batchSize}`);
+  for (const r of records) {
+    if (r.op === OP_NOP) throw new Error("NOP cannot be queued; pass only the first n ops");
+  }
+
+  const n = records.length;
+  batchId = assertU64(batchId, "batchId");
+  start = assertU32(start, "start");
+
+  const oldRoot = state.root;
+  const steps = [];
+  for (const r of records) steps.push(await state.apply(r));
+  while (steps.length < batchSize) steps.push(state.nop());
+  const newRoot = state.root;
+
+  const txData = buildTxDataFixedBytes(records, batchSize);
+  const storageHash = sha256StorageHash(txData);
+  const pubInput0 = computePubInput0({ oldRoot, newRoot, batchId, start, n, storageHash });
+
+  const col = (f) => steps.map(f);
+  const input = {
+    pubInput0,
+
+    oldRootF: oldRoot,
+    newRootF: newRoot,
+
+    batchId,
+    start,
+    numOps: BigInt(n),
+
+    ops: col((s) => BI(s.op)),
+    ilos: col((s) => BI(s.ilo)),
+    ihis: col((s) => BI(s.ihi)),
+
+    neighbors_lo: col((s) => s.lo.neighbors),
+    oldDeg_lo: col((s) => s.lo.oldDeg),
+    siblings_lo: col((s) => s.lo.siblings),
+    isOld0_lo: col((s) => s.lo.isOld0),
+    oldKey_lo: col((s) => s.lo.oldKey),
+    oldValue_lo: col((s) => s.lo.oldValue),
+    arrIdx_lo: col((s) => s.lo.arrIdx),
+
+    neighbors_hi: col((s) => s.hi.neighbors),
+    oldDeg_hi: col((s) => s.hi.oldDeg),
+    siblings_hi: col((s) => s.hi.siblings),
+    isOld0_hi: col((s) => s.hi.isOld0),
+    oldKey_hi: col((s) => s.hi.oldKey),
+    oldValue_hi: col((s) => s.hi.oldValue),
+    arrIdx_hi: col((s) => s.hi.arrIdx),
+
+    ...(state.salted && {
+      salt_lo: col((s) => s.lo.salt),
+      salt_hi: col((s) => s.hi.salt),
+    }),
+  };
+
+  return {
+    input,
+    n,
+    oldRoot,
+    newRoot,
+    // bytes32 the contract stores as latestGraphRoot
+    newGraphRoot: "0x" + fieldToBytes32BE(newRoot).toString("hex"),
+    pubInput0,
+    txData,
+    storageHash,
+    steps,
+  };
+}
+
+// Circuit input -> plain JSON (bigints as decimal strings), as snarkjs / witness_calculator expect.
+export function toCircuitJSON(x) {
+  if (typeof x === "bigint") return x.toString();
+  if (Array.isArray(x)) return x.map(toCircuitJSON);
+  if (x && typeof x === "object") {
+    return Object.fromEntries(Object.entries(x).map(([k, v]) => [k, toCircuitJSON(v)]));
+  }
+  return x;
+}
+
+// The ProcessBatch test wrapper has the same inputs as Main, minus pubInput0 (exposed as out[0]).
+export function withoutPubInput0(input) {
+  const { pubInput0: _p, ...rest } = input;
+  return rest;
+}
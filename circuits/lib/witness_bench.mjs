@@ -0,0 +1,135 @@
+// circuits/lib/witness_bench.mjs
+//
+// Per-batch witness latency: a fresh calculator per witness (what calcWitness did before WitnessEngine)
+// against the engine at one or more thread counts (used by scripts/witness.mjs).
+//
+//   benchmarkWitness({ circuit?, wasm?, input?, samples?, threads?, format?, outDir?, logger? })
+//     -> { circuit, wasm, wasmBytes, samples, format, rows: [row] }
+//
+// row: { mode: "cold" | "engine", threads, firstMs, avgMs, p50Ms, p95Ms, perSec }
+//   cold     every witness reads the wasm, compiles it and builds a calculator on the main thread
+//   engine   one WitnessEngine per thread count; firstMs is the first witness (wasm read, worker start,
+//            calculator build), the other samples stream through the pool. avg / p50 / p95 are the
+//            worker's time per witness, perSec the wall-clock throughput of the streamed samples.
+//
+// - Without `wasm`, `circuit` (default circuits/main.circom) is compiled with --wasm into outDir unless it is
+//   already there. Without `input` the circuit must be main-shaped (variants.mjs sampleMainInput).
+// - format "wtns" has the workers write <outDir>/wtns/<i>.wtns, as ProofService does; "bigint" copies the
+//   witness back as bigint[].
+
+import fs from "node:fs";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+import { createRequire } from "node:module";
+
+import { REPO_ROOT } from "./setup.mjs";
+import { readMainComponent, sampleMainInput } from "./variants.mjs";
+import { WitnessEngine, defaultThreads, ensureCjs } from "./witness_engine.mjs";
+
+const require = createRequire(import.meta.url);
+
+function compileWasm(circuit, outDir) {
+  const name = path.basename(circuit, ".circom");
+  const wasm = path.join(outDir, `${name}_js`, `${name}.wasm`);
+  if (fs.existsSync(wasm)) return wasm;
+  fs.mkdirSync(outDir, { recursive: true });
+  const rel = (p) => path.relative(REPO_ROOT, path.resolve(p));
+  execFileSync("circom", [rel(circuit), "--wasm", "--O1", "-l", "node_modules", "-l", "circuits", "-o", rel(outDir)], {
+    cwd: REPO_ROOT,
+    stdio: "ignore",
+  });
+  return wasm;
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function summarize(mode, threads, times, firstMs, wallMs) {
+  const sorted = [...times].sort((a, b) => a - b);
+  const r1 = (x) => (x === null ? null : Math.round(x * 10) / 10);
+  return {
+    mode,
+    threads,
+    firstMs: r1(firstMs),
+    avgMs: r1(times.reduce((a, b) => a + b, 0) / times.length),
+    p50Ms: r1(percentile(sorted, 50)),
+    p95Ms: r1(percentile(sorted, 95)),
+    perSec: r1((times.length * 1000) / wallMs),
+  };
+}
+
+async function coldWitness(wasm, input) {
+  const factory = require(ensureCjs(path.join(path.dirname(wasm), "witness_calculator.js")));
+  const wc = await factory(fs.readFileSync(wasm));
+  return wc.calculateWitness(input, true);
+}
+
+export async function benchmarkWitness({
+  circuit = path.join(REPO_ROOT, "circuits/main.circom"),
+  wasm,
+  input,
+  samples = 8,
+  threads = [...new Set([1, defaultThreads()])],
+  format = "bigint",
+  outDir,
+  logger,
+} = {}) {
+  if (!Number.isInteger(samples) || samples < 2) throw new Error("samples must be an integer >= 2");
+  if (!["bigint", "wtns"].includes(format)) throw new Error(`unknown format ${format} (bigint or wtns)`);
+  const name = path.basename(wasm ?? circuit).replace(/\.(circom|wasm)$/, "");
+  outDir = path.resolve(outDir ?? path.join(REPO_ROOT, "circuits/build/witness", name));
+
+  const compiled = !wasm;
+  if (compiled) {
+    logger?.info(`compiling ${path.relative(REPO_ROOT, path.resolve(circuit))} (--wasm) into ${outDir}`);
+    wasm = compileWasm(circuit, outDir);
+  }
+  wasm = path.resolve(wasm);
+  if (!input) {
+    const { args } = readMainComponent(fs.readFileSync(circuit, "utf8"));
+    input = await sampleMainInput({ batchSize: args[0], smtLevels: args[1] });
+  }
+
+  const res = {
+    circuit: compiled ? path.relative(REPO_ROOT, path.resolve(circuit)) : null,
+    wasm: path.relative(REPO_ROOT, wasm),
+    wasmBytes: fs.statSync(wasm).size,
+    samples,
+    format,
+    rows: [],
+  };
+
+  // cold: the witness time is all there is, so every sample is a "first" one
+  logger?.info(`cold: ${samples} witnesses, a new calculator each`);
+  const cold = [];
+  const t0 = performance.now();
+  for (let i = 0; i < samples; i++) {
+    const t1 = performance.now();
+    await coldWitness(wasm, input);
+    cold.push(performance.now() - t1);
+  }
+  res.rows.push(summarize("cold", 1, cold, null, performance.now() - t0));
+
+  const wtnsDir = path.join(outDir, "wtns");
+  if (format === "wtns") fs.mkdirSync(wtnsDir, { recursive: true });
+  for (const n of threads) {
+    logger?.info(`engine: ${samples} witnesses on ${n} thread(s)`);
+    const engine = new WitnessEngine({ threads: n });
+    try {
+      const opts = format === "wtns" ? { outDir: wtnsDir } : { format };
+      const t1 = performance.now();
+      await engine.calculate(wasm, input, format === "wtns" ? { out: path.join(wtnsDir, "first.wtns") } : {});
+      const firstMs = performance.now() - t1;
+
+      const times = [];
+      const t2 = performance.now();
+      for await (const { ms } of engine.stream(wasm, Array(samples).fill(input), opts)) times.push(ms);
+      res.rows.push(summarize("engine", n, times, firstMs, performance.now() - t2));
+    } finally {
+      await engine.close();
+    }
+  }
+  if (format === "wtns") fs.rmSync(wtnsDir, { recursive: true, force: true });
+  return res;
+}
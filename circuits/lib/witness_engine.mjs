@@ -0,0 +1,252 @@
+// circuits/lib/witness_engine.mjs
+//
+// Cached wasm witness engine: reads each circuit's wasm once, keeps a pool of worker_threads that each build
+// its witness calculator once, and hands witnesses back in memory or as .wtns files. Used by circuit_eval.mjs,
+// fuzz.mjs and the tests (withEngine), and by ProofService, which proves from the .wtns it writes.
+//
+//   const engine = new WitnessEngine({ threads: 2 });
+//   await engine.calculate(wasm, input)                     -> bigint[] (like circom_tester's calculateWitness)
+//   await engine.calculate(wasm, input, { format: "wtns" }) -> Uint8Array, the .wtns file snarkjs reads
+//                                                              (snarkjs.groth16.prove(zkey, { type: "mem", data }))
+//   await engine.calculate(wasm, input, { out: "x.wtns" })  -> "x.wtns", written by the worker
+//   for await (const { index, result, ms } of engine.stream(wasm, inputs, { format, outDir })) ...
+//                                                           -> in input order, threads * 2 witnesses in flight;
+//                                                              with outDir, result is <outDir>/<index>.wtns
+//   engine.load(wasm)    -> the cache entry (re-read when the wasm's size or mtime changes, i.e. after a recompile;
+//                           the workers drop the old build's calculator then, so recompiles do not pile up)
+//   engine.stats()       -> { threads, workers, busy, queued, cached, circuits: [{ wasm, loads, calls, failed, avgMs }] }
+//                           cached = calculators held across the workers
+//   await engine.close() -> terminates the workers; queued calls reject with ENGINE_CLOSED
+//
+//   sharedEngine() / closeSharedEngine()   one engine per process (ZKGRAF_WITNESS_THREADS sets its size)
+//   withEngine(tester, engine?)            routes a circom_tester wasm_tester's calculateWitness through it
+//
+// The witness calculator is the build's own <name>_js/witness_calculator.js (loaded as .cjs, since the repo is
+// "type": "module"). Idle workers are unref'd, so a script that never calls close() still exits.
+// `ms` / avgMs are the worker's time for one witness, without queueing or the copy back.
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { Worker } from "node:worker_threads";
+
+const WORKER = fileURLToPath(new URL("./witness_worker.mjs", import.meta.url));
+const FORMATS = ["bigint", "wtns"];
+
+function fail(code, message = code) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+export function defaultThreads() {
+  const env = Number(process.env.ZKGRAF_WITNESS_THREADS);
+  if (Number.isInteger(env) && env > 0) return env;
+  return Math.max(1, Math.min(4, (os.availableParallelism?.() ?? os.cpus().length) - 1));
+}
+
+// witness_calculator.js is CommonJS inside a "type": "module" package: require a .cjs copy next to it
+export function ensureCjs(wcalcJsPath) {
+  const absJs = path.resolve(wcalcJsPath);
+  if (!fs.existsSync(absJs)) throw new Error(`witness_calculator.js not found: ${absJs}`);
+
+  const absCjs = absJs.replace(/\.js$/, ".cjs");
+  if (!fs.existsSync(absCjs) || fs.statSync(absCjs).mtimeMs < fs.statSync(absJs).mtimeMs) fs.copyFileSync(absJs, absCjs);
+  return absCjs;
+}
+
+// -------------------------------
+// Engine
+// -------------------------------
+export class WitnessEngine {
+  constructor({ threads = defaultThreads(), log = () => {} } = {}) {
+    if (!Number.isInteger(threads) || threads < 1) throw new Error(`threads must be an integer >= 1, got ${threads}`);
+    this.threads = threads;
+    this.log = log;
+
+    this.circuits = new Map(); // abs wasm path -> { key, wasm, code, wcalc, loads, calls, failed, totalMs }
+    this.pool = []; // { worker, loaded: Set(key), job }
+    this.queue = [];
+    this.nextId = 1;
+    this.closed = false;
+  }
+
+  load(wasm) {
+    const abs = path.resolve(wasm);
+    if (!fs.existsSync(abs)) throw new Error(`.wasm not found: ${abs}`);
+    const st = fs.statSync(abs);
+    const key = `${abs}:${st.size}:${st.mtimeMs}`;
+
+    let c = this.circuits.get(abs);
+    if (c?.key !== key) {
+      const wcalc = ensureCjs(path.join(path.dirname(abs), "witness_calculator.js"));
+      if (c) this._evict(c.key);
+      else this.circuits.set(abs, (c = { loads: 0, calls: 0, failed: 0, totalMs: 0 }));
+      // updated in place: queued jobs pick up the new build, running ones already sent the old key
+      Object.assign(c, { key, wasm: abs, code: fs.readFileSync(abs), wcalc });
+      c.loads++;
+      this.log(`witness engine: loaded ${path.basename(abs)} (${c.code.length} bytes)`);
+    }
+    return c;
+  }
+
+  async calculate(wasm, input, opts = {}) {
+    return (await this._run(wasm, input, opts)).result;
+  }
+
+  async *stream(wasm, inputs, { outDir, ...opts } = {}) {
+    const list = [...inputs];
+    if (outDir) fs.mkdirSync(outDir, { recursive: true });
+    const start = (index) => {
+      const out = outDir ? path.join(outDir, `${index}.wtns`) : undefined;
+      const p = this._run(wasm, list[index], { ...opts, ...(out && { out }) }).then((r) => ({ index, ...r }));
+      // awaited in order below; a later failure must not surface as unhandled meanwhile
+      p.catch(() => {});
+      return p;
+    };
+
+    const inFlight = [];
+    let next = 0;
+    while (next < list.length && inFlight.length < this.threads * 2) inFlight.push(start(next++));
+    while (inFlight.length) {
+      const r = await inFlight.shift();
+      if (next < list.length) inFlight.push(start(next++));
+      yield r;
+    }
+  }
+
+  stats() {
+    return {
+      threads: this.threads,
+      workers: this.pool.length,
+      busy: this.pool.filter((w) => w.job).length,
+      queued: this.queue.length,
+      cached: this.pool.reduce((n, w) => n + w.loaded.size, 0),
+      circuits: [...this.circuits.values()].map((c) => ({
+        wasm: c.wasm,
+        loads: c.loads,
+        calls: c.calls,
+        failed: c.failed,
+        avgMs: c.calls ? Math.round(c.totalMs / c.calls) : null,
+      })),
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    for (const job of this.queue.splice(0)) job.reject(fail("ENGINE_CLOSED", "witness engine closed"));
+    const pool = this.pool.splice(0);
+    for (const w of pool) w.job?.reject(fail("ENGINE_CLOSED", "witness engine closed"));
+    await Promise.all(pool.map((w) => w.worker.terminate()));
+  }
+
+  _run(wasm, input, { format = "bigint", out, sanityCheck = true } = {}) {
+    if (this.closed) return Promise.reject(fail("ENGINE_CLOSED", "witness engine closed"));
+    if (!FORMATS.includes(format)) return Promise.reject(new Error(`unknown format ${format} (one of ${FORMATS.join(", ")})`));
+    let circuit;
+    try {
+      circuit = this.load(wasm);
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        id: this.nextId++,
+        circuit,
+        msg: { input, format: out ? "wtns" : format, out: out && path.resolve(out), sanityCheck },
+        resolve,
+        reject,
+      };
+      this.queue.push(job);
+      this._pump();
+    });
+  }
+
+  // a worker handles messages in order, so a calc it was already sent for `key` still finds its calculator
+  _evict(key) {
+    for (const w of this.pool) if (w.loaded.delete(key)) w.worker.postMessage({ type: "evict", key });
+  }
+
+  _spawn() {
+    const w = { worker: new Worker(WORKER), loaded: new Set(), job: null };
+    w.worker.on("message", (msg) => this._reply(w, msg));
+    w.worker.on("error", (e) => this._lost(w, e));
+    w.worker.on("exit", (code) => this._lost(w, new Error(`witness worker exited with code ${code}`)));
+    this.pool.push(w);
+    return w;
+  }
+
+  _pump() {
+    while (this.queue.length) {
+      const w = this.pool.find((x) => !x.job) ?? (this.pool.length < this.threads ? this._spawn() : null);
+      if (!w) return;
+      const job = this.queue.shift();
+      const { key, code, wcalc } = job.circuit;
+      if (!w.loaded.has(key)) {
+        w.worker.postMessage({ type: "load", key, code, wcalc });
+        w.loaded.add(key);
+      }
+      w.job = job;
+      w.worker.ref();
+      w.worker.postMessage({ type: "calc", id: job.id, key, ...job.msg });
+    }
+  }
+
+  _reply(w, msg) {
+    const job = w.job;
+    if (!job || job.id !== msg.id) return;
+    w.job = null;
+    w.worker.unref();
+
+    const c = job.circuit;
+    if (msg.error !== undefined) {
+      c.failed++;
+      job.reject(new Error(msg.error));
+    } else {
+      c.calls++;
+      c.totalMs += msg.ms;
+      const result = msg.witness ?? (msg.out !== undefined ? msg.out : msg.wtns);
+      job.resolve({ result, ms: Math.round(msg.ms * 10) / 10 });
+    }
+    this._pump();
+  }
+
+  // a worker that died takes its job with it; the next call spawns a fresh one
+  _lost(w, err) {
+    const i = this.pool.indexOf(w);
+    if (i < 0) return;
+    this.pool.splice(i, 1);
+    if (w.job) {
+      w.job.circuit.failed++;
+      w.job.reject(err);
+    }
+    this.log(`witness engine: worker lost: ${err.message}`);
+    this._pump();
+  }
+}
+
+// -------------------------------
+// Shared engine / circom_tester
+// -------------------------------
+let shared = null;
+
+export function sharedEngine() {
+  shared ??= new WitnessEngine();
+  return shared;
+}
+
+export async function closeSharedEngine() {
+  const e = shared;
+  shared = null;
+  await e?.close();
+}
+
+// circom_tester compiles into <dir>/<baseName>_js/; its checkConstraints / assertOut keep working on the result
+export function withEngine(tester, engine = sharedEngine()) {
+  const wasm = path.join(tester.dir, `${tester.baseName}_js`, `${tester.baseName}.wasm`);
+  tester.calculateWitness = (input, sanityCheck = true) => engine.calculate(wasm, input, { sanityCheck });
+  tester.wasm = wasm;
+  return tester;
+}
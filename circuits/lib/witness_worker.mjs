@@ -0,0 +1,79 @@
+// circuits/lib/witness_worker.mjs
+//
+// worker_thread body for WitnessEngine: one witness calculator per circuit, built from the wasm bytes the
+// engine sends once per worker, then reused for every witness.
+//   { type: "load", key, code, wcalc }                        -> (no reply)
+//   { type: "evict", key }                                    -> (no reply) drops the circuit and its calculator
+//   { type: "calc", id, key, input, format, out, sanityCheck } -> { id, ms, witness | wtns | out } or { id, error }
+// A calculator that threw is dropped and rebuilt on the next call: the circom runtime keeps appending to
+// one error string and may be left mid-computation.
+
+import fs from "node:fs";
+import { createRequire } from "node:module";
+import { parentPort } from "node:worker_threads";
+
+const require = createRequire(import.meta.url);
+
+const sources = new Map(); // key -> { code, wcalc }
+const calculators = new Map(); // key -> Promise<witness calculator>
+
+async function build({ code, wcalc }) {
+  const mod = require(wcalc);
+  const factory =
+    (typeof mod === "function" ? mod :
+     typeof mod?.default === "function" ? mod.default :
+     typeof mod?.builder === "function" ? mod.builder :
+     null);
+  if (!factory) throw new Error(`Unexpected witness_calculator export. typeof=${typeof mod} keys=${Object.keys(mod || {}).join(",")}`);
+
+  const wc = await factory(code);
+  const target =
+    (typeof wc?.calculateWitness === "function") ? wc :
+    (typeof wc?.witnessCalculator?.calculateWitness === "function") ? wc.witnessCalculator :
+    null;
+  if (!target) throw new Error(`No calculateWitness found. keys(wc)=${Object.keys(wc || {}).join(",")}`);
+  return target;
+}
+
+function calculator(key) {
+  if (!calculators.has(key)) {
+    const src = sources.get(key);
+    if (!src) throw new Error(`circuit ${key} was never loaded into this worker`);
+    const p = build(src);
+    p.catch(() => calculators.delete(key));
+    calculators.set(key, p);
+  }
+  return calculators.get(key);
+}
+
+parentPort.on("message", async (msg) => {
+  if (msg.type === "load") {
+    sources.set(msg.key, { code: msg.code, wcalc: msg.wcalc });
+    calculators.delete(msg.key);
+    return;
+  }
+  if (msg.type === "evict") {
+    sources.delete(msg.key);
+    calculators.delete(msg.key);
+    return;
+  }
+
+  const { id, key, input, format, out, sanityCheck } = msg;
+  const t0 = performance.now();
+  try {
+    const wc = await calculator(key);
+    if (format === "bigint") {
+      const witness = (await wc.calculateWitness(input, sanityCheck)).map((x) => (typeof x === "bigint" ? x : BigInt(x.toString())));
+      return parentPort.postMessage({ id, ms: performance.now() - t0, witness });
+    }
+    const bin = await wc.calculateWTNSBin(input, sanityCheck);
+    if (out) {
+      fs.writeFileSync(out, bin);
+      return parentPort.postMessage({ id, ms: performance.now() - t0, out });
+    }
+    parentPort.postMessage({ id, ms: performance.now() - t0, wtns: bin }, [bin.buffer]);
+  } catch (e) {
+    calculators.delete(key);
+    parentPort.postMessage({ id, error: String(e?.message ?? e) });
+  }
+});
@@ -34,7 +34,7 @@ template Main(batchSize, smtLevels) {
     signal input oldValue_hi[batchSize];
     signal input arrIdx_hi[batchSize];
 
-    component pb = ProcessBatch(batchSize, smtLevels);
+    component pb = ProcessBatch(batchSize, smtLevels, 0);
 
     pb.oldRootF <== oldRootF;
     pb.newRootF <== newRootF;
@@ -0,0 +1,203 @@
+// circuits/scripts/analytics.mjs
+//
+// Trust-graph questions over the off-chain graph state (see circuits/lib/analytics.mjs).
+//
+// Usage:
+//   node circuits/scripts/analytics.mjs <command> <source> [--registry 0xRegistry [--rpc http://127.0.0.1:8545]]
+//
+//   source:  --state circuits/build/forger-state.json | --forger-store circuits/build/forger-store |
+//            --events circuits/build/index/events.jsonl [--at <batchId>]
+//
+//   summary                                   accounts, edges, components, degree distribution, accounts at the cap
+//   hops       --idx n | --address 0x.. [--max-hops 3] [--list]
+//   components [--top 10]
+//   degrees
+//   cap        [--margin 0]                   accounts with degree >= MAX_DEGREE - margin
+//   mutual     --idx a [--with b] [--top 20]
+//   rank       [--seed n ...] [--damping 0.85] [--top 20]
+//   export     --format graphml|csv --out file [--rank] [--seed n ...]   csv writes <out>.nodes.csv / <out>.edges.csv
+//
+// Notes:
+// - --state accepts a GraphState JSON or a forger snapshot ({ batchId, fromBlock, graph }).
+// - --events replays an indexer store (scripts/indexer.mjs) and checks every root; --at defaults to the last batch.
+//   Addresses then come from its AccountCreated events; otherwise pass --registry to call idxToAccount.
+// - Prints JSON on stdout.
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { JsonRpcProvider, Contract } from "ethers";
+
+import { GraphState } from "../lib/graph_state.mjs";
+import { ForgerStore } from "../lib/forger_store.mjs";
+import { Indexer, JsonlStore } from "../lib/indexer.mjs";
+import { REGISTRY_ABI } from "../lib/rollup_abi.mjs";
+import {
+  adjacency,
+  addressesFromEvents,
+  bfs,
+  components,
+  degreeDistribution,
+  hopCounts,
+  mutualCounts,
+  mutualNeighbors,
+  nearCap,
+  resolveAddresses,
+  summarize,
+  toCSV,
+  toGraphML,
+  trustRank,
+} from "../lib/analytics.mjs";
+
+const COMMANDS = ["summary", "hops", "components", "degrees", "cap", "mutual", "rank", "export"];
+const USAGE =
+  `usage: node circuits/scripts/analytics.mjs <${COMMANDS.join("|")}> ` +
+  "(--state file | --forger-store dir | --events file [--at batchId]) [--registry addr [--rpc url]] [command options]";
+
+function stringify(obj) {
+  return JSON.stringify(obj, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+function writeFile(p, text) {
+  fs.mkdirSync(path.dirname(path.resolve(p)), { recursive: true });
+  fs.writeFileSync(p, text);
+}
+
+// -> { graph: GraphState | GraphState JSON, events: indexer events | null }
+async function loadGraph(values) {
+  const smtLevels = Number(values["smt-levels"]);
+  if (values.state) {
+    const json = JSON.parse(fs.readFileSync(values.state, "utf8"));
+    return { graph: json.graph ?? json, events: null };
+  }
+  if (values["forger-store"]) {
+    const store = await new ForgerStore(values["forger-store"], { smtLevels }).open();
+    return { graph: store.state, events: null };
+  }
+  if (values.events) {
+    const indexer = await new Indexer({ rollup: null, store: new JsonlStore(values.events), smtLevels }).init();
+    const last = indexer.batches().at(-1);
+    const at = values.at ?? last?.args.batchId;
+    const graph = at === undefined ? await GraphState.create({ smtLevels }) : await indexer.stateAt(BigInt(at));
+    return { graph, events: indexer.events };
+  }
+  throw new Error(USAGE);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      state: { type: "string" },
+      "forger-store": { type: "string" },
+      events: { type: "string" },
+      at: { type: "string" },
+      "smt-levels": { type: "string", default: "32" },
+      registry: { type: "string" },
+      rpc: { type: "string", default: "http://127.0.0.1:8545" },
+      idx: { type: "string" },
+      address: { type: "string" },
+      with: { type: "string" },
+      "max-hops": { type: "string", default: "3" },
+      list: { type: "boolean", default: false },
+      top: { type: "string" },
+      margin: { type: "string", default: "0" },
+      seed: { type: "string", multiple: true },
+      damping: { type: "string", default: "0.85" },
+      format: { type: "string" },
+      out: { type: "string" },
+      rank: { type: "boolean", default: false },
+    },
+  });
+
+  const cmd = positionals[0];
+  if (!COMMANDS.includes(cmd)) throw new Error(USAGE);
+
+  const { graph, events } = await loadGraph(values);
+  const adj = adjacency(graph);
+  const registry = values.registry ? new Contract(values.registry, REGISTRY_ABI, new JsonRpcProvider(values.rpc)) : null;
+
+  // idx -> address for the accounts an answer mentions
+  const known = events ? addressesFromEvents(events) : new Map();
+  const addressesFor = async (idxs) => {
+    const missing = registry ? idxs.filter((i) => !known.has(i)) : [];
+    for (const [i, a] of await resolveAddresses(registry, missing)) known.set(i, a);
+    return known;
+  };
+  const withAddresses = async (rows) => {
+    const addrs = await addressesFor(rows.map((r) => r.idx));
+    return rows.map((r) => (addrs.has(r.idx) ? { ...r, address: addrs.get(r.idx) } : r));
+  };
+  const top = (rows, n) => (values.top !== undefined ? rows.slice(0, Number(values.top)) : n === undefined ? rows : rows.slice(0, n));
+
+  let idx = values.idx !== undefined ? Number(values.idx) : undefined;
+  if (values.address) {
+    const want = values.address.toLowerCase();
+    idx = [...known].find(([, a]) => a === want)?.[0] ?? (registry ? Number(await registry.accountIdx(values.address)) : undefined);
+    if (!idx) throw new Error(`no account index for ${values.address} (pass --events or --registry)`);
+  }
+  const needIdx = () => {
+    if (idx === undefined) throw new Error(`${cmd} needs --idx or --address`);
+    if (!adj.has(idx)) throw new Error(`account ${idx} has no leaf in the graph`);
+    return idx;
+  };
+
+  let out;
+  if (cmd === "summary") out = summarize(adj);
+
+  if (cmd === "hops") {
+    const src = needIdx();
+    const maxHops = Number(values["max-hops"]);
+    const dist = bfs(adj, src, { maxHops });
+    out = { idx: src, maxHops, within: dist.size - 1, byHops: hopCounts(dist).filter((h) => h.hops > 0) };
+    if (values.list) out.accounts = await withAddresses([...dist].filter(([, h]) => h > 0).map(([i, hops]) => ({ idx: i, hops })));
+  }
+
+  if (cmd === "components") {
+    const comps = components(adj);
+    out = { components: comps.length, sizes: top(comps, 10).map((m) => ({ size: m.length, members: m.length <= 20 ? m : m.slice(0, 20) })) };
+  }
+
+  if (cmd === "degrees") out = degreeDistribution(adj);
+
+  if (cmd === "cap") out = await withAddresses(nearCap(adj, { margin: Number(values.margin) }));
+
+  if (cmd === "mutual") {
+    const a = needIdx();
+    if (values.with !== undefined) {
+      const b = Number(values.with);
+      const mutual = mutualNeighbors(adj, a, b);
+      out = { a, b, linked: (adj.get(a) ?? []).includes(b), mutual: mutual.length, neighbors: mutual };
+    } else {
+      out = await withAddresses(top(mutualCounts(adj, a), 20));
+    }
+  }
+
+  const rank = () => trustRank(adj, { seeds: (values.seed ?? []).map(Number), damping: Number(values.damping) });
+  if (cmd === "rank") out = await withAddresses(top(rank(), 20));
+
+  if (cmd === "export") {
+    if (!["graphml", "csv"].includes(values.format) || !values.out) throw new Error("export needs --format graphml|csv and --out");
+    const opts = { addresses: await addressesFor([...adj.keys()]), rank: values.rank || values.seed ? rank() : undefined };
+    const files = [];
+    if (values.format === "graphml") {
+      writeFile(values.out, toGraphML(adj, opts));
+      files.push(values.out);
+    } else {
+      const { nodes, edges } = toCSV(adj, opts);
+      files.push(`${values.out}.nodes.csv`, `${values.out}.edges.csv`);
+      writeFile(files[0], nodes);
+      writeFile(files[1], edges);
+    }
+    out = { accounts: adj.size, files };
+  }
+
+  process.stdout.write(stringify(out) + "\n");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error(e?.stack || e);
+    process.exit(1);
+  });
@@ -0,0 +1,100 @@
+// circuits/scripts/backends.mjs
+//
+// Proving time, proof size and verification gas of one circuit under Groth16, PLONK and FFLONK
+// (see circuits/lib/backend_bench.mjs).
+//
+// Usage:
+//   node circuits/scripts/backends.mjs [circuits/main.circom] [--input input.json] \
+//     [--protocol groth16 --protocol plonk --protocol fflonk] [--ptau <file> | --ptau-dir circuits/powersOfTau] \
+//     [--samples 1] [--out circuits/build/backends/<name>] [--rpc http://127.0.0.1:8545 [--private-key 0x..] [--solc solc]] \
+//     [--json] [--quiet]
+//
+// Notes:
+// - Without --input the circuit must be main-shaped: the input is a full batch of ADDs for its (batchSize, smtLevels).
+// - Main(3,32) (434477 R1CS constraints, 868935 PLONK gates) needs ptau power 19 for Groth16, 20 for PLONK and
+//   23 for FFLONK; a protocol whose ptau is missing from --ptau-dir is listed as skipped.
+// - Verification gas is only measured against a node: --rpc with solc on PATH deploys each exported verifier
+//   (from --private-key, or the node's first unlocked account, e.g. anvil) and estimates verifyProof.
+//   Otherwise the gas column shows "-" and the calldata gas (EIP-2028 byte pricing) is all there is.
+// - Setups are cached in --out like scripts/setup.mjs; the Groth16 zkey is single-party (benchmark only).
+// - Prints a table on stdout (or JSON with --json); progress goes to stderr.
+
+import fs from "node:fs";
+import { parseArgs } from "node:util";
+
+import { PROTOCOLS } from "../lib/backends.mjs";
+import { benchmarkBackends } from "../lib/backend_bench.mjs";
+
+function table(res) {
+  const cols = [
+    ["protocol", (r) => r.protocol],
+    ["gates", (r) => r.gates ?? ""],
+    ["ptau", (r) => r.ptauPower ?? ""],
+    ["setup ms", (r) => r.setupMs ?? ""],
+    ["prove ms", (r) => r.proveMs ?? ""],
+    ["verify ms", (r) => r.verifyMs ?? ""],
+    ["proof B", (r) => r.proofBytes ?? ""],
+    ["json B", (r) => r.proofJsonBytes ?? ""],
+    ["calldata gas", (r) => r.calldataGas ?? ""],
+    ["verify gas", (r) => r.verifyGas ?? (r.skipped ? "" : "-")],
+  ];
+  const rows = res.rows;
+  const cells = [cols.map(([h]) => h), ...rows.map((r) => cols.map(([, f]) => String(f(r))))];
+  const width = cols.map((_, i) => Math.max(...cells.map((c) => c[i].length)));
+  const lines = cells.map((c) => c.map((s, i) => (i < 1 ? s.padEnd(width[i]) : s.padStart(width[i]))).join("  ").trimEnd());
+  const notes = [
+    ...rows.filter((r) => r.skipped).map((r) => `${r.protocol} skipped: ${r.skipped}`),
+    ...[...new Set(rows.map((r) => r.gasSkipped).filter(Boolean))].map((g) => `verify gas not measured: ${g}`),
+  ];
+  const head = `${res.circuit}: ${res.nConstraints ?? "?"} constraints, witness ${res.witnessMs ?? "?"} ms`;
+  return [head, ...lines, ...notes].join("\n") + "\n";
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      input: { type: "string" },
+      protocol: { type: "string", multiple: true },
+      ptau: { type: "string" },
+      "ptau-dir": { type: "string" },
+      samples: { type: "string", default: "1" },
+      out: { type: "string" },
+      rpc: { type: "string" },
+      "private-key": { type: "string" },
+      solc: { type: "string", default: "solc" },
+      json: { type: "boolean", default: false },
+      quiet: { type: "boolean", default: false },
+    },
+  });
+
+  const protocols = values.protocol ?? PROTOCOLS;
+  for (const p of protocols) if (!PROTOCOLS.includes(p)) throw new Error(`unknown --protocol ${p} (one of ${PROTOCOLS.join(", ")})`);
+  const samples = Number(values.samples);
+  if (!Number.isInteger(samples) || samples < 1) throw new Error("--samples must be an integer >= 1");
+
+  const res = await benchmarkBackends({
+    ...(positionals[0] && { circuit: positionals[0] }),
+    ...(values["ptau-dir"] && { ptauDir: values["ptau-dir"] }),
+    input: values.input ? JSON.parse(fs.readFileSync(values.input, "utf8")) : undefined,
+    protocols,
+    outDir: values.out,
+    ptau: values.ptau,
+    samples,
+    rpc: values.rpc,
+    privateKey: values["private-key"],
+    solc: values.solc,
+    logger: values.quiet ? undefined : { info: (m) => process.stderr.write(m + "\n") },
+  });
+
+  if (values.json) process.stdout.write(JSON.stringify(res, null, 2) + "\n");
+  else process.stdout.write(table(res));
+
+  // snarkjs leaves bn128 worker threads running
+  await globalThis.curve_bn128?.terminate();
+}
+
+main().catch((e) => {
+  console.error(e?.stack || e);
+  process.exit(1);
+});
@@ -0,0 +1,87 @@
+// circuits/scripts/build-witness.mjs
+//
+// Builds the Main(batchSize, smtLevels) input JSON for the next batch.
+//
+// Usage:
+//   node circuits/scripts/build-witness.mjs \
+//     --ops '[{"op":1,"ilo":1,"ihi":2},{"op":1,"ilo":2,"ihi":3}]' \
+//     --batch-id 0 --start 1 \
+//     [--state circuits/build/state.json] [--state-out circuits/build/state.json] \
+//     [--batch-size 3] [--smt-levels 32] [--out circuits/build/input.json]
+//
+// Notes:
+// - --ops accepts {op,ilo,ihi} records or packed queue words (decimal / 0x strings), in queue order.
+// - --ops may also be a path to a JSON file.
+// - --state is a GraphState JSON file (GraphState.toJSON()); omitted => empty graph. A --state that does not
+//   exist is an error, not an empty graph.
+// - Prints the input JSON to stdout unless --out is given; a summary goes to stderr.
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+import { GraphState } from "../lib/graph_state.mjs";
+import { buildBatchWitness, toCircuitJSON } from "../lib/witness.mjs";
+
+function readJsonArg(v) {
+  if (fs.existsSync(v)) return JSON.parse(fs.readFileSync(v, "utf8"));
+  return JSON.parse(v);
+}
+
+function writeJson(p, obj) {
+  fs.mkdirSync(path.dirname(path.resolve(p)), { recursive: true });
+  fs.writeFileSync(p, JSON.stringify(obj, null, 2));
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      ops: { type: "string" },
+      "batch-id": { type: "string" },
+      start: { type: "string" },
+      state: { type: "string" },
+      "state-out": { type: "string" },
+      "batch-size": { type: "string", default: "3" },
+      "smt-levels": { type: "string", default: "32" },
+      out: { type: "string" },
+    },
+  });
+
+  if (!values.ops || values["batch-id"] === undefined || values.start === undefined) {
+    throw new Error(
+      "usage: node circuits/scripts/build-witness.mjs --ops <json|file> --batch-id <n> --start <txId> " +
+      "[--state file] [--state-out file] [--batch-size 3] [--smt-levels 32] [--out file]"
+    );
+  }
+
+  const smtLevels = Number(values["smt-levels"]);
+  const batchSize = Number(values["batch-size"]);
+
+  if (values.state !== undefined && !fs.existsSync(values.state)) throw new Error(`--state file not found: ${values.state}`);
+  const state = values.state !== undefined
+    ? await GraphState.fromJSON(JSON.parse(fs.readFileSync(values.state, "utf8")), { smtLevels })
+    : await GraphState.create({ smtLevels });
+
+  const w = await buildBatchWitness(state, readJsonArg(values.ops), {
+    batchId: BigInt(values["batch-id"]),
+    start: BigInt(values.start),
+    batchSize,
+    smtLevels,
+  });
+
+  const json = toCircuitJSON(w.input);
+  if (values.out) writeJson(values.out, json);
+  else process.stdout.write(JSON.stringify(json));
+
+  if (values["state-out"]) writeJson(values["state-out"], state.toJSON());
+
+  console.error(
+    `n=${w.n} oldRoot=${w.oldRoot} newRoot=${w.newRoot} newGraphRoot=${w.newGraphRoot} ` +
+    `storageHash=0x${w.storageHash.toString("hex")} pubInput0=${w.pubInput0}`
+  );
+}
+
+main().catch((e) => {
+  console.error(e?.stack || e);
+  process.exit(1);
+});
@@ -0,0 +1,98 @@
+// circuits/scripts/calldata.mjs
+//
+// snarkjs proof.json + public.json -> Solidity arguments / calldata, verified locally first.
+//
+// Usage:
+//   node circuits/scripts/calldata.mjs --proof proof.json --public public.json \
+//     [--vkey circuits/build/main/verification_key.json | --no-verify] \
+//     [--format json|args|verify|submit|ffi] [--new-root 0x.. --n 3]
+//
+// Formats (stdout):
+//   json    (default) { protocol, args: { a, b, c, input }, verified, ffi, verifyProofCalldata, submitBatch?, submitBatchCalldata? }
+//   args    a, b, c, input as one line of Solidity / cast literals: [..] [[..],[..]] [..] [..]
+//   verify  0x calldata for IGroth16Verifier.verifyProof(a, b, c, input)
+//   submit  0x calldata for Rollup.submitBatch(newGraphRoot, n, a, b, c); needs --new-root and --n
+//   ffi     base64(abi.encode(uint256[2], uint256[2][2], uint256[2], uint256[k])) for vm.ffi
+//
+// PLONK / FFLONK proofs (from a `--protocol plonk|fflonk` setup) are detected from proof.json: args is then
+// { proof, input } (24 words), verify targets the exported PlonkVerifier / FflonkVerifier and ffi encodes
+// (uint256[24] | bytes32[24], uint256[k]). --vkey defaults to build/main/verification_key_<protocol>.json.
+// submit is Groth16-only: Rollup.submitBatch takes a, b, c.
+//
+// Notes:
+// - A proof that fails local verification exits 1 with PROOF_INVALID and prints nothing.
+// - newGraphRoot / n are not in the proof (pubInput0 is a hash); take them from build-witness.mjs output.
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { fileURLToPath } from "node:url";
+
+import { formatProof } from "../lib/calldata.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const circuitsDir = path.join(__dirname, "..");
+
+const FORMATS = ["json", "args", "verify", "submit", "ffi"];
+
+const readJson = (p) => JSON.parse(fs.readFileSync(p, "utf8"));
+const list = (xs) => `[${xs.map((x) => (Array.isArray(x) ? list(x) : x)).join(",")}]`;
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      proof: { type: "string" },
+      public: { type: "string" },
+      vkey: { type: "string" },
+      "no-verify": { type: "boolean", default: false },
+      format: { type: "string", default: "json" },
+      "new-root": { type: "string" },
+      n: { type: "string" },
+    },
+  });
+
+  if (!values.proof || !values.public || !FORMATS.includes(values.format)) {
+    throw new Error(
+      "usage: node circuits/scripts/calldata.mjs --proof proof.json --public public.json " +
+      `[--vkey file | --no-verify] [--format ${FORMATS.join("|")}] [--new-root 0x.. --n count]`
+    );
+  }
+  if (values.format === "submit" && (!values["new-root"] || !values.n)) {
+    throw new Error("--format submit needs --new-root and --n");
+  }
+  const proof = readJson(values.proof);
+  const protocol = proof.protocol ?? "groth16";
+  const vkey = values.vkey ?? path.join(circuitsDir, `build/main/verification_key${protocol === "groth16" ? "" : `_${protocol}`}.json`);
+  const verify = !values["no-verify"];
+  if (verify && !fs.existsSync(vkey)) {
+    throw new Error(`missing verification key: ${vkey} (pass --vkey, or --no-verify to skip the check)`);
+  }
+
+  const out = await formatProof({
+    proof,
+    publicSignals: readJson(values.public),
+    vkey: verify ? vkey : undefined,
+    verify,
+    newGraphRoot: values["new-root"],
+    n: values.n,
+  });
+
+  if (values.format === "json") console.log(JSON.stringify(out, null, 2));
+  if (values.format === "args") {
+    const { a, b, c, proof: words, input } = out.args;
+    console.log((protocol === "groth16" ? [a, b, c, input] : [words, input]).map(list).join(" "));
+  }
+  if (values.format === "verify") {
+    if (!out.verifyProofCalldata) throw new Error(`verifyProof takes one public signal, got ${out.args.input.length}`);
+    console.log(out.verifyProofCalldata);
+  }
+  if (values.format === "submit") console.log(out.submitBatchCalldata);
+  if (values.format === "ffi") process.stdout.write(out.ffi);
+}
+
+main()
+  .catch((e) => {
+    console.error(e.code === "PROOF_INVALID" ? `PROOF_INVALID: ${e.message}` : e?.stack || e);
+    process.exitCode = 1;
+  })
+  .finally(() => globalThis.curve_bn128?.terminate());
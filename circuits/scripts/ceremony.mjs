@@ -0,0 +1,134 @@
+// circuits/scripts/ceremony.mjs
+//
+// Offline multi-party phase-2 ceremony (see circuits/lib/ceremony.mjs). Zkeys move as plain files.
+//
+// Coordinator:
+//   node circuits/scripts/ceremony.mjs init     --dir <ceremony> --r1cs circuits/build/main/main.r1cs \
+//                                               (--ptau <file> | --ptau-dir circuits/powersOfTau) [--contributor alice]...
+//   node circuits/scripts/ceremony.mjs add      --dir <ceremony> --contributor bob
+//   node circuits/scripts/ceremony.mjs drop     --dir <ceremony> --contributor bob
+//   node circuits/scripts/ceremony.mjs next     --dir <ceremony> [--out /media/usb/main_in.zkey]
+//   node circuits/scripts/ceremony.mjs accept   --dir <ceremony> --zkey /media/usb/main_out.zkey
+//   node circuits/scripts/ceremony.mjs finalize --dir <ceremony> [--beacon <hex>] [--iterations 10]
+//   node circuits/scripts/ceremony.mjs status   --dir <ceremony>
+//
+// Contributor (their own machine, no network needed):
+//   node circuits/scripts/ceremony.mjs contribute --in main_in.zkey --out main_out.zkey --name alice [--entropy <text>]
+//
+// Anyone:
+//   node circuits/scripts/ceremony.mjs verify --dir <ceremony> [--r1cs <file>] [--ptau <file>] [--zkey <final.zkey>]
+//
+// Notes:
+// - accept runs `snarkjs zkey verify` (r1cs + ptau + zkey) and requires the zkey to carry exactly the accepted
+//   contributions plus one new one, labelled with the name at the head of the queue (a free-text label that
+//   anyone can set, not a signature).
+// - contribute prints the contribution hash; keep it and look for it in the final ceremony.json.
+// - finalize's --beacon should be public randomness fixed in advance (e.g. a future block hash); random if omitted.
+// - verify exits 0 if the final zkey matches ceremony.json, 1 otherwise.
+
+import { parseArgs } from "node:util";
+
+import { Ceremony, contribute, verifyTranscript } from "../lib/ceremony.mjs";
+
+const USAGE =
+  "usage: node circuits/scripts/ceremony.mjs <init|add|drop|next|accept|finalize|status|contribute|verify> [options]\n" +
+  "       (see the header of circuits/scripts/ceremony.mjs)";
+
+function print(obj) {
+  process.stdout.write(JSON.stringify(obj, null, 2) + "\n");
+}
+
+function need(values, ...keys) {
+  for (const k of keys) if (values[k] === undefined) throw new Error(`--${k} is required\n${USAGE}`);
+}
+
+async function run(cmd, values) {
+  if (cmd === "contribute") {
+    need(values, "in", "out", "name");
+    const contributionHash = await contribute({ input: values.in, output: values.out, name: values.name, entropy: values.entropy });
+    print({ name: values.name, contributionHash, out: values.out });
+    return 0;
+  }
+
+  if (cmd === "verify") {
+    need(values, "dir");
+    const res = await verifyTranscript({ dir: values.dir, r1cs: values.r1cs, ptau: values.ptau, zkey: values.zkey });
+    print(res);
+    return res.ok ? 0 : 1;
+  }
+
+  need(values, "dir");
+  if (cmd === "init") {
+    need(values, "r1cs");
+    if (!values.ptau && !values["ptau-dir"]) throw new Error(`--ptau or --ptau-dir is required\n${USAGE}`);
+    const c = await Ceremony.init({
+      dir: values.dir,
+      r1cs: values.r1cs,
+      ptau: values.ptau,
+      ptauDir: values["ptau-dir"],
+      contributors: values.contributor ?? [],
+    });
+    print(c.transcript);
+    return 0;
+  }
+
+  const c = Ceremony.load(values.dir);
+  switch (cmd) {
+    case "add":
+      need(values, "contributor");
+      for (const n of values.contributor) c.add(n);
+      print({ queue: c.transcript.queue });
+      return 0;
+    case "drop":
+      need(values, "contributor");
+      for (const n of values.contributor) c.drop(n);
+      print({ queue: c.transcript.queue });
+      return 0;
+    case "next":
+      print(c.next({ out: values.out }));
+      return 0;
+    case "accept":
+      need(values, "zkey");
+      print(await c.accept(values.zkey));
+      return 0;
+    case "finalize":
+      print(await c.finalize({ beacon: values.beacon, iterations: Number(values.iterations) }));
+      return 0;
+    case "status":
+      print(c.transcript);
+      return 0;
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      dir: { type: "string" },
+      r1cs: { type: "string" },
+      ptau: { type: "string" },
+      "ptau-dir": { type: "string" },
+      contributor: { type: "string", multiple: true },
+      out: { type: "string" },
+      in: { type: "string" },
+      zkey: { type: "string" },
+      name: { type: "string" },
+      entropy: { type: "string" },
+      beacon: { type: "string" },
+      iterations: { type: "string", default: "10" },
+    },
+  });
+
+  const code = await run(positionals[0], values);
+
+  // snarkjs leaves bn128 worker threads running
+  await globalThis.curve_bn128?.terminate();
+  process.exit(code);
+}
+
+main().catch((e) => {
+  console.error(e?.stack || e);
+  process.exit(1);
+});
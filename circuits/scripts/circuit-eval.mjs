@@ -10,134 +10,43 @@
 // 2) PubInputsMasked wrapper where main.pubInput0 is the output field element / u256:
 //    node circuits/scripts/circuit-eval.mjs pubInput0_u256 '{"oldRootF":"123", ... }'
 //
+// 3) Generic: any compiled circuit, any mix of signals, ABI-encoded for `abi.decode` in Foundry:
+//    node circuits/scripts/circuit-eval.mjs eval '{
+//      "circuit": "storage_hash_bytes32_test",          // -> circuits/build/<circuit>/ (or pass "buildDir")
+//      "input":   {"ilo":[10,20,0],"ihi":[11,21,0],"op":[1,2,0]},
+//      "outputs": ["outBytes:bytes32", "sh.digest:uint8[256]", "ilo"]
+//    }'
+//    => base64(abi.encode(bytes32, uint8[256], uint256[]))
+//
+//    Output specs are "signal[:type]" or {"signal","type"}; signal paths are relative to main
+//    ("pb.ops", "pb.ops[1]", "sh.digest"). Types: uint<N>, bool, bytes32 (one field element or 32 byte
+//    signals), bytes, and fixed/dynamic arrays of those; default is uint256 with the signal's array rank.
+//
+//    Several inputs of one circuit in one call (the wasm is loaded once, witnesses run on a worker pool):
+//    node circuits/scripts/circuit-eval.mjs evalMany '{ "circuit": "...", "inputs": [{...}, {...}], "outputs": [...] }'
+//    => base64(abi.encode(bytes[])), element i = the eval output for inputs[i]
+//
+// 4) Prove a queued batch with the real Main zkey (circuits/build/main, from `npm run circuits:setup`):
+//    node circuits/scripts/circuit-eval.mjs proveBatch '{
+//      "words":   ["1099511628289", ...],     // Rollup.getQueuedWords(start, n), decimal or 0x
+//      "batchId": 0, "start": 1,
+//      "history": [[...], [...]]              // optional: words of every earlier batch, in order
+//    }'
+//    => base64(abi.encode(bytes32 newGraphRoot, uint256[2] a, uint256[2][2] b, uint256[2] c))
+//
 // Notes:
 // - The JSON must match the circuit input signal names.
 // - For array inputs, pass JS arrays (numbers or strings).
 // - For big field elements, pass strings (decimal) to avoid JS precision loss.
 
-import fs from "node:fs";
-import path from "node:path";
-import { createRequire } from "node:module";
-
-const require = createRequire(import.meta.url);
-
-// -------------------------------
-// CJS interop for witness_calculator.js
-// -------------------------------
-function ensureCjs(wcalcJsPath) {
-  const absJs = path.resolve(wcalcJsPath);
-  if (!fs.existsSync(absJs)) throw new Error(`witness_calculator.js not found: ${absJs}`);
-
-  const absCjs = absJs.replace(/\.js$/, ".cjs");
-  if (!fs.existsSync(absCjs)) fs.copyFileSync(absJs, absCjs);
-
-  return absCjs;
-}
-
-async function calcWitnessArray(wasmPath, wcalcJsPath, input) {
-  const cjsPath = ensureCjs(wcalcJsPath);
-  const mod = require(cjsPath);
-
-  const factory =
-    (typeof mod === "function" ? mod :
-     typeof mod?.default === "function" ? mod.default :
-     typeof mod?.builder === "function" ? mod.builder :
-     null);
-
-  if (!factory) {
-    throw new Error(
-      `Unexpected witness_calculator export. typeof=${typeof mod} keys=${Object.keys(mod || {}).join(",")}`
-    );
-  }
-
-  const wasmAbs = path.resolve(wasmPath);
-  if (!fs.existsSync(wasmAbs)) throw new Error(`.wasm not found: ${wasmAbs}`);
-  const wasm = fs.readFileSync(wasmAbs);
-
-  const wc = await factory(wasm);
-
-  const target =
-    (wc && typeof wc.calculateWitness === "function") ? wc :
-    (wc?.witnessCalculator && typeof wc.witnessCalculator.calculateWitness === "function") ? wc.witnessCalculator :
-    null;
-
-  if (!target) throw new Error(`No calculateWitness found. keys(wc)=${Object.keys(wc || {}).join(",")}`);
-
-  return await target.calculateWitness(input, 0);
-}
-
-// -------------------------------
-// .sym parsing
-// circom sym: labelId,witnessIdx,componentId,signalName
-// Example: 1,1,106,main.outBytes[0]
-// -------------------------------
-function parseSym(symPath) {
-  const abs = path.resolve(symPath);
-  if (!fs.existsSync(abs)) throw new Error(`.sym not found: ${abs}`);
-
-  const txt = fs.readFileSync(abs, "utf8");
-  const map = new Map();
-
-  for (const line of txt.split("\n")) {
-    const s = line.trim();
-    if (!s) continue;
-    const parts = s.split(",");
-    if (parts.length >= 4) {
-      const witnessIdxStr = parts[1].trim();
-      const name = parts.slice(3).join(",").trim();
-      if (/^\d+$/.test(witnessIdxStr) && name.length > 0) map.set(name, Number(witnessIdxStr));
-    }
-  }
-
-  if (map.size === 0) throw new Error(`parsed 0 symbols from .sym: ${abs}`);
-  return map;
-}
-
-// -------------------------------
-// Discover artifacts under buildDir
-// - *_js/witness_calculator.js
-// - *.wasm in same folder
-// - *.sym somewhere under buildDir
-// -------------------------------
-function discoverArtifacts(buildDir) {
-  const absBuild = path.resolve(buildDir);
-  if (!fs.existsSync(absBuild)) throw new Error(`build dir not found: ${absBuild}`);
-
-  let wcalcPath = null;
-
-  // find witness_calculator.js
-  const stack = [absBuild];
-  while (stack.length) {
-    const d = stack.pop();
-    for (const ent of fs.readdirSync(d, { withFileTypes: true })) {
-      const p = path.join(d, ent.name);
-      if (ent.isDirectory()) stack.push(p);
-      else if (ent.isFile() && ent.name === "witness_calculator.js") wcalcPath = p;
-    }
-  }
-  if (!wcalcPath) throw new Error(`could not find witness_calculator.js under ${absBuild}`);
-
-  // wasm next to it
-  const jsDir = path.dirname(wcalcPath);
-  const wasmFiles = fs.readdirSync(jsDir).filter((n) => n.endsWith(".wasm"));
-  if (wasmFiles.length === 0) throw new Error(`no .wasm next to witness_calculator.js in ${jsDir}`);
-  const wasmPath = path.join(jsDir, wasmFiles[0]);
-
-  // find a .sym under buildDir (usually buildDir/*.sym)
-  let symPath = null;
-  const stack2 = [absBuild];
-  while (stack2.length) {
-    const d = stack2.pop();
-    for (const ent of fs.readdirSync(d, { withFileTypes: true })) {
-      const p = path.join(d, ent.name);
-      if (ent.isDirectory()) stack2.push(p);
-      else if (ent.isFile() && ent.name.endsWith(".sym")) symPath = p;
-    }
-  }
-  if (!symPath) throw new Error(`could not find any .sym under ${absBuild}`);
-
-  return { wasmPath, wcalcPath, symPath };
-}
+import {
+  resolveArtifacts,
+  loadSym,
+  calcWitness,
+  evalCircuit,
+  evalMany,
+  proveBatch,
+} from "../lib/circuit_eval.mjs";
 
 // -------------------------------
 // Helpers: read signals from witness
@@ -198,11 +107,11 @@ function stdoutB64(buf) {
 async function mode_storageHashBytes32(args) {
   // expects wrapper: main.outBytes[0..31]
   const buildDir = "circuits/build/storagehash";
-  const { wasmPath, wcalcPath, symPath } = discoverArtifacts(buildDir);
-  const sym = parseSym(symPath);
+  const art = resolveArtifacts({ buildDir, circuit: args.circuit });
+  const sym = loadSym(art.symPath);
 
   const input = { ilo: args.ilo, ihi: args.ihi, op: args.op };
-  const witness = await calcWitnessArray(wasmPath, wcalcPath, input);
+  const witness = await calcWitness(art, input);
 
   const outBytes = readOutBytes32(sym, witness, "outBytes");
   stdoutB64(Buffer.from(outBytes));
@@ -217,12 +126,12 @@ async function mode_outBytes32(args) {
   const baseName = args.baseName ?? "outBytes";
 
   // remove meta keys from inputs
-  const { buildDir: _bd, baseName: _bn, ...input } = args;
+  const { buildDir: _bd, baseName: _bn, circuit, ...input } = args;
 
-  const { wasmPath, wcalcPath, symPath } = discoverArtifacts(buildDir);
-  const sym = parseSym(symPath);
+  const art = resolveArtifacts({ buildDir, circuit });
+  const sym = loadSym(art.symPath);
 
-  const witness = await calcWitnessArray(wasmPath, wcalcPath, input);
+  const witness = await calcWitness(art, input);
   const outBytes = readOutBytes32(sym, witness, baseName);
 
   stdoutB64(Buffer.from(outBytes));
@@ -237,12 +146,12 @@ async function mode_pubInput0_u256(args) {
   const buildDir = args.buildDir;
   if (!buildDir) throw new Error("pubInput0_u256 mode requires args.buildDir");
 
-  const { buildDir: _bd, ...input } = args;
+  const { buildDir: _bd, circuit, ...input } = args;
 
-  const { wasmPath, wcalcPath, symPath } = discoverArtifacts(buildDir);
-  const sym = parseSym(symPath);
+  const art = resolveArtifacts({ buildDir, circuit });
+  const sym = loadSym(art.symPath);
 
-  const witness = await calcWitnessArray(wasmPath, wcalcPath, input);
+  const witness = await calcWitness(art, input);
 
   // sym key can be "main.pubInput0" or something containing "pubInput0"
   const key = findKey(sym, "main.pubInput0", "pubInput0");
@@ -258,6 +167,28 @@ async function mode_pubInput0_u256(args) {
   stdoutB64(buf);
 }
 
+async function mode_eval(args) {
+  // { "circuit": "name", "buildDir"?: "...", "input": {...}, "outputs": ["sig[:type]", ...] }
+  if (!args.input || !args.outputs) throw new Error("eval mode requires args.input and args.outputs");
+  const { abi } = await evalCircuit(args);
+  stdoutB64(abi);
+}
+
+async function mode_evalMany(args) {
+  // { "circuit": "name", "buildDir"?: "...", "inputs": [{...}, ...], "outputs": ["sig[:type]", ...] }
+  if (!args.inputs || !args.outputs) throw new Error("evalMany mode requires args.inputs and args.outputs");
+  const { abi } = await evalMany(args);
+  stdoutB64(abi);
+}
+
+async function mode_proveBatch(args) {
+  // { "words": [...], "batchId": 0, "start": 1, "history"?: [[...]], "buildDir"?, "circuit"?, "batchSize"?, "smtLevels"? }
+  const { abi } = await proveBatch(args);
+  stdoutB64(abi);
+  // snarkjs leaves bn128 worker threads running
+  await globalThis.curve_bn128?.terminate();
+}
+
 // -------------------------------
 // Entrypoint
 // -------------------------------
@@ -268,7 +199,7 @@ async function main() {
   if (!mode || !jsonStr) {
     throw new Error(
       "usage: node circuits/scripts/circuit-eval.mjs <mode> <json>\n" +
-      "modes: storageHashBytes32 | outBytes32 | pubInput0_u256"
+      "modes: storageHashBytes32 | outBytes32 | pubInput0_u256 | eval | evalMany | proveBatch"
     );
   }
 
@@ -281,6 +212,12 @@ async function main() {
       return await mode_outBytes32(args);
     case "pubInput0_u256":
       return await mode_pubInput0_u256(args);
+    case "eval":
+      return await mode_eval(args);
+    case "evalMany":
+      return await mode_evalMany(args);
+    case "proveBatch":
+      return await mode_proveBatch(args);
     default:
       throw new Error(`unknown mode: ${mode}`);
   }
@@ -0,0 +1,186 @@
+// circuits/scripts/forger.mjs
+//
+// Forger daemon: watches Rollup's unforged queue, proves batches with Main(3,32) and submits them.
+//
+// Usage:
+//   FORGER_PRIVATE_KEY=0x... node circuits/scripts/forger.mjs --rollup 0xRollup \
+//     [--rpc http://127.0.0.1:8545] \
+//     [--wasm circuits/build/main/main_js/main.wasm] [--zkey circuits/build/main/zkey/main_final.zkey] \
+//     [--state circuits/build/forger-state.json] [--from-block 0] \
+//     [--interval 5000] [--smt-levels 32] [--once] [--prover-url http://127.0.0.1:8650] \
+//     [--store circuits/build/forger-store [--confirmations 12] [--check]] \
+//     [--policy eager|full-batch|max-latency|profit [--target-latency s] [--max-wait s] [--min-profit-wei w] \
+//      [--prove-cost-wei w] [--prove-seconds s] [--gas-base g] [--gas-per-op g]]
+//
+// Notes:
+// - --state holds { batchId, fromBlock, graph } and is rewritten after every submitted batch.
+//   Without it the forger starts from an empty graph and replays every BatchSubmitted from --from-block.
+// - --once runs a single forge attempt and exits (0 on submitted/idle/deferred, 1 otherwise).
+// - --prover-url sends witnesses to a proof service (circuits/scripts/prover.mjs) instead of proving
+//   in-process; --wasm/--zkey are then unused.
+// - --store keeps the graph in a ForgerStore (lib/forger_store.mjs) instead of --state: every batch is
+//   journaled as it is applied, and a reorg that drops BatchSubmitted / TxQueued logs rolls the state back to
+//   the last batch `--confirmations` blocks deep. --state is ignored when --store is given.
+// - --check recomputes the stored root from its leaves, compares it with latestGraphRoot and exits
+//   (0 if both match); no key is needed.
+// - --policy decides when a non-empty queue is worth a proof (lib/schedule.mjs); the default, eager, forges
+//   whatever is queued on every tick. Compare policies on past traffic with scripts/schedule.mjs first.
+// - A DIVERGENCE (local model != on-chain root) stops the daemon; fix or rebuild the state file / store.
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { fileURLToPath } from "node:url";
+import { JsonRpcProvider, Wallet, Contract } from "ethers";
+
+import { GraphState } from "../lib/graph_state.mjs";
+import { ROLLUP_ABI } from "../lib/rollup_abi.mjs";
+import { Forger, groth16Prover } from "../lib/forger.mjs";
+import { ForgerStore } from "../lib/forger_store.mjs";
+import { POLICY_OPTIONS, policyFromArgs } from "../lib/schedule.mjs";
+import { httpProver } from "../lib/prover.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const circuitsDir = path.join(__dirname, "..");
+
+function writeJson(p, obj) {
+  fs.mkdirSync(path.dirname(path.resolve(p)), { recursive: true });
+  fs.writeFileSync(p, JSON.stringify(obj, null, 2));
+}
+
+function fmt(res) {
+  const { status, ...rest } = res;
+  const parts = Object.entries(rest)
+    .filter(([k]) => k !== "error")
+    .map(([k, v]) => `${k}=${v}`);
+  if (res.error) parts.push(`error=${res.error?.shortMessage || res.error?.message || res.error}`);
+  return `[forger] ${status} ${parts.join(" ")}`.trim();
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      rpc: { type: "string", default: "http://127.0.0.1:8545" },
+      rollup: { type: "string" },
+      "private-key": { type: "string" },
+      wasm: { type: "string", default: path.join(circuitsDir, "build/main/main_js/main.wasm") },
+      zkey: { type: "string", default: path.join(circuitsDir, "build/main/zkey/main_final.zkey") },
+      state: { type: "string" },
+      "from-block": { type: "string", default: "0" },
+      interval: { type: "string", default: "5000" },
+      "smt-levels": { type: "string", default: "32" },
+      once: { type: "boolean", default: false },
+      "prover-url": { type: "string" },
+      store: { type: "string" },
+      confirmations: { type: "string", default: "12" },
+      check: { type: "boolean", default: false },
+      policy: { type: "string", default: "eager" },
+      ...POLICY_OPTIONS,
+    },
+  });
+
+  const smtLevels = Number(values["smt-levels"]);
+  const log = (m) => console.error(`[forger] ${m}`);
+  const store = values.store
+    ? await new ForgerStore(values.store, { smtLevels, confirmations: Number(values.confirmations), log }).open({
+        fromBlock: Number(values["from-block"]),
+      })
+    : null;
+
+  if (values.check) {
+    if (!store || !values.rollup) throw new Error("usage: node circuits/scripts/forger.mjs --check --store <dir> --rollup <addr> [--rpc url]");
+    const rollup = new Contract(values.rollup, ROLLUP_ABI, new JsonRpcProvider(values.rpc));
+    const onchainBatch = BigInt(await rollup.batchId());
+    // latestGraphRoot only describes our state when the chain is at the same batch
+    const latest = onchainBatch === BigInt(store.batchId) ? await rollup.latestGraphRoot() : undefined;
+    const res = await store.check(store.state, latest);
+    console.log(JSON.stringify({ ...res, batchId: store.batchId, onchainBatchId: onchainBatch.toString() }, null, 2));
+    process.exit(res.ok ? 0 : 1);
+  }
+
+  const pk = values["private-key"] ?? process.env.FORGER_PRIVATE_KEY;
+  if (!values.rollup || !pk) {
+    throw new Error(
+      "usage: FORGER_PRIVATE_KEY=0x.. node circuits/scripts/forger.mjs --rollup <addr> [--rpc url] " +
+      "[--wasm file] [--zkey file] [--state file] [--from-block n] [--interval ms] [--smt-levels 32] [--once] " +
+      "[--prover-url url] [--store dir [--confirmations 12] [--check]] [--policy name ...]"
+    );
+  }
+  if (!values["prover-url"]) {
+    for (const f of [values.wasm, values.zkey]) {
+      if (!fs.existsSync(f)) throw new Error(`missing artifact: ${f}`);
+    }
+  }
+
+  const provider = new JsonRpcProvider(values.rpc);
+  const wallet = new Wallet(pk, provider);
+  const rollup = new Contract(values.rollup, ROLLUP_ABI, wallet);
+
+  let snap = { batchId: "0", fromBlock: Number(values["from-block"]), graph: null };
+  if (store) {
+    snap = { batchId: String(store.batchId), fromBlock: store.fromBlock, graph: null };
+  } else if (values.state && fs.existsSync(values.state)) {
+    snap = JSON.parse(fs.readFileSync(values.state, "utf8"));
+  }
+
+  const state = store
+    ? store.state
+    : snap.graph
+      ? await GraphState.fromJSON(snap.graph, { smtLevels })
+      : await GraphState.create({ smtLevels });
+
+  const forger = await new Forger({
+    rollup,
+    state,
+    batchId: BigInt(snap.batchId),
+    fromBlock: snap.fromBlock,
+    prover: values["prover-url"]
+      ? httpProver({ url: values["prover-url"] })
+      : groth16Prover({ wasm: values.wasm, zkey: values.zkey }),
+    store,
+    policy: values.policy === "eager" ? undefined : policyFromArgs(values),
+    log,
+  }).init();
+
+  const save = () => {
+    if (values.state && !store) writeJson(values.state, forger.snapshot());
+  };
+
+  console.error(
+    `[forger] ${await wallet.getAddress()} rollup=${values.rollup} batchId=${forger.batchId} ` +
+    `fromBlock=${forger.fromBlock} MAX_BATCH=${forger.maxBatch}`
+  );
+
+  if (values.once) {
+    const res = await forger.forgeOnce();
+    save();
+    console.error(fmt(res));
+    process.exit(["submitted", "idle", "deferred"].includes(res.status) ? 0 : 1);
+  }
+
+  const ctl = new AbortController();
+  process.once("SIGINT", () => ctl.abort());
+  process.once("SIGTERM", () => ctl.abort());
+
+  let deferredLag = null; // log a deferral once per queue length, not every tick
+  await forger.run({
+    intervalMs: Number(values.interval),
+    signal: ctl.signal,
+    onResult: (res) => {
+      if (res.status === "deferred") {
+        if (res.lag !== deferredLag) console.error(fmt(res));
+        deferredLag = res.lag;
+        return;
+      }
+      deferredLag = null;
+      if (res.status !== "idle") console.error(fmt(res));
+      if (res.status === "submitted") save();
+    },
+  });
+  save();
+}
+
+main().catch((e) => {
+  console.error(e?.stack || e);
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+// circuits/scripts/fuzz.mjs
+//
+// Differential fuzzing of the JS state model against ProcessBatch (see circuits/lib/fuzz.mjs).
+//
+// Usage:
+//   node circuits/scripts/fuzz.mjs [--seeds 50] [--from 1] [--variant 3x32]... [--batches 3] \
+//     [--fixtures circuits/fixtures/fuzz] [--no-shrink]
+//
+// Notes:
+// - Without --variant, runs the committed ProcessBatchTest wrapper; each --variant runs the generated one
+//   (circuits/build/variants/<id>/process_batch_test.circom).
+// - Seeds --from .. --from+seeds-1; the same seed and variant always produce the same case.
+// - A failing seed is shrunk to one minimal batch and written to --fixtures as seed-<seed>-b<batch>_s<levels>.json;
+//   test/fuzz.test.js replays every fixture there. --no-shrink saves the full case instead.
+// - Exits 1 if any seed failed. One line per seed on stdout; compile progress goes to stderr.
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+import { FIXTURES_DIR, circuitEvaluator, genCase, runCase, saveFixture, shrinkCase } from "../lib/fuzz.mjs";
+import { REPO_ROOT } from "../lib/setup.mjs";
+import { WRAPPERS, generateVariant, parseVariant, readMainComponent } from "../lib/variants.mjs";
+
+function targets(variants) {
+  if (!variants?.length) {
+    const source = path.join(REPO_ROOT, WRAPPERS.process_batch_test.source);
+    const [batchSize, smtLevels] = readMainComponent(fs.readFileSync(source, "utf8")).args;
+    return [{ id: "committed", path: source, batchSize, smtLevels }];
+  }
+  return variants.map(parseVariant).map((v) => {
+    const gen = generateVariant(v);
+    return { id: gen.id, path: gen.files.process_batch_test, batchSize: gen.batchSize, smtLevels: gen.smtLevels };
+  });
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      seeds: { type: "string", default: "50" },
+      from: { type: "string", default: "1" },
+      variant: { type: "string", multiple: true },
+      batches: { type: "string", default: "3" },
+      fixtures: { type: "string", default: FIXTURES_DIR },
+      "no-shrink": { type: "boolean", default: false },
+    },
+  });
+
+  const from = Number(values.from);
+  const seeds = Number(values.seeds);
+  const batches = Number(values.batches);
+  let failed = 0;
+
+  for (const t of targets(values.variant)) {
+    process.stderr.write(`compiling ${path.relative(REPO_ROOT, t.path)}\n`);
+    const evalBatch = await circuitEvaluator(t.path);
+
+    for (let seed = from; seed < from + seeds; seed++) {
+      const c = genCase(seed, { batchSize: t.batchSize, smtLevels: t.smtLevels, batches });
+      const ops = c.prefix.length + c.batches.flat().length;
+      const res = await runCase(c, evalBatch);
+      if (res.ok) {
+        process.stdout.write(`${t.id} seed ${seed} ${c.scenario} ${ops} ops ok\n`);
+        continue;
+      }
+
+      failed++;
+      process.stdout.write(`${t.id} seed ${seed} ${c.scenario} FAIL batch ${res.batch} ${res.kind}: ${res.message}\n`);
+      const min = values["no-shrink"]
+        ? { ...c, failure: { kind: res.kind, message: res.message } }
+        : await shrinkCase(c, res, evalBatch);
+      const file = saveFixture(values.fixtures, min);
+      const minOps = min.prefix.length + min.batches.flat().length;
+      process.stdout.write(`  ${minOps} ops -> ${path.relative(process.cwd(), file)}\n`);
+    }
+  }
+
+  process.stdout.write(failed ? `${failed} failing seed(s)\n` : "all seeds ok\n");
+  return failed ? 1 : 0;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (e) => {
+    console.error(e?.stack || e);
+    process.exit(1);
+  }
+);
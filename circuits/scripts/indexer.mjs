@@ -0,0 +1,111 @@
+// circuits/scripts/indexer.mjs
+//
+// Indexes Rollup / Registry events into a JSON-lines store and re-verifies every newGraphRoot.
+//
+// Usage:
+//   node circuits/scripts/indexer.mjs --rollup 0xRollup \
+//     [--rpc http://127.0.0.1:8545] [--registry 0xRegistry] \
+//     [--store circuits/build/index/events.jsonl] [--from-block 0] [--to-block latest] [--chunk 5000] \
+//     [--smt-levels 32] [--at <batchId>] [--follow <ms>]
+//
+// Notes:
+// - --registry defaults to rollup.registry().
+// - --from-block should be at or before the Rollup deployment block: roots are recomputed from batch 0.
+// - Prints a JSON report to stdout: { cursor, events, batches, latestRoot, divergence }.
+//   With --at k the report also contains the graph (GraphState.toJSON()) after batch k.
+// - Exit code 2 on divergence. --follow keeps polling every <ms> until SIGINT.
+
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { fileURLToPath } from "node:url";
+import { JsonRpcProvider, Contract } from "ethers";
+
+import { ROLLUP_ABI, REGISTRY_ABI } from "../lib/rollup_abi.mjs";
+import { Indexer, JsonlStore } from "../lib/indexer.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function stringify(obj) {
+  return JSON.stringify(obj, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+async function report(indexer, at) {
+  const { roots, divergence } = await indexer.replay();
+  const out = {
+    cursor: indexer.store.cursor,
+    events: indexer.events.length,
+    batches: roots.length,
+    latestRoot: roots.at(-1)?.root ?? null,
+    pending: indexer.pending().length,
+    divergence,
+  };
+  if (at !== undefined && !divergence) out.graph = (await indexer.stateAt(BigInt(at))).toJSON();
+  return out;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      rpc: { type: "string", default: "http://127.0.0.1:8545" },
+      rollup: { type: "string" },
+      registry: { type: "string" },
+      store: { type: "string", default: path.join(__dirname, "../build/index/events.jsonl") },
+      "from-block": { type: "string", default: "0" },
+      "to-block": { type: "string" },
+      chunk: { type: "string", default: "5000" },
+      "smt-levels": { type: "string", default: "32" },
+      at: { type: "string" },
+      follow: { type: "string" },
+    },
+  });
+
+  if (!values.rollup) {
+    throw new Error(
+      "usage: node circuits/scripts/indexer.mjs --rollup <addr> [--rpc url] [--registry addr] [--store file] " +
+      "[--from-block n] [--to-block n] [--chunk n] [--smt-levels 32] [--at batchId] [--follow ms]"
+    );
+  }
+
+  const provider = new JsonRpcProvider(values.rpc);
+  const rollup = new Contract(values.rollup, ROLLUP_ABI, provider);
+  const registry = new Contract(values.registry ?? (await rollup.registry()), REGISTRY_ABI, provider);
+
+  const indexer = await new Indexer({
+    rollup,
+    registry,
+    store: new JsonlStore(values.store),
+    fromBlock: Number(values["from-block"]),
+    chunkSize: Number(values.chunk),
+    smtLevels: Number(values["smt-levels"]),
+    log: (m) => console.error(`[indexer] ${m}`),
+  }).init();
+
+  const head = async () => (values["to-block"] !== undefined ? Number(values["to-block"]) : provider.getBlockNumber());
+
+  if (values.follow === undefined) {
+    await indexer.poll({ toBlock: await head() });
+    const out = await report(indexer, values.at);
+    process.stdout.write(stringify(out) + "\n");
+    process.exit(out.divergence ? 2 : 0);
+  }
+
+  let stop = false;
+  process.once("SIGINT", () => (stop = true));
+  while (!stop) {
+    const added = await indexer.poll({ toBlock: await head() });
+    if (added) {
+      const out = await report(indexer);
+      console.error(`[indexer] batches=${out.batches} latestRoot=${out.latestRoot} pending=${out.pending}`);
+      if (out.divergence) {
+        process.stdout.write(stringify(out) + "\n");
+        process.exit(2);
+      }
+    }
+    await new Promise((r) => setTimeout(r, Number(values.follow)));
+  }
+}
+
+main().catch((e) => {
+  console.error(e?.stack || e);
+  process.exit(1);
+});
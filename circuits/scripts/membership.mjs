@@ -0,0 +1,80 @@
+// circuits/scripts/membership.mjs
+//
+// Account / link proofs against a graph root (see circuits/lib/membership.mjs).
+//
+// Usage:
+//   node circuits/scripts/membership.mjs prove  --state circuits/build/forger-state.json --idx 7 [--with 12] [--out proof.json]
+//   node circuits/scripts/membership.mjs verify --proof proof.json --root 0x<latestGraphRoot>
+//
+// Notes:
+// - --state accepts a GraphState JSON or a forger snapshot ({ batchId, fromBlock, graph }).
+// - prove --idx a          inclusion proof (or exclusion proof if a has no leaf yet)
+//   prove --idx a --with b link proof (fails with NOT_LINKED if a and b are not neighbors)
+// - verify prints { ok, ... } and exits 0 if valid, 1 otherwise. --root is required: never trust the proof's own root.
+// - a salted state's inclusion proofs carry the account's leaf salt; verify needs nothing else.
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+import { GraphState } from "../lib/graph_state.mjs";
+import { proveAccount, proveLink, buildMembershipVerifier } from "../lib/membership.mjs";
+
+const USAGE =
+  "usage: node circuits/scripts/membership.mjs prove --state <file> --idx <n> [--with <n>] [--out file]\n" +
+  "       node circuits/scripts/membership.mjs verify --proof <file> --root <0x bytes32 | decimal>";
+
+function stringify(obj) {
+  return JSON.stringify(obj, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      state: { type: "string" },
+      idx: { type: "string" },
+      with: { type: "string" },
+      out: { type: "string" },
+      proof: { type: "string" },
+      root: { type: "string" },
+    },
+  });
+
+  const cmd = positionals[0];
+
+  if (cmd === "prove") {
+    if (!values.state || values.idx === undefined) throw new Error(USAGE);
+    const json = JSON.parse(fs.readFileSync(values.state, "utf8"));
+    const state = await GraphState.fromJSON(json.graph ?? json);
+
+    const proof = values.with !== undefined
+      ? await proveLink(state, values.idx, values.with)
+      : await proveAccount(state, values.idx);
+
+    if (values.out) {
+      fs.mkdirSync(path.dirname(path.resolve(values.out)), { recursive: true });
+      fs.writeFileSync(values.out, stringify(proof));
+    } else {
+      process.stdout.write(stringify(proof) + "\n");
+    }
+    console.error(`${proof.type} proof for root ${proof.root}`);
+    return;
+  }
+
+  if (cmd === "verify") {
+    if (!values.proof || values.root === undefined) throw new Error(USAGE);
+    const proof = JSON.parse(fs.readFileSync(values.proof, "utf8"));
+    const { verify } = await buildMembershipVerifier();
+    const res = verify(proof, values.root);
+    process.stdout.write(stringify(res) + "\n");
+    process.exit(res.ok ? 0 : 1);
+  }
+
+  throw new Error(USAGE);
+}
+
+main().catch((e) => {
+  console.error(e?.stack || e);
+  process.exit(1);
+});
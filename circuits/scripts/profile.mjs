@@ -0,0 +1,81 @@
+// circuits/scripts/profile.mjs
+//
+// Per-component / per-template constraint profile of a circuit, and the diff against a baseline
+// (see circuits/lib/profile.mjs).
+//
+// Usage:
+//   node circuits/scripts/profile.mjs [circuits/main.circom] [--depth 3] [--top 25] [--json report.json] [--opt O1] [--out <dir>]
+//   node circuits/scripts/profile.mjs [circuits/main.circom] --base-ref origin/main [--max-increase 1]
+//   node circuits/scripts/profile.mjs [circuits/main.circom] --base base.json [--max-increase 1]
+//   node circuits/scripts/profile.mjs circuits/main_poseidon.circom --base-circuit circuits/main.circom
+//
+// Notes:
+// - Compiles into --out (default circuits/build/profile/<name>/): --O0 with symbols for attribution, --opt for the real count.
+// - --json writes the full report (components down to 4 levels below main, every template); keep one from
+//   the base branch and pass it as --base, or let --base-ref build the base from `git archive <ref> circuits`.
+// - --max-increase <pct> exits 1 if the total grows by more than pct percent (the --opt build count when
+//   both reports have one), so CI can flag a constraint blow-up.
+// - --base-circuit profiles another circuit of the working tree as the base (into <out>/base with --out), to
+//   compare two modes of the same statement; components only line up where both circuits share the path.
+// - Tables go to stdout, nothing else.
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+import { diffReports, formatDiff, formatReport, profileAtRef, profileFile } from "../lib/profile.mjs";
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      depth: { type: "string", default: "3" },
+      top: { type: "string", default: "25" },
+      json: { type: "string" },
+      opt: { type: "string", default: "O1" },
+      out: { type: "string" },
+      base: { type: "string" },
+      "base-ref": { type: "string" },
+      "base-circuit": { type: "string" },
+      "max-increase": { type: "string" },
+    },
+  });
+
+  const circuit = positionals[0] ?? "circuits/main.circom";
+  const baseFlags = ["base", "base-ref", "base-circuit"].filter((k) => values[k] !== undefined);
+  if (baseFlags.length > 1) throw new Error("--base, --base-ref and --base-circuit are exclusive");
+  if (!/^O[012]$/.test(values.opt)) throw new Error(`--opt must be O0, O1 or O2, got ${values.opt}`);
+
+  const head = profileFile(circuit, { opt: values.opt, outDir: values.out });
+  if (values.json) fs.writeFileSync(values.json, JSON.stringify(head, null, 2) + "\n");
+  process.stdout.write(formatReport(head, { depth: Number(values.depth), top: Number(values.top) }));
+
+  let base = null;
+  if (values.base) base = JSON.parse(fs.readFileSync(values.base, "utf8"));
+  if (values["base-ref"]) base = profileAtRef(values["base-ref"], circuit, { opt: values.opt });
+  if (values["base-circuit"]) {
+    base = profileFile(values["base-circuit"], { opt: values.opt, outDir: values.out && path.join(values.out, "base") });
+  }
+  if (!base) return 0;
+
+  const diff = diffReports(base, head);
+  process.stdout.write(`\n--- vs ${values[baseFlags[0]]} ---\n` + formatDiff(diff, { top: Number(values.top) }));
+
+  if (values["max-increase"] !== undefined) {
+    const limit = Number(values["max-increase"]);
+    const t = diff.build ?? diff.total;
+    if (t.pct !== null && t.pct > limit) {
+      process.stdout.write(`\nconstraint count grew ${t.pct}% (limit ${limit}%)\n`);
+      return 1;
+    }
+  }
+  return 0;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (e) => {
+    console.error(e?.stack || e);
+    process.exit(1);
+  }
+);
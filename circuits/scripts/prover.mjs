@@ -0,0 +1,77 @@
+// circuits/scripts/prover.mjs
+//
+// Proof service: queues batch witness inputs, proves them with Groth16 in child processes and serves
+// Rollup.submitBatch-ready { newGraphRoot, n, a, b, c, pubInput0 } over HTTP (API in lib/prover.mjs).
+//
+// Usage:
+//   node circuits/scripts/prover.mjs \
+//     [--wasm circuits/build/main/main_js/main.wasm] [--zkey circuits/build/main/zkey/main_final.zkey] \
+//     [--host 127.0.0.1] [--port 8650] [--concurrency 1] [--max-queue 100] \
+//     [--cache-dir circuits/build/prover-cache] [--witness-threads <concurrency>] [--work-dir <tmp>]
+//
+// Then point forgers at it with `node circuits/scripts/forger.mjs ... --prover-url http://127.0.0.1:8650`.
+//
+// Notes:
+// - Each running job holds its own copy of the zkey in memory; size --concurrency accordingly.
+// - --cache-dir keeps finished proofs across restarts (one <inputHash>.json per proof).
+// - Witnesses run on --witness-threads worker threads (the wasm is loaded once) and go to --work-dir as .wtns
+//   files, removed once proved; a bad input fails there without forking a prover.
+
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { fileURLToPath } from "node:url";
+
+import { ProofService, createProverServer } from "../lib/prover.mjs";
+import { WitnessEngine } from "../lib/witness_engine.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const circuitsDir = path.join(__dirname, "..");
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      wasm: { type: "string", default: path.join(circuitsDir, "build/main/main_js/main.wasm") },
+      zkey: { type: "string", default: path.join(circuitsDir, "build/main/zkey/main_final.zkey") },
+      host: { type: "string", default: "127.0.0.1" },
+      port: { type: "string", default: "8650" },
+      concurrency: { type: "string", default: "1" },
+      "max-queue": { type: "string", default: "100" },
+      "cache-dir": { type: "string" },
+      "witness-threads": { type: "string" },
+      "work-dir": { type: "string" },
+    },
+  });
+
+  const log = (m) => console.error(`[prover] ${m}`);
+  const threads = values["witness-threads"] && Number(values["witness-threads"]);
+  const engine = threads ? new WitnessEngine({ threads, log }) : undefined;
+  const service = await new ProofService({
+    wasm: values.wasm,
+    zkey: values.zkey,
+    concurrency: Number(values.concurrency),
+    maxQueue: Number(values["max-queue"]),
+    cacheDir: values["cache-dir"],
+    workDir: values["work-dir"],
+    witnessEngine: engine,
+    log,
+  }).init();
+
+  const server = createProverServer(service);
+  await new Promise((resolve) => server.listen(Number(values.port), values.host, resolve));
+  const { address, port } = server.address();
+  console.error(`[prover] listening on http://${address}:${port} concurrency=${service.concurrency} zkey=${service.artifacts.zkey.slice(0, 16)}`);
+
+  const stop = async () => {
+    server.close();
+    await service.close();
+    await engine?.close();
+    process.exit(0);
+  };
+  process.once("SIGINT", stop);
+  process.once("SIGTERM", stop);
+}
+
+main().catch((e) => {
+  console.error(e?.stack || e);
+  process.exit(1);
+});
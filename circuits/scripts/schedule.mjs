@@ -0,0 +1,103 @@
+// circuits/scripts/schedule.mjs
+//
+// Replays the TxQueued stream of an indexer store against forging policies (see circuits/lib/schedule.mjs)
+// and compares batches, fill, latency and profit.
+//
+// Usage:
+//   node circuits/scripts/schedule.mjs [--events circuits/build/index/events.jsonl] \
+//     [--policy eager --policy full-batch --policy max-latency --policy profit] \
+//     [--max-batch 3] [--tx-fee-wei 50000000000000] [--gas-price-gwei 1 | --gas-prices prices.json] \
+//     [--interval 5] [--horizon 86400] [--json] \
+//     [--target-latency s] [--max-wait s] [--min-profit-wei w] [--prove-cost-wei w] [--prove-seconds s] \
+//     [--gas-base g] [--gas-per-op g]
+//
+// Notes:
+// - Build the store with scripts/indexer.mjs; only TxQueued (txId, ts) is used, so past forging does not matter.
+// - Without --policy every policy is compared; max-latency (and profit's fallback) then use --target-latency,
+//   default 600 s.
+// - --gas-prices is a JSON list [[ts, gwei], ...]; each price holds from its ts until the next one.
+// - --interval is the forger's poll interval in seconds; --horizon how long after the last op the simulation
+//   keeps running before counting the rest as unforged.
+// - Prints a table on stdout (or JSON with --json).
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { fileURLToPath } from "node:url";
+import { formatEther, parseUnits } from "ethers";
+
+import { JsonlStore } from "../lib/indexer.mjs";
+import { POLICIES, POLICY_OPTIONS, compare, policyFromArgs } from "../lib/schedule.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function stringify(obj) {
+  return JSON.stringify(obj, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+const secs = (x) => (x === null ? "-" : String(Math.round(x)));
+
+function table(rows) {
+  const cols = [
+    ["policy", (r) => r.policy],
+    ["batches", (r) => r.batches],
+    ["ops", (r) => r.ops],
+    ["unforged", (r) => r.unforged],
+    ["fill", (r) => r.avgFill.toFixed(2)],
+    ["mean s", (r) => secs(r.latency.mean)],
+    ["p50 s", (r) => secs(r.latency.p50)],
+    ["p95 s", (r) => secs(r.latency.p95)],
+    ["max s", (r) => secs(r.latency.max)],
+    ["gas ETH", (r) => formatEther(r.gasWei)],
+    ["profit ETH", (r) => formatEther(r.profitWei)],
+  ];
+  const cells = [cols.map(([h]) => h), ...rows.map((r) => cols.map(([, f]) => String(f(r))))];
+  const width = cols.map((_, i) => Math.max(...cells.map((c) => c[i].length)));
+  return cells.map((c) => c.map((s, i) => (i < 1 ? s.padEnd(width[i]) : s.padStart(width[i]))).join("  ").trimEnd()).join("\n") + "\n";
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      events: { type: "string", default: path.join(__dirname, "../build/index/events.jsonl") },
+      policy: { type: "string", multiple: true },
+      "max-batch": { type: "string", default: "3" },
+      "tx-fee-wei": { type: "string", default: "50000000000000" },
+      "gas-price-gwei": { type: "string", default: "1" },
+      "gas-prices": { type: "string" },
+      interval: { type: "string", default: "5" },
+      horizon: { type: "string", default: "86400" },
+      json: { type: "boolean", default: false },
+      ...POLICY_OPTIONS,
+    },
+  });
+
+  if (!fs.existsSync(values.events)) throw new Error(`missing event store: ${values.events} (run circuits/scripts/indexer.mjs --store ...)`);
+  const names = values.policy ?? POLICIES;
+  const opts = { ...values, "target-latency": values["target-latency"] ?? (values.policy ? undefined : "600") };
+  const policies = names.map((name) => policyFromArgs(opts, name));
+
+  const gasPrice = values["gas-prices"]
+    ? JSON.parse(fs.readFileSync(values["gas-prices"], "utf8")).map(([ts, gwei]) => [Number(ts), parseUnits(String(gwei), "gwei")])
+    : parseUnits(values["gas-price-gwei"], "gwei");
+
+  const { events } = await new JsonlStore(values.events).load();
+  const rows = compare(events, policies, {
+    maxBatch: Number(values["max-batch"]),
+    txFeeWei: BigInt(values["tx-fee-wei"]),
+    gasPrice,
+    gas: { base: BigInt(values["gas-base"]), perOp: BigInt(values["gas-per-op"]) },
+    proveCostWei: BigInt(values["prove-cost-wei"]),
+    proveSeconds: Number(values["prove-seconds"]),
+    intervalSec: Number(values.interval),
+    horizon: Number(values.horizon),
+  });
+
+  if (values.json) process.stdout.write(stringify(rows) + "\n");
+  else process.stdout.write(table(rows));
+}
+
+main().catch((e) => {
+  console.error(e?.stack || e);
+  process.exit(1);
+});
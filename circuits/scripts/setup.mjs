@@ -0,0 +1,80 @@
+// circuits/scripts/setup.mjs
+//
+// One command for compile -> groth16 setup -> contribute -> beacon -> verify -> export, for any circuit.
+// --protocol plonk|fflonk instead runs compile -> <protocol> setup -> export (universal setup, no ceremony).
+//
+// Usage:
+//   node circuits/scripts/setup.mjs [circuits/main.circom] \
+//     [--name main] [--out circuits/build/<name>] [--ptau <file> | --ptau-dir circuits/powersOfTau] \
+//     [--opt O1] [--contributions 1] [--entropy <str>]... [--beacon <hex>] [--beacon-iterations 10] \
+//     [--protocol groth16|plonk|fflonk] [--verifier src/Verifier.sol] [--force] [--quiet]
+//
+// Notes:
+// - The ptau power is picked from the r1cs: the smallest *.ptau in --ptau-dir whose power fits
+//   constraints + public inputs + outputs (plonk / fflonk: their gate count, see lib/backends.mjs).
+//   --ptau pins one file (it must still be large enough).
+// - Writes <out>/manifest.json with the sha256 of every artifact; steps whose inputs did not change
+//   are skipped, so re-running is cheap. --force re-runs everything.
+// - --verifier defaults to src/Verifier.sol for `main` (what Foundry compiles; git-ignored, since it embeds the local
+//   zkey) and to <out>/Verifier.sol for other circuits; plonk / fflonk write <out>/PlonkVerifier.sol / FflonkVerifier.sol,
+//   zkey/<name>_<protocol>.zkey and verification_key_<protocol>.json. --contributions / --entropy / --beacon
+//   do not apply to them.
+// - Prints { ran, skipped, r1cs, ptau, paths } as JSON on stdout; progress goes to stderr.
+
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+import { runSetup } from "../lib/setup.mjs";
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      name: { type: "string" },
+      out: { type: "string" },
+      ptau: { type: "string" },
+      "ptau-dir": { type: "string" },
+      opt: { type: "string", default: "O1" },
+      contributions: { type: "string", default: "1" },
+      entropy: { type: "string", multiple: true },
+      beacon: { type: "string" },
+      "beacon-iterations": { type: "string", default: "10" },
+      protocol: { type: "string", default: "groth16" },
+      verifier: { type: "string" },
+      force: { type: "boolean", default: false },
+      quiet: { type: "boolean", default: false },
+    },
+  });
+
+  const circuit = positionals[0] ?? "circuits/main.circom";
+  const contributions = Number(values.contributions);
+  if (!Number.isInteger(contributions) || contributions < 0) throw new Error("--contributions must be an integer >= 0");
+
+  const res = await runSetup({
+    circuit,
+    name: values.name ?? path.basename(circuit, ".circom"),
+    ...(values.out && { outDir: values.out }),
+    ...(values["ptau-dir"] && { ptauDir: values["ptau-dir"] }),
+    ...(values.verifier && { verifier: values.verifier }),
+    ptau: values.ptau,
+    protocol: values.protocol,
+    opt: values.opt,
+    contributions,
+    entropy: values.entropy,
+    beacon: values.beacon,
+    beaconIterations: Number(values["beacon-iterations"]),
+    force: values.force,
+    logger: values.quiet ? undefined : { info: (m) => console.error(m), warn: (m) => console.error(m), error: (m) => console.error(m) },
+  });
+
+  const { manifest, ran, skipped, paths } = res;
+  console.log(JSON.stringify({ ran, skipped, r1cs: manifest.r1cs, ptau: manifest.ptau, paths }, null, 2));
+
+  // snarkjs leaves bn128 worker threads running
+  await globalThis.curve_bn128?.terminate();
+}
+
+main().catch((e) => {
+  console.error(e?.stack || e);
+  process.exit(1);
+});
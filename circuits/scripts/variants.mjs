@@ -0,0 +1,99 @@
+// circuits/scripts/variants.mjs
+//
+// Generate, compile and measure (batchSize, smtLevels) variants of main + the parametric test wrappers.
+//
+// Usage:
+//   node circuits/scripts/variants.mjs --variant 1x32 --variant 3x32 --variant 8x32 \
+//     [--only main] [--opt O1] [--bench [--ptau <file> | --ptau-dir circuits/powersOfTau] [--samples 1]] \
+//     [--out circuits/build/variants] [--generate-only] [--json]
+//
+// Notes:
+// - Files land in <out>/b<batch>_s<levels>/<wrapper>.circom and are listed in <out>/index.json; the circuit
+//   tests run against every variant in that index (ZKGRAF_VARIANTS=none to skip them).
+// - --only limits compilation to some wrappers (repeatable); --bench always compiles main.
+// - --bench reports witness time for a full batch of ADDs and, when a ptau fits, Groth16 setup + prove time
+//   (single-party zkey, benchmark only).
+// - Deploying a variant also means Rollup.MAX_BATCH = batchSize and the verifier from its zkey.
+// - Prints a table on stdout (or JSON with --json); progress goes to stderr.
+
+import { parseArgs } from "node:util";
+
+import { VARIANTS_DIR, WRAPPERS, benchmarkVariant, compileVariant, generateVariant, parseVariant } from "../lib/variants.mjs";
+
+function table(rows) {
+  const cols = [
+    ["variant", (r) => r.id],
+    ["wrapper", (r) => r.wrapper],
+    ["constraints", (r) => r.nConstraints],
+    ["per op", (r) => r.constraintsPerOp ?? ""],
+    ["power", (r) => r.requiredPower],
+    ["compile ms", (r) => r.compileMs],
+    ["witness ms", (r) => r.witnessMs ?? ""],
+    ["prove ms", (r) => r.proveMs ?? (r.proveSkipped ? "-" : "")],
+  ];
+  const cells = [cols.map(([h]) => h), ...rows.map((r) => cols.map(([, f]) => String(f(r))))];
+  const width = cols.map((_, i) => Math.max(...cells.map((c) => c[i].length)));
+  const lines = cells.map((c) => c.map((s, i) => (i < 2 ? s.padEnd(width[i]) : s.padStart(width[i]))).join("  ").trimEnd());
+  const skipped = rows.filter((r) => r.proveSkipped).map((r) => `prove skipped for ${r.id}: ${r.proveSkipped}`);
+  return [...lines, ...skipped].join("\n") + "\n";
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      variant: { type: "string", multiple: true },
+      only: { type: "string", multiple: true },
+      opt: { type: "string", default: "O1" },
+      out: { type: "string", default: VARIANTS_DIR },
+      bench: { type: "boolean", default: false },
+      ptau: { type: "string" },
+      "ptau-dir": { type: "string" },
+      samples: { type: "string", default: "1" },
+      "generate-only": { type: "boolean", default: false },
+      json: { type: "boolean", default: false },
+    },
+  });
+
+  if (!values.variant?.length) throw new Error("at least one --variant <batchSize>x<smtLevels> is required");
+  for (const n of values.only ?? []) if (!WRAPPERS[n]) throw new Error(`unknown wrapper ${n} (one of ${Object.keys(WRAPPERS).join(", ")})`);
+
+  const only = values.only ?? Object.keys(WRAPPERS);
+  if (values.bench && !only.includes("main")) only.push("main");
+  const logger = { info: (m) => process.stderr.write(m + "\n") };
+
+  const rows = [];
+  for (const v of values.variant.map(parseVariant)) {
+    const gen = generateVariant(v, { outRoot: values.out });
+    if (values["generate-only"]) {
+      rows.push({ id: gen.id, files: gen.files });
+      continue;
+    }
+
+    const compiled = await compileVariant(gen, { only, opt: values.opt, logger });
+    const bench = values.bench
+      ? await benchmarkVariant(gen, compiled.main, { ptau: values.ptau, ptauDir: values["ptau-dir"], samples: Number(values.samples), logger })
+      : {};
+    for (const [wrapper, c] of Object.entries(compiled)) {
+      rows.push({
+        id: gen.id,
+        wrapper,
+        nConstraints: c.nConstraints,
+        ...(wrapper === "main" && { constraintsPerOp: Math.round(c.nConstraints / gen.batchSize) }),
+        requiredPower: c.requiredPower,
+        compileMs: c.compileMs,
+        ...(wrapper === "main" && { witnessMs: bench.witnessMs, proveMs: bench.proveMs, proveSkipped: bench.proveSkipped }),
+      });
+    }
+  }
+
+  if (values.json || values["generate-only"]) process.stdout.write(JSON.stringify(rows, null, 2) + "\n");
+  else process.stdout.write(table(rows));
+
+  // snarkjs leaves bn128 worker threads running
+  await globalThis.curve_bn128?.terminate();
+}
+
+main().catch((e) => {
+  console.error(e?.stack || e);
+  process.exit(1);
+});
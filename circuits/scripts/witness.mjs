@@ -0,0 +1,74 @@
+// circuits/scripts/witness.mjs
+//
+// Per-batch witness latency: a new calculator per witness vs the cached WitnessEngine worker pool
+// (see circuits/lib/witness_bench.mjs).
+//
+// Usage:
+//   node circuits/scripts/witness.mjs [circuits/main.circom | --wasm <file>] [--input input.json] \
+//     [--samples 8] [--threads 1 --threads 4] [--wtns] [--out circuits/build/witness/<name>] [--json] [--quiet]
+//
+// Notes:
+// - Without --wasm the circuit is compiled once (--wasm --O1) into --out; without --input it must be main-shaped
+//   (a full batch of ADDs for its batchSize / smtLevels).
+// - --wtns has the workers write .wtns files (what the proof service proves from) instead of copying bigints back.
+// - Prints a table on stdout (or JSON with --json); progress goes to stderr.
+
+import fs from "node:fs";
+import { parseArgs } from "node:util";
+
+import { benchmarkWitness } from "../lib/witness_bench.mjs";
+
+function table(res) {
+  const cols = [
+    ["mode", (r) => r.mode],
+    ["threads", (r) => r.threads],
+    ["first ms", (r) => r.firstMs ?? ""],
+    ["avg ms", (r) => r.avgMs],
+    ["p50 ms", (r) => r.p50Ms],
+    ["p95 ms", (r) => r.p95Ms],
+    ["batches/s", (r) => r.perSec],
+  ];
+  const cells = [cols.map(([h]) => h), ...res.rows.map((r) => cols.map(([, f]) => String(f(r))))];
+  const width = cols.map((_, i) => Math.max(...cells.map((c) => c[i].length)));
+  const lines = cells.map((c) => c.map((s, i) => (i < 1 ? s.padEnd(width[i]) : s.padStart(width[i]))).join("  ").trimEnd());
+  const head = `${res.circuit ?? res.wasm}: wasm ${res.wasmBytes} bytes, ${res.samples} samples, ${res.format}`;
+  return [head, ...lines].join("\n") + "\n";
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      wasm: { type: "string" },
+      input: { type: "string" },
+      samples: { type: "string", default: "8" },
+      threads: { type: "string", multiple: true },
+      wtns: { type: "boolean", default: false },
+      out: { type: "string" },
+      json: { type: "boolean", default: false },
+      quiet: { type: "boolean", default: false },
+    },
+  });
+
+  const threads = values.threads?.map(Number);
+  if (threads?.some((n) => !Number.isInteger(n) || n < 1)) throw new Error("--threads must be integers >= 1");
+
+  const res = await benchmarkWitness({
+    ...(positionals[0] && { circuit: positionals[0] }),
+    ...(threads && { threads }),
+    wasm: values.wasm,
+    input: values.input ? JSON.parse(fs.readFileSync(values.input, "utf8")) : undefined,
+    samples: Number(values.samples),
+    format: values.wtns ? "wtns" : "bigint",
+    outDir: values.out,
+    logger: values.quiet ? undefined : { info: (m) => process.stderr.write(m + "\n") },
+  });
+
+  if (values.json) process.stdout.write(JSON.stringify(res, null, 2) + "\n");
+  else process.stdout.write(table(res));
+}
+
+main().catch((e) => {
+  console.error(e?.stack || e);
+  process.exit(1);
+});
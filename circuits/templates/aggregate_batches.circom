@@ -0,0 +1,171 @@
+pragma circom 2.1.0;
+
+include "circomlib/circuits/bitify.circom";
+include "circomlib/circuits/comparators.circom";
+include "circomlib/circuits/sha256/sha256.circom";
+
+include "templates/bytes_utils.circom";
+include "templates/field_to_bytes.circom";
+include "templates/storage_hash.circom";
+include "templates/process_batch.circom";
+
+
+/// numBatches consecutive batches in one proof.
+///
+/// Batch k is a BatchTransition from rootsF[k] to rootsF[k+1] with batchId + k and
+/// start + numOps[0] + ... + numOps[k-1], plus the StorageHash of its slots: the statement Main proves
+/// for it alone minus the per-batch sha256 pubInput0, which nobody checks here. Sharing rootsF between
+/// neighbours is what makes batch k's newRootF batch k+1's oldRootF.
+///
+/// pubInput0 = mask253( sha256( oldRoot32, newRoot32, batchIdU64, startU32, nU32[numBatches],
+///                              sha256(storageHash32[0], ..., storageHash32[numBatches-1]) ) )
+/// with oldRoot = rootsF[0], newRoot = rootsF[numBatches].
+template AggregateBatches(numBatches, batchSize, smtLevels) {
+    // -----------------------------
+    // Inputs (witness)
+    // -----------------------------
+    signal input rootsF[numBatches + 1];
+
+    signal input batchId;              // uint64, first batch
+    signal input start;                // uint32, first batch
+    signal input numOps[numBatches];   // uint32 each, 1..batchSize
+
+    // Per-batch BatchTransition inputs, leading index = batch
+    signal input ops[numBatches][batchSize];
+    signal input ilos[numBatches][batchSize];
+    signal input ihis[numBatches][batchSize];
+
+    signal input neighbors_lo[numBatches][batchSize][64];
+    signal input oldDeg_lo[numBatches][batchSize];
+    signal input siblings_lo[numBatches][batchSize][smtLevels];
+    signal input isOld0_lo[numBatches][batchSize];
+    signal input oldKey_lo[numBatches][batchSize];
+    signal input oldValue_lo[numBatches][batchSize];
+    signal input arrIdx_lo[numBatches][batchSize];
+
+    signal input neighbors_hi[numBatches][batchSize][64];
+    signal input oldDeg_hi[numBatches][batchSize];
+    signal input siblings_hi[numBatches][batchSize][smtLevels];
+    signal input isOld0_hi[numBatches][batchSize];
+    signal input oldKey_hi[numBatches][batchSize];
+    signal input oldValue_hi[numBatches][batchSize];
+    signal input arrIdx_hi[numBatches][batchSize];
+
+    // -----------------------------
+    // Public output
+    // -----------------------------
+    signal output pubInput0;
+
+    // -----------------------------
+    // Batches
+    // -----------------------------
+    component tr[numBatches];
+    component st[numBatches];
+    component nonEmpty[numBatches];
+    signal starts[numBatches + 1];
+    starts[0] <== start;
+
+    for (var k = 0; k < numBatches; k++) {
+        // submitBatch reverts on n == 0, so an empty batch cannot sit in the chain either
+        nonEmpty[k] = IsZero();
+        nonEmpty[k].in <== numOps[k];
+        nonEmpty[k].out === 0;
+
+        tr[k] = BatchTransition(batchSize, smtLevels, 0);
+        st[k] = StorageHash(batchSize);
+
+        tr[k].oldRootF <== rootsF[k];
+        tr[k].newRootF <== rootsF[k + 1];
+        tr[k].batchId  <== batchId + k;
+        tr[k].start    <== starts[k];
+        tr[k].numOps   <== numOps[k];
+
+        // BatchTransition range-checks each start as uint32, so the running sum cannot wrap
+        starts[k + 1] <== starts[k] + numOps[k];
+
+        for (var i = 0; i < batchSize; i++) {
+            tr[k].ops[i]  <== ops[k][i];
+            tr[k].ilos[i] <== ilos[k][i];
+            tr[k].ihis[i] <== ihis[k][i];
+
+            st[k].op[i]  <== ops[k][i];
+            st[k].ilo[i] <== ilos[k][i];
+            st[k].ihi[i] <== ihis[k][i];
+
+            for (var j = 0; j < 64; j++) {
+                tr[k].neighbors_lo[i][j] <== neighbors_lo[k][i][j];
+                tr[k].neighbors_hi[i][j] <== neighbors_hi[k][i][j];
+            }
+            for (var j = 0; j < smtLevels; j++) {
+                tr[k].siblings_lo[i][j] <== siblings_lo[k][i][j];
+                tr[k].siblings_hi[i][j] <== siblings_hi[k][i][j];
+            }
+
+            tr[k].oldDeg_lo[i]   <== oldDeg_lo[k][i];
+            tr[k].isOld0_lo[i]   <== isOld0_lo[k][i];
+            tr[k].oldKey_lo[i]   <== oldKey_lo[k][i];
+            tr[k].oldValue_lo[i] <== oldValue_lo[k][i];
+            tr[k].arrIdx_lo[i]   <== arrIdx_lo[k][i];
+
+            tr[k].oldDeg_hi[i]   <== oldDeg_hi[k][i];
+            tr[k].isOld0_hi[i]   <== isOld0_hi[k][i];
+            tr[k].oldKey_hi[i]   <== oldKey_hi[k][i];
+            tr[k].oldValue_hi[i] <== oldValue_hi[k][i];
+            tr[k].arrIdx_hi[i]   <== arrIdx_hi[k][i];
+        }
+    }
+
+    // -----------------------------
+    // storageHashes digest = sha256(storageHash32[0] | ... | storageHash32[numBatches-1])
+    // -----------------------------
+    // StorageHash digest bits are already MSB-first per byte, i.e. the bits of the bytes32
+    component sh = Sha256(numBatches * 256);
+    for (var k = 0; k < numBatches; k++) {
+        for (var i = 0; i < 256; i++) sh.in[k * 256 + i] <== st[k].digest[i];
+    }
+
+    // -----------------------------
+    // pubInput0
+    // -----------------------------
+    component oldB = FieldToBytes();
+    oldB.in <== rootsF[0];
+
+    component newB = FieldToBytes();
+    newB.in <== rootsF[numBatches];
+
+    // U64ToBytesBE / U32ToBytesBE decompose into bits, which range-checks them too
+    component bidBE = U64ToBytesBE(); bidBE.in <== batchId;
+    component stBE  = U32ToBytesBE(); stBE.in  <== start;
+    component nBE[numBatches];
+    for (var k = 0; k < numBatches; k++) {
+        nBE[k] = U32ToBytesBE();
+        nBE[k].in <== numOps[k];
+    }
+
+    // Preimage = 32 + 32 + 8 + 4 + 4*numBatches bytes, then the 32-byte storageHashes digest as bits
+    var nBytes = 76 + 4 * numBatches;
+    signal msg[nBytes];
+
+    for (var i = 0; i < 32; i++) msg[i]      <== oldB.out[i];
+    for (var i = 0; i < 32; i++) msg[32 + i] <== newB.out[i];
+    for (var i = 0; i < 8;  i++) msg[64 + i] <== bidBE.out[i];
+    for (var i = 0; i < 4;  i++) msg[72 + i] <== stBE.out[i];
+    for (var k = 0; k < numBatches; k++) {
+        for (var i = 0; i < 4; i++) msg[76 + 4 * k + i] <== nBE[k].out[i];
+    }
+
+    component bb[nBytes];
+    component h = Sha256(nBytes * 8 + 256);
+    for (var i = 0; i < nBytes; i++) {
+        bb[i] = ByteToBitsMSB();
+        bb[i].in <== msg[i];
+        for (var b = 0; b < 8; b++) h.in[i * 8 + b] <== bb[i].out[b];
+    }
+    for (var i = 0; i < 256; i++) h.in[nBytes * 8 + i] <== sh.out[i];
+
+    // Mask to 253 bits, as PubInputsMasked
+    component b253 = Bits2Num(253);
+    for (var i = 0; i < 253; i++) b253.in[i] <== h.out[255 - i];
+
+    pubInput0 <== b253.out;
+}
@@ -0,0 +1,98 @@
+pragma circom 2.1.0;
+
+include "circomlib/circuits/comparators.circom";   // IsEqual, IsZero
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/smt/smtverifier.circom";
+
+include "templates/neighbor_commitment.circom";
+
+// Proves, against a public graph root, that a hidden account has a hidden neighbor in a public allow-set:
+//
+//   leaf(account) = LeafCommitment(neighbors, degree[, leafSalt]) is in the SMT under `root`
+//   neighbors[nbrIdx] != 0 and neighbors[nbrIdx] in allowSet
+//
+// allowSet slots equal to 0 are padding (0 is never a valid account idx).
+// accountCommitment = Poseidon(account, salt) lets an app bind the proof to an identity it already knows
+// without revealing the account idx; with a fresh random salt it is unlinkable.
+// salted = 1 is for a tree of salted leaves (MainSalted): the prover also needs the account's leafSalt.
+template EdgeMembership(smtLevels, setSize, salted) {
+    // public
+    signal input root;
+    signal input allowSet[setSize];
+    signal output accountCommitment;
+
+    // private
+    signal input account;
+    signal input salt;
+    signal input neighbors[64];
+    signal input degree;
+    signal input siblings[smtLevels];
+    signal input nbrIdx;   // prover hint: position of the chosen neighbor in neighbors[]
+
+    // -----------------------
+    // account leaf is in the tree
+    // -----------------------
+    component accZero = IsZero();
+    accZero.in <== account;
+    accZero.out === 0;
+
+    component nc = LeafCommitment(salted);
+    for (var i = 0; i < 64; i++) nc.neighbors[i] <== neighbors[i];
+    nc.degree <== degree;
+    if (salted) {
+        signal input leafSalt;
+        nc.salt <== leafSalt;
+    }
+
+    component smt = SMTVerifier(smtLevels);
+    smt.enabled <== 1;
+    smt.fnc <== 0;             // inclusion
+    smt.root <== root;
+    for (var i = 0; i < smtLevels; i++) smt.siblings[i] <== siblings[i];
+    smt.oldKey <== 0;
+    smt.oldValue <== 0;
+    smt.isOld0 <== 0;
+    smt.key <== account;
+    smt.value <== nc.out;
+
+    // -----------------------
+    // neighbor = neighbors[nbrIdx], nbrIdx in [0, 64)
+    // -----------------------
+    component eqIdx[64];
+    signal hit[65];
+    signal acc[65];
+    hit[0] <== 0;
+    acc[0] <== 0;
+    for (var j = 0; j < 64; j++) {
+        eqIdx[j] = IsEqual();
+        eqIdx[j].in[0] <== nbrIdx;
+        eqIdx[j].in[1] <== j;
+        hit[j + 1] <== hit[j] + eqIdx[j].out;
+        acc[j + 1] <== acc[j] + eqIdx[j].out * neighbors[j];
+    }
+    hit[64] === 1;
+    signal neighbor <== acc[64];
+
+    // arrays are sentinel-padded: a non-zero entry is a real neighbor
+    component nbrZero = IsZero();
+    nbrZero.in <== neighbor;
+    nbrZero.out === 0;
+
+    // -----------------------
+    // neighbor in allowSet: prod_j (neighbor - allowSet[j]) == 0
+    // -----------------------
+    signal prod[setSize + 1];
+    prod[0] <== 1;
+    for (var j = 0; j < setSize; j++) {
+        prod[j + 1] <== prod[j] * (neighbor - allowSet[j]);
+    }
+    prod[setSize] === 0;
+
+    // -----------------------
+    // identity binding
+    // -----------------------
+    component ac = Poseidon(2);
+    ac.inputs[0] <== account;
+    ac.inputs[1] <== salt;
+    accountCommitment <== ac.out;
+}
@@ -28,3 +28,29 @@ template NeighborCommitment() {
     out <== combine.out;
 }
 
+
+/// Leaf value of the graph SMT.
+///   salted = 0: NeighborCommitment(neighbors, degree). Anyone who replays txData can recompute it, and a
+///               published leaf of a low-degree account can be opened by guessing its neighbors.
+///   salted = 1: Poseidon(NeighborCommitment(neighbors, degree), salt) with a per-account secret salt, so
+///               only salt holders can recompute or open the leaf (see "Salted leaves" in circuits/README.md).
+template LeafCommitment(salted) {
+    signal input neighbors[64];
+    signal input degree;
+    signal output out;
+
+    component nc = NeighborCommitment();
+    for (var i = 0; i < 64; i++) nc.neighbors[i] <== neighbors[i];
+    nc.degree <== degree;
+
+    if (salted) {
+        signal input salt;
+
+        component h = Poseidon(2);
+        h.inputs[0] <== nc.out;
+        h.inputs[1] <== salt;
+        out <== h.out;
+    } else {
+        out <== nc.out;
+    }
+}
@@ -0,0 +1,107 @@
+pragma circom 2.1.0;
+
+include "circomlib/circuits/bitify.circom";
+include "circomlib/circuits/poseidon.circom";
+
+
+/// Queue word of each slot, as Rollup._packTx stores it: w = ilo * 2^40 + ihi * 2^8 + op.
+///
+/// ilo / ihi / op are range-checked here (uint32 / uint32 / uint8): that is what makes the packing
+/// injective, the job the byte decomposition does in StorageHash.
+template TxWords(batchSize) {
+    signal input ilo[batchSize];  // uint32 each
+    signal input ihi[batchSize];  // uint32 each
+    signal input op[batchSize];   // uint8 each
+
+    signal output word[batchSize];
+
+    component iloBits[batchSize];
+    component ihiBits[batchSize];
+    component opBits[batchSize];
+
+    for (var i = 0; i < batchSize; i++) {
+        iloBits[i] = Num2Bits(32);
+        iloBits[i].in <== ilo[i];
+
+        ihiBits[i] = Num2Bits(32);
+        ihiBits[i].in <== ihi[i];
+
+        opBits[i] = Num2Bits(8);
+        opBits[i].in <== op[i];
+
+        word[i] <== ilo[i] * (1 << 40) + ihi[i] * (1 << 8) + op[i];
+    }
+}
+
+
+/// Poseidon over any number of field elements, within circomlib's 16-input limit:
+///   n <= 16:  Poseidon(in[0..n-1])
+///   n  > 16:  h = Poseidon(in[0..15]), then h = Poseidon(h, next 15 inputs) until none are left
+/// (the last chunk may be shorter). lib/poseidon_commit.mjs poseidonChunks / chain are the JS reference.
+template PoseidonChain(n) {
+    signal input in[n];
+    signal output out;
+
+    var first = n < 16 ? n : 16;
+    var nChunks = 1;
+    if (n > 16) nChunks += (n - 16 + 14) \ 15;
+
+    component h[nChunks];
+    h[0] = Poseidon(first);
+    for (var i = 0; i < first; i++) h[0].inputs[i] <== in[i];
+
+    var at = first;
+    for (var k = 1; k < nChunks; k++) {
+        var len = n - at < 15 ? n - at : 15;
+        h[k] = Poseidon(len + 1);
+        h[k].inputs[0] <== h[k - 1].out;
+        for (var i = 0; i < len; i++) h[k].inputs[1 + i] <== in[at + i];
+        at += len;
+    }
+
+    out <== h[nChunks - 1].out;
+}
+
+
+/// Poseidon alternative to StorageHash + PubInputsMasked:
+///
+///   storageHash = PoseidonChain(txWord[0], ..., txWord[batchSize-1])     (unused slots are word 0)
+///   input0      = Poseidon(oldRoot, newRoot, batchId, start, n, storageHash)
+///
+/// Roots stay field elements (no FieldToBytes) and input0 is a full field element (no mask253).
+/// batchId / start / n must be range-checked by the caller (BatchTransition does).
+template PoseidonPubInput(batchSize) {
+    signal input oldRoot;
+    signal input newRoot;
+    signal input batchId;   // uint64
+    signal input start;     // uint32
+    signal input n;         // uint32
+
+    signal input ilo[batchSize];
+    signal input ihi[batchSize];
+    signal input op[batchSize];
+
+    signal output storageHash;
+    signal output input0;
+
+    component tw = TxWords(batchSize);
+    for (var i = 0; i < batchSize; i++) {
+        tw.ilo[i] <== ilo[i];
+        tw.ihi[i] <== ihi[i];
+        tw.op[i]  <== op[i];
+    }
+
+    component sh = PoseidonChain(batchSize);
+    for (var i = 0; i < batchSize; i++) sh.in[i] <== tw.word[i];
+    storageHash <== sh.out;
+
+    component pi = Poseidon(6);
+    pi.inputs[0] <== oldRoot;
+    pi.inputs[1] <== newRoot;
+    pi.inputs[2] <== batchId;
+    pi.inputs[3] <== start;
+    pi.inputs[4] <== n;
+    pi.inputs[5] <== storageHash;
+
+    input0 <== pi.out;
+}
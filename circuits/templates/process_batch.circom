@@ -9,7 +9,11 @@ include "templates/pubinputs_masked.circom";
 include "templates/process_op.circom";
 
 
-template ProcessBatch(batchSize, smtLevels) {
+/// Everything ProcessBatch proves except the public-input commitment: range checks, zeroed tail slots
+/// and the root chain oldRootF -> ProcessOp x batchSize -> newRootF. ProcessBatch (sha256, what Rollup
+/// checks) and ProcessBatchPoseidon (process_batch_poseidon.circom) add their own commitment on top.
+/// salted = 1 adds per-slot leaf salts (salt_lo, salt_hi; 0 in NOP slots) for ProcessOp's salted leaves.
+template BatchTransition(batchSize, smtLevels, salted) {
     // -----------------------------
     // Inputs (witness)
     // -----------------------------
@@ -27,7 +31,7 @@ template ProcessBatch(batchSize, smtLevels) {
     signal input ilos[batchSize];  // uint32; unused slots => 0
     signal input ihis[batchSize];  // uint32; unused slots => 0
 
-    // Per-op witnesses (as you sketched) — keep as-is for later wiring
+    // Per-op witnesses for ProcessOp: the lo and hi endpoint leaves and their SMT proofs
     signal input neighbors_lo[batchSize][64];
     signal input oldDeg_lo[batchSize];
     signal input siblings_lo[batchSize][smtLevels];
@@ -44,11 +48,6 @@ template ProcessBatch(batchSize, smtLevels) {
     signal input oldValue_hi[batchSize];
     signal input arrIdx_hi[batchSize];
 
-    // -----------------------------
-    // Public output (Groth16 public signal)
-    // -----------------------------
-    signal output pubInput0;
-
     // -----------------------------
     // Range checks / basic constraints
     // -----------------------------
@@ -88,6 +87,8 @@ template ProcessBatch(batchSize, smtLevels) {
         (1 - active[i]) * ihis[i] === 0;
 
         // Optional: also force witnesses to zero for unused slots to avoid “junk witnesses”
+        // Hygiene only: a NOP slot disables both SMTProcessors and ModifyArray copies the array, so junk here
+        // cannot move the root or pubInput0 (test/soundness.test.js checks each field; oldDeg is not listed).
         // Uncomment if you want stricter hygiene:
         // (1 - active[i]) * arrIdx_lo[i] === 0;
         // (1 - active[i]) * arrIdx_hi[i] === 0;
@@ -116,10 +117,20 @@ template ProcessBatch(batchSize, smtLevels) {
     r[0] <== oldRootF;
 
     component step[batchSize];
+    for (var i = 0; i < batchSize; i++) step[i] = ProcessOp(smtLevels, salted);
 
-    for (var i = 0; i < batchSize; i++) {
-        step[i] = ProcessOp(smtLevels);
+    // leaf salts go in before any step's newRoot is read
+    if (salted) {
+        signal input salt_lo[batchSize];
+        signal input salt_hi[batchSize];
+
+        for (var i = 0; i < batchSize; i++) {
+            step[i].salt_lo <== salt_lo[i];
+            step[i].salt_hi <== salt_hi[i];
+        }
+    }
 
+    for (var i = 0; i < batchSize; i++) {
         step[i].currentRoot <== r[i];
         step[i].op          <== ops[i];
         step[i].ilo         <== ilos[i];
@@ -149,6 +160,98 @@ template ProcessBatch(batchSize, smtLevels) {
 
     // Final root must match claimed newRootF
     r[batchSize] === newRootF;
+}
+
+
+/// BatchTransition + the sha256 public-input commitment Rollup checks. The salt inputs of salted = 1 stay
+/// private: pubInput0 commits to txData and the roots only.
+template ProcessBatch(batchSize, smtLevels, salted) {
+    // -----------------------------
+    // Inputs (witness)
+    // -----------------------------
+    // Roots are Poseidon roots (field elements)
+    signal input oldRootF;
+    signal input newRootF;
+
+    // Must match Solidity types in abi.encodePacked
+    signal input batchId;   // uint64
+    signal input start;     // uint32
+    signal input numOps;    // uint32 (<= batchSize)
+
+    // Fixed-size op arrays (must be full batchSize)
+    signal input ops[batchSize];   // uint8 (0..255); convention: unused slots => 0
+    signal input ilos[batchSize];  // uint32; unused slots => 0
+    signal input ihis[batchSize];  // uint32; unused slots => 0
+
+    // Per-op witnesses for ProcessOp: the lo and hi endpoint leaves and their SMT proofs
+    signal input neighbors_lo[batchSize][64];
+    signal input oldDeg_lo[batchSize];
+    signal input siblings_lo[batchSize][smtLevels];
+    signal input isOld0_lo[batchSize];
+    signal input oldKey_lo[batchSize];
+    signal input oldValue_lo[batchSize];
+    signal input arrIdx_lo[batchSize];
+
+    signal input neighbors_hi[batchSize][64];
+    signal input oldDeg_hi[batchSize];
+    signal input siblings_hi[batchSize][smtLevels];
+    signal input isOld0_hi[batchSize];
+    signal input oldKey_hi[batchSize];
+    signal input oldValue_hi[batchSize];
+    signal input arrIdx_hi[batchSize];
+
+    // -----------------------------
+    // Public output (Groth16 public signal)
+    // -----------------------------
+    signal output pubInput0;
+
+    // -----------------------------
+    // State transition
+    // -----------------------------
+    component tr = BatchTransition(batchSize, smtLevels, salted);
+
+    tr.oldRootF <== oldRootF;
+    tr.newRootF <== newRootF;
+    tr.batchId  <== batchId;
+    tr.start    <== start;
+    tr.numOps   <== numOps;
+
+    if (salted) {
+        signal input salt_lo[batchSize];
+        signal input salt_hi[batchSize];
+
+        for (var i = 0; i < batchSize; i++) {
+            tr.salt_lo[i] <== salt_lo[i];
+            tr.salt_hi[i] <== salt_hi[i];
+        }
+    }
+
+    for (var i = 0; i < batchSize; i++) {
+        tr.ops[i]  <== ops[i];
+        tr.ilos[i] <== ilos[i];
+        tr.ihis[i] <== ihis[i];
+
+        for (var j = 0; j < 64; j++) {
+            tr.neighbors_lo[i][j] <== neighbors_lo[i][j];
+            tr.neighbors_hi[i][j] <== neighbors_hi[i][j];
+        }
+        for (var j = 0; j < smtLevels; j++) {
+            tr.siblings_lo[i][j] <== siblings_lo[i][j];
+            tr.siblings_hi[i][j] <== siblings_hi[i][j];
+        }
+
+        tr.oldDeg_lo[i]   <== oldDeg_lo[i];
+        tr.isOld0_lo[i]   <== isOld0_lo[i];
+        tr.oldKey_lo[i]   <== oldKey_lo[i];
+        tr.oldValue_lo[i] <== oldValue_lo[i];
+        tr.arrIdx_lo[i]   <== arrIdx_lo[i];
+
+        tr.oldDeg_hi[i]   <== oldDeg_hi[i];
+        tr.isOld0_hi[i]   <== isOld0_hi[i];
+        tr.oldKey_hi[i]   <== oldKey_hi[i];
+        tr.oldValue_hi[i] <== oldValue_hi[i];
+        tr.arrIdx_hi[i]   <== arrIdx_hi[i];
+    }
 
 
     // -----------------------------
@@ -0,0 +1,112 @@
+pragma circom 2.1.0;
+
+include "templates/poseidon_commit.circom";
+include "templates/process_batch.circom";
+
+
+/// ProcessBatch with a Poseidon public-input commitment instead of sha256 + mask253:
+///
+///   storageHash = PoseidonChain(queue words of the batchSize slots)
+///   pubInput0   = Poseidon(oldRootF, newRootF, batchId, start, numOps, storageHash)
+///
+/// Same inputs and the same BatchTransition as ProcessBatch, so one witness proves either statement;
+/// only pubInput0 differs (lib/poseidon_commit.mjs computes both commitments). Rollup.sol checks the
+/// sha256 one: this mode needs a contract that hashes with Poseidon before it can be deployed.
+template ProcessBatchPoseidon(batchSize, smtLevels) {
+    // -----------------------------
+    // Inputs (witness)
+    // -----------------------------
+    // Roots are Poseidon roots (field elements)
+    signal input oldRootF;
+    signal input newRootF;
+
+    // Must match Solidity types in abi.encodePacked
+    signal input batchId;   // uint64
+    signal input start;     // uint32
+    signal input numOps;    // uint32 (<= batchSize)
+
+    // Fixed-size op arrays (must be full batchSize)
+    signal input ops[batchSize];   // uint8 (0..255); convention: unused slots => 0
+    signal input ilos[batchSize];  // uint32; unused slots => 0
+    signal input ihis[batchSize];  // uint32; unused slots => 0
+
+    // Per-op witnesses for ProcessOp: the lo and hi endpoint leaves and their SMT proofs
+    signal input neighbors_lo[batchSize][64];
+    signal input oldDeg_lo[batchSize];
+    signal input siblings_lo[batchSize][smtLevels];
+    signal input isOld0_lo[batchSize];
+    signal input oldKey_lo[batchSize];
+    signal input oldValue_lo[batchSize];
+    signal input arrIdx_lo[batchSize];
+
+    signal input neighbors_hi[batchSize][64];
+    signal input oldDeg_hi[batchSize];
+    signal input siblings_hi[batchSize][smtLevels];
+    signal input isOld0_hi[batchSize];
+    signal input oldKey_hi[batchSize];
+    signal input oldValue_hi[batchSize];
+    signal input arrIdx_hi[batchSize];
+
+    // -----------------------------
+    // Public output
+    // -----------------------------
+    signal output pubInput0;
+    signal output storageHash;   // Poseidon txData commitment (what the contract would store per batch)
+
+    // -----------------------------
+    // State transition
+    // -----------------------------
+    component tr = BatchTransition(batchSize, smtLevels, 0);
+
+    tr.oldRootF <== oldRootF;
+    tr.newRootF <== newRootF;
+    tr.batchId  <== batchId;
+    tr.start    <== start;
+    tr.numOps   <== numOps;
+
+    for (var i = 0; i < batchSize; i++) {
+        tr.ops[i]  <== ops[i];
+        tr.ilos[i] <== ilos[i];
+        tr.ihis[i] <== ihis[i];
+
+        for (var j = 0; j < 64; j++) {
+            tr.neighbors_lo[i][j] <== neighbors_lo[i][j];
+            tr.neighbors_hi[i][j] <== neighbors_hi[i][j];
+        }
+        for (var j = 0; j < smtLevels; j++) {
+            tr.siblings_lo[i][j] <== siblings_lo[i][j];
+            tr.siblings_hi[i][j] <== siblings_hi[i][j];
+        }
+
+        tr.oldDeg_lo[i]   <== oldDeg_lo[i];
+        tr.isOld0_lo[i]   <== isOld0_lo[i];
+        tr.oldKey_lo[i]   <== oldKey_lo[i];
+        tr.oldValue_lo[i] <== oldValue_lo[i];
+        tr.arrIdx_lo[i]   <== arrIdx_lo[i];
+
+        tr.oldDeg_hi[i]   <== oldDeg_hi[i];
+        tr.isOld0_hi[i]   <== isOld0_hi[i];
+        tr.oldKey_hi[i]   <== oldKey_hi[i];
+        tr.oldValue_hi[i] <== oldValue_hi[i];
+        tr.arrIdx_hi[i]   <== arrIdx_hi[i];
+    }
+
+
+    // -----------------------------
+    // pubInput0 = Poseidon(oldRootF, newRootF, batchId, start, numOps, PoseidonChain(txWords))
+    // -----------------------------
+    component pi = PoseidonPubInput(batchSize);
+    pi.oldRoot <== oldRootF;
+    pi.newRoot <== newRootF;
+    pi.batchId <== batchId;
+    pi.start   <== start;
+    pi.n       <== numOps;
+    for (var i = 0; i < batchSize; i++) {
+        pi.ilo[i] <== ilos[i];
+        pi.ihi[i] <== ihis[i];
+        pi.op[i]  <== ops[i];
+    }
+
+    storageHash <== pi.storageHash;
+    pubInput0   <== pi.input0;
+}
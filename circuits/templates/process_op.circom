@@ -7,7 +7,9 @@ include "circomlib/circuits/smt/smtprocessor.circom";
 include "templates/modify_array.circom";
 include "templates/neighbor_commitment.circom";
 
-template ProcessOp(smtLevels) {
+/// One queued op on the graph SMT. salted = 1 takes a per-account salt for each side (salt_lo, salt_hi) and
+/// uses it for both the old and the new leaf (LeafCommitment), so an update cannot re-salt a leaf.
+template ProcessOp(smtLevels, salted) {
     signal input currentRoot;
     signal output newRoot;
 
@@ -67,14 +69,32 @@ template ProcessOp(smtLevels) {
     modHi.optype <== op;
 
     // -----------------------
-    // New leaf values = NeighborCommitment(newArr, newDeg)
+    // Leaf commitments: new (nc*) and old (oldNc*) value per side
+    // Salts (salted = 1): one per side, shared by the old and the new leaf. On INSERT the salt is
+    // whatever the prover picks; it only hides the leaf and has no say in the root transition.
+    // -----------------------
+    component ncLo = LeafCommitment(salted);
+    component ncHi = LeafCommitment(salted);
+    component oldNcLo = LeafCommitment(salted);
+    component oldNcHi = LeafCommitment(salted);
+
+    if (salted) {
+        signal input salt_lo;
+        signal input salt_hi;
+
+        ncLo.salt <== salt_lo;
+        oldNcLo.salt <== salt_lo;
+        ncHi.salt <== salt_hi;
+        oldNcHi.salt <== salt_hi;
+    }
+
+    // -----------------------
+    // New leaf values = LeafCommitment(newArr, newDeg[, salt])
     // -----------------------
-    component ncLo = NeighborCommitment();
     for (var i = 0; i < 64; i++) ncLo.neighbors[i] <== modLo.newArr[i];
     ncLo.degree <== modLo.newDeg;
     signal computedNewValue_lo <== ncLo.out;
 
-    component ncHi = NeighborCommitment();
     for (var i = 0; i < 64; i++) ncHi.neighbors[i] <== modHi.newArr[i];
     ncHi.degree <== modHi.newDeg;
     signal computedNewValue_hi <== ncHi.out;
@@ -82,20 +102,53 @@ template ProcessOp(smtLevels) {
     // -----------------------
     // Choose SMT fnc per leaf
     // NOP: 00
-    // else: if isOld0==1 -> INSERT (10), else UPDATE (01)
+    // else: UPDATE (01) if the witness old leaf IS the target key (isOld0==0 AND oldKey==key),
+    //       INSERT (10) otherwise. isOld0 alone is not enough: an INSERT whose path ends at
+    //       another account's leaf has isOld0==0 and oldKey = that other key.
+    // Soundness: SMTProcessor checks the old leaf against currentRoot, so the prover cannot
+    // pick INSERT for an existing key (old leaf would have to be the key itself) nor UPDATE
+    // for a missing one.
     // -----------------------
     // enabledOp = 1 - doNop
     signal enabledOp <== 1 - doNop;
 
+    component keyEqLo = IsEqual(); keyEqLo.in[0] <== oldKey_lo; keyEqLo.in[1] <== ilo;
+    component keyEqHi = IsEqual(); keyEqHi.in[0] <== oldKey_hi; keyEqHi.in[1] <== ihi;
+
+    signal isUpd_lo <== (1 - isOld0_lo) * keyEqLo.out;
+    signal isUpd_hi <== (1 - isOld0_hi) * keyEqHi.out;
+
     // fnc for lo
-    // fncLo[0] = enabledOp * isOld0_lo           (1 for INSERT, 0 for UPDATE)
-    // fncLo[1] = enabledOp * (1 - isOld0_lo)     (1 for UPDATE, 0 for INSERT)
-    signal fncLo0 <== enabledOp * isOld0_lo;
-    signal fncLo1 <== enabledOp * (1 - isOld0_lo);
+    // fncLo[0] = enabledOp * (1 - isUpd_lo)   (1 for INSERT, 0 for UPDATE)
+    // fncLo[1] = enabledOp * isUpd_lo         (1 for UPDATE, 0 for INSERT)
+    signal fncLo0 <== enabledOp * (1 - isUpd_lo);
+    signal fncLo1 <== enabledOp * isUpd_lo;
 
     // fnc for hi
-    signal fncHi0 <== enabledOp * isOld0_hi;
-    signal fncHi1 <== enabledOp * (1 - isOld0_hi);
+    signal fncHi0 <== enabledOp * (1 - isUpd_hi);
+    signal fncHi1 <== enabledOp * isUpd_hi;
+
+    // -----------------------
+    // Bind the old (neighbors, degree) witness to the tree
+    // UPDATE: oldValue is the leaf SMTProcessor checks against currentRoot, so it must be
+    //         LeafCommitment(neighbors, oldDeg[, salt]); otherwise the prover could rewrite the list.
+    // INSERT: the key has no leaf yet, so the old array is empty (all SENTINEL, degree 0).
+    // Sorted / duplicate-free arrays and degree == count then follow by induction from ModifyArray.
+    // -----------------------
+    for (var i = 0; i < 64; i++) oldNcLo.neighbors[i] <== neighbors_lo[i];
+    oldNcLo.degree <== oldDeg_lo;
+    fncLo1 * (oldValue_lo - oldNcLo.out) === 0;
+
+    for (var i = 0; i < 64; i++) oldNcHi.neighbors[i] <== neighbors_hi[i];
+    oldNcHi.degree <== oldDeg_hi;
+    fncHi1 * (oldValue_hi - oldNcHi.out) === 0;
+
+    for (var i = 0; i < 64; i++) {
+        fncLo0 * neighbors_lo[i] === 0;
+        fncHi0 * neighbors_hi[i] === 0;
+    }
+    fncLo0 * oldDeg_lo === 0;
+    fncHi0 * oldDeg_hi === 0;
 
     // -----------------------
     // SMT update ilo then ihi
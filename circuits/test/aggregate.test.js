@@ -0,0 +1,138 @@
+import { expect } from "chai";
+import path from "path";
+import { wasm as wasm_tester } from "circom_tester";
+import { fileURLToPath } from "url";
+
+import { OP_ADD, OP_REVOKE, fieldToBytes32BE, mask253FromDigestBytes, sha256, u32be, u64be } from "../lib/encoding.mjs";
+import { GraphState } from "../lib/graph_state.mjs";
+import { buildBatchWitness } from "../lib/witness.mjs";
+import { aggregateWitnesses, buildAggregateWitness } from "../lib/aggregate.mjs";
+import { withEngine } from "../lib/witness_engine.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, "../..");
+
+// circuits/test_circuits/aggregate_batches_test.circom
+const NUM_BATCHES = 2;
+const BATCH_SIZE = 2;
+const SMT_LEVELS = 16;
+const OPTS = { batchId: 5n, start: 40, batchSize: BATCH_SIZE, smtLevels: SMT_LEVELS };
+
+const add = (ilo, ihi) => ({ op: OP_ADD, ilo, ihi });
+
+// input fields with a leading [batch] index
+const perBatch = (input) => Object.keys(input).filter((k) => Array.isArray(input[k]) && k !== "rootsF");
+
+describe(`AggregateBatches(${NUM_BATCHES}, ${BATCH_SIZE}, ${SMT_LEVELS}) chained batches behind one pubInput0`, function () {
+  this.timeout(600000);
+
+  let circuit;
+  let base;
+
+  before(async () => {
+    circuit = withEngine(
+      await wasm_tester(path.join(__dirname, "../test_circuits/aggregate_batches_test.circom"), {
+        include: [path.join(repoRoot, "node_modules"), path.join(repoRoot, "circuits")],
+      })
+    );
+    base = await GraphState.create({ smtLevels: SMT_LEVELS });
+    await base.apply(add(1, 2));
+  });
+
+  async function calc(input) {
+    const { pubInput0: _p, ...rest } = input;
+    const w = await circuit.calculateWitness(rest, true);
+    await circuit.checkConstraints(w);
+    return w;
+  }
+
+  async function expectFail(input) {
+    let threw = false;
+    try {
+      await calc(input);
+    } catch {
+      threw = true;
+    }
+    expect(threw).to.equal(true, "Expected constraints to fail, but they passed");
+  }
+
+  // a full batch, then a partial one that revokes an edge the first batch added
+  const BATCHES = [[add(2, 3), add(1, 3)], [{ op: OP_REVOKE, ilo: 1, ihi: 2 }]];
+
+  it("each batch is the single-batch transcript; pubInput0 commits to the ends, the sizes and every storageHash", async () => {
+    const state = await base.clone();
+    const agg = await buildAggregateWitness(state, BATCHES, OPTS);
+
+    // the single-batch path, batch by batch
+    const single = await base.clone();
+    const w0 = await buildBatchWitness(single, BATCHES[0], OPTS);
+    const w1 = await buildBatchWitness(single, BATCHES[1], { ...OPTS, batchId: 6n, start: 42 });
+
+    expect(agg.ns).to.deep.equal([2, 1]);
+    expect(agg.input.rootsF).to.deep.equal([base.root, w0.newRoot, w1.newRoot]);
+    expect(agg.newRoot).to.equal(single.root);
+    expect(state.root).to.equal(single.root);
+    expect(agg.batches.map((b) => b.pubInput0)).to.deep.equal([w0.pubInput0, w1.pubInput0]);
+    expect(agg.input.ops).to.deep.equal([w0.input.ops, w1.input.ops]);
+    expect(agg.input.siblings_hi).to.deep.equal([w0.input.siblings_hi, w1.input.siblings_hi]);
+
+    const preimage = Buffer.concat([
+      fieldToBytes32BE(base.root),
+      fieldToBytes32BE(single.root),
+      u64be(5n),
+      u32be(40),
+      u32be(2),
+      u32be(1),
+      sha256(Buffer.concat([w0.storageHash, w1.storageHash])),
+    ]);
+    expect(agg.pubInput0).to.equal(mask253FromDigestBytes(sha256(preimage)));
+
+    const w = await calc(agg.input);
+    await circuit.assertOut(w, { pubInput0: agg.pubInput0 });
+  });
+
+  it("rejects a broken chain, an empty batch and swapped batches", async () => {
+    const agg = await buildAggregateWitness(await base.clone(), BATCHES, OPTS);
+    const { rootsF } = agg.input;
+
+    // batch 0 must end where batch 1 starts
+    await expectFail({ ...agg.input, rootsF: [rootsF[0], rootsF[1] + 1n, rootsF[2]] });
+    await expectFail({ ...agg.input, rootsF: [rootsF[0], rootsF[1], rootsF[1]] });
+
+    // batch 1 with no ops: a valid NOP transcript on its own, but submitBatch rejects n = 0
+    const state = await base.clone();
+    const w0 = await buildBatchWitness(state, BATCHES[0], OPTS);
+    const empty = await buildBatchWitness(state, [], { ...OPTS, batchId: 6n, start: 42 });
+    const input = { ...agg.input, rootsF: [rootsF[0], rootsF[1], rootsF[1]] };
+    for (const key of perBatch(input)) input[key] = [w0.input[key], empty.input[key]];
+    expect(input.numOps).to.deep.equal([2n, 0n]);
+    await expectFail(input);
+
+    // both transcripts are valid, but not in this order
+    const swapped = { ...agg.input, rootsF: [rootsF[1], rootsF[0], rootsF[2]] };
+    for (const key of perBatch(swapped)) swapped[key] = [agg.input[key][1], agg.input[key][0]];
+    await expectFail(swapped);
+  });
+
+  it("JS assembly refuses transcripts that do not continue each other or match their own commitments", async () => {
+    const state = await base.clone();
+    const w0 = await buildBatchWitness(state, BATCHES[0], OPTS);
+    const w1 = await buildBatchWitness(state, BATCHES[1], { ...OPTS, batchId: 6n, start: 42 });
+    expect(aggregateWitnesses([w0, w1]).n).to.equal(3);
+
+    expect(() => aggregateWitnesses([w1, w0])).to.throw(/batch 1 does not continue batch 0/);
+    expect(() => aggregateWitnesses([])).to.throw(/no batches/);
+
+    const empty = await buildBatchWitness(await base.clone(), [], OPTS);
+    expect(() => aggregateWitnesses([empty])).to.throw(/batch 0 is empty/);
+    expect(() => aggregateWitnesses([w0, { ...w1, input: { ...w1.input, batchId: 7n } }])).to.throw(/batchId 7, expected 6/);
+    expect(() => aggregateWitnesses([w0, { ...w1, input: { ...w1.input, start: 41n } }])).to.throw(/starts at 41, expected 42/);
+
+    // the circuit no longer recomputes each batch's pubInput0, so the JS side checks it against the slots
+    const ops = [...w1.input.ops];
+    ops[0] = ops[0] === 1n ? 2n : 1n;
+    expect(() => aggregateWitnesses([w0, { ...w1, input: { ...w1.input, ops } }])).to.throw(/batch 1 storageHash 0x[0-9a-f]{64} does not match its slots/);
+    expect(() => aggregateWitnesses([w0, { ...w1, pubInput0: w0.pubInput0 }])).to.throw(/batch 1 pubInput0 \d+ does not match its transcript/);
+    expect(() => aggregateWitnesses([{ ...w0, n: 1 }])).to.throw(/batch 0 pubInput0/);
+  });
+});
@@ -0,0 +1,221 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+
+import { OP_ADD, OP_REVOKE } from "../lib/encoding.mjs";
+import { Forger } from "../lib/forger.mjs";
+import { GraphState, MAX_DEGREE } from "../lib/graph_state.mjs";
+import { Indexer, JsonlStore } from "../lib/indexer.mjs";
+import {
+  adjacency,
+  addressesFromEvents,
+  bfs,
+  components,
+  degreeDistribution,
+  hopCounts,
+  mutualCounts,
+  mutualNeighbors,
+  nearCap,
+  resolveAddresses,
+  summarize,
+  toCSV,
+  toGraphML,
+  trustRank,
+} from "../lib/analytics.mjs";
+import { FakeRollup, FakeRegistry, fakeProver } from "./helpers/fake_rollup.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, "../..");
+const CLI = path.join(repoRoot, "circuits/scripts/analytics.mjs");
+
+const HUB = 100;
+const addr = (i) => "0x" + i.toString(16).padStart(40, "0");
+
+// 1-2-3-4 with a 1-3 chord, 5-6, 7 and 8 linked then revoked, and a hub at the 64-neighbor cap
+async function buildState() {
+  const state = await GraphState.create({ smtLevels: 32 });
+  const ops = [[1, 2], [2, 3], [3, 4], [1, 3], [5, 6], [7, 8]].map(([ilo, ihi]) => ({ op: OP_ADD, ilo, ihi }));
+  ops.push({ op: OP_REVOKE, ilo: 7, ihi: 8 });
+  for (let i = 1; i <= MAX_DEGREE; i++) ops.push({ op: OP_ADD, ilo: HUB, ihi: HUB + i });
+  for (const op of ops) await state.apply(op);
+  return state;
+}
+
+describe("trust-graph analytics", function () {
+  this.timeout(120000);
+
+  let state;
+  let adj;
+  before(async () => {
+    state = await buildState();
+    adj = adjacency(state);
+  });
+
+  it("reads the same adjacency from a GraphState, its JSON or a forger snapshot", () => {
+    expect(adjacency(state.toJSON())).to.deep.equal(adj);
+    expect(adjacency({ batchId: "3", fromBlock: 0, graph: state.toJSON() })).to.deep.equal(adj);
+    expect(adj.get(3)).to.deep.equal([1, 2, 4]);
+    expect(adj.get(7)).to.deep.equal([]);
+  });
+
+  it("BFS distances and hop counts", () => {
+    expect([...bfs(adj, 1)]).to.deep.equal([[1, 0], [2, 1], [3, 1], [4, 2]]);
+    expect(bfs(adj, 1, { maxHops: 1 }).size).to.equal(3);
+    expect(hopCounts(bfs(adj, HUB + 1))).to.deep.equal([{ hops: 0, count: 1 }, { hops: 1, count: 1 }, { hops: 2, count: MAX_DEGREE - 1 }]);
+    expect([...bfs(adj, 999)]).to.deep.equal([[999, 0]]);
+  });
+
+  it("components, degree distribution and accounts near the cap", () => {
+    const comps = components(adj);
+    expect(comps.map((c) => c.length)).to.deep.equal([MAX_DEGREE + 1, 4, 2, 1, 1]);
+    expect(comps.slice(1)).to.deep.equal([[1, 2, 3, 4], [5, 6], [7], [8]]);
+
+    expect(degreeDistribution(adj)).to.deep.equal([
+      { degree: 0, count: 2 },
+      { degree: 1, count: MAX_DEGREE + 3 },
+      { degree: 2, count: 2 },
+      { degree: 3, count: 1 },
+      { degree: MAX_DEGREE, count: 1 },
+    ]);
+
+    expect(nearCap(adj)).to.deep.equal([{ idx: HUB, degree: MAX_DEGREE }]);
+    expect(nearCap(adj, { margin: MAX_DEGREE - 2 }).map((r) => r.idx)).to.deep.equal([HUB, 3, 1, 2]);
+
+    expect(summarize(adj)).to.include({ accounts: MAX_DEGREE + 9, edges: MAX_DEGREE + 5, isolated: 2, components: 5, largestComponent: MAX_DEGREE + 1, maxDegree: MAX_DEGREE, atCap: 1 });
+  });
+
+  it("mutual neighbors", () => {
+    expect(mutualNeighbors(adj, 1, 2)).to.deep.equal([3]);
+    expect(mutualNeighbors(adj, 1, 5)).to.deep.equal([]);
+    expect(mutualCounts(adj, 1)).to.deep.equal([
+      { idx: 2, mutual: 1, linked: true },
+      { idx: 3, mutual: 1, linked: true },
+      { idx: 4, mutual: 1, linked: false },
+    ]);
+    expect(mutualCounts(adj, HUB + 1, { top: 2 })).to.deep.equal([
+      { idx: HUB + 2, mutual: 1, linked: false },
+      { idx: HUB + 3, mutual: 1, linked: false },
+    ]);
+  });
+
+  it("trust rank flows only out of the seeds", () => {
+    const sum = (rows) => rows.reduce((s, r) => s + r.score, 0);
+
+    const global = trustRank(adj);
+    expect(sum(global)).to.be.closeTo(1, 1e-9);
+    expect(global[0].idx).to.equal(HUB);
+
+    const seeded = trustRank(adj, { seeds: [1] });
+    expect(sum(seeded)).to.be.closeTo(1, 1e-9);
+    const score = new Map(seeded.map((r) => [r.idx, r.score]));
+    expect(seeded[0].idx).to.equal(1);
+    expect(score.get(3)).to.be.greaterThan(score.get(4));
+    expect(score.get(4)).to.be.greaterThan(0);
+    expect(score.get(5)).to.equal(0);
+    expect(score.get(HUB)).to.equal(0);
+
+    expect(() => trustRank(adj, { seeds: [999] })).to.throw(/seed 999/);
+  });
+
+  it("maps indices to addresses from the Registry or AccountCreated events", async () => {
+    const calls = [];
+    const registry = { idxToAccount: async (i) => (calls.push(i), addr(i).toUpperCase().replace("0X", "0x")) };
+    const m = await resolveAddresses(registry, [1, 2, 3], { concurrency: 2 });
+    expect([...m].sort(([a], [b]) => a - b)).to.deep.equal([[1, addr(1)], [2, addr(2)], [3, addr(3)]]);
+    expect(calls.sort()).to.deep.equal([1, 2, 3]);
+
+    const events = [
+      { type: "event", contract: "registry", event: "AccountCreated", args: { owner: addr(5), idx: "5" } },
+      { type: "event", contract: "rollup", event: "TxQueued", args: { txId: "1" } },
+    ];
+    expect([...addressesFromEvents(events)]).to.deep.equal([[5, addr(5)]]);
+  });
+
+  it("exports GraphML and CSV with one line per node and per edge", () => {
+    const addresses = new Map([[1, addr(1)]]);
+    const rank = trustRank(adj, { seeds: [1] });
+    const edges = summarize(adj).edges;
+
+    const g = toGraphML(adj, { addresses, rank });
+    expect(g).to.match(/^<\?xml version="1.0"/);
+    expect(g.match(/<node /g)).to.have.length(adj.size);
+    expect(g.match(/<edge /g)).to.have.length(edges);
+    expect(g).to.include(`<node id="n1"><data key="address">${addr(1)}</data><data key="degree">2</data><data key="component">1</data><data key="rank">`);
+    expect(g).to.include('<edge source="n1" target="n2"/>');
+
+    const { nodes, edges: e } = toCSV(adj, { addresses });
+    const rows = nodes.trim().split("\n");
+    expect(rows[0]).to.equal("idx,address,degree,component");
+    expect(rows).to.include(`1,${addr(1)},2,1`);
+    expect(rows).to.include("7,,0,3");
+    expect(e.trim().split("\n")).to.have.length(edges + 1);
+  });
+
+  it("CLI answers from a state file and exports CSV", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "analytics-"));
+    try {
+      const file = path.join(dir, "forger-state.json");
+      fs.writeFileSync(file, JSON.stringify({ batchId: "1", fromBlock: 0, graph: state.toJSON() }));
+      const run = (...args) => spawnSync(process.execPath, [CLI, ...args, "--state", file], { cwd: repoRoot, encoding: "utf8", timeout: 60000 });
+
+      const summary = run("summary");
+      expect(summary.status, summary.stderr).to.equal(0);
+      expect(JSON.parse(summary.stdout)).to.include({ accounts: adj.size, atCap: 1 });
+
+      const hops = JSON.parse(run("hops", "--idx", "4", "--max-hops", "2", "--list").stdout);
+      expect(hops).to.deep.include({ idx: 4, within: 3, byHops: [{ hops: 1, count: 1 }, { hops: 2, count: 2 }] });
+      expect(hops.accounts.map((a) => a.idx)).to.deep.equal([3, 1, 2]);
+
+      expect(JSON.parse(run("cap").stdout)).to.deep.equal([{ idx: HUB, degree: MAX_DEGREE }]);
+      expect(JSON.parse(run("mutual", "--idx", "1", "--with", "2").stdout)).to.deep.equal({ a: 1, b: 2, linked: true, mutual: 1, neighbors: [3] });
+      expect(JSON.parse(run("rank", "--seed", "5", "--top", "2").stdout).map((r) => r.idx)).to.deep.equal([5, 6]);
+
+      const exp = run("export", "--format", "csv", "--out", path.join(dir, "g"));
+      expect(exp.status, exp.stderr).to.equal(0);
+      expect(fs.readFileSync(path.join(dir, "g.edges.csv"), "utf8").startsWith("source,target\n1,2\n")).to.equal(true);
+
+      const bad = run("hops", "--idx", "999");
+      expect(bad.status).to.equal(1);
+      expect(bad.stderr).to.match(/account 999 has no leaf/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("CLI replays an indexer store and names accounts by address", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "analytics-"));
+    try {
+      const rollup = new FakeRollup({ maxBatch: 3 });
+      const registry = new FakeRegistry(rollup);
+      for (let i = 1; i <= 4; i++) registry.ensureIdx(addr(0xa0 + i));
+      rollup.enqueue(OP_ADD, 1, 2);
+      rollup.enqueue(OP_ADD, 2, 3);
+      rollup.enqueue(OP_ADD, 3, 4);
+      const forger = await new Forger({ rollup, state: await GraphState.create({ smtLevels: 32 }), prover: fakeProver }).init();
+      await forger.forgeOnce();
+      rollup.enqueue(OP_REVOKE, 3, 4); // queued, not forged: not part of the graph
+
+      const file = path.join(dir, "events.jsonl");
+      const ix = await new Indexer({ rollup, registry, store: new JsonlStore(file) }).init();
+      await ix.poll({ toBlock: rollup.blockNumber });
+
+      const run = (...args) => spawnSync(process.execPath, [CLI, ...args, "--events", file], { cwd: repoRoot, encoding: "utf8", timeout: 60000 });
+      const hops = run("hops", "--address", addr(0xa1), "--list");
+      expect(hops.status, hops.stderr).to.equal(0);
+      expect(JSON.parse(hops.stdout).accounts).to.deep.equal([
+        { idx: 2, hops: 1, address: addr(0xa2) },
+        { idx: 3, hops: 2, address: addr(0xa3) },
+        { idx: 4, hops: 3, address: addr(0xa4) },
+      ]);
+
+      const unknown = run("hops", "--address", addr(0xff));
+      expect(unknown.status).to.equal(1);
+      expect(unknown.stderr).to.match(/no account index/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,247 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import { execFileSync, spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import { AbiCoder, Interface } from "ethers";
+
+import { BACKENDS, PROTOCOLS, backendProver, readZkeyProtocol } from "../lib/backends.mjs";
+import { ffiBlob, formatProof, submitBatchCalldata, verifyLocal, verifyProofCalldata } from "../lib/calldata.mjs";
+import { BI } from "../lib/encoding.mjs";
+import { ProofService } from "../lib/prover.mjs";
+import { plonkGates } from "../lib/r1cs.mjs";
+import { runSetup } from "../lib/setup.mjs";
+import { toCircuitJSON } from "../lib/witness.mjs";
+import { makePtau } from "./helpers/ptau.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, "../..");
+const CLI = path.join(repoRoot, "circuits/scripts/backends.mjs");
+
+// Main's public surface (one pubInput0, newRootF / numOps for the prover result), with wide linear
+// combinations and additions so PLONK needs more rows than R1CS
+const MIX = `pragma circom 2.1.6;
+template Mix(n) {
+  signal input pubInput0;
+  signal input x;
+  signal input v[4];
+  signal input newRootF;
+  signal input numOps;
+  signal s[n];
+  s[0] <== (v[0] + v[1] + v[2] + v[3]) * x;
+  for (var i = 1; i < n; i++) s[i] <== s[i - 1] * (x + i) + v[i % 4];
+  pubInput0 === s[n - 1] + 2 * newRootF + numOps;
+}
+component main { public [pubInput0] } = Mix(5);
+`;
+
+function mixInput(x, v = [1n, 2n, 3n, 4n], newRootF = 7n, numOps = 2n) {
+  let s = (v[0] + v[1] + v[2] + v[3]) * x;
+  for (let i = 1; i < 5; i++) s = s * (x + BigInt(i)) + v[i % 4];
+  return { pubInput0: s + 2n * newRootF + numOps, x, v, newRootF, numOps };
+}
+
+// nested uint256 / bytes32 values -> flat bigints
+const words = (xs) => xs.flat(Infinity).map(BI);
+
+const CONTRACTS = { groth16: "Groth16Verifier", plonk: "PlonkVerifier", fflonk: "FflonkVerifier" };
+
+describe("proving backends (Groth16, PLONK, FFLONK)", function () {
+  this.timeout(600000);
+
+  let dir;
+  let ptauDir;
+  const built = {};
+  const logs = [];
+
+  before(async function () {
+    try {
+      execFileSync("circom", ["--version"], { stdio: "ignore" });
+    } catch {
+      this.skip();
+    }
+    fs.mkdirSync(path.join(repoRoot, "circuits/build"), { recursive: true });
+    dir = fs.mkdtempSync(path.join(repoRoot, "circuits/build/backends-test-"));
+    ptauDir = path.join(dir, "ptau");
+    fs.mkdirSync(ptauDir);
+    await makePtau(path.join(ptauDir, "p8.ptau"), 8);
+    fs.writeFileSync(path.join(dir, "mix.circom"), MIX);
+
+    for (const protocol of ["plonk", "fflonk", "groth16"]) {
+      built[protocol] = await runSetup({
+        circuit: path.join(dir, "mix.circom"),
+        outDir: path.join(dir, "build"),
+        ptauDir,
+        protocol,
+        contributions: 0,
+        logger: { info: (m) => logs.push(m) },
+      });
+    }
+  });
+
+  after(async () => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    await globalThis.curve_bn128?.terminate();
+  });
+
+  it("sizes PLONK and FFLONK from the gate count snarkjs uses", () => {
+    const { r1cs } = built.plonk.paths;
+    const { gates, nPublic } = plonkGates(r1cs);
+    const logged = logs.map((m) => m.match(/^Plonk constraints: (\d+)$/)).find(Boolean);
+    expect(gates).to.equal(Number(logged[1]));
+    expect(nPublic).to.equal(1);
+    expect(gates).to.be.greaterThan(built.groth16.manifest.r1cs.nConstraints);
+
+    expect(BACKENDS.plonk.requiredPower(null, r1cs)).to.deep.equal({ power: 4, domainPower: 4, gates });
+    // 2^5 rows for gates + 2 blinding rows, 9 * 2^5 + 18 ptau points
+    expect(BACKENDS.fflonk.requiredPower(null, r1cs)).to.deep.equal({ power: 8, domainPower: 5, gates });
+    expect(built.fflonk.manifest.steps["fflonk.setup"]).to.include({ power: 8, domainPower: 5, gates });
+    expect(built.fflonk.manifest.steps["fflonk.setup"].ptau.power).to.equal(8);
+  });
+
+  it("keeps all three setups side by side, each with its own zkey, vkey and verifier", async () => {
+    const { manifest } = built.groth16;
+    expect(Object.keys(manifest.steps).sort()).to.deep.equal(
+      ["compile", "plonk.setup", "plonk.export", "fflonk.setup", "fflonk.export", "setup", "beacon", "verify", "export"].sort()
+    );
+
+    for (const protocol of PROTOCOLS) {
+      const { paths } = built[protocol];
+      expect(readZkeyProtocol(paths.zkey)).to.equal(protocol);
+      expect(JSON.parse(fs.readFileSync(paths.vkey, "utf8")).protocol).to.equal(protocol);
+      expect(path.basename(paths.verifier)).to.equal(protocol === "groth16" ? "Verifier.sol" : `${CONTRACTS[protocol]}.sol`);
+      expect(fs.readFileSync(paths.verifier, "utf8")).to.match(new RegExp(`contract ${CONTRACTS[protocol]} \\{`));
+    }
+    expect(new Set(PROTOCOLS.map((p) => built[p].paths.zkey)).size).to.equal(3);
+
+    const again = await runSetup({ circuit: path.join(dir, "mix.circom"), outDir: path.join(dir, "build"), ptauDir, protocol: "plonk" });
+    expect(again.ran).to.deep.equal([]);
+    expect(again.skipped).to.deep.equal(["compile", "plonk.setup", "plonk.export"]);
+    expect(again.manifest.steps.beacon).to.deep.equal(manifest.steps.beacon);
+    expect(again.manifest.ptau).to.deep.equal(manifest.ptau);
+
+    let code = null;
+    try {
+      await runSetup({ circuit: path.join(dir, "mix.circom"), protocol: "stark" });
+    } catch (e) {
+      code = e.code;
+    }
+    expect(code).to.equal("BAD_PROTOCOL");
+  });
+
+  it("proves, verifies and encodes verifyProof calldata under every protocol", async () => {
+    const input = mixInput(3n);
+    for (const protocol of PROTOCOLS) {
+      const backend = BACKENDS[protocol];
+      const { paths } = built[protocol];
+      const res = await backendProver({ wasm: paths.wasm, zkey: paths.zkey })(input);
+      expect(res.protocol).to.equal(protocol);
+      expect(res.publicSignals).to.deep.equal([input.pubInput0.toString()]);
+
+      const { publicSignals, ...proofArgs } = res;
+      const args = { ...proofArgs, input: publicSignals.map(BI) };
+      expect(await verifyLocal(paths.vkey, args)).to.equal(true, protocol);
+
+      // one changed word (an evaluation for plonk / fflonk: eval_c / zw), or the other protocol's key
+      const bad = protocol === "groth16" ? { ...args, c: [args.c[0], args.c[1] + 1n] } : { ...args, proof: args.proof.map((w, i) => (i === 20 ? w + 1n : w)) };
+      expect(await verifyLocal(paths.vkey, bad)).to.equal(false, protocol);
+      const other = built[protocol === "plonk" ? "fflonk" : "plonk"].paths.vkey;
+      let code = null;
+      try {
+        await verifyLocal(other, args);
+      } catch (e) {
+        code = e.code;
+      }
+      expect(code).to.equal("BAD_VKEY");
+
+      const values = backend.solidityValues(args);
+      const blob = AbiCoder.defaultAbiCoder().decode([...backend.abiTypes, "uint256[1]"], Buffer.from(ffiBlob(args), "base64"));
+      expect(blob.toArray(true).at(-1)).to.deep.equal(args.input);
+      expect(words(blob.toArray(true).slice(0, -1))).to.deep.equal(words(values));
+      expect(words(values)).to.have.length(backend.proofWords);
+
+      const call = new Interface(backend.verifierAbi(1)).decodeFunctionData("verifyProof", verifyProofCalldata(args));
+      expect(call.toArray(true).at(-1)).to.deep.equal(args.input);
+      expect(backend.proofWords * 32).to.equal(protocol === "groth16" ? 256 : 768);
+    }
+  });
+
+  it("only Groth16 proofs reach Rollup.submitBatch", async () => {
+    const { paths } = built.plonk;
+    const { publicSignals, ...args } = await backendProver({ wasm: paths.wasm, zkey: paths.zkey })(mixInput(5n));
+    const root = "0x" + "11".repeat(32);
+
+    expect(() => submitBatchCalldata({ ...args, input: publicSignals, newGraphRoot: root, n: 2 })).to.throw(/takes a groth16 proof, got plonk/);
+
+    const proof = BACKENDS.plonk.fromSolidity(args);
+    const out = await formatProof({ proof, publicSignals, vkey: paths.vkey });
+    expect(out).to.include({ protocol: "plonk", verified: true });
+    expect(out.args.proof).to.have.length(24);
+    let code = null;
+    try {
+      await formatProof({ proof, publicSignals, vkey: paths.vkey, newGraphRoot: root, n: 2 });
+    } catch (e) {
+      code = e.code;
+    }
+    expect(code).to.equal("UNSUPPORTED");
+  });
+
+  it("ProofService proves with whichever protocol its zkey was set up for", async () => {
+    const { paths } = built.fflonk;
+    const service = await new ProofService({ wasm: paths.wasm, zkey: paths.zkey }).init();
+    try {
+      expect(service.status().protocol).to.equal("fflonk");
+      const input = mixInput(4n);
+      const { job } = service.submit(input);
+      const done = await service.wait(job.id, 120000);
+      expect(done.status, done.error).to.equal("done");
+
+      const { result } = done;
+      expect(result).to.include({ protocol: "fflonk", n: 2, pubInput0: input.pubInput0.toString() });
+      expect(result.newGraphRoot).to.equal("0x" + "7".padStart(64, "0"));
+      expect(result.proof).to.have.length(24);
+      expect(await verifyLocal(paths.vkey, { protocol: "fflonk", proof: result.proof, input: [BI(result.pubInput0)] })).to.equal(true);
+    } finally {
+      await service.close();
+    }
+  });
+
+  it("benchmark CLI compares the three systems on one circuit, and skips what its ptau cannot hold", async () => {
+    const inputFile = path.join(dir, "input.json");
+    fs.writeFileSync(inputFile, JSON.stringify(toCircuitJSON(mixInput(3n))));
+    const run = (...args) =>
+      spawnSync(process.execPath, [CLI, path.join(dir, "mix.circom"), "--input", inputFile, "--quiet", ...args], {
+        cwd: repoRoot,
+        encoding: "utf8",
+        timeout: 300000,
+      });
+
+    const r = run("--ptau-dir", ptauDir, "--out", path.join(dir, "bench"), "--json");
+    expect(r.status, r.stderr).to.equal(0);
+    const res = JSON.parse(r.stdout);
+    expect(res.nConstraints).to.equal(built.groth16.manifest.r1cs.nConstraints);
+    expect(res.witnessMs).to.be.a("number");
+    expect(res.rows.map((row) => row.protocol)).to.deep.equal(PROTOCOLS);
+    for (const row of res.rows) {
+      expect(row.skipped).to.equal(null);
+      expect(row.proveMs).to.be.a("number");
+      expect(row.verifyMs).to.be.a("number");
+      expect(row.calldataGas).to.be.greaterThan(0);
+      expect(row).to.include({ verifyGas: null, gasSkipped: "no rpc given" });
+    }
+    expect(res.rows.map((row) => row.proofBytes)).to.deep.equal([256, 768, 768]);
+    // selector + proof words + one public input (+ nothing else: fixed-size arrays are inline)
+    expect(res.rows.map((row) => row.calldataBytes)).to.deep.equal([4 + 9 * 32, 4 + 25 * 32, 4 + 25 * 32]);
+    expect(res.rows.map((row) => row.ptauPower)).to.deep.equal([8, 8, 8]);
+
+    const small = path.join(dir, "ptau-small");
+    fs.mkdirSync(small);
+    await makePtau(path.join(small, "p4.ptau"), 4);
+    const table = run("--ptau-dir", small, "--out", path.join(dir, "bench-small"), "--protocol", "plonk", "--protocol", "fflonk");
+    expect(table.status, table.stderr).to.equal(0);
+    expect(table.stdout).to.match(/^protocol\s+gates\s+ptau/m);
+    expect(table.stdout).to.match(new RegExp(`^plonk\\s+${res.rows[1].gates}\\s+4\\s`, "m"));
+    expect(table.stdout).to.match(/fflonk skipped: no ptau in .* fits; circuit needs a ptau of power >= 8/);
+    expect(table.stdout).to.match(/verify gas not measured: no rpc given/);
+  });
+});
@@ -0,0 +1,167 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import { execFileSync, spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import { AbiCoder, Interface } from "ethers";
+import * as snarkjs from "snarkjs";
+
+import {
+  proofToSolidityArgs,
+  solidityArgsToProof,
+  verifierArgs,
+  verifyLocal,
+  verifyProofCalldata,
+  submitBatchCalldata,
+  ffiBlob,
+  formatProof,
+} from "../lib/calldata.mjs";
+import { ROLLUP_ABI, VERIFIER_ABI } from "../lib/rollup_abi.mjs";
+import { runSetup } from "../lib/setup.mjs";
+import { makePtau } from "./helpers/ptau.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, "../..");
+const CLI = path.join(repoRoot, "circuits/scripts/calldata.mjs");
+
+const SQUARE = `pragma circom 2.1.6;
+template Square() {
+  signal input pubInput0;
+  signal input x;
+  pubInput0 === x * x;
+}
+component main { public [pubInput0] } = Square();
+`;
+
+const ROOT = "0x" + "ab".repeat(32);
+
+describe("calldata formatter (snarkjs proof -> Solidity arguments)", function () {
+  this.timeout(300000);
+
+  let dir;
+  let paths;
+  let proof;
+  let publicSignals;
+
+  before(async function () {
+    try {
+      execFileSync("circom", ["--version"], { stdio: "ignore" });
+    } catch {
+      this.skip();
+    }
+    fs.mkdirSync(path.join(repoRoot, "circuits/build"), { recursive: true });
+    dir = fs.mkdtempSync(path.join(repoRoot, "circuits/build/calldata-test-"));
+    fs.mkdirSync(path.join(dir, "ptau"));
+    await makePtau(path.join(dir, "ptau/small.ptau"), 3);
+    fs.writeFileSync(path.join(dir, "square.circom"), SQUARE);
+    ({ paths } = await runSetup({
+      circuit: path.join(dir, "square.circom"),
+      outDir: path.join(dir, "build"),
+      ptauDir: path.join(dir, "ptau"),
+      verifier: path.join(dir, "build/SquareVerifier.sol"),
+    }));
+    ({ proof, publicSignals } = await snarkjs.groth16.fullProve({ pubInput0: 49, x: 7 }, paths.wasm, paths.zkey));
+    fs.writeFileSync(path.join(dir, "proof.json"), JSON.stringify(proof));
+    fs.writeFileSync(path.join(dir, "public.json"), JSON.stringify(publicSignals));
+    fs.writeFileSync(path.join(dir, "bad_public.json"), JSON.stringify(["50"]));
+  });
+
+  after(async () => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    await globalThis.curve_bn128?.terminate();
+  });
+
+  const cli = (...args) => spawnSync(process.execPath, [CLI, "--vkey", paths.vkey, ...args], { cwd: repoRoot, encoding: "utf8", timeout: 60000 });
+
+  it("swaps the G2 coordinates and back", () => {
+    const p = { pi_a: ["1", "2", "1"], pi_b: [["3", "4"], ["5", "6"], ["1", "0"]], pi_c: ["7", "8", "1"] };
+    const args = proofToSolidityArgs(p);
+    expect(args).to.deep.equal({ a: [1n, 2n], b: [[4n, 3n], [6n, 5n]], c: [7n, 8n] });
+    expect(solidityArgsToProof(args)).to.deep.include(p);
+  });
+
+  it("verifies a real proof locally and rejects wrong public signals or a bad swap", async () => {
+    const args = verifierArgs(proof, publicSignals);
+    expect(args.input).to.deep.equal([49n]);
+    expect(await verifyLocal(paths.vkey, args)).to.equal(true);
+    expect(await verifyLocal(paths.vkey, { ...args, input: [50n] })).to.equal(false);
+
+    // un-swapped b is what everyone gets wrong
+    const raw = { ...args, b: proof.pi_b.slice(0, 2).map((r) => r.map(BigInt)) };
+    expect(await verifyLocal(paths.vkey, raw)).to.equal(false);
+
+    let err = null;
+    try {
+      await verifyLocal(paths.vkey, { ...args, input: [49n, 1n] });
+    } catch (e) {
+      err = e;
+    }
+    expect(err?.code).to.equal("BAD_PUBLIC");
+  });
+
+  it("encodes verifyProof / submitBatch calldata and the vm.ffi blob", () => {
+    const args = verifierArgs(proof, publicSignals);
+
+    const v = new Interface(VERIFIER_ABI).decodeFunctionData("verifyProof", verifyProofCalldata(args));
+    expect(v.toArray(true)).to.deep.equal([args.a, args.b, args.c, args.input]);
+
+    const s = new Interface(ROLLUP_ABI).decodeFunctionData("submitBatch", submitBatchCalldata({ newGraphRoot: ROOT, n: 3, ...args }));
+    expect(s.toArray(true)).to.deep.equal([ROOT, 3n, args.a, args.b, args.c]);
+
+    const blob = Buffer.from(ffiBlob(args), "base64");
+    expect(blob.length).to.equal(32 * 9);
+    const d = AbiCoder.defaultAbiCoder().decode(["uint256[2]", "uint256[2][2]", "uint256[2]", "uint256[1]"], blob);
+    expect(d.toArray(true)).to.deep.equal([args.a, args.b, args.c, args.input]);
+  });
+
+  it("formatProof verifies before encoding anything", async () => {
+    const out = await formatProof({ proof, publicSignals, vkey: paths.vkey, newGraphRoot: ROOT, n: 2 });
+    expect(out.verified).to.equal(true);
+    expect(out.args.input).to.deep.equal(["49"]);
+    expect(out.submitBatch).to.deep.equal({ newGraphRoot: ROOT, n: 2 });
+    expect(out.submitBatchCalldata).to.match(/^0x/);
+    expect(out.verifyProofCalldata).to.match(/^0x/);
+
+    const codes = [];
+    for (const opts of [{ publicSignals: ["50"], vkey: paths.vkey }, { publicSignals }]) {
+      try {
+        await formatProof({ proof, ...opts });
+      } catch (e) {
+        codes.push(e.code);
+      }
+    }
+    expect(codes).to.deep.equal(["PROOF_INVALID", "NO_VKEY"]);
+
+    const unchecked = await formatProof({ proof, publicSignals: ["50"], verify: false });
+    expect(unchecked.verified).to.equal(null);
+    expect(unchecked).to.not.have.property("submitBatchCalldata");
+  });
+
+  it("CLI prints each format and refuses a proof that does not verify", () => {
+    const base = ["--proof", path.join(dir, "proof.json"), "--public", path.join(dir, "public.json")];
+    const args = verifierArgs(proof, publicSignals);
+
+    const ffi = cli(...base, "--format", "ffi");
+    expect(ffi.status, ffi.stderr).to.equal(0);
+    expect(ffi.stdout).to.equal(ffiBlob(args));
+
+    const submit = cli(...base, "--format", "submit", "--new-root", ROOT, "--n", "3");
+    expect(submit.stdout.trim()).to.equal(submitBatchCalldata({ newGraphRoot: ROOT, n: 3, ...args }));
+
+    const lit = cli(...base, "--format", "args");
+    expect(lit.stdout.trim()).to.equal(
+      `[${args.a}] [[${args.b[0]}],[${args.b[1]}]] [${args.c}] [49]`
+    );
+
+    expect(cli(...base, "--format", "submit").status).to.equal(1);
+
+    const bad = cli("--proof", path.join(dir, "proof.json"), "--public", path.join(dir, "bad_public.json"));
+    expect(bad.status).to.equal(1);
+    expect(bad.stdout).to.equal("");
+    expect(bad.stderr).to.match(/^PROOF_INVALID/);
+
+    const skipped = cli("--proof", path.join(dir, "proof.json"), "--public", path.join(dir, "bad_public.json"), "--no-verify");
+    expect(skipped.status).to.equal(0);
+    expect(JSON.parse(skipped.stdout).verified).to.equal(null);
+  });
+});
@@ -0,0 +1,169 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+import { fileURLToPath } from "url";
+import * as snarkjs from "snarkjs";
+
+import { Ceremony, contribute, verifyTranscript, zkeyVerify } from "../lib/ceremony.mjs";
+import { makePtau } from "./helpers/ptau.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, "../..");
+
+const CIRCUIT = `pragma circom 2.1.6;
+template Cube() {
+  signal input x;
+  signal output y;
+  signal x2;
+  x2 <== x * x;
+  y <== x2 * x;
+}
+component main { public [x] } = Cube();
+`;
+
+const BEACON = "0102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f";
+
+describe("trusted setup ceremony (file hand-off + transcript verifier)", function () {
+  this.timeout(600000);
+
+  let work;     // scratch area: ceremony dir + each contributor's "machine"
+  let dir;
+  let r1cs;
+  let ptau;
+  let ceremony;
+  const hashes = {};
+
+  before(async function () {
+    try {
+      execFileSync("circom", ["--version"], { stdio: "ignore" });
+    } catch {
+      this.skip();
+    }
+    fs.mkdirSync(path.join(repoRoot, "circuits/build"), { recursive: true });
+    work = fs.mkdtempSync(path.join(repoRoot, "circuits/build/ceremony-test-"));
+    fs.writeFileSync(path.join(work, "cube.circom"), CIRCUIT);
+    execFileSync("circom", [path.relative(repoRoot, path.join(work, "cube.circom")), "--r1cs", "--wasm", "-o", path.relative(repoRoot, work)], {
+      cwd: repoRoot,
+      stdio: "ignore",
+    });
+    r1cs = path.join(work, "cube.r1cs");
+    ptau = await makePtau(path.join(work, "pot4.ptau"), 4);
+    dir = path.join(work, "ceremony");
+  });
+
+  // snarkjs keeps bn128 worker threads alive on a global curve; release them so mocha can exit
+  after(async () => {
+    if (work) fs.rmSync(work, { recursive: true, force: true });
+    await globalThis.curve_bn128?.terminate();
+  });
+
+  // contributor `name` receives the hand-off file, contributes on their own machine, sends the result back
+  async function takeTurn(name, from = ceremony.next().zkey) {
+    const inbox = path.join(work, name, "in.zkey");
+    fs.mkdirSync(path.dirname(inbox), { recursive: true });
+    fs.copyFileSync(from, inbox);
+    const out = path.join(work, name, "out.zkey");
+    hashes[name] = await contribute({ input: inbox, output: out, name, entropy: `${name}'s dice rolls` });
+    return out;
+  }
+
+  async function rejects(promise) {
+    try {
+      await promise;
+    } catch (e) {
+      return e;
+    }
+    throw new Error("expected a rejection");
+  }
+
+  it("init pins r1cs + ptau and hands the initial zkey to the first contributor", async () => {
+    ceremony = await Ceremony.init({ dir, r1cs, ptau, contributors: ["alice", "bob"] });
+    const t = Ceremony.load(dir).transcript;
+    expect(t.queue).to.deep.equal(["alice", "bob"]);
+    expect(t.r1cs).to.include({ nConstraints: 2 });
+    expect(t.ptau).to.include({ power: 4 });
+    expect(t.circuitHash).to.match(/^[0-9a-f]{128}$/);
+
+    const handoff = path.join(work, "handoff.zkey");
+    expect(ceremony.next({ out: handoff })).to.deep.equal({ contributor: "alice", zkey: handoff, index: 1 });
+    expect(fs.readFileSync(handoff)).to.deep.equal(fs.readFileSync(path.join(dir, t.initial.zkey)));
+  });
+
+  it("accepts contributions in queue order and records their hashes", async () => {
+    const entry = await ceremony.accept(await takeTurn("alice"));
+    expect(entry).to.include({ index: 1, name: "alice", contributionHash: hashes.alice });
+    expect(ceremony.next().contributor).to.equal("bob");
+
+    // what `zkey verify` says about the accepted file matches what alice was told
+    const v = await zkeyVerify(r1cs, ptau, path.join(dir, entry.zkey));
+    expect(v.ok).to.equal(true);
+    expect(v.contributions.map((c) => c.contributionHash)).to.deep.equal([hashes.alice]);
+  });
+
+  it("rejects out-of-turn, chain-skipping and corrupted contributions", async () => {
+    ceremony.add("carol");
+
+    // carol takes bob's turn
+    let e = await rejects(ceremony.accept(await takeTurn("carol")));
+    expect(e.code).to.equal("UNEXPECTED_CONTRIBUTOR");
+    expect(e.message).to.match(/expected bob, zkey is labelled "carol"$/);
+
+    // bob builds on the initial zkey, dropping alice's contribution
+    e = await rejects(ceremony.accept(await takeTurn("bob", path.join(dir, ceremony.transcript.initial.zkey))));
+    expect(e.code).to.equal("CHAIN_MISMATCH");
+
+    // bytes flipped in transit
+    const good = await takeTurn("bob");
+    const corrupt = path.join(work, "corrupt.zkey");
+    const buf = fs.readFileSync(good);
+    buf[buf.length - 100] ^= 0xff;
+    fs.writeFileSync(corrupt, buf);
+    e = await rejects(ceremony.accept(corrupt));
+    expect(e.code).to.equal("INVALID_ZKEY");
+
+    expect(Ceremony.load(dir).transcript.contributions).to.have.length(1);
+    expect((await ceremony.accept(good)).name).to.equal("bob");
+    ceremony.drop("carol");
+  });
+
+  it("finalizes with a beacon; the transcript verifier re-checks everything from r1cs + ptau", async () => {
+    const t = await ceremony.finalize({ beacon: BEACON });
+    expect(t.contributions.map((c) => [c.name, c.contributionHash])).to.deep.equal([["alice", hashes.alice], ["bob", hashes.bob]]);
+    expect(t.beacon).to.include({ beacon: BEACON, iterations: 10 });
+    expect((await rejects(ceremony.accept(path.join(dir, t.final.zkey)))).code).to.equal("FINALIZED");
+
+    const res = await verifyTranscript({ dir });
+    expect(res.ok, res.reason).to.equal(true);
+    expect(res.contributions.map((c) => c.name)).to.deep.equal(["alice", "bob", "final beacon"]);
+
+    // the final zkey proves and verifies
+    const vkey = JSON.parse(fs.readFileSync(path.join(dir, t.final.vkey), "utf8"));
+    const wasm = path.join(work, "cube_js/cube.wasm");
+    const { proof, publicSignals } = await snarkjs.groth16.fullProve({ x: 3 }, wasm, path.join(dir, t.final.zkey));
+    expect(publicSignals).to.deep.equal(["27", "3"]);
+    expect(await snarkjs.groth16.verify(vkey, publicSignals, proof)).to.equal(true);
+  });
+
+  it("the transcript verifier rejects a doctored transcript or a swapped zkey", async () => {
+    const t = JSON.parse(fs.readFileSync(path.join(dir, "ceremony.json"), "utf8"));
+
+    const renamed = structuredClone(t);
+    renamed.contributions[0].name = "mallory";
+    expect((await verifyTranscript({ dir, transcript: renamed })).reason).to.match(/contribution #1 \(mallory\)/);
+
+    const dropped = structuredClone(t);
+    dropped.contributions.shift();
+    expect((await verifyTranscript({ dir, transcript: dropped })).reason).to.match(/3 contributions, transcript lists 2/);
+
+    // bob's zkey (no beacon) with its sha256 written into the transcript
+    const swapped = structuredClone(t);
+    swapped.final.zkey = t.contributions[1].zkey;
+    swapped.final.sha256 = t.contributions[1].sha256;
+    expect((await verifyTranscript({ dir, transcript: swapped })).ok).to.equal(false);
+
+    expect((await verifyTranscript({ dir, transcript: t, zkey: path.join(dir, t.contributions[1].zkey) })).reason).to.equal(
+      "final zkey sha256 mismatch"
+    );
+  });
+});
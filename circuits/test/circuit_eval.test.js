@@ -0,0 +1,237 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+import { fileURLToPath } from "url";
+import { AbiCoder } from "ethers";
+
+import { OP_ADD, OP_REVOKE, packTx, fieldToBytes32BE, storageHash, buildTxDataFixedBytes, digestBytesToBitsMSB } from "../lib/encoding.mjs";
+import { readSignal, encodeOutputs, parseOutputSpec, resolveArtifacts, proveBatch } from "../lib/circuit_eval.mjs";
+import { verifyLocal } from "../lib/calldata.mjs";
+import { GraphState } from "../lib/graph_state.mjs";
+import { normalizeOps } from "../lib/witness.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, "../..");
+const cli = path.join(repoRoot, "circuits/scripts/circuit-eval.mjs");
+
+const abi = AbiCoder.defaultAbiCoder();
+const decode = (types, b64) => abi.decode(types, "0x" + Buffer.from(b64, "base64").toString("hex"));
+
+describe("circuit-eval (named signal extraction + ABI output)", function () {
+  this.timeout(300000);
+
+  describe("readSignal / encodeOutputs", () => {
+    const sym = new Map([
+      ["main.x", 1],
+      ["main.arr[0]", 2],
+      ["main.arr[1]", 3],
+      ["main.m[0][0]", 4],
+      ["main.m[0][1]", 5],
+      ["main.m[1][0]", 6],
+      ["main.m[1][1]", 7],
+      ["main.c.arr[0]", 8],
+      ["main.c.arr[0].sub", 9],
+      ["main.gone", -1],
+    ]);
+    const witness = [1n, 42n, 7n, 9n, 10n, 11n, 12n, 13n, 255n, 0n];
+
+    it("resolves scalars, arrays, 2-D arrays and component paths", () => {
+      expect(readSignal(sym, witness, "x")).to.equal(42n);
+      expect(readSignal(sym, witness, "main.arr")).to.deep.equal([7n, 9n]);
+      expect(readSignal(sym, witness, "m")).to.deep.equal([[10n, 11n], [12n, 13n]]);
+      expect(readSignal(sym, witness, "m[1]")).to.deep.equal([12n, 13n]);
+      expect(readSignal(sym, witness, "c.arr")).to.deep.equal([255n]); // .sub is not part of the array
+    });
+
+    it("explains unknown and optimized-away signals", () => {
+      expect(() => readSignal(sym, witness, "nope")).to.throw(/unknown signal main.nope/);
+      expect(() => readSignal(sym, witness, "gone")).to.throw(/optimized away/);
+    });
+
+    it("encodes any mix of uint / bytes32 / bool / arrays", () => {
+      const specs = ["x", "arr:uint8[2]", "m", "x:bytes32", "c.arr:bytes", { signal: "c.arr[0]", type: "uint8" }].map(parseOutputSpec);
+      const values = specs.map((s) => readSignal(sym, witness, s.signal));
+      const out = encodeOutputs(specs, values);
+      const [x, arr, m, xb, bytes, u8] = abi.decode(["uint256", "uint8[2]", "uint256[][]", "bytes32", "bytes", "uint8"], out);
+      expect(x).to.equal(42n);
+      expect([...arr]).to.deep.equal([7n, 9n]);
+      expect(m.map((r) => [...r])).to.deep.equal([[10n, 11n], [12n, 13n]]);
+      expect(xb).to.equal("0x" + "00".repeat(31) + "2a");
+      expect(bytes).to.equal("0xff");
+      expect(u8).to.equal(255n);
+
+      expect(() => encodeOutputs([parseOutputSpec("arr:uint256[3]")], [[1n, 2n]])).to.throw(/expected 3 elements/);
+      expect(() => encodeOutputs([parseOutputSpec("m:bytes")], [[[1n]]])).to.throw(/not a byte/);
+      expect(() => encodeOutputs([parseOutputSpec("x:bool")], [2n])).to.throw(/0\/1/);
+    });
+  });
+
+  describe("CLI eval mode on StorageHashBytes32Test(3)", () => {
+    let buildRoot;
+    let buildDir;
+
+    before(function () {
+      try {
+        execFileSync("circom", ["--version"], { stdio: "ignore" });
+      } catch {
+        this.skip();
+      }
+      buildRoot = fs.mkdtempSync(path.join(os.tmpdir(), "zkgraf-eval-"));
+      buildDir = path.join(buildRoot, "storage_hash_bytes32_test");
+      fs.mkdirSync(buildDir);
+      execFileSync(
+        "circom",
+        ["circuits/test_circuits/storage_hash_bytes32_test.circom", "--wasm", "--sym", "-l", "node_modules", "-l", "circuits", "-o", buildDir],
+        { cwd: repoRoot, stdio: "ignore" }
+      );
+    });
+
+    after(() => {
+      if (buildRoot) fs.rmSync(buildRoot, { recursive: true, force: true });
+    });
+
+    const run = (mode, args) => execFileSync("node", [cli, mode, JSON.stringify(args)], { cwd: repoRoot, encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] });
+    const runErr = (mode, args) => {
+      try {
+        run(mode, args);
+      } catch (e) {
+        return e.stderr.toString();
+      }
+      return null;
+    };
+
+    const input = { ilo: [10, 20, 0], ihi: [11, 21, 0], op: [1, 2, 0] };
+    const expected = storageHash(buildTxDataFixedBytes([{ ilo: 10, ihi: 11, op: 1 }, { ilo: 20, ihi: 21, op: 2 }], 3));
+
+    it("returns abi.encode(bytes32, uint8[256], uint256[], bytes) as base64", () => {
+      const out = run("eval", {
+        buildDir,
+        input,
+        outputs: ["outBytes:bytes32", "db.digest:uint8[256]", "ilo", "outBytes:bytes"],
+      });
+      expect(out).to.match(/^[A-Za-z0-9+/]+=*$/);
+
+      const [sh, bits, ilo, raw] = decode(["bytes32", "uint8[256]", "uint256[]", "bytes"], out);
+      expect(sh).to.equal("0x" + expected.toString("hex"));
+      expect(bits.map(Number)).to.deep.equal(digestBytesToBitsMSB(expected).map(Number));
+      expect([...ilo]).to.deep.equal([10n, 20n, 0n]);
+      expect(raw).to.equal(sh);
+    });
+
+    it("resolves by circuit name deterministically and refuses to guess between several", () => {
+      const other = path.join(buildDir, "other_circuit.sym");
+      fs.writeFileSync(other, "1,1,0,main.x\n");
+      try {
+        expect(runErr("eval", { buildDir, input, outputs: ["outBytes"] })).to.match(
+          /several circuits in .*: other_circuit, storage_hash_bytes32_test; pass "circuit"/
+        );
+        const out = run("eval", { buildDir, circuit: "storage_hash_bytes32_test", input, outputs: ["outBytes:bytes32"] });
+        expect(decode(["bytes32"], out)[0]).to.equal("0x" + expected.toString("hex"));
+      } finally {
+        fs.rmSync(other);
+      }
+      expect(() => resolveArtifacts({ buildDir, circuit: "nope" })).to.throw(/missing artifacts for circuit "nope"[\s\S]*build with: circom/);
+    });
+
+    it("reports signals removed by the optimizer instead of returning garbage", () => {
+      expect(runErr("eval", { buildDir, input, outputs: ["sh.digest"] })).to.match(/main.sh.digest\[0\] was optimized away/);
+    });
+
+    it("evalMany returns abi.encode(bytes[]), one eval output per input, in order", () => {
+      const inputs = [input, { ilo: [5, 0, 0], ihi: [6, 0, 0], op: [1, 0, 0] }, input];
+      const out = run("evalMany", { buildDir, inputs, outputs: ["outBytes:bytes32", "ilo"] });
+      const [items] = decode(["bytes[]"], out);
+      expect(items.length).to.equal(3);
+
+      const each = items.map((b) => abi.decode(["bytes32", "uint256[]"], b));
+      const second = storageHash(buildTxDataFixedBytes([{ ilo: 5, ihi: 6, op: 1 }], 3));
+      expect(each.map(([sh]) => sh)).to.deep.equal([expected, second, expected].map((h) => "0x" + h.toString("hex")));
+      expect([...each[1][1]]).to.deep.equal([5n, 0n, 0n]);
+      expect(items[0]).to.equal("0x" + Buffer.from(run("eval", { buildDir, input, outputs: ["outBytes:bytes32", "ilo"] }), "base64").toString("hex"));
+
+      expect(runErr("evalMany", { buildDir, inputs: [input, { ...input, op: [1, 2] }], outputs: ["outBytes"] })).to.match(/Not enough values/);
+    });
+
+    it("legacy outBytes32 mode still works against the deterministic resolver", () => {
+      const out = run("outBytes32", { buildDir, ...input });
+      expect(Buffer.from(out, "base64").toString("hex")).to.equal(expected.toString("hex"));
+    });
+  });
+
+  describe("proveBatch (queued words -> (newRoot, a, b, c))", () => {
+    const w = (op, ilo, ihi) => packTx(ilo, ihi, op).toString();
+    const batch0 = [w(OP_ADD, 1, 2), w(OP_ADD, 2, 3)];
+    const batch1 = [w(OP_REVOKE, 1, 2), w(OP_ADD, 1, 3)];
+    const BATCH = ["bytes32", "uint256[2]", "uint256[2][2]", "uint256[2]"];
+
+    // snarkjs-shaped proof that carries pubInput0 in pi_a so the test can see what was proved
+    const fake = async (input) => ({
+      proof: { pi_a: [input.pubInput0, 1n, 1n], pi_b: [[2n, 3n], [4n, 5n], [1n, 0n]], pi_c: [6n, 7n, 1n] },
+      publicSignals: [input.pubInput0.toString()],
+    });
+
+    const rootAfter = async (...batches) => {
+      const s = await GraphState.create({ smtLevels: 32 });
+      for (const b of batches) for (const op of normalizeOps(b)) await s.apply(op);
+      return "0x" + fieldToBytes32BE(s.root).toString("hex");
+    };
+
+    it("replays history, builds the batch witness and encodes (bytes32, a, b, c)", async () => {
+      const first = await proveBatch({ words: batch0, batchId: 0, start: 1, prover: fake });
+      expect(first.newGraphRoot).to.equal(await rootAfter(batch0));
+      expect(first.n).to.equal(2);
+
+      const second = await proveBatch({ words: batch1, batchId: 1, start: 3, history: [batch0], prover: fake });
+      expect(second.newGraphRoot).to.equal(await rootAfter(batch0, batch1));
+      expect(second.pubInput0).to.not.equal(first.pubInput0);
+
+      const [root, a, b, c] = abi.decode(BATCH, second.abi);
+      expect(root).to.equal(second.newGraphRoot);
+      expect([...a]).to.deep.equal([second.pubInput0, 1n]);
+      expect(b.map((r) => [...r])).to.deep.equal([[3n, 2n], [5n, 4n]]); // G2 swapped for the EVM
+      expect([...c]).to.deep.equal([6n, 7n]);
+    });
+
+    it("refuses a proof of a different statement and explains missing artifacts", async () => {
+      const liar = async (input) => ({ ...(await fake(input)), publicSignals: ["1"] });
+      let msg = null;
+      try {
+        await proveBatch({ words: batch0, start: 1, prover: liar });
+      } catch (e) {
+        msg = e.message;
+      }
+      expect(msg).to.match(/^pubInput0 mismatch/);
+
+      const empty = fs.mkdtempSync(path.join(os.tmpdir(), "zkgraf-prove-"));
+      try {
+        execFileSync("node", [cli, "proveBatch", JSON.stringify({ words: batch0, start: 1, buildDir: empty })], {
+          cwd: repoRoot,
+          stdio: ["ignore", "pipe", "pipe"],
+        });
+        msg = null;
+      } catch (e) {
+        msg = e.stderr.toString();
+      } finally {
+        fs.rmSync(empty, { recursive: true, force: true });
+      }
+      expect(msg).to.match(/missing artifacts for circuit "main"[\s\S]*npm run circuits:setup/);
+    });
+
+    it("proves with the real main zkey (skipped without circuits/build/main)", async function () {
+      const build = path.join(repoRoot, "circuits/build/main");
+      if (!fs.existsSync(path.join(build, "zkey/main_final.zkey"))) this.skip();
+
+      const out = execFileSync("node", [cli, "proveBatch", JSON.stringify({ words: batch0, batchId: 0, start: 1 })], {
+        cwd: repoRoot,
+        encoding: "utf8",
+      });
+      const [root, a, b, c] = decode(BATCH, out);
+      expect(root).to.equal(await rootAfter(batch0));
+      const ref = await proveBatch({ words: batch0, start: 1, prover: fake });
+      const args = { a: [...a], b: b.map((r) => [...r]), c: [...c], input: [ref.pubInput0] };
+      expect(await verifyLocal(path.join(build, "verification_key.json"), args)).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import { wasm as wasm_tester } from "circom_tester";
+import { fileURLToPath } from "url";
+
+import { OP_ADD, OP_REVOKE } from "../lib/encoding.mjs";
+import { GraphState } from "../lib/graph_state.mjs";
+import {
+  buildEdgeMembershipInput,
+  buildAccountCommitment,
+  padAllowSet,
+  proveEdgeMembership,
+  verifyEdgeMembership,
+} from "../lib/edge_membership.mjs";
+import { withEngine } from "../lib/witness_engine.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, "../..");
+
+const SALT = 987654321n;
+
+describe("EdgeMembership (hidden account linked to an allow-set member)", function () {
+  this.timeout(600000);
+
+  let circuit;
+  let state;
+  let commitment;
+
+  before(async () => {
+    circuit = withEngine(
+      await wasm_tester(path.join(__dirname, "../edge_membership.circom"), {
+        include: [path.join(repoRoot, "node_modules"), path.join(repoRoot, "circuits")],
+      })
+    );
+    commitment = await buildAccountCommitment();
+
+    state = await GraphState.create({ smtLevels: 32 });
+    for (const [op, ilo, ihi] of [
+      [OP_ADD, 1, 2],
+      [OP_ADD, 2, 3],
+      [OP_ADD, 3, 7],
+      [OP_ADD, 5, 9],
+      [OP_ADD, 2, 9],
+      [OP_REVOKE, 2, 3],
+    ]) {
+      await state.apply({ op, ilo, ihi });
+    }
+  });
+
+  // snarkjs keeps bn128 worker threads alive on a global curve; release them so mocha can exit
+  after(async () => {
+    await globalThis.curve_bn128?.terminate();
+  });
+
+  async function calc(input) {
+    const w = await circuit.calculateWitness(input, true);
+    await circuit.checkConstraints(w);
+    return w;
+  }
+
+  async function expectFail(input) {
+    let threw = false;
+    try {
+      await calc(input);
+    } catch {
+      threw = true;
+    }
+    expect(threw).to.equal(true);
+  }
+
+  it("proves account 2 is linked to a member of {9, 40}, exposing only Poseidon(account, salt)", async () => {
+    const input = await buildEdgeMembershipInput(state, { account: 2, allowSet: [9, 40], salt: SALT });
+    expect(input.neighbors[Number(input.nbrIdx)]).to.equal(9n);
+
+    const w = await calc(input);
+    await circuit.assertOut(w, { accountCommitment: commitment(2, SALT) });
+  });
+
+  it("the allowed neighbor can sit anywhere in the array", async () => {
+    const input = await buildEdgeMembershipInput(state, { account: 2, allowSet: [1], salt: SALT });
+    expect(input.nbrIdx).to.equal(1n); // neighbors(2) = [9, 1, 0, ...]
+    await calc(input);
+  });
+
+  it("rejects when the claimed neighbor is not in the allow-set", async () => {
+    const input = await buildEdgeMembershipInput(state, { account: 2, allowSet: [9], salt: SALT });
+    await expectFail({ ...input, allowSet: padAllowSet([40, 41]) });
+    await expectFail({ ...input, nbrIdx: 1n }); // neighbors[1] = 1, not allowed
+  });
+
+  it("rejects sentinel slots, out-of-range hints and zero allow-set padding", async () => {
+    const input = await buildEdgeMembershipInput(state, { account: 2, allowSet: [9], salt: SALT });
+    await expectFail({ ...input, nbrIdx: 5n });  // neighbors[5] = 0, matches the 0 padding of allowSet
+    await expectFail({ ...input, nbrIdx: 64n });
+  });
+
+  it("rejects a wrong root or an opening that is not the account's leaf", async () => {
+    const input = await buildEdgeMembershipInput(state, { account: 2, allowSet: [9], salt: SALT });
+    await expectFail({ ...input, root: input.root + 1n });
+
+    // claim account 3 still has 2's neighbors (3-2 was revoked)
+    await expectFail({ ...input, account: 3n });
+
+    // add a neighbor to the opened array
+    const forged = input.neighbors.slice();
+    forged[2] = 4n;
+    await expectFail({ ...input, neighbors: forged, degree: 3n, allowSet: padAllowSet([4]), nbrIdx: 2n });
+  });
+
+  it("builder refuses accounts without a leaf or without an allowed neighbor", async () => {
+    for (const [args, code] of [
+      [{ account: 4, allowSet: [1] }, "ACCOUNT_NOT_IN_TREE"],
+      [{ account: 2, allowSet: [3] }, "NO_ALLOWED_NEIGHBOR"],
+      [{ account: 2, allowSet: Array.from({ length: 17 }, (_, i) => i + 1) }, "ALLOW_SET_TOO_LARGE"],
+      [{ account: 2, allowSet: [0, 9] }, "ALLOW_SET_ZERO"],
+    ]) {
+      let err;
+      try {
+        await buildEdgeMembershipInput(state, args);
+      } catch (e) {
+        err = e;
+      }
+      expect(err?.message).to.equal(code);
+    }
+  });
+
+  // Needs a zkey: circuits/build/edge_membership/zkey/edge_membership_final.zkey (+ verification_key.json)
+  it("Groth16 prove / verify round-trip (skipped without setup artifacts)", async function () {
+    const dir = path.join(repoRoot, "circuits/build/edge_membership");
+    const wasm = path.join(dir, "edge_membership_js/edge_membership.wasm");
+    const zkey = path.join(dir, "zkey/edge_membership_final.zkey");
+    const vkeyPath = path.join(dir, "verification_key.json");
+    if (![wasm, zkey, vkeyPath].every((f) => fs.existsSync(f))) this.skip();
+
+    const vkey = JSON.parse(fs.readFileSync(vkeyPath, "utf8"));
+    const input = await buildEdgeMembershipInput(state, { account: 2, allowSet: [9, 40], salt: SALT });
+    const { proof, publicSignals } = await proveEdgeMembership(input, { wasm, zkey });
+
+    const args = { vkey, proof, publicSignals, root: state.root, allowSet: [9, 40] };
+    expect(await verifyEdgeMembership({ ...args, accountCommitment: commitment(2, SALT) })).to.include({ ok: true });
+    expect(await verifyEdgeMembership({ ...args, allowSet: [9] })).to.deep.equal({ ok: false, reason: "allowSet mismatch" });
+    expect((await verifyEdgeMembership({ ...args, root: 1n })).reason).to.equal("root mismatch");
+
+    const swapped = [commitment(3, SALT).toString(), ...publicSignals.slice(1)];
+    expect((await verifyEdgeMembership({ ...args, publicSignals: swapped })).reason).to.equal("invalid proof");
+  });
+});
@@ -0,0 +1,170 @@
+import { expect } from "chai";
+import { solidityPacked, sha256 as ethersSha256 } from "ethers";
+
+import {
+  BN254_P,
+  OP_ADD,
+  OP_REVOKE,
+  packTx,
+  unpackTx,
+  encodeTxRecord,
+  decodeTxDataFixed,
+  buildTxDataFixedBytes,
+  txDataFromWords,
+  storageHash,
+  fieldToBytes32BE,
+  buildPubInputsPreimage,
+  computePubInput0,
+  mask253FromDigestBytes,
+  digestBytesToBitsMSB,
+  bitsMSBToDigestBytes,
+  u32be,
+  u64be,
+} from "../lib/encoding.mjs";
+
+const MAX_BATCH = 3;
+
+// Reference: the byte loop in Rollup._buildTxDataFixedAndStorageHash is abi.encodePacked(uint32,uint32,uint8)
+// per slot, with unused slots left as zero bytes.
+function solTxDataFixed(records, batchSize) {
+  const types = [];
+  const values = [];
+  for (let i = 0; i < batchSize; i++) {
+    const r = records[i] ?? { ilo: 0, ihi: 0, op: 0 };
+    types.push("uint32", "uint32", "uint8");
+    values.push(r.ilo, r.ihi, r.op);
+  }
+  return Buffer.from(solidityPacked(types, values).slice(2), "hex");
+}
+
+function hex(buf) {
+  return "0x" + Buffer.from(buf).toString("hex");
+}
+
+describe("encoding (Rollup.sol canonical formats)", function () {
+  it("packTx/unpackTx match Rollup._packTx layout and round-trip", () => {
+    const w = packTx(0x01020304, 0xa0b0c0d0, OP_REVOKE);
+    expect(w).to.equal((0x01020304n << 40n) | (0xa0b0c0d0n << 8n) | 2n);
+    expect(unpackTx(w)).to.deep.equal({ ilo: 0x01020304, ihi: 0xa0b0c0d0, op: 2 });
+
+    const max = packTx(0xffffffff, 0xffffffff, 0xff);
+    expect(unpackTx(max)).to.deep.equal({ ilo: 0xffffffff, ihi: 0xffffffff, op: 0xff });
+  });
+
+  it("unpackTx applies Solidity truncation for words wider than 72 bits", () => {
+    // uint32(w >> 40) drops bits above 72
+    const w = (1n << 100n) | packTx(7, 9, OP_ADD);
+    expect(unpackTx(w)).to.deep.equal({ ilo: 7, ihi: 9, op: 1 });
+    expect(() => unpackTx(1n << 128n)).to.throw(/uint128/);
+  });
+
+  it("rejects out-of-range fields", () => {
+    expect(() => packTx(1n << 32n, 1, 1)).to.throw(/ilo out of range/);
+    expect(() => packTx(1, -1, 1)).to.throw(/ihi out of range/);
+    expect(() => packTx(1, 2, 256)).to.throw(/op out of byte range/);
+    expect(() => u32be(0x100000000)).to.throw(/out of range/);
+    expect(() => u64be(1n << 64n)).to.throw(/out of range/);
+    expect(() => buildTxDataFixedBytes([{ ilo: 1, ihi: 2, op: 1 }], 0)).to.throw(/bad batchSize/);
+    expect(() =>
+      buildTxDataFixedBytes(Array(4).fill({ ilo: 1, ihi: 2, op: 1 }), MAX_BATCH)
+    ).to.throw(/too many records/);
+  });
+
+  it("rejects roots outside the field instead of reducing them mod p", () => {
+    expect(fieldToBytes32BE(BN254_P - 1n).equals(Buffer.from((BN254_P - 1n).toString(16).padStart(64, "0"), "hex"))).to.equal(true);
+    expect(() => fieldToBytes32BE(BN254_P)).to.throw(/value is not a field element/);
+    expect(() => fieldToBytes32BE(-1n)).to.throw(/not a field element/);
+
+    const args = { oldRoot: 1n, newRoot: 2n, batchId: 0, start: 0, n: 1, storageHash: Buffer.alloc(32) };
+    expect(() => buildPubInputsPreimage({ ...args, oldRoot: BN254_P + 5n })).to.throw(/oldRoot is not a field element/);
+    expect(() => buildPubInputsPreimage({ ...args, newRoot: "0x" + BN254_P.toString(16).padStart(64, "0") })).to.throw(
+      /newRoot is not a field element/
+    );
+    expect(() => computePubInput0({ ...args, newRoot: Buffer.alloc(32, 0xff) })).to.throw(/newRoot is not a field element/);
+  });
+
+  it("9-byte record is ilo(4 BE) | ihi(4 BE) | op(1)", () => {
+    expect(hex(encodeTxRecord({ ilo: 0x01020304, ihi: 0x05060708, op: 1 }))).to.equal(
+      "0x010203040506070801"
+    );
+  });
+
+  it("txDataFixed and storageHash match the contract (sparse batch, zero tail)", () => {
+    const records = [
+      { ilo: 10, ihi: 11, op: OP_ADD },
+      { ilo: 20, ihi: 21, op: OP_REVOKE },
+    ];
+    const txData = buildTxDataFixedBytes(records, MAX_BATCH);
+    const ref = solTxDataFixed(records, MAX_BATCH);
+
+    expect(txData.length).to.equal(MAX_BATCH * 9);
+    expect(hex(txData)).to.equal(hex(ref));
+    expect(hex(storageHash(txData))).to.equal(ethersSha256(ref));
+
+    // queue words path gives the same bytes
+    const words = records.map((r) => packTx(r.ilo, r.ihi, r.op));
+    expect(hex(txDataFromWords(words, MAX_BATCH))).to.equal(hex(ref));
+  });
+
+  it("decodeTxDataFixed round-trips including zero tail slots", () => {
+    const records = [{ ilo: 0xffffffff, ihi: 7, op: OP_ADD }];
+    const decoded = decodeTxDataFixed(buildTxDataFixedBytes(records, MAX_BATCH));
+    expect(decoded).to.deep.equal([
+      { ilo: 0xffffffff, ihi: 7, op: 1 },
+      { ilo: 0, ihi: 0, op: 0 },
+      { ilo: 0, ihi: 0, op: 0 },
+    ]);
+    expect(() => decodeTxDataFixed(Buffer.alloc(10))).to.throw(/multiple of 9/);
+  });
+
+  it("pubInputs preimage matches abi.encodePacked(bytes32,bytes32,uint64,uint32,uint32,bytes32)", () => {
+    const oldRootF = 123n;
+    const newRootF = BN254_P - 1n;
+    const batchId = 0x0102030405060708n;
+    const start = 100;
+    const n = 2;
+    const sh = storageHash(buildTxDataFixedBytes([{ ilo: 1, ihi: 2, op: 1 }], MAX_BATCH));
+
+    const pre = buildPubInputsPreimage({ oldRoot: oldRootF, newRoot: newRootF, batchId, start, n, storageHash: sh });
+    const ref = solidityPacked(
+      ["bytes32", "bytes32", "uint64", "uint32", "uint32", "bytes32"],
+      [hex(fieldToBytes32BE(oldRootF)), hex(fieldToBytes32BE(newRootF)), batchId, start, n, hex(sh)]
+    );
+
+    expect(pre.length).to.equal(112);
+    expect(hex(pre)).to.equal(ref);
+
+    // roots as bytes32 give the same preimage
+    const pre2 = buildPubInputsPreimage({
+      oldRoot: hex(fieldToBytes32BE(oldRootF)),
+      newRoot: fieldToBytes32BE(newRootF),
+      batchId,
+      start,
+      n,
+      storageHash: hex(sh),
+    });
+    expect(hex(pre2)).to.equal(ref);
+
+    const expected = BigInt(ethersSha256(ref)) & ((1n << 253n) - 1n);
+    expect(computePubInput0({ oldRoot: oldRootF, newRoot: newRootF, batchId, start, n, storageHash: sh })).to.equal(
+      expected
+    );
+    expect(expected < BN254_P).to.equal(true);
+  });
+
+  it("mask253 keeps the 253 low bits", () => {
+    const ones = Buffer.alloc(32, 0xff);
+    expect(mask253FromDigestBytes(ones)).to.equal((1n << 253n) - 1n);
+  });
+
+  it("digest bits are MSB-first per byte and round-trip", () => {
+    const d = Buffer.alloc(32);
+    d[0] = 0x80;
+    d[31] = 0x01;
+    const bits = digestBytesToBitsMSB(d);
+    expect(bits[0]).to.equal(1n);
+    expect(bits[7]).to.equal(0n);
+    expect(bits[255]).to.equal(1n);
+    expect(hex(bitsMSBToDigestBytes(bits))).to.equal(hex(d));
+  });
+});
@@ -3,6 +3,8 @@ import path from "path";
 import { wasm as wasm_tester } from "circom_tester";
 import { fileURLToPath } from "url";
 
+import { withEngine } from "../lib/witness_engine.mjs";
+
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const BI = (x) => (typeof x === "bigint" ? x : BigInt(x));
 
@@ -36,9 +38,11 @@ describe("FieldToBytesTest out[32]=bytes32(big-endian)", function () {
 
   before(async () => {
     const repoRoot = path.join(__dirname, "../..");
-    circuit = await wasm_tester(circuitPath, {
-      include: [path.join(repoRoot, "node_modules"), path.join(repoRoot, "circuits")],
-    });
+    circuit = withEngine(
+      await wasm_tester(circuitPath, {
+        include: [path.join(repoRoot, "node_modules"), path.join(repoRoot, "circuits")],
+      })
+    );
   });
 
   async function calc(input) {
@@ -0,0 +1,261 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import net from "net";
+import { spawn, execFileSync } from "child_process";
+import { fileURLToPath } from "url";
+
+import { OP_ADD, OP_REVOKE, fieldToBytes32BE } from "../lib/encoding.mjs";
+import { GraphState } from "../lib/graph_state.mjs";
+import { proofToSolidityArgs } from "../lib/calldata.mjs";
+import { Forger, revertName } from "../lib/forger.mjs";
+import { ROLLUP_ABI } from "../lib/rollup_abi.mjs";
+import { FakeRollup, fakeProver } from "./helpers/fake_rollup.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, "../..");
+
+const SMT_LEVELS = 32;
+const rootHex = (r) => "0x" + fieldToBytes32BE(r).toString("hex");
+
+async function newForger(rollup, extra = {}) {
+  const state = await GraphState.create({ smtLevels: SMT_LEVELS });
+  return new Forger({ rollup, state, prover: fakeProver, ...extra }).init();
+}
+
+describe("Forger (drains Rollup unforged queue)", function () {
+  this.timeout(120000);
+
+  it("idle when nothing is queued", async () => {
+    const rollup = new FakeRollup();
+    const f = await newForger(rollup);
+    expect((await f.forgeOnce()).status).to.equal("idle");
+  });
+
+  it("forges the queue in MAX_BATCH chunks and tracks latestGraphRoot", async () => {
+    const rollup = new FakeRollup({ maxBatch: 3 });
+    rollup.enqueue(OP_ADD, 1, 2);
+    rollup.enqueue(OP_ADD, 2, 3);
+    rollup.enqueue(OP_ADD, 1, 3);
+    rollup.enqueue(OP_REVOKE, 1, 2);
+    rollup.enqueue(OP_ADD, 4, 1);
+
+    const f = await newForger(rollup);
+    const r0 = await f.forgeOnce();
+    expect(r0).to.include({ status: "submitted", n: 3 });
+    expect(r0.batchId).to.equal(0n);
+
+    const r1 = await f.forgeOnce();
+    expect(r1).to.include({ status: "submitted", n: 2 });
+    expect(r1.start).to.equal(4n);
+
+    expect((await f.forgeOnce()).status).to.equal("idle");
+    expect(rollup.root).to.equal(rootHex(f.state.root));
+    expect(f.batchId).to.equal(2n);
+    expect(f.state.isLinked(1, 4)).to.equal(true);
+    expect(f.state.isLinked(1, 2)).to.equal(false);
+  });
+
+  it("loses a race cleanly and resyncs from BatchSubmitted", async () => {
+    const rollup = new FakeRollup({ maxBatch: 2 });
+    rollup.enqueue(OP_ADD, 1, 2);
+    rollup.enqueue(OP_ADD, 2, 3);
+    rollup.enqueue(OP_ADD, 3, 4);
+
+    const other = await newForger(rollup);
+
+    // A's prover is "slow": the other forger lands the same batch while A is proving.
+    let raced = false;
+    const a = await newForger(rollup, {
+      prover: async (input) => {
+        if (!raced) {
+          raced = true;
+          expect((await other.forgeOnce()).status).to.equal("submitted");
+        }
+        return fakeProver(input);
+      },
+    });
+
+    const lost = await a.forgeOnce();
+    expect(lost.status).to.equal("race");
+    expect(a.batchId).to.equal(0n);
+    expect(a.state.root).to.equal(0n); // clone discarded
+
+    const won = await a.forgeOnce(); // syncs batch 0 from events, forges batch 1
+    expect(won).to.include({ status: "submitted", n: 1 });
+    expect(won.batchId).to.equal(1n);
+    expect(rollup.root).to.equal(rootHex(a.state.root));
+
+    await other.sync();
+    expect(other.state.root).to.equal(a.state.root);
+  });
+
+  it("reports VerifyFail without advancing", async () => {
+    const rollup = new FakeRollup();
+    rollup.enqueue(OP_ADD, 1, 2);
+    rollup.verifierOk = false;
+
+    const f = await newForger(rollup);
+    const res = await f.forgeOnce();
+    expect(res.status).to.equal("verify-fail");
+    expect(f.batchId).to.equal(0n);
+
+    rollup.verifierOk = true;
+    expect((await f.forgeOnce()).status).to.equal("submitted");
+  });
+
+  it("treats a root mismatch from the chain as fatal divergence", async () => {
+    const rollup = new FakeRollup();
+    rollup.enqueue(OP_ADD, 1, 2);
+    const other = await newForger(rollup);
+    await other.forgeOnce();
+    rollup.events.at(-1).args.newGraphRoot = "0x" + "11".repeat(32);
+
+    const f = await newForger(rollup);
+    let err;
+    try {
+      await f.forgeOnce();
+    } catch (e) {
+      err = e;
+    }
+    expect(err?.code).to.equal("DIVERGENCE");
+    expect(err.message).to.match(/batchId 0/);
+  });
+
+  it("snapshot restores into an equivalent forger", async () => {
+    const rollup = new FakeRollup();
+    rollup.enqueue(OP_ADD, 1, 2);
+    const f = await newForger(rollup);
+    await f.forgeOnce();
+
+    const snap = JSON.parse(JSON.stringify(f.snapshot()));
+    const g = await new Forger({
+      rollup,
+      state: await GraphState.fromJSON(snap.graph),
+      batchId: BigInt(snap.batchId),
+      fromBlock: snap.fromBlock,
+      prover: fakeProver,
+    }).init();
+
+    rollup.enqueue(OP_REVOKE, 1, 2);
+    expect((await g.forgeOnce()).status).to.equal("submitted");
+  });
+
+  it("run() drains and stops on abort", async () => {
+    const rollup = new FakeRollup({ maxBatch: 1 });
+    rollup.enqueue(OP_ADD, 1, 2);
+    rollup.enqueue(OP_ADD, 1, 3);
+
+    const f = await newForger(rollup);
+    const ctl = new AbortController();
+    const seen = [];
+    await f.run({
+      intervalMs: 1,
+      signal: ctl.signal,
+      onResult: (r) => {
+        seen.push(r.status);
+        if (r.status === "idle") ctl.abort();
+      },
+    });
+    expect(seen).to.deep.equal(["submitted", "submitted", "idle"]);
+  });
+
+  it("proofToSolidityArgs swaps G2 coordinates; revertName reads ethers custom errors", async () => {
+    const args = proofToSolidityArgs({
+      pi_a: ["1", "2", "1"],
+      pi_b: [["3", "4"], ["5", "6"], ["1", "0"]],
+      pi_c: ["7", "8", "1"],
+    });
+    expect(args.b).to.deep.equal([[4n, 3n], [6n, 5n]]);
+
+    const { Interface } = await import("ethers");
+    const iface = new Interface(ROLLUP_ABI);
+    expect(revertName({ data: iface.encodeErrorResult("EmptyBatch", []) }, iface)).to.equal("EmptyBatch");
+    expect(revertName({ revert: { name: "VerifyFail" } })).to.equal("VerifyFail");
+    expect(revertName(new Error("boom"), iface)).to.equal(null);
+  });
+
+  // -----------------------
+  // Optional: against a real anvil node with Rollup + MockVerifier (needs `anvil` and `forge build`)
+  // -----------------------
+  describe("against anvil (skipped if anvil / forge artifacts are missing)", function () {
+    const artifact = (file, name) => path.join(repoRoot, "out", file, `${name}.json`);
+    let anvil;
+    let url;
+
+    before(async function () {
+      try {
+        execFileSync("anvil", ["--version"], { stdio: "ignore" });
+      } catch {
+        this.skip();
+      }
+      for (const [f, n] of [["Rollup.sol", "Rollup"], ["Registry.sol", "Registry"], ["Rollup.t.sol", "MockVerifier"]]) {
+        if (!fs.existsSync(artifact(f, n))) this.skip();
+      }
+
+      const port = await new Promise((resolve) => {
+        const srv = net.createServer().listen(0, () => {
+          const p = srv.address().port;
+          srv.close(() => resolve(p));
+        });
+      });
+      url = `http://127.0.0.1:${port}`;
+      anvil = spawn("anvil", ["--port", String(port), "--silent"], { stdio: "ignore" });
+      await new Promise((r) => setTimeout(r, 1500));
+    });
+
+    after(() => anvil?.kill());
+
+    it("forges real finalize/revoke ops and handles VerifyFail", async () => {
+      const { JsonRpcProvider, ContractFactory, Contract } = await import("ethers");
+      const provider = new JsonRpcProvider(url);
+      const [deployer, alice, bob, carol, forgerSigner] = await Promise.all(
+        [0, 1, 2, 3, 4].map((i) => provider.getSigner(i))
+      );
+
+      const load = (f, n) => JSON.parse(fs.readFileSync(artifact(f, n), "utf8"));
+      const deploy = async (f, n, ...args) => {
+        const a = load(f, n);
+        const c = await new ContractFactory(a.abi, a.bytecode.object, deployer).deploy(...args);
+        await c.waitForDeployment();
+        return c;
+      };
+
+      const STAKE = 10n ** 15n;
+      const DUR = 60;
+      const registry = await deploy("Registry.sol", "Registry");
+      const verifier = await deploy("Rollup.t.sol", "MockVerifier");
+      const rollupC = await deploy("Rollup.sol", "Rollup", await registry.getAddress(), await verifier.getAddress(), STAKE, DUR);
+      const fee = await rollupC.TX_FEE_WEI();
+
+      for (const u of [alice, bob, carol]) await (await registry.connect(u).ensureMyIdx()).wait();
+
+      async function link(x, y) {
+        await (await rollupC.connect(x).vouch(await y.getAddress(), { value: STAKE })).wait();
+        await (await rollupC.connect(y).revouch(await x.getAddress(), { value: STAKE })).wait();
+        await provider.send("evm_increaseTime", [DUR + 1]);
+        await provider.send("evm_mine", []);
+        await (await rollupC.connect(x).finalize(await x.getAddress(), await y.getAddress(), { value: fee })).wait();
+      }
+
+      await link(alice, bob);
+      await link(bob, carol);
+      await link(alice, carol);
+      await (await rollupC.connect(alice).revoke(await bob.getAddress(), { value: fee })).wait();
+
+      const rollup = new Contract(await rollupC.getAddress(), ROLLUP_ABI, forgerSigner);
+      const f = await newForger(rollup);
+
+      expect((await f.forgeOnce()).status).to.equal("submitted");
+
+      await verifier.setOk(false);
+      expect((await f.forgeOnce()).status).to.equal("verify-fail");
+      await verifier.setOk(true);
+
+      expect((await f.forgeOnce()).status).to.equal("submitted");
+      expect((await f.forgeOnce()).status).to.equal("idle");
+      expect(await rollup.latestGraphRoot()).to.equal(rootHex(f.state.root));
+      expect(await rollup.balances(await forgerSigner.getAddress())).to.equal(4n * fee);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { OP_ADD, OP_REVOKE, fieldToBytes32BE } from "../lib/encoding.mjs";
+import { Forger } from "../lib/forger.mjs";
+import { ForgerStore } from "../lib/forger_store.mjs";
+import { FakeRollup, fakeProver } from "./helpers/fake_rollup.mjs";
+
+const SMT_LEVELS = 32;
+const rootHex = (r) => "0x" + fieldToBytes32BE(r).toString("hex");
+
+async function openStore(dir, opts = {}) {
+  return new ForgerStore(dir, { smtLevels: SMT_LEVELS, confirmations: 2, ...opts }).open();
+}
+
+async function newForger(rollup, store, extra = {}) {
+  return new Forger({
+    rollup,
+    state: store.state,
+    batchId: BigInt(store.batchId),
+    fromBlock: store.fromBlock,
+    prover: fakeProver,
+    store,
+    provider: rollup,
+    ...extra,
+  }).init();
+}
+
+async function rejects(p) {
+  try {
+    await p;
+  } catch (e) {
+    return e;
+  }
+  throw new Error("expected a rejection");
+}
+
+describe("ForgerStore (persistent forger state, crash recovery, reorgs)", function () {
+  this.timeout(120000);
+
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "forger-store-"));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("resumes after a restart without replaying from genesis", async () => {
+    const rollup = new FakeRollup({ maxBatch: 2 });
+    rollup.enqueue(OP_ADD, 1, 2);
+    rollup.enqueue(OP_ADD, 2, 3);
+    rollup.enqueue(OP_ADD, 3, 4);
+
+    const f = await newForger(rollup, await openStore(dir));
+    expect((await f.forgeOnce()).status).to.equal("submitted");
+    expect((await f.forgeOnce()).status).to.equal("submitted");
+
+    // the restarted forger never sees the genesis events: its scan starts at the stored fromBlock
+    const store = await openStore(dir);
+    expect(store.batchId).to.equal(2);
+    expect(rootHex(store.state.root)).to.equal(rollup.root);
+    expect(store.fromBlock).to.equal(f.fromBlock);
+
+    rollup.enqueue(OP_REVOKE, 1, 2);
+    const g = await newForger(rollup, store);
+    expect((await g.forgeOnce())).to.include({ status: "submitted", n: 1 });
+    expect(rootHex(g.state.root)).to.equal(rollup.root);
+    expect(g.state.isLinked(1, 2)).to.equal(false);
+    expect((await openStore(dir)).batchId).to.equal(3);
+  });
+
+  it("drops a torn last journal line and re-reads that batch from the chain", async () => {
+    const rollup = new FakeRollup({ maxBatch: 1 });
+    rollup.enqueue(OP_ADD, 1, 2);
+    rollup.enqueue(OP_ADD, 2, 3);
+    const f = await newForger(rollup, await openStore(dir));
+    await f.forgeOnce();
+    await f.forgeOnce();
+
+    // crash in the middle of appending batch 1
+    const journal = path.join(dir, "journal.jsonl");
+    const lines = fs.readFileSync(journal, "utf8").trim().split("\n");
+    expect(lines).to.have.length(2);
+    fs.writeFileSync(journal, lines[0] + "\n" + lines[1].slice(0, 40));
+
+    const store = await openStore(dir);
+    expect(store.batchId).to.equal(1);
+    expect(fs.readFileSync(journal, "utf8")).to.equal(lines[0] + "\n");
+
+    const g = await newForger(rollup, store);
+    await g.sync();
+    expect(g.batchId).to.equal(2n);
+    expect(rootHex(g.state.root)).to.equal(rollup.root);
+
+    // anything other than the last line is corruption, not a torn write
+    fs.writeFileSync(journal, "{nope\n" + lines[1] + "\n");
+    expect((await rejects(openStore(dir))).message).to.match(/corrupt journal line 1/);
+  });
+
+  it("checkpoints finalized batches and compacts the journal", async () => {
+    const rollup = new FakeRollup({ maxBatch: 1 });
+    for (let i = 1; i <= 5; i++) rollup.enqueue(OP_ADD, i, i + 1);
+
+    const f = await newForger(rollup, await openStore(dir, { confirmations: 0, checkpointEvery: 2 }));
+    for (let i = 0; i < 5; i++) expect((await f.forgeOnce()).status).to.equal("submitted");
+    await f.sync();
+
+    const cp = JSON.parse(fs.readFileSync(path.join(dir, "checkpoint.json"), "utf8"));
+    expect(cp.batchId).to.equal(4);
+    const journal = fs.readFileSync(path.join(dir, "journal.jsonl"), "utf8").trim().split("\n").map(JSON.parse);
+    expect(journal.map((e) => e.batchId)).to.deep.equal([4]);
+
+    const store = await openStore(dir, { confirmations: 0, checkpointEvery: 2 });
+    expect(store.batchId).to.equal(5);
+    expect(rootHex(store.state.root)).to.equal(rollup.root);
+
+    // a checkpoint whose leaves do not hash to its root is refused
+    cp.graph.accounts[0].degree = "7";
+    fs.writeFileSync(path.join(dir, "checkpoint.json"), JSON.stringify(cp));
+    expect((await rejects(openStore(dir))).message).to.match(/root mismatch/);
+  });
+
+  it("rolls back to the finalized batch when a reorg removes BatchSubmitted / TxQueued logs", async () => {
+    const rollup = new FakeRollup({ maxBatch: 3 });
+    rollup.enqueue(OP_ADD, 1, 2);
+    const f = await newForger(rollup, await openStore(dir));
+    await f.forgeOnce();
+    for (let i = 0; i < 3; i++) rollup.mine();
+    await f.sync();
+    expect(f.store.final.batchId).to.equal(1);
+
+    const snap = rollup.snapshotChain();
+    rollup.enqueue(OP_ADD, 2, 3);
+    rollup.enqueue(OP_ADD, 3, 4);
+    expect((await f.forgeOnce()).status).to.equal("submitted");
+    expect(f.batchId).to.equal(2n);
+
+    // the queue and batch 1 vanish; a different tx lands instead
+    rollup.revertChain(snap);
+    rollup.enqueue(OP_ADD, 1, 5);
+    const r = await f.forgeOnce();
+    expect(r).to.include({ status: "submitted", n: 1 });
+    expect(r.batchId).to.equal(1n);
+    expect(rootHex(f.state.root)).to.equal(rollup.root);
+    expect(f.state.isLinked(2, 3)).to.equal(false);
+    expect(f.state.isLinked(1, 5)).to.equal(true);
+
+    const journal = fs.readFileSync(path.join(dir, "journal.jsonl"), "utf8").trim().split("\n").map(JSON.parse);
+    expect(journal.map((e) => e.ops)).to.deep.equal([[[OP_ADD, 1, 2]], [[OP_ADD, 1, 5]]]);
+
+    const reopened = await openStore(dir);
+    expect(rootHex(reopened.state.root)).to.equal(rollup.root);
+  });
+
+  it("a reorg deeper than `confirmations` is a divergence", async () => {
+    const rollup = new FakeRollup({ maxBatch: 3 });
+    const snap = rollup.snapshotChain();
+    rollup.enqueue(OP_ADD, 1, 2);
+    const f = await newForger(rollup, await openStore(dir));
+    await f.forgeOnce();
+    for (let i = 0; i < 3; i++) rollup.mine();
+    await f.sync();
+
+    rollup.revertChain(snap);
+    const err = await rejects(f.sync());
+    expect(err.code).to.equal("DIVERGENCE");
+  });
+
+  it("check() recomputes the root from the stored leaves and compares it with the chain", async () => {
+    const rollup = new FakeRollup();
+    rollup.enqueue(OP_ADD, 1, 2);
+    rollup.enqueue(OP_ADD, 2, 3);
+    const f = await newForger(rollup, await openStore(dir));
+    await f.forgeOnce();
+
+    const store = await openStore(dir);
+    const ok = await store.check(store.state, await rollup.latestGraphRoot());
+    expect(ok).to.include({ ok: true, root: rollup.root, recomputed: rollup.root, onchain: rollup.root });
+
+    expect((await store.check(store.state, "0x" + "11".repeat(32))).ok).to.equal(false);
+
+    const tampered = await store.state.clone();
+    tampered.accounts.get(1).degree = 5n;
+    const bad = await store.check(tampered);
+    expect(bad.ok).to.equal(false);
+    expect(bad.recomputed).to.not.equal(bad.root);
+  });
+});
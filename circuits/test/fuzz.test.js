@@ -0,0 +1,121 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import {
+  Adjacency,
+  RefModel,
+  circuitEvaluator,
+  genCase,
+  isValidCase,
+  loadFixtures,
+  runCase,
+  saveFixture,
+  shrinkCase,
+} from "../lib/fuzz.mjs";
+import { MAX_DEGREE } from "../lib/graph_state.mjs";
+import { wrapperVariants } from "./helpers/variants.mjs";
+
+// Plants the bug the shrinker test looks for: accounts whose degree drops to 0 vanish from the tree.
+class ForgetfulModel extends RefModel {
+  async root() {
+    const all = this.adj;
+    this.adj = new Map([...all].filter(([, ns]) => ns.size > 0));
+    try {
+      return await super.root();
+    } finally {
+      this.adj = all;
+    }
+  }
+}
+
+const SEEDS = [1, 2, 3, 4, 5, 6];
+
+describe("fuzz case generator", () => {
+  const cases = Array.from({ length: 30 }, (_, i) => genCase(i + 1, { batchSize: 3, smtLevels: 32 }));
+
+  it("only emits ops the contract would queue, within batchSize", () => {
+    for (const c of cases) expect(isValidCase(c), `seed ${c.seed}`).to.equal(true);
+    expect(genCase(7, { batchSize: 3, smtLevels: 32 })).to.deep.equal(cases[6]);
+  });
+
+  it("covers saturation, last-neighbor removal and NOP tails", () => {
+    let saturated = 0;
+    let drained = 0;
+    for (const c of cases) {
+      const adj = new Adjacency();
+      for (const o of c.prefix) adj.apply(o);
+      for (const o of c.batches.flat()) {
+        const touched = [o.ilo, o.ihi];
+        adj.apply(o);
+        if (touched.some((a) => adj.degree(a) === MAX_DEGREE)) saturated++;
+        if (c.scenario === "drain" && o.op === 2 && touched.some((a) => adj.degree(a) === 0)) drained++;
+      }
+    }
+    expect(saturated).to.be.greaterThan(0);
+    expect(drained).to.be.greaterThan(0);
+    expect(cases.some((c) => c.batches.some((b) => b.length < c.batchSize))).to.equal(true);
+  });
+
+  it("keeps account keys within smtLevels - 1 bits", () => {
+    const c = genCase(3, { batchSize: 2, smtLevels: 8 });
+    for (const o of [...c.prefix, ...c.batches.flat()]) expect(o.ihi).to.be.below(128);
+  });
+});
+
+for (const variant of wrapperVariants("process_batch_test")) {
+  const [BATCH_SIZE, SMT_LEVELS] = variant.args;
+
+  describe(`differential fuzz: GraphState vs ProcessBatchTest(${BATCH_SIZE}, ${SMT_LEVELS}) [${variant.label}]`, function () {
+    this.timeout(600000);
+
+    let evalBatch;
+
+    before(async () => {
+      evalBatch = await circuitEvaluator(variant.path);
+    });
+
+    for (const seed of SEEDS) {
+      it(`seed ${seed}: same roots and pubInput0 for every batch`, async () => {
+        const c = genCase(seed, { batchSize: BATCH_SIZE, smtLevels: SMT_LEVELS });
+        const res = await runCase(c, evalBatch);
+        expect(res, JSON.stringify(res)).to.deep.equal({ ok: true });
+      });
+    }
+
+    it("replays the saved fixtures for this size", async () => {
+      const fixtures = loadFixtures().filter((f) => f.batchSize === BATCH_SIZE && f.smtLevels === SMT_LEVELS);
+      for (const f of fixtures) {
+        const res = await runCase(f, evalBatch);
+        expect(res, path.basename(f.file)).to.deep.equal({ ok: true });
+      }
+    });
+
+    if (variant.label !== "committed") return;
+
+    it("shrinks a failing seed to a minimal batch and saves it", async () => {
+      const c = genCase(2, { batchSize: BATCH_SIZE, smtLevels: SMT_LEVELS });
+      expect(c.scenario).to.equal("drain");
+      const res = await runCase(c, evalBatch, { Model: ForgetfulModel });
+      expect(res).to.include({ ok: false, kind: "ROOT_MISMATCH" });
+
+      const min = await shrinkCase(c, res, evalBatch, { Model: ForgetfulModel });
+      expect(min.batches).to.have.length(1);
+      expect(min.prefix.length + min.batches[0].length).to.equal(2);
+      expect([...min.prefix, ...min.batches[0]].map((o) => o.op)).to.deep.equal([1, 2]);
+      expect(min.failure.kind).to.equal("ROOT_MISMATCH");
+      expect(await runCase(min, evalBatch)).to.deep.equal({ ok: true });
+
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zkgraf-fuzz-"));
+      try {
+        const file = saveFixture(dir, min);
+        expect(path.basename(file)).to.equal(`seed-2-b${BATCH_SIZE}_s${SMT_LEVELS}.json`);
+        const [loaded] = loadFixtures(dir);
+        expect(loaded).to.deep.include({ seed: 2, prefix: min.prefix, batches: min.batches });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+}
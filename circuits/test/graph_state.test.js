@@ -0,0 +1,199 @@
+import { expect } from "chai";
+
+import { GraphState, modifyArray, emptyNeighbors, MAX_DEGREE } from "../lib/graph_state.mjs";
+
+const BI = (x) => (typeof x === "bigint" ? x : BigInt(x));
+
+function arr(vals) {
+  const a = emptyNeighbors();
+  vals.forEach((v, i) => (a[i] = BI(v)));
+  return a;
+}
+
+describe("GraphState (off-chain SMT model of ProcessOp)", function () {
+  this.timeout(60000);
+
+  const SMT_LEVELS = 32;
+
+  describe("modifyArray (ModifyArray reference)", () => {
+    it("INSERT keeps the array sorted descending and returns the idx hint", () => {
+      const r = modifyArray({ oldArr: arr([100, 80, 60, 10]), oldDeg: 4n, element: 70n, optype: 1 });
+      expect(r.idx).to.equal(2);
+      expect(r.newArr.slice(0, 6)).to.deep.equal([100n, 80n, 70n, 60n, 10n, 0n]);
+      expect(r.newDeg).to.equal(5n);
+    });
+
+    it("INSERT into an empty array lands at idx 0", () => {
+      const r = modifyArray({ oldArr: emptyNeighbors(), oldDeg: 0n, element: 7n, optype: 1 });
+      expect(r.idx).to.equal(0);
+      expect(r.newArr[0]).to.equal(7n);
+    });
+
+    it("REMOVE shifts left and fills the tail with the sentinel", () => {
+      const r = modifyArray({ oldArr: arr([100, 80, 60]), oldDeg: 3n, element: 100n, optype: 2 });
+      expect(r.idx).to.equal(0);
+      expect(r.newArr.slice(0, 3)).to.deep.equal([80n, 60n, 0n]);
+      expect(r.newDeg).to.equal(2n);
+    });
+
+    it("rejects what the circuit rejects", () => {
+      const base = { oldArr: arr([100, 80]), oldDeg: 2n };
+      expect(() => modifyArray({ ...base, element: 80n, optype: 1 })).to.throw("INSERT_POS_INVALID");
+      expect(() => modifyArray({ ...base, element: 0n, optype: 1 })).to.throw("INSERT_SENTINEL");
+      expect(() => modifyArray({ ...base, element: 70n, optype: 2 })).to.throw("REMOVE_MISMATCH");
+      expect(() => modifyArray({ ...base, element: 0n, optype: 2 })).to.throw("REMOVE_MISMATCH");
+      expect(() => modifyArray({ ...base, element: 1n, optype: 3 })).to.throw("INVALID_OPTYPE");
+
+      const full = Array.from({ length: MAX_DEGREE }, (_, i) => BI(1000 - i));
+      expect(() => modifyArray({ oldArr: full, oldDeg: 64n, element: 5000n, optype: 1 })).to.throw("NODE_FULL");
+    });
+  });
+
+  describe("apply", () => {
+    it("ADD links both sides and changes the root", async () => {
+      const s = await GraphState.create({ smtLevels: SMT_LEVELS });
+      const r0 = s.root;
+      expect(r0).to.equal(0n);
+
+      const step = await s.apply({ op: 1, ilo: 3, ihi: 8 });
+      expect(step.oldRoot).to.equal(r0);
+      expect(step.newRoot).to.equal(s.root);
+      expect(s.root).to.not.equal(r0);
+
+      expect(s.isLinked(3, 8)).to.equal(true);
+      expect(s.isLinked(8, 3)).to.equal(true);
+      expect(s.degree(3)).to.equal(1n);
+      expect(step.lo.siblings).to.have.length(SMT_LEVELS);
+      expect(step.hi.siblings).to.have.length(SMT_LEVELS);
+    });
+
+    it("witness carries the pre-op arrays and degrees", async () => {
+      const s = await GraphState.create({ smtLevels: SMT_LEVELS });
+      await s.apply({ op: 1, ilo: 1, ihi: 5 });
+      const step = await s.apply({ op: 1, ilo: 2, ihi: 5 });
+
+      expect(step.hi.neighbors.slice(0, 2)).to.deep.equal([1n, 0n]);
+      expect(step.hi.oldDeg).to.equal(1n);
+      expect(step.hi.arrIdx).to.equal(0n); // 2 > 1 => head
+      expect(step.hi.isOld0).to.equal(0n);
+      expect(step.hi.oldKey).to.equal(5n); // UPDATE: old leaf is the key itself
+      expect(step.hi.oldValue).to.not.equal(0n);
+    });
+
+    it("REVOKE of the last neighbor leaves an empty (but present) leaf", async () => {
+      const s = await GraphState.create({ smtLevels: SMT_LEVELS });
+      await s.apply({ op: 1, ilo: 1, ihi: 2 });
+      await s.apply({ op: 2, ilo: 1, ihi: 2 });
+
+      expect(s.has(1)).to.equal(true);
+      expect(s.degree(1)).to.equal(0n);
+      expect(s.neighbors(1)).to.deep.equal(emptyNeighbors());
+      expect(s.leafValue(1)).to.equal(s.commit(emptyNeighbors(), 0n));
+    });
+
+    it("root is a function of the graph, not of the op history", async () => {
+      const a = await GraphState.create({ smtLevels: SMT_LEVELS });
+      await a.apply({ op: 1, ilo: 1, ihi: 2 });
+      await a.apply({ op: 1, ilo: 2, ihi: 3 });
+
+      const b = await GraphState.create({ smtLevels: SMT_LEVELS });
+      await b.apply({ op: 1, ilo: 2, ihi: 3 });
+      await b.apply({ op: 1, ilo: 1, ihi: 4 });
+      await b.apply({ op: 1, ilo: 1, ihi: 2 });
+      await b.apply({ op: 2, ilo: 1, ihi: 4 });
+
+      // b still has an (empty) leaf for 4, so add it to a as well
+      expect(b.has(4)).to.equal(true);
+      const json = a.toJSON();
+      json.accounts.push({ idx: 4, neighbors: emptyNeighbors(), degree: 0 });
+      delete json.root;
+      const c = await GraphState.fromJSON(json);
+      expect(c.root).to.equal(b.root);
+    });
+
+    it("rejected ops leave the state untouched", async () => {
+      const s = await GraphState.create({ smtLevels: SMT_LEVELS });
+      await s.apply({ op: 1, ilo: 1, ihi: 2 });
+      const root = s.root;
+
+      for (const bad of [
+        { op: 1, ilo: 1, ihi: 2 }, // duplicate
+        { op: 2, ilo: 1, ihi: 3 }, // not linked
+        { op: 1, ilo: 2, ihi: 1 }, // not (min, max)
+        { op: 1, ilo: 0, ihi: 1 }, // missing idx
+        { op: 3, ilo: 1, ihi: 2 },
+      ]) {
+        let threw = false;
+        try {
+          await s.apply(bad);
+        } catch {
+          threw = true;
+        }
+        expect(threw, JSON.stringify(bad)).to.equal(true);
+        expect(s.root).to.equal(root);
+      }
+      expect(s.has(3)).to.equal(false);
+    });
+
+    it("NOP returns zero witnesses and keeps the root", async () => {
+      const s = await GraphState.create({ smtLevels: SMT_LEVELS });
+      await s.apply({ op: 1, ilo: 1, ihi: 2 });
+      const step = await s.apply({ op: 0, ilo: 0, ihi: 0 });
+      expect(step.newRoot).to.equal(step.oldRoot);
+      expect(step.lo.siblings).to.deep.equal(new Array(SMT_LEVELS).fill(0n));
+      expect(step.lo.arrIdx).to.equal(0n);
+    });
+
+    it("toJSON/fromJSON and clone reproduce the root", async () => {
+      const s = await GraphState.create({ smtLevels: SMT_LEVELS });
+      await s.apply({ op: 1, ilo: 1, ihi: 2 });
+      await s.apply({ op: 1, ilo: 1, ihi: 9 });
+
+      const c = await s.clone();
+      expect(c.root).to.equal(s.root);
+      expect(c.neighbors(1)).to.deep.equal(s.neighbors(1));
+
+      await c.apply({ op: 2, ilo: 1, ihi: 9 });
+      expect(c.root).to.not.equal(s.root); // independent copy
+
+      const bad = { ...s.toJSON(), root: "1" };
+      let threw = false;
+      try {
+        await GraphState.fromJSON(bad);
+      } catch (e) {
+        threw = /root mismatch/.test(e.message);
+      }
+      expect(threw).to.equal(true);
+    });
+
+    it("refuses an insert that puts a leaf at depth smtLevels (the circuit needs the last sibling to be 0)", async () => {
+      // 53 and 181 share their 7 low bits: both leaves would sit at depth 8
+      const s = await GraphState.create({ smtLevels: 8 });
+      let msg = null;
+      try {
+        await s.apply({ op: 1, ilo: 53, ihi: 181 });
+      } catch (e) {
+        msg = e.message;
+      }
+      expect(msg).to.equal("SMT depth 8 exceeds smtLevels=8");
+      expect(s.root).to.equal(0n);
+      expect(s.has(53)).to.equal(false);
+
+      // same when the collision is with a leaf already in the tree
+      await s.apply({ op: 1, ilo: 1, ihi: 53 });
+      const root = s.root;
+      msg = null;
+      try {
+        await s.apply({ op: 1, ilo: 2, ihi: 181 });
+      } catch (e) {
+        msg = e.message;
+      }
+      expect(msg).to.equal("SMT depth 8 exceeds smtLevels=8");
+      expect(s.root).to.equal(root);
+
+      const ok = await GraphState.create({ smtLevels: 9 });
+      const step = await ok.apply({ op: 1, ilo: 53, ihi: 181 });
+      expect(step.hi.siblings[8]).to.equal(0n);
+    });
+  });
+});
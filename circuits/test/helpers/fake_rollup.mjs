@@ -0,0 +1,257 @@
+// circuits/test/helpers/fake_rollup.mjs
+//
+// In-memory stand-in for an ethers Contract bound to Rollup.sol, for driving off-chain services
+// in mocha without a node. Mirrors the queue / submitBatch / event semantics of the contract;
+// the "verifier" accepts a proof iff a[0] == the pubInput0 the contract would compute
+// (see fakeProver), so a wrong root, batchId, start or txData still fails with VerifyFail.
+// It is also its own provider (getBlockNumber / getBlock / getFeeData, `gasPrice` settable); snapshotChain / revertChain drop the blocks
+// after a snapshot the way a reorg does, and blocks mined afterwards get new hashes.
+
+import crypto from "node:crypto";
+
+import {
+  BI,
+  OP_ADD,
+  OP_REVOKE,
+  packTx,
+  txDataFromWords,
+  storageHash as sha256StorageHash,
+  computePubInput0,
+} from "../../lib/encoding.mjs";
+
+const ZERO32 = "0x" + "00".repeat(32);
+export const TX_FEE_WEI = 50_000_000_000_000n; // Rollup.TX_FEE_WEI = 0.00005 ether
+
+function filtersFor(names) {
+  const out = {};
+  for (const eventName of names) out[eventName] = (...indexed) => ({ eventName, indexed });
+  return out;
+}
+
+function queryEvents(events, filter, fromBlock, toBlock) {
+  return events.filter(
+    (ev) => ev.eventName === filter.eventName && ev.blockNumber >= fromBlock && ev.blockNumber <= toBlock
+  );
+}
+
+function revert(name) {
+  const e = new Error(`execution reverted: ${name}()`);
+  e.code = "CALL_EXCEPTION";
+  e.revert = { name, args: [] };
+  return e;
+}
+
+// Test prover: smuggles pubInput0 through a[0] for FakeRollup's verifier.
+export async function fakeProver(input) {
+  return { a: [BI(input.pubInput0), 0n], b: [[0n, 0n], [0n, 0n]], c: [0n, 0n], publicSignals: [BI(input.pubInput0)] };
+}
+
+export class FakeRollup {
+  constructor({ maxBatch = 3 } = {}) {
+    this.maxBatch = maxBatch;
+    this.unforged = new Map();
+    this.nextTxId = 1;
+    this.lastForgedId = 0;
+    this._batchId = 0n;
+    this.root = ZERO32;
+    this.events = [];
+    this.blockNumber = 1;
+    this.verifierOk = true;
+    this.interface = null;
+    this.now = 1_700_000_000;
+    this.fork = 0; // bumped by revertChain; part of every later block hash
+    this.blockForks = [];
+    this.blockTimes = [];
+    this.gasPrice = 1_000_000_000n;
+
+    this.filters = filtersFor(["TxQueued", "BatchSubmitted", "Vouched", "WindowOpened", "VouchCancelled", "ClosedNoLink", "Stolen"]);
+  }
+
+  _hash(n) {
+    return "0x" + crypto.createHash("sha256").update(`${this.blockForks[n] ?? this.fork}:${n}`).digest("hex");
+  }
+
+  _emit(eventName, args) {
+    const ev = {
+      eventName,
+      blockNumber: this.blockNumber,
+      blockHash: this._hash(this.blockNumber),
+      transactionHash: "0x" + this.blockNumber.toString(16).padStart(64, "0"),
+      index: this.events.length,
+      args,
+    };
+    this.events.push(ev);
+    return ev;
+  }
+
+  mine() {
+    this.blockForks[this.blockNumber] = this.fork;
+    this.blockTimes[this.blockNumber] = this.now;
+    this.blockNumber += 1;
+    this.now += 12;
+  }
+
+  // --- provider side ---
+  async getBlockNumber() {
+    return this.blockNumber - 1; // the current block is still open
+  }
+
+  async getBlock(n) {
+    if (n === "latest") n = this.blockNumber - 1;
+    return n < this.blockNumber ? { number: n, hash: this._hash(n), timestamp: this.blockTimes[n] } : null;
+  }
+
+  async getFeeData() {
+    return { gasPrice: this.gasPrice };
+  }
+
+  snapshotChain() {
+    return {
+      unforged: new Map(this.unforged),
+      nextTxId: this.nextTxId,
+      lastForgedId: this.lastForgedId,
+      batchId: this._batchId,
+      root: this.root,
+      events: this.events.length,
+      blockNumber: this.blockNumber,
+      now: this.now,
+    };
+  }
+
+  revertChain(snap) {
+    this.unforged = new Map(snap.unforged);
+    this.nextTxId = snap.nextTxId;
+    this.lastForgedId = snap.lastForgedId;
+    this._batchId = snap.batchId;
+    this.root = snap.root;
+    this.events.length = snap.events;
+    this.blockNumber = snap.blockNumber;
+    this.blockForks.length = snap.blockNumber;
+    this.blockTimes.length = snap.blockNumber;
+    this.now = snap.now;
+    this.fork += 1;
+  }
+
+  // Handshake-side events (Vouched, WindowOpened, ...) carry no rollup state here; tests log them directly.
+  logEvent(eventName, args) {
+    const ev = this._emit(eventName, args);
+    this.mine();
+    return ev;
+  }
+
+  // --- queue side (what finalize / revoke do) ---
+  enqueue(op, ilo, ihi) {
+    if (op !== OP_ADD && op !== OP_REVOKE) throw new Error("bad op");
+    [ilo, ihi] = ilo < ihi ? [ilo, ihi] : [ihi, ilo];
+    const txId = this.nextTxId++;
+    this.unforged.set(txId, packTx(ilo, ihi, op));
+    this._emit("TxQueued", { batchId: this._batchId, txId: BigInt(txId), op: BigInt(op), ilo: BigInt(ilo), ihi: BigInt(ihi), ts: BigInt(this.now) });
+    this.mine();
+    return txId;
+  }
+
+  // --- views ---
+  async MAX_BATCH() {
+    return BigInt(this.maxBatch);
+  }
+
+  async TX_FEE_WEI() {
+    return TX_FEE_WEI;
+  }
+
+  async batchId() {
+    return this._batchId;
+  }
+
+  async latestGraphRoot() {
+    return this.root;
+  }
+
+  async lag() {
+    const end = this.nextTxId - 1;
+    return BigInt(end <= this.lastForgedId ? 0 : end - this.lastForgedId);
+  }
+
+  async pendingOps() {
+    const start = this.lastForgedId + 1;
+    const end = this.nextTxId - 1;
+    const count = end < start ? 0 : end - this.lastForgedId;
+    return [BigInt(start), BigInt(end), BigInt(count)];
+  }
+
+  async getQueuedWords(start, n) {
+    const out = [];
+    for (let i = 0; i < Number(n); i++) out.push(this.unforged.get(Number(start) + i) ?? 0n);
+    return out;
+  }
+
+  async queryFilter(filter, fromBlock = 0, toBlock = Infinity) {
+    return queryEvents(this.events, filter, fromBlock, toBlock);
+  }
+
+  // --- forging ---
+  async submitBatch(newGraphRoot, n, a, _b, _c) {
+    n = Number(n);
+    if (n === 0 || n > this.maxBatch) throw revert("BadValue");
+
+    const start = this.lastForgedId + 1;
+    const end = this.nextTxId - 1;
+    if (end < start || n > end - this.lastForgedId) throw revert("EmptyBatch");
+
+    const words = await this.getQueuedWords(start, n);
+    const txData = txDataFromWords(words, this.maxBatch);
+    const sh = sha256StorageHash(txData);
+    const pub0 = computePubInput0({ oldRoot: this.root, newRoot: newGraphRoot, batchId: this._batchId, start, n, storageHash: sh });
+
+    if (!this.verifierOk || BI(a[0]) !== pub0) throw revert("VerifyFail");
+
+    this.root = newGraphRoot.toLowerCase();
+    const ev = this._emit("BatchSubmitted", {
+      batchId: this._batchId,
+      n: BigInt(n),
+      startTxId: BigInt(start),
+      storageHash: "0x" + sh.toString("hex"),
+      newGraphRoot: this.root,
+      txData: "0x" + txData.toString("hex"),
+    });
+    for (let i = 0; i < n; i++) this.unforged.delete(start + i);
+    this.lastForgedId += n;
+    this._batchId += 1n;
+    this.mine();
+
+    return {
+      hash: ev.transactionHash,
+      wait: async () => ({ hash: ev.transactionHash, blockNumber: ev.blockNumber, blockHash: ev.blockHash }),
+    };
+  }
+}
+
+// Registry double sharing the rollup's block clock.
+export class FakeRegistry {
+  constructor(chain) {
+    this.chain = chain;
+    this.accounts = new Map();
+    this.nextIdx = 1;
+    this.events = [];
+    this.filters = filtersFor(["AccountCreated"]);
+  }
+
+  ensureIdx(owner) {
+    if (this.accounts.has(owner)) return this.accounts.get(owner);
+    const idx = this.nextIdx++;
+    this.accounts.set(owner, idx);
+    this.events.push({
+      eventName: "AccountCreated",
+      blockNumber: this.chain.blockNumber,
+      transactionHash: "0x" + this.chain.blockNumber.toString(16).padStart(64, "0"),
+      index: 0,
+      args: { owner, idx: BigInt(idx) },
+    });
+    this.chain.mine();
+    return idx;
+  }
+
+  async queryFilter(filter, fromBlock = 0, toBlock = Infinity) {
+    return queryEvents(this.events, filter, fromBlock, toBlock);
+  }
+}
@@ -0,0 +1,17 @@
+// circuits/test/helpers/ptau.mjs
+//
+// Tiny prepared (phase-2 ready) powers of tau for tests that run a real Groth16 setup.
+// Seconds for power <= 8; never use these outside tests.
+
+import fs from "node:fs";
+import * as snarkjs from "snarkjs";
+
+export async function makePtau(file, power) {
+  const curve = await snarkjs.curves.getCurveFromName("bn128");
+  await snarkjs.powersOfTau.newAccumulator(curve, power, `${file}.0`);
+  await snarkjs.powersOfTau.contribute(`${file}.0`, `${file}.1`, "test", "test entropy");
+  await snarkjs.powersOfTau.preparePhase2(`${file}.1`, file);
+  fs.rmSync(`${file}.0`);
+  fs.rmSync(`${file}.1`);
+  return file;
+}
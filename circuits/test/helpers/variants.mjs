@@ -0,0 +1,36 @@
+// circuits/test/helpers/variants.mjs
+//
+// Which (batchSize, smtLevels) configurations the circuit tests run against:
+//   - always the committed wrapper (circuits/main.circom, circuits/test_circuits/<name>.circom)
+//   - plus every variant generated by `node circuits/scripts/variants.mjs` (circuits/build/variants/index.json)
+//   - ZKGRAF_VARIANTS="2x16,5x32" replaces the generated list (missing files are generated on the fly);
+//     ZKGRAF_VARIANTS=none runs the committed wrappers only
+//
+// wrapperVariants(name) -> [{ label, path, args }]. A generated entry whose `component main` arguments equal
+// the committed file's is dropped, so a generated 3x32 does not run the process_batch suite twice.
+
+import fs from "node:fs";
+import path from "node:path";
+
+import { REPO_ROOT } from "../../lib/setup.mjs";
+import { WRAPPERS, generateVariant, listVariants, parseVariant, readMainComponent, variantId } from "../../lib/variants.mjs";
+
+function selected() {
+  const env = process.env.ZKGRAF_VARIANTS?.trim();
+  if (env === "none") return [];
+  if (env) return env.split(",").map(parseVariant).map((v) => generateVariant(v));
+  return listVariants().map((v) => generateVariant(v));
+}
+
+export function wrapperVariants(name) {
+  const source = path.join(REPO_ROOT, WRAPPERS[name].source);
+  const committed = readMainComponent(fs.readFileSync(source, "utf8")).args;
+  const out = [{ label: "committed", path: source, args: committed }];
+
+  for (const gen of selected()) {
+    const args = WRAPPERS[name].args(gen);
+    if (out.some((o) => o.args.join() === args.join())) continue;
+    out.push({ label: variantId(gen), path: gen.files[name], args });
+  }
+  return out;
+}
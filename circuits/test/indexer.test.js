@@ -0,0 +1,177 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { OP_ADD, OP_REVOKE, fieldToBytes32BE } from "../lib/encoding.mjs";
+import { GraphState } from "../lib/graph_state.mjs";
+import { Forger } from "../lib/forger.mjs";
+import { Indexer, JsonlStore, MemoryStore } from "../lib/indexer.mjs";
+import { FakeRollup, FakeRegistry, fakeProver } from "./helpers/fake_rollup.mjs";
+
+const rootHex = (r) => "0x" + fieldToBytes32BE(r).toString("hex");
+
+// Two forged batches + one pending op, with handshake / registry noise in between.
+async function scenario() {
+  const rollup = new FakeRollup({ maxBatch: 2 });
+  const registry = new FakeRegistry(rollup);
+  for (const who of ["alice", "bob", "carol"]) registry.ensureIdx(who);
+
+  rollup.logEvent("Vouched", { funder: "alice", counterparty: "bob", lo: "alice", hi: "bob", stakeWei: 1n, durationSeconds: 60n });
+  rollup.logEvent("WindowOpened", { lo: "alice", hi: "bob", windowStart: 1n, windowEnd: 61n, stakeWei: 1n, durationSeconds: 60n });
+  rollup.enqueue(OP_ADD, 1, 2);
+  rollup.enqueue(OP_ADD, 2, 3);
+
+  const forger = await new Forger({
+    rollup,
+    state: await GraphState.create({ smtLevels: 32 }),
+    prover: fakeProver,
+  }).init();
+  await forger.forgeOnce();
+  const rootAfter0 = rootHex(forger.state.root);
+
+  rollup.logEvent("Stolen", { thief: "carol", counterparty: "alice", paidWei: 1n });
+  rollup.enqueue(OP_ADD, 1, 3);
+  rollup.enqueue(OP_REVOKE, 1, 2);
+  await forger.forgeOnce();
+  rollup.logEvent("ClosedNoLink", { caller: "bob", counterparty: "carol", stakeWei: 1n });
+  rollup.enqueue(OP_ADD, 3, 4);
+
+  return { rollup, registry, forger, rootAfter0 };
+}
+
+describe("Indexer (rebuilds graph history from logs)", function () {
+  this.timeout(120000);
+
+  it("indexes every event kind in chain order and recomputes each newGraphRoot", async () => {
+    const { rollup, registry, forger, rootAfter0 } = await scenario();
+    const ix = await new Indexer({ rollup, registry, chunkSize: 3 }).init();
+    await ix.poll({ toBlock: rollup.blockNumber });
+
+    const kinds = new Set(ix.events.map((e) => e.event));
+    for (const k of ["TxQueued", "BatchSubmitted", "Vouched", "WindowOpened", "Stolen", "ClosedNoLink", "AccountCreated"]) {
+      expect(kinds.has(k), k).to.equal(true);
+    }
+    const blocks = ix.events.map((e) => e.blockNumber);
+    expect(blocks).to.deep.equal([...blocks].sort((a, b) => a - b));
+    expect(ix.select("AccountCreated").map((e) => e.args.idx)).to.deep.equal(["1", "2", "3"]);
+
+    const { roots, divergence, state } = await ix.replay();
+    expect(divergence).to.equal(null);
+    expect(roots.map((r) => r.root)).to.deep.equal([rootAfter0, rollup.root]);
+    expect(state.root).to.equal(forger.state.root);
+
+    const s0 = await ix.stateAt(0n);
+    expect(rootHex(s0.root)).to.equal(rootAfter0);
+    expect(s0.isLinked(1, 2)).to.equal(true);
+    expect((await ix.stateAt(1n)).isLinked(1, 2)).to.equal(false);
+
+    expect(ix.pending()).to.deep.equal([{ txId: 5, op: OP_ADD, ilo: 3, ihi: 4 }]);
+
+    let err;
+    try {
+      await ix.stateAt(5n);
+    } catch (e) {
+      err = e;
+    }
+    expect(err?.message).to.match(/not indexed/);
+  });
+
+  it("incremental polls only fetch new blocks", async () => {
+    const { rollup, registry } = await scenario();
+    const ix = await new Indexer({ rollup, registry, store: new MemoryStore() }).init();
+
+    await ix.poll({ toBlock: 4 });
+    const first = ix.events.length;
+    expect(ix.store.cursor).to.equal(4);
+
+    await ix.poll({ toBlock: rollup.blockNumber });
+    const all = await new Indexer({ rollup, registry }).init();
+    await all.poll({ toBlock: rollup.blockNumber });
+    expect(ix.events).to.deep.equal(all.events);
+    expect(first).to.be.lessThan(ix.events.length);
+
+    expect(await ix.poll({ toBlock: rollup.blockNumber })).to.equal(0);
+  });
+
+  it("JsonlStore persists across restarts and drops an uncommitted tail", async () => {
+    const { rollup, registry } = await scenario();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zkgraf-indexer-"));
+    const file = path.join(dir, "events.jsonl");
+
+    try {
+      const a = await new Indexer({ rollup, registry, store: new JsonlStore(file), chunkSize: 4 }).init();
+      await a.poll({ toBlock: rollup.blockNumber });
+
+      // simulate a crash mid-chunk: events written without a trailing cursor
+      fs.appendFileSync(file, JSON.stringify({ type: "event", event: "TxQueued", blockNumber: 999, logIndex: 0, args: {} }) + "\n");
+
+      const b = await new Indexer({ rollup, registry, store: new JsonlStore(file) }).init();
+      expect(b.store.cursor).to.equal(rollup.blockNumber);
+      expect(b.events).to.deep.equal(a.events);
+      expect((await b.replay()).roots.at(-1).root).to.equal(rollup.root);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("JsonlStore does not keep a second copy of events re-fetched after an interrupted poll", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zkgraf-indexer-"));
+    const file = path.join(dir, "events.jsonl");
+    const ev = (blockNumber) => ({ type: "event", event: "TxQueued", blockNumber, logIndex: 0, args: {} });
+    const [A, B] = [ev(5), ev(15)];
+
+    try {
+      await new JsonlStore(file).commit([A], 10);
+      // the poll for (10, 20] wrote B, then died before its cursor line
+      fs.appendFileSync(file, JSON.stringify(B) + "\n");
+
+      const s = await new JsonlStore(file).load();
+      expect(s.events).to.deep.equal([A]);
+      expect(s.cursor).to.equal(10);
+      await s.commit([B], 20);
+
+      const again = await new JsonlStore(file).load();
+      expect(again.events).to.deep.equal([A, B]);
+      expect(again.cursor).to.equal(20);
+      expect(fs.readFileSync(file, "utf8").trim().split("\n")).to.have.length(4);
+      expect(fs.existsSync(`${file}.tmp`)).to.equal(false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("reports a root mismatch as divergence at the offending batchId", async () => {
+    const { rollup, registry } = await scenario();
+    rollup.events.find((e) => e.eventName === "BatchSubmitted" && e.args.batchId === 1n).args.newGraphRoot =
+      "0x" + "22".repeat(32);
+
+    const ix = await new Indexer({ rollup, registry }).init();
+    await ix.poll({ toBlock: rollup.blockNumber });
+    const { roots, divergence } = await ix.replay();
+
+    expect(roots).to.have.length(1);
+    expect(divergence).to.include({ batchId: 1n, reason: "root mismatch", expected: "0x" + "22".repeat(32) });
+
+    let err;
+    try {
+      await ix.stateAt(1n);
+    } catch (e) {
+      err = e;
+    }
+    expect(err?.code).to.equal("DIVERGENCE");
+    expect(err.divergence.batchId).to.equal(1n);
+  });
+
+  it("flags txData that disagrees with the queued ops", async () => {
+    const { rollup, registry } = await scenario();
+    const q = rollup.events.find((e) => e.eventName === "TxQueued" && e.args.txId === 2n);
+    q.args.ihi = 9n;
+
+    const ix = await new Indexer({ rollup, registry }).init();
+    await ix.poll({ toBlock: rollup.blockNumber });
+    const { divergence } = await ix.replay();
+    expect(divergence.batchId).to.equal(0n);
+    expect(divergence.reason).to.match(/TxQueued txId 2/);
+  });
+});
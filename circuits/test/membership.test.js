@@ -0,0 +1,150 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+import { fileURLToPath } from "url";
+
+import { OP_ADD, OP_REVOKE, fieldToBytes32BE } from "../lib/encoding.mjs";
+import { GraphState } from "../lib/graph_state.mjs";
+import { proveAccount, proveLink, buildMembershipVerifier, rootToField } from "../lib/membership.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const cli = path.join(__dirname, "../scripts/membership.mjs");
+
+const rootHex = (r) => "0x" + fieldToBytes32BE(r).toString("hex");
+
+describe("Membership proofs (inclusion / exclusion / link)", function () {
+  this.timeout(120000);
+
+  let state;
+  let v;
+
+  before(async () => {
+    v = await buildMembershipVerifier();
+    state = await GraphState.create({ smtLevels: 32 });
+    for (const [op, ilo, ihi] of [
+      [OP_ADD, 1, 2],
+      [OP_ADD, 2, 3],
+      [OP_ADD, 1, 3],
+      [OP_ADD, 5, 9],
+      [OP_REVOKE, 1, 2],
+    ]) {
+      await state.apply({ op, ilo, ihi });
+    }
+  });
+
+  it("inclusion proof verifies against latestGraphRoot (bytes32) and the field root", async () => {
+    const p = await proveAccount(state, 3);
+    expect(p.type).to.equal("inclusion");
+    expect(p.siblings).to.have.length(32);
+
+    const res = v.verify(p, rootHex(state.root));
+    expect(res.ok).to.equal(true);
+    expect(res.degree).to.equal(2n);
+    expect(res.neighbors.slice(0, 3)).to.deep.equal([2n, 1n, 0n]);
+    expect(v.verify(p, state.root).ok).to.equal(true);
+    expect(rootToField(rootHex(state.root))).to.equal(state.root);
+  });
+
+  it("an account whose edges were all revoked still has an inclusion proof with degree 0", async () => {
+    const s = await GraphState.create();
+    await s.apply({ op: OP_ADD, ilo: 1, ihi: 2 });
+    await s.apply({ op: OP_REVOKE, ilo: 1, ihi: 2 });
+    const res = v.verify(await proveAccount(s, 1), s.root);
+    expect(res).to.include({ ok: true, type: "inclusion" });
+    expect(res.degree).to.equal(0n);
+  });
+
+  it("exclusion proofs for accounts with no leaf (empty slot and foreign leaf on the path)", async () => {
+    // keys 1,2,3,5,9 fill every branch: each path for a missing idx ends at another account's leaf
+    for (const idx of [4, 6, 7, 8, 10, 11, 12, 1000]) {
+      const p = await proveAccount(state, idx);
+      expect(p).to.include({ type: "exclusion", isOld0: 0 });
+      expect(v.verify(p, rootHex(state.root)), `idx ${idx}`).to.include({ ok: true, type: "exclusion" });
+    }
+
+    // keys 1 (0b001) and 5 (0b101) split at bit 2: the bit0=0 and bit1=1 subtrees are empty
+    const sparse = await GraphState.create();
+    await sparse.apply({ op: OP_ADD, ilo: 1, ihi: 5 });
+    for (const idx of [2, 3, 4, 7]) {
+      const p = await proveAccount(sparse, idx);
+      expect(p).to.include({ type: "exclusion", isOld0: 1 });
+      expect(v.verify(p, sparse.root), `idx ${idx}`).to.include({ ok: true, type: "exclusion" });
+    }
+
+    const empty = await GraphState.create();
+    const p0 = await proveAccount(empty, 1);
+    expect(p0.isOld0).to.equal(1);
+    expect(v.verify(p0, 0n).ok).to.equal(true);
+  });
+
+  it("link proof: both sides open to arrays containing the other", async () => {
+    const p = await proveLink(state, 3, 1);
+    expect(v.verify(p, rootHex(state.root))).to.deep.equal({ ok: true, type: "link", a: 3, b: 1 });
+
+    let err;
+    try {
+      await proveLink(state, 1, 2); // revoked
+    } catch (e) {
+      err = e;
+    }
+    expect(err?.message).to.equal("NOT_LINKED");
+  });
+
+  it("rejects stale roots and tampered openings", async () => {
+    const before = rootHex(state.root);
+    const p = await proveAccount(state, 9);
+    const next = await state.clone();
+    await next.apply({ op: OP_ADD, ilo: 9, ihi: 10 });
+    expect(v.verify(p, rootHex(next.root))).to.deep.equal({ ok: false, reason: "root mismatch" });
+    expect(v.verify(p, before).ok).to.equal(true);
+
+    const addFake = JSON.parse(JSON.stringify(p));
+    addFake.neighbors[1] = "4";
+    addFake.degree = "2";
+    expect(v.verify(addFake, before)).to.deep.equal({ ok: false, reason: "root mismatch" });
+
+    const unsorted = JSON.parse(JSON.stringify(await proveAccount(state, 3)));
+    [unsorted.neighbors[0], unsorted.neighbors[1]] = [unsorted.neighbors[1], unsorted.neighbors[0]];
+    expect(v.verify(unsorted, before).reason).to.match(/descending/);
+
+    const degreeLie = JSON.parse(JSON.stringify(await proveAccount(state, 3)));
+    degreeLie.degree = "1";
+    expect(v.verify(degreeLie, before).reason).to.match(/above degree/);
+
+    // an inclusion proof relabelled as exclusion must not verify
+    const inc = await proveAccount(state, 5);
+    const asExcl = { ...inc, type: "exclusion", isOld0: 1, oldKey: "0", oldValue: "0" };
+    expect(v.verify(asExcl, before).ok).to.equal(false);
+
+    // link between non-neighbors assembled from valid account proofs
+    const forged = { type: "link", a: await proveAccount(state, 5), b: await proveAccount(state, 3) };
+    expect(v.verify(forged, before)).to.deep.equal({ ok: false, reason: "not linked" });
+
+    expect(v.verify(p).reason).to.equal("expected root required");
+  });
+
+  it("CLI prove/verify round-trip, accepting a forger snapshot as --state", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zkgraf-membership-"));
+    try {
+      const stateFile = path.join(dir, "forger-state.json");
+      const proofFile = path.join(dir, "proof.json");
+      fs.writeFileSync(stateFile, JSON.stringify({ batchId: "3", fromBlock: 0, graph: state.toJSON() }));
+
+      execFileSync("node", [cli, "prove", "--state", stateFile, "--idx", "2", "--with", "3", "--out", proofFile], { stdio: "pipe" });
+      const out = execFileSync("node", [cli, "verify", "--proof", proofFile, "--root", rootHex(state.root)], { encoding: "utf8" });
+      expect(JSON.parse(out)).to.deep.equal({ ok: true, type: "link", a: 2, b: 3 });
+
+      let status = 0;
+      try {
+        execFileSync("node", [cli, "verify", "--proof", proofFile, "--root", "0x" + "00".repeat(32)], { stdio: "pipe" });
+      } catch (e) {
+        status = e.status;
+      }
+      expect(status).to.equal(1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
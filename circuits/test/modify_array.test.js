@@ -4,6 +4,8 @@ import path from "path";
 import { wasm as wasm_tester } from "circom_tester";
 import { fileURLToPath } from "url";
 
+import { withEngine } from "../lib/witness_engine.mjs";
+
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const N = 64;
@@ -110,9 +112,11 @@ describe("ModifyArrayTest packed out[65] (strict constraints)", function () {
 
   before(async () => {
     const repoRoot = path.join(__dirname, "../..");
-    circuit = await wasm_tester(circuitPath, {
-      include: [path.join(repoRoot, "node_modules"), path.join(repoRoot, "circuits")],
-    });
+    circuit = withEngine(
+      await wasm_tester(circuitPath, {
+        include: [path.join(repoRoot, "node_modules"), path.join(repoRoot, "circuits")],
+      })
+    );
   });
 
   async function calc(input) {
@@ -3,6 +3,8 @@ import path from "path";
 import { wasm as wasm_tester } from "circom_tester";
 import { fileURLToPath } from "url";
 
+import { withEngine } from "../lib/witness_engine.mjs";
+
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const N = 64;
@@ -49,9 +51,11 @@ describe("NeighborCommitment packed out[1]", function () {
 
   before(async () => {
     const repoRoot = path.join(__dirname, "../..");
-    circuit = await wasm_tester(circuitPath, {
-      include: [path.join(repoRoot, "node_modules"), path.join(repoRoot, "circuits")],
-    });
+    circuit = withEngine(
+      await wasm_tester(circuitPath, {
+        include: [path.join(repoRoot, "node_modules"), path.join(repoRoot, "circuits")],
+      })
+    );
 
     poseidonRef = await tryBuildPoseidon();
   });
@@ -0,0 +1,184 @@
+import { expect } from "chai";
+import path from "path";
+import crypto from "crypto";
+import { wasm as wasm_tester } from "circom_tester";
+import { fileURLToPath } from "url";
+
+import { BN254_P, OP_ADD, OP_REVOKE, fieldToBytes32BE, packTx } from "../lib/encoding.mjs";
+import { GraphState } from "../lib/graph_state.mjs";
+import { buildBatchWitness } from "../lib/witness.mjs";
+import {
+  buildPoseidonBatchWitness,
+  buildPoseidonCommitment,
+  buildPoseidonPreimage,
+  poseidonChunks,
+  txWords,
+} from "../lib/poseidon_commit.mjs";
+import { withEngine } from "../lib/witness_engine.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, "../..");
+const include = [path.join(repoRoot, "node_modules"), path.join(repoRoot, "circuits")];
+
+// circuits/test_circuits/poseidon_pubinput_test.circom, process_batch_poseidon_test.circom
+const CHAIN_SLOTS = 20;
+const BATCH_SIZE = 3;
+const SMT_LEVELS = 16;
+
+const U32_MAX = 2 ** 32 - 1;
+const U64_MAX = (1n << 64n) - 1n;
+
+const add = (ilo, ihi) => ({ op: OP_ADD, ilo, ihi });
+const randField = () => BigInt("0x" + crypto.randomBytes(32).toString("hex")) % BN254_P;
+const randU32 = () => crypto.randomBytes(4).readUInt32BE(0);
+
+async function expectFail(fn) {
+  let threw = false;
+  try {
+    await fn();
+  } catch {
+    threw = true;
+  }
+  expect(threw).to.equal(true, "Expected constraints to fail, but they passed");
+}
+
+describe("Poseidon public-input commitment: JS encoders", function () {
+  it("tx words are Rollup's queue words with zero tail slots; records and words give the same words", () => {
+    const recs = [add(1, 2), { op: OP_REVOKE, ilo: U32_MAX, ihi: 7 }];
+    const words = txWords(recs, 4);
+    expect(words).to.deep.equal([packTx(1, 2, OP_ADD), packTx(U32_MAX, 7, OP_REVOKE), 0n, 0n]);
+    expect(txWords(words.slice(0, 2), 4)).to.deep.equal(words);
+    expect(() => txWords(recs, 1)).to.throw(/too many records/);
+    expect(() => txWords([{ op: 256, ilo: 0, ihi: 0 }], 1)).to.throw(/op/);
+  });
+
+  it("PoseidonChain slices: one Poseidon up to 16 inputs, then the running hash plus 15 more", () => {
+    expect(poseidonChunks(1)).to.deep.equal([[0, 1]]);
+    expect(poseidonChunks(16)).to.deep.equal([[0, 16]]);
+    expect(poseidonChunks(17)).to.deep.equal([[0, 16], [16, 17]]);
+    expect(poseidonChunks(31)).to.deep.equal([[0, 16], [16, 31]]);
+    expect(poseidonChunks(32)).to.deep.equal([[0, 16], [16, 31], [31, 32]]);
+    expect(() => poseidonChunks(0)).to.throw(/bad input count/);
+  });
+
+  it("preimage range-checks batchId / start / n and takes roots as field elements or their bytes32", () => {
+    const root = randField();
+    const base = { oldRoot: root, newRoot: fieldToBytes32BE(root), batchId: U64_MAX, start: U32_MAX, n: 3, storageHash: 9n };
+    expect(buildPoseidonPreimage(base)).to.deep.equal([root, root, U64_MAX, BigInt(U32_MAX), 3n, 9n]);
+    expect(buildPoseidonPreimage({ ...base, newRoot: "0x" + fieldToBytes32BE(root).toString("hex") })[1]).to.equal(root);
+
+    expect(() => buildPoseidonPreimage({ ...base, batchId: U64_MAX + 1n })).to.throw(/batchId/);
+    expect(() => buildPoseidonPreimage({ ...base, start: 2 ** 32 })).to.throw(/start/);
+    expect(() => buildPoseidonPreimage({ ...base, n: -1 })).to.throw(/n/);
+    expect(() => buildPoseidonPreimage({ ...base, oldRoot: BN254_P })).to.throw(/oldRoot is not a field element/);
+    expect(() => buildPoseidonPreimage({ ...base, newRoot: Buffer.alloc(31) })).to.throw(/32 bytes/);
+  });
+});
+
+describe(`PoseidonPubInput(${CHAIN_SLOTS}) matches the circomlibjs reference`, function () {
+  this.timeout(300000);
+
+  let circuit;
+  let P;
+
+  before(async () => {
+    circuit = withEngine(await wasm_tester(path.join(__dirname, "../test_circuits/poseidon_pubinput_test.circom"), { include }));
+    P = await buildPoseidonCommitment();
+  });
+
+  function circuitInput(args, recs) {
+    const pad = (f) => [...recs.map(f), ...Array(CHAIN_SLOTS - recs.length).fill(0)];
+    return { ...args, ilo: pad((r) => r.ilo), ihi: pad((r) => r.ihi), op: pad((r) => r.op) };
+  }
+
+  async function check(args, recs) {
+    const w = await circuit.calculateWitness(circuitInput(args, recs), true);
+    await circuit.checkConstraints(w);
+    const storageHash = P.storageHash(recs, CHAIN_SLOTS);
+    expect(w[1]).to.equal(storageHash);
+    expect(w[2]).to.equal(P.pubInput0({ ...args, storageHash }));
+  }
+
+  it("random and boundary inputs: empty, partial, exactly 16 and all 20 slots", async () => {
+    const rand = (k) => Array.from({ length: k }, () => ({ ilo: randU32(), ihi: randU32(), op: crypto.randomBytes(1)[0] }));
+    const args = () => ({ oldRoot: randField(), newRoot: randField(), batchId: crypto.randomBytes(8).readBigUInt64BE(0), start: randU32(), n: randU32() });
+
+    await check({ oldRoot: 0n, newRoot: 0n, batchId: 0n, start: 0, n: 0 }, []);
+    for (const k of [1, 16, CHAIN_SLOTS]) await check(args(), rand(k));
+    await check(
+      { oldRoot: BN254_P - 1n, newRoot: BN254_P - 1n, batchId: U64_MAX, start: U32_MAX, n: U32_MAX },
+      Array(CHAIN_SLOTS).fill({ ilo: U32_MAX, ihi: U32_MAX, op: 255 })
+    );
+  });
+
+  it("the chain really goes past 16 inputs: changing slot 19 changes both outputs", async () => {
+    const args = { oldRoot: 1n, newRoot: 2n, batchId: 3n, start: 4, n: 20 };
+    const recs = Array.from({ length: CHAIN_SLOTS }, (_, i) => add(i, i + 1));
+    const a = await circuit.calculateWitness(circuitInput(args, recs), true);
+    const b = await circuit.calculateWitness(circuitInput(args, [...recs.slice(0, 19), add(19, 21)]), true);
+    expect(a[1]).to.not.equal(b[1]);
+    expect(a[2]).to.not.equal(b[2]);
+    const words = txWords(recs, CHAIN_SLOTS);
+    expect(P.chain(words)).to.equal(P.hash([P.hash(words.slice(0, 16)), ...words.slice(16)]));
+  });
+
+  it("rejects out-of-range fields that would alias another queue word", async () => {
+    const args = { oldRoot: 1n, newRoot: 2n, batchId: 3n, start: 4, n: 1 };
+    // (ilo 1, ihi 0) and (ilo 0, ihi 2^32) pack to the same word
+    await expectFail(() => circuit.calculateWitness(circuitInput(args, [{ ilo: 0, ihi: 2 ** 32, op: 0 }]), true));
+    await expectFail(() => circuit.calculateWitness(circuitInput(args, [{ ilo: 2 ** 32, ihi: 0, op: 0 }]), true));
+    await expectFail(() => circuit.calculateWitness(circuitInput(args, [{ ilo: 0, ihi: 0, op: 256 }]), true));
+  });
+});
+
+describe(`ProcessBatchPoseidon(${BATCH_SIZE}, ${SMT_LEVELS}) on real batches`, function () {
+  this.timeout(600000);
+
+  let circuit;
+  let base;
+
+  before(async () => {
+    circuit = withEngine(await wasm_tester(path.join(__dirname, "../test_circuits/process_batch_poseidon_test.circom"), { include }));
+    base = await GraphState.create({ smtLevels: SMT_LEVELS });
+    await base.apply(add(1, 2));
+  });
+
+  async function calc(input) {
+    const { pubInput0: _p, ...rest } = input;
+    const w = await circuit.calculateWitness(rest, true);
+    await circuit.checkConstraints(w);
+    return w;
+  }
+
+  const OPTS = { batchId: 11n, start: 70, batchSize: BATCH_SIZE, smtLevels: SMT_LEVELS };
+
+  it("pubInput0 / storageHash are buildPoseidonBatchWitness's; the transition and sha256 commitment are unchanged", async () => {
+    for (const ops of [[add(2, 3), { op: OP_REVOKE, ilo: 1, ihi: 2 }, add(1, 3)], [add(4, 5)]]) {
+      const sw = await buildBatchWitness(await base.clone(), ops, OPTS);
+      const pw = await buildPoseidonBatchWitness(await base.clone(), ops, OPTS);
+
+      const w = await calc(pw.input);
+      expect(w[1]).to.equal(pw.pubInput0);
+      expect(w[2]).to.equal(pw.storageHash);
+      expect(pw.input.pubInput0).to.equal(pw.pubInput0);
+
+      const { pubInput0: _a, ...sInput } = sw.input;
+      const { pubInput0: _b, ...pInput } = pw.input;
+      expect(pInput).to.deep.equal(sInput);
+      expect(pw.newRoot).to.equal(sw.newRoot);
+      expect(pw.sha256).to.deep.equal({ pubInput0: sw.pubInput0, storageHash: sw.storageHash });
+      expect(pw.pubInput0).to.not.equal(sw.pubInput0);
+    }
+  });
+
+  it("still enforces the transition: wrong newRootF, numOps or tail slot fails", async () => {
+    const pw = await buildPoseidonBatchWitness(await base.clone(), [add(2, 3)], OPTS);
+    await calc(pw.input);
+
+    await expectFail(() => calc({ ...pw.input, newRootF: pw.input.newRootF + 1n }));
+    await expectFail(() => calc({ ...pw.input, numOps: 0n }));
+    const ilos = [...pw.input.ilos];
+    ilos[2] = 5n;
+    await expectFail(() => calc({ ...pw.input, ilos }));
+  });
+});
@@ -2,178 +2,206 @@ import { expect } from "chai";
 import path from "path";
 import { wasm as wasm_tester } from "circom_tester";
 import { fileURLToPath } from "url";
-import crypto from "crypto";
+import {
+  BI,
+  sha256,
+  fieldToBytes32BE,
+  u32be,
+  u64be,
+  mask253FromDigestBytes,
+} from "../lib/encoding.mjs";
+import { GraphState } from "../lib/graph_state.mjs";
+import { buildBatchWitness, withoutPubInput0 } from "../lib/witness.mjs";
+import { withEngine } from "../lib/witness_engine.mjs";
+import { wrapperVariants } from "./helpers/variants.mjs";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const BI = (x) => (typeof x === "bigint" ? x : BigInt(x));
 
-// BN254 prime
-const BN254_P =
-  21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+for (const variant of wrapperVariants("process_batch_test")) {
+  const [BATCH_SIZE, SMT_LEVELS] = variant.args;
+  const circuitPath = variant.path;
 
-function modP(x) {
-  let r = x % BN254_P;
-  if (r < 0n) r += BN254_P;
-  return r;
-}
+  describe(`ProcessBatchTest(${BATCH_SIZE}, ${SMT_LEVELS}) out[1]=pubInput0 [${variant.label}]`, function () {
+    this.timeout(240000);
 
-function fieldToBytes32BE(x) {
-  // match FieldToBytes(): serialize field element (mod p) as 32-byte big-endian integer
-  let v = modP(x);
-  const out = Buffer.alloc(32);
-  for (let i = 31; i >= 0; i--) {
-    out[i] = Number(v & 0xffn);
-    v >>= 8n;
-  }
-  return out;
-}
+    let circuit;
 
-function u32be(n) {
-  const b = Buffer.alloc(4);
-  b.writeUInt32BE(Number(n >>> 0), 0);
-  return b;
-}
+    before(async () => {
+      const repoRoot = path.join(__dirname, "../..");
+      circuit = withEngine(
+        await wasm_tester(circuitPath, {
+          include: [path.join(repoRoot, "node_modules"), path.join(repoRoot, "circuits")],
+        })
+      );
+    });
 
-function u64be(nBig) {
-  let x = BigInt(nBig);
-  const b = Buffer.alloc(8);
-  for (let i = 7; i >= 0; i--) {
-    b[i] = Number(x & 0xffn);
-    x >>= 8n;
-  }
-  return b;
-}
+    async function calc(input) {
+      const w = await circuit.calculateWitness(input, true);
+      await circuit.checkConstraints(w);
+      return w;
+    }
 
-function sha256(buf) {
-  return crypto.createHash("sha256").update(buf).digest();
-}
+    async function readOut0(w) {
+      if (typeof circuit.getOutput === "function") {
+        for (const name of ["out", "main.out"]) {
+          try {
+            const v = await circuit.getOutput(w, name);
+            if (Array.isArray(v) && v.length === 1) return BI(v[0]);
+          } catch {}
+        }
+      }
+      throw new Error("Could not read out[0].");
+    }
 
-// For StorageHash input: circuit expects digest bits MSB-first per byte.
-function digestBytesToBitsMSB(digest32) {
-  const bits = new Array(256);
-  for (let i = 0; i < 32; i++) {
-    const v = digest32[i];
-    for (let k = 0; k < 8; k++) {
-      bits[i * 8 + k] = BigInt((v >> (7 - k)) & 1);
+    function zeros2D(rows, cols) {
+      return Array.from({ length: rows }, () => Array.from({ length: cols }, () => 0n));
     }
-  }
-  return bits;
-}
 
-function mask253FromDigestBytes(digest32) {
-  const x = BigInt("0x" + digest32.toString("hex"));
-  const mask = (1n << 253n) - 1n;
-  return x & mask;
-}
+    it("NOP batch (all ops=0) => pubInput0 matches JS transcript; newRoot==oldRoot", async () => {
+      const oldRootF = 123n;
+      const newRootF = 123n;
 
-describe("ProcessBatchTest out[1]=pubInput0", function () {
-  this.timeout(240000);
+      const batchId = 7n;
+      const start = 100;
+      const numOps = BATCH_SIZE; // ops are all zeros anyway
 
-  // MUST match component main = ProcessBatchTest(BATCH_SIZE, SMT_LEVELS)
-  const BATCH_SIZE = 3;
-  const SMT_LEVELS = 32;
+      // tx data for StorageHash: BATCH_SIZE*9 bytes, all zeros
+      const txDataFixed = Buffer.alloc(BATCH_SIZE * 9, 0);
+      const storageHash = sha256(txDataFixed);
 
-  const circuitPath = path.join(__dirname, "../test_circuits/process_batch_test.circom");
-  let circuit;
+      const oldRootBytes = fieldToBytes32BE(oldRootF);
+      const newRootBytes = fieldToBytes32BE(newRootF);
 
-  before(async () => {
-    const repoRoot = path.join(__dirname, "../..");
-    circuit = await wasm_tester(circuitPath, {
-      include: [path.join(repoRoot, "node_modules"), path.join(repoRoot, "circuits")],
-    });
-  });
+      const preimage = Buffer.concat([
+        oldRootBytes,
+        newRootBytes,
+        u64be(batchId),
+        u32be(start),
+        u32be(numOps),
+        storageHash,
+      ]);
 
-  async function calc(input) {
-    const w = await circuit.calculateWitness(input, true);
-    await circuit.checkConstraints(w);
-    return w;
-  }
-
-  async function readOut0(w) {
-    if (typeof circuit.getOutput === "function") {
-      for (const name of ["out", "main.out"]) {
-        try {
-          const v = await circuit.getOutput(w, name);
-          if (Array.isArray(v) && v.length === 1) return BI(v[0]);
-        } catch {}
-      }
-    }
-    throw new Error("Could not read out[0].");
-  }
-
-  function zeros2D(rows, cols) {
-    return Array.from({ length: rows }, () => Array.from({ length: cols }, () => 0n));
-  }
-
-  it("NOP batch (all ops=0) => pubInput0 matches JS transcript; newRoot==oldRoot", async () => {
-    const oldRootF = 123n;
-    const newRootF = 123n;
-
-    const batchId = 7n;
-    const start = 100;
-    const numOps = 3; // <= BATCH_SIZE, but ops are all zeros anyway
-
-    // tx data for StorageHash: BATCH_SIZE*9 bytes, all zeros
-    const txDataFixed = Buffer.alloc(BATCH_SIZE * 9, 0);
-    const storageHash = sha256(txDataFixed);
-
-    const oldRootBytes = fieldToBytes32BE(oldRootF);
-    const newRootBytes = fieldToBytes32BE(newRootF);
-
-    const preimage = Buffer.concat([
-      oldRootBytes,
-      newRootBytes,
-      u64be(batchId),
-      u32be(start),
-      u32be(numOps),
-      storageHash,
-    ]);
-
-    const pubDigest = sha256(preimage);
-    const expected = mask253FromDigestBytes(pubDigest);
-
-    // Build circuit input (all zeros witnesses for NOP)
-    const input = {
-      oldRootF: oldRootF.toString(),
-      newRootF: newRootF.toString(),
-
-      batchId: batchId.toString(),
-      start: BigInt(start).toString(),
-      numOps: BigInt(numOps).toString(),
-
-      ops: Array.from({ length: BATCH_SIZE }, () => 0n),
-      ilos: Array.from({ length: BATCH_SIZE }, () => 0n),
-      ihis: Array.from({ length: BATCH_SIZE }, () => 0n),
-
-      neighbors_lo: zeros2D(BATCH_SIZE, 64),
-      neighbors_hi: zeros2D(BATCH_SIZE, 64),
+      const pubDigest = sha256(preimage);
+      const expected = mask253FromDigestBytes(pubDigest);
+
+      // Build circuit input (all zeros witnesses for NOP)
+      const input = {
+        oldRootF: oldRootF.toString(),
+        newRootF: newRootF.toString(),
+
+        batchId: batchId.toString(),
+        start: BigInt(start).toString(),
+        numOps: BigInt(numOps).toString(),
+
+        ops: Array.from({ length: BATCH_SIZE }, () => 0n),
+        ilos: Array.from({ length: BATCH_SIZE }, () => 0n),
+        ihis: Array.from({ length: BATCH_SIZE }, () => 0n),
+
+        neighbors_lo: zeros2D(BATCH_SIZE, 64),
+        neighbors_hi: zeros2D(BATCH_SIZE, 64),
       
-      oldDeg_lo: Array.from({ length: BATCH_SIZE }, () => 0n),
-      oldDeg_hi: Array.from({ length: BATCH_SIZE }, () => 0n),
+        oldDeg_lo: Array.from({ length: BATCH_SIZE }, () => 0n),
+        oldDeg_hi: Array.from({ length: BATCH_SIZE }, () => 0n),
+
+        siblings_lo: zeros2D(BATCH_SIZE, SMT_LEVELS),
+        siblings_hi: zeros2D(BATCH_SIZE, SMT_LEVELS),
+
+        isOld0_lo: Array.from({ length: BATCH_SIZE }, () => 0n),
+        isOld0_hi: Array.from({ length: BATCH_SIZE }, () => 0n),
 
-      siblings_lo: zeros2D(BATCH_SIZE, SMT_LEVELS),
-      siblings_hi: zeros2D(BATCH_SIZE, SMT_LEVELS),
+        oldKey_lo: Array.from({ length: BATCH_SIZE }, () => 0n),
+        oldKey_hi: Array.from({ length: BATCH_SIZE }, () => 0n),
 
-      isOld0_lo: Array.from({ length: BATCH_SIZE }, () => 0n),
-      isOld0_hi: Array.from({ length: BATCH_SIZE }, () => 0n),
+        oldValue_lo: Array.from({ length: BATCH_SIZE }, () => 0n),
+        oldValue_hi: Array.from({ length: BATCH_SIZE }, () => 0n),
 
-      oldKey_lo: Array.from({ length: BATCH_SIZE }, () => 0n),
-      oldKey_hi: Array.from({ length: BATCH_SIZE }, () => 0n),
+        arrIdx_lo: Array.from({ length: BATCH_SIZE }, () => 0n),
+        arrIdx_hi: Array.from({ length: BATCH_SIZE }, () => 0n),
+      };
 
-      oldValue_lo: Array.from({ length: BATCH_SIZE }, () => 0n),
-      oldValue_hi: Array.from({ length: BATCH_SIZE }, () => 0n),
+      const w = await calc(input);
 
-      arrIdx_lo: Array.from({ length: BATCH_SIZE }, () => 0n),
-      arrIdx_hi: Array.from({ length: BATCH_SIZE }, () => 0n),
-    };
+      if (typeof circuit.assertOut === "function") {
+        await circuit.assertOut(w, { out: [expected] });
+      } else {
+        const out0 = await readOut0(w);
+        expect(out0).to.equal(expected);
+      }
+    });
 
-    const w = await calc(input);
+    // -----------------------
+    // Real batches (witnesses from GraphState + buildBatchWitness)
+    // -----------------------
+    async function expectBatch(built) {
+      const w = await calc(withoutPubInput0(built.input));
+      await circuit.assertOut(w, { out: [built.pubInput0] });
+    }
 
-    if (typeof circuit.assertOut === "function") {
-      await circuit.assertOut(w, { out: [expected] });
-    } else {
-      const out0 = await readOut0(w);
-      expect(out0).to.equal(expected);
+    // distinct edges (1,2), (1,3), (2,3), (1,4), (2,4), (3,4), (1,5), ... (small keys fit any smtLevels)
+    function edges(n) {
+      const out = [];
+      for (let ihi = 2; out.length < n; ihi++) {
+        for (let ilo = 1; ilo < ihi && out.length < n; ilo++) out.push({ ilo, ihi });
+      }
+      return out;
     }
+
+    it("ADD batch with a NOP tail slot => pubInput0 matches transcript", async function () {
+      if (BATCH_SIZE < 2) this.skip();
+      const state = await GraphState.create({ smtLevels: SMT_LEVELS });
+      // chain 1-2, 2-3, ... filling all but the last slot
+      const ops = Array.from({ length: BATCH_SIZE - 1 }, (_, i) => ({ op: 1, ilo: i + 1, ihi: i + 2 }));
+      const built = await buildBatchWitness(state, ops, {
+        batchId: 0n,
+        start: 1,
+        batchSize: BATCH_SIZE,
+        smtLevels: SMT_LEVELS,
+      });
+      expect(built.n).to.equal(BATCH_SIZE - 1);
+      expect(built.input.ops).to.deep.equal([...ops.map(() => 1n), 0n]);
+      await expectBatch(built);
+    });
+
+    it("consecutive full batches with REVOKE chain roots", async () => {
+      const state = await GraphState.create({ smtLevels: SMT_LEVELS });
+      const opts = { batchSize: BATCH_SIZE, smtLevels: SMT_LEVELS };
+
+      // b0 adds BATCH_SIZE edges; b1 alternates revoking one of them and adding a fresh one
+      const all = edges(2 * BATCH_SIZE);
+      const added = all.slice(0, BATCH_SIZE);
+      const fresh = all.slice(BATCH_SIZE);
+      const b1ops = Array.from({ length: BATCH_SIZE }, (_, i) =>
+        i % 2 === 0 ? { op: 2, ...added[i / 2] } : { op: 1, ...fresh[(i - 1) / 2] }
+      );
+
+      const b0 = await buildBatchWitness(state, added.map((e) => ({ op: 1, ...e })), { ...opts, batchId: 0n, start: 1 });
+      const b1 = await buildBatchWitness(state, b1ops, { ...opts, batchId: 1n, start: 1 + BATCH_SIZE });
+
+      expect(b1.oldRoot).to.equal(b0.newRoot);
+      expect(b1.input.ops).to.include(2n);
+      await expectBatch(b0);
+      await expectBatch(b1);
+    });
+
+    it("non-zero op in a tail slot (i >= numOps) should FAIL", async () => {
+      const state = await GraphState.create({ smtLevels: SMT_LEVELS });
+      const built = await buildBatchWitness(state, [{ op: 1, ilo: 1, ihi: 2 }], {
+        batchId: 0n,
+        start: 1,
+        batchSize: BATCH_SIZE,
+        smtLevels: SMT_LEVELS,
+      });
+      const input = withoutPubInput0(built.input);
+      input.numOps = 0n; // claim the real op is tail padding
+
+      let failed = false;
+      try {
+        const w = await circuit.calculateWitness(input, true);
+        await circuit.checkConstraints(w);
+      } catch {
+        failed = true;
+      }
+      expect(failed).to.equal(true, "Expected constraints to fail, but they passed");
+    });
   });
-});
+}
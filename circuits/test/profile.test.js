@@ -0,0 +1,167 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import { execFileSync, spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+
+import { diffReports, formatDiff, formatReport, isSubstitution, profileAtRef, profileFile, templateTree } from "../lib/profile.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, "../..");
+
+// Per Top(n): c[i].s 1 + c[i] 1 (t <== s.b * x) + out 1 + anonymous Sq 1; `y <== t` / `c[i].x <== in[i]` are
+// substituted away by --O1.
+const topCircuit = (n) => `pragma circom 2.1.6;
+template Sq() { signal input a; signal output b; b <== a * a; }
+template Cube() {
+  signal input x;
+  signal output y;
+  component s = Sq();
+  s.a <== x;
+  signal t;
+  t <== s.b * x;
+  y <== t;
+}
+template Top(n) {
+  signal input in[n];
+  signal output out;
+  signal output z;
+  component c[n];
+  var acc = 0;
+  for (var i = 0; i < n; i++) {
+    c[i] = Cube();
+    c[i].x <== in[i];
+    acc += c[i].y;
+  }
+  out <== acc * acc;
+  z <== Sq()(in[0]);
+}
+component main = Top(${n});
+`;
+
+describe("constraint profiler (per component / template, build diff)", function () {
+  this.timeout(600000);
+
+  let work;
+  const reports = {};
+
+  before(function () {
+    try {
+      execFileSync("circom", ["--version"], { stdio: "ignore" });
+    } catch {
+      this.skip();
+    }
+    fs.mkdirSync(path.join(repoRoot, "circuits/build"), { recursive: true });
+    work = fs.mkdtempSync(path.join(repoRoot, "circuits/build/profile-test-"));
+    for (const n of [2, 3]) {
+      const file = path.join(work, `top${n}.circom`);
+      fs.writeFileSync(file, topCircuit(n));
+      reports[n] = profileFile(file, { outDir: path.join(work, `top${n}`) });
+    }
+  });
+
+  after(() => {
+    if (work) fs.rmSync(work, { recursive: true, force: true });
+  });
+
+  it("recognizes the rows --O1 substitutes away", () => {
+    expect(isSubstitution([], [], [3, 4])).to.equal(true); // a === b
+    expect(isSubstitution([], [], [0, 4])).to.equal(true); // a === k
+    expect(isSubstitution([], [], [0, 3, 4])).to.equal(false); // a === b + k
+    expect(isSubstitution([], [], [3, 4, 5])).to.equal(false);
+    expect(isSubstitution([3], [4], [5])).to.equal(false); // a * b === c
+  });
+
+  it("maps component fields to templates from the sources", () => {
+    const { main, templates } = templateTree(path.join(repoRoot, "circuits/main.circom"));
+    expect(main).to.equal("Main");
+    expect(templates.Main).to.include({ pb: "ProcessBatch" });
+    expect(templates.ProcessBatch).to.include({ tr: "BatchTransition", sh: "StorageHash", pi: "PubInputsMasked" });
+    expect(templates.BatchTransition).to.include({ step: "ProcessOp" });
+    expect(templates.ProcessOp).to.include({
+      modLo: "ModifyArray",
+      modHi: "ModifyArray",
+      ncLo: "LeafCommitment",
+      ncHi: "LeafCommitment",
+      smt0: "SMTProcessor",
+      smt1: "SMTProcessor",
+    });
+    expect(templates.LeafCommitment).to.include({ nc: "NeighborCommitment" });
+    expect(templates.StorageHash).to.include({ h: "Sha256" });
+  });
+
+  it("attributes every constraint to its component and template", () => {
+    const r = reports[2];
+    expect(r.nConstraints).to.equal(6);
+    expect(r.build).to.deep.equal({ opt: "O1", nConstraints: 6 });
+    expect(r.unattributed).to.equal(0);
+
+    const byPath = Object.fromEntries(r.components.map((c) => [c.path, [c.template, c.total, c.self]]));
+    expect(byPath).to.deep.equal({
+      main: ["Top", 6, 1],
+      "main.c[0]": ["Cube", 2, 1],
+      "main.c[0].s": ["Sq", 1, 1],
+      "main.c[1]": ["Cube", 2, 1],
+      "main.c[1].s": ["Sq", 1, 1],
+      [r.components.find((c) => c.path.startsWith("main.Sq_")).path]: ["Sq", 1, 1],
+    });
+    expect(r.templates).to.deep.equal([
+      { template: "Top", instances: 1, total: 6, self: 1, perInstance: 6 },
+      { template: "Cube", instances: 2, total: 4, self: 2, perInstance: 2 },
+      { template: "Sq", instances: 3, total: 3, self: 3, perInstance: 1 },
+    ]);
+
+    const text = formatReport(r);
+    expect(text).to.match(/c\[\*\]\s+Cube\s+2\s+4\s+2\s+2\s+66\.7/);
+  });
+
+  it("diffs two builds", () => {
+    const d = diffReports(reports[2], reports[3]);
+    expect(d.total).to.include({ base: 6, head: 8, delta: 2, pct: 33.3 });
+    expect(d.build).to.include({ base: 6, head: 8, delta: 2 });
+    expect(d.templates.map((t) => [t.key, t.delta])).to.deep.equal([["Cube", 2], ["Top", 2], ["Sq", 1]]);
+    expect(d.components.find((c) => c.key === "main.c[2]")).to.include({ base: 0, head: 2, pct: null });
+    expect(formatDiff(d)).to.match(/^total: 6 -> 8 \(\+2, \+33\.3%\)/);
+    expect(diffReports(reports[2], reports[2]).templates).to.deep.equal([]);
+  });
+
+  it("CLI fails --max-increase when the count grows past the limit", () => {
+    const base = path.join(work, "top2.json");
+    fs.writeFileSync(base, JSON.stringify(reports[2]));
+    const args = ["circuits/scripts/profile.mjs", path.join(work, "top3.circom"), "--out", path.join(work, "cli"), "--base", base];
+    const run = (limit) => spawnSync(process.execPath, [...args, "--max-increase", limit], { cwd: repoRoot, encoding: "utf8" });
+
+    const bad = run("10");
+    expect(bad.status, bad.stderr).to.equal(1);
+    expect(bad.stdout).to.include("constraint count grew 33.3% (limit 10%)");
+    expect(run("50").status).to.equal(0);
+  });
+
+  it("CLI diffs against another circuit with --base-circuit", () => {
+    const args = ["circuits/scripts/profile.mjs", path.join(work, "top3.circom"), "--out", path.join(work, "cli-circuit")];
+    const run = (...extra) => spawnSync(process.execPath, [...args, ...extra], { cwd: repoRoot, encoding: "utf8" });
+
+    const r = run("--base-circuit", path.join(work, "top2.circom"));
+    expect(r.status, r.stderr).to.equal(0);
+    expect(r.stdout).to.include(`--- vs ${path.join(work, "top2.circom")} ---`);
+    expect(r.stdout).to.include(formatDiff(diffReports(reports[2], reports[3])));
+    expect(fs.existsSync(path.join(work, "cli-circuit/base/top2.r1cs"))).to.equal(true);
+
+    const both = run("--base-circuit", path.join(work, "top2.circom"), "--base-ref", "HEAD");
+    expect(both.status).to.equal(1);
+    expect(both.stderr).to.include("exclusive");
+  });
+
+  it("profiles a real wrapper exactly and against a git ref", () => {
+    const circuit = path.join(repoRoot, "circuits/test_circuits/modify_array_test.circom");
+    const head = profileFile(circuit, { outDir: path.join(work, "modify_array") });
+    expect(head.unattributed).to.equal(0);
+    expect(head.templates.find((t) => t.template === "ModifyArray")).to.include({ instances: 1, total: head.build.nConstraints });
+
+    const base = profileAtRef("HEAD", circuit, { outDir: path.join(work, "ref") });
+    expect(base).to.include({ ref: "HEAD", circuit: "circuits/test_circuits/modify_array_test.circom" });
+    const d = diffReports(base, head);
+    expect(d.total.delta).to.equal(0);
+    expect(d.components).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,253 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+import { fileURLToPath } from "url";
+import * as snarkjs from "snarkjs";
+
+import { solidityArgsToProof } from "../lib/calldata.mjs";
+import { fieldToBytes32BE } from "../lib/encoding.mjs";
+import { runSetup } from "../lib/setup.mjs";
+import { ProofService, createProverServer, httpProver, inputHash } from "../lib/prover.mjs";
+import { toCircuitJSON } from "../lib/witness.mjs";
+import { WitnessEngine } from "../lib/witness_engine.mjs";
+import { makePtau } from "./helpers/ptau.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, "../..");
+
+// Same public surface as Main: one public input, plus the newRootF / numOps the result echoes back
+const MINI = `pragma circom 2.1.6;
+template Mini() {
+  signal input pubInput0;
+  signal input x;
+  signal input newRootF;
+  signal input numOps;
+  signal sq <== x * x;
+  pubInput0 === sq + newRootF + numOps;
+}
+component main { public [pubInput0] } = Mini();
+`;
+
+const input = (x, newRootF = 7n, numOps = 2n) => ({ pubInput0: x * x + newRootF + numOps, x, newRootF, numOps });
+
+async function listen(server) {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+async function req(url, method = "GET", body) {
+  const r = await fetch(url, {
+    method,
+    headers: body === undefined ? undefined : { "content-type": "application/json" },
+    body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(toCircuitJSON(body)),
+  });
+  return { status: r.status, body: await r.json() };
+}
+
+describe("proof service (queue, cache, HTTP API)", function () {
+  this.timeout(300000);
+
+  let dir;
+  let paths;
+  let vkey;
+  const open = [];
+
+  before(async function () {
+    try {
+      execFileSync("circom", ["--version"], { stdio: "ignore" });
+    } catch {
+      this.skip();
+    }
+    fs.mkdirSync(path.join(repoRoot, "circuits/build"), { recursive: true });
+    dir = fs.mkdtempSync(path.join(repoRoot, "circuits/build/prover-test-"));
+    fs.mkdirSync(path.join(dir, "ptau"));
+    await makePtau(path.join(dir, "ptau/small.ptau"), 3);
+    fs.writeFileSync(path.join(dir, "mini.circom"), MINI);
+    ({ paths } = await runSetup({
+      circuit: path.join(dir, "mini.circom"),
+      outDir: path.join(dir, "build"),
+      ptauDir: path.join(dir, "ptau"),
+      verifier: path.join(dir, "build/MiniVerifier.sol"),
+    }));
+    vkey = await snarkjs.zKey.exportVerificationKey(paths.zkey);
+  });
+
+  afterEach(async () => {
+    for (const { server, service } of open.splice(0)) {
+      server?.close();
+      await service.close();
+    }
+  });
+
+  after(async () => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    await globalThis.curve_bn128?.terminate();
+  });
+
+  async function start(opts = {}) {
+    const service = await new ProofService({ wasm: paths.wasm, zkey: paths.zkey, ...opts }).init();
+    const server = createProverServer(service);
+    open.push({ server, service });
+    return { service, url: await listen(server) };
+  }
+
+  it("hashes inputs canonically and per artifact set", () => {
+    const a = inputHash({ x: 3n, numOps: 2 }, "z1");
+    expect(inputHash({ numOps: "2", x: "3" }, "z1")).to.equal(a);
+    expect(inputHash({ x: 3n, numOps: 2 }, "z2")).to.not.equal(a);
+    expect(inputHash({ x: 4n, numOps: 2 }, "z1")).to.not.equal(a);
+  });
+
+  it("proves over HTTP and returns verifying submitBatch arguments", async () => {
+    const { url } = await start();
+    const { status, body } = await req(`${url}/jobs`, "POST", { input: input(3n) });
+    expect(status).to.equal(202);
+    expect(["queued", "running"]).to.include(body.job.status);
+
+    const done = await req(`${url}/jobs/${body.job.id}?wait=60000`);
+    expect(done.body.job.status).to.equal("done");
+    const r = done.body.job.result;
+    expect(done.body.job.witnessMs).to.be.a("number");
+    expect(r.pubInput0).to.equal("18");
+    expect(r.n).to.equal(2);
+    expect(r.newGraphRoot).to.equal("0x" + fieldToBytes32BE(7n).toString("hex"));
+    expect(await snarkjs.groth16.verify(vkey, [r.pubInput0], solidityArgsToProof(r))).to.equal(true);
+
+    const st = await req(`${url}/status`);
+    expect(st.body).to.include({ running: 0, queued: 0, proved: 1, concurrency: 1 });
+    expect(st.body.witness).to.include({ threads: 1, busy: 0, queued: 0 });
+    expect(st.body.witness.circuits[0]).to.include({ wasm: paths.wasm, loads: 1, calls: 1, failed: 0 });
+    expect((await req(`${url}/jobs`)).body.jobs.map((j) => j.id)).to.deep.equal([body.job.id]);
+  });
+
+  it("answers a repeated input from cache, also after a restart with --cache-dir", async () => {
+    const cacheDir = path.join(dir, "cache");
+    const first = await start({ cacheDir });
+    const { body } = await req(`${first.url}/jobs`, "POST", { input: input(5n) });
+    const done = await first.service.wait(body.job.id, 60000);
+    expect(done.status).to.equal("done");
+
+    const again = await req(`${first.url}/jobs`, "POST", { input: input(5n) });
+    expect(again.status).to.equal(200);
+    expect(again.body.job).to.include({ id: body.job.id, status: "done" });
+    expect(fs.readdirSync(cacheDir)).to.deep.equal([`${body.job.id}.json`]);
+
+    const second = await start({ cacheDir });
+    const cached = await req(`${second.url}/jobs`, "POST", { input: toCircuitJSON(input(5n)) });
+    expect(cached.status).to.equal(200);
+    expect(cached.body.job).to.include({ id: body.job.id, status: "done", cached: true });
+    expect(cached.body.job.result).to.deep.equal(done.result);
+    expect(second.service.status().proved).to.equal(0);
+  });
+
+  it("runs at most `concurrency` jobs and reports queue positions", async () => {
+    const { service, url } = await start({ concurrency: 1 });
+    const ids = [];
+    for (const x of [11n, 12n, 13n]) ids.push((await req(`${url}/jobs`, "POST", { input: input(x) })).body.job.id);
+
+    const views = ids.map((id) => service.get(id));
+    expect(views.map((j) => j.status)).to.deep.equal(["running", "queued", "queued"]);
+    expect(views.slice(1).map((j) => j.position)).to.deep.equal([0, 1]);
+
+    const same = await req(`${url}/jobs`, "POST", { input: input(12n) });
+    expect(same.status).to.equal(200);
+    expect(same.body.job.id).to.equal(ids[1]);
+
+    const last = await service.wait(ids[2], 120000);
+    expect(last.status).to.equal("done");
+    expect(ids.map((id) => service.get(id).status)).to.deep.equal(["done", "done", "done"]);
+    // one wasm load for the three witnesses
+    expect(service.status().witness.circuits[0]).to.include({ loads: 1, calls: 3 });
+  });
+
+  it("cancels queued and running jobs; a cancelled input can be resubmitted", async () => {
+    const { service, url } = await start({ concurrency: 1 });
+    const a = (await req(`${url}/jobs`, "POST", { input: input(21n) })).body.job;
+    const b = (await req(`${url}/jobs`, "POST", { input: input(22n) })).body.job;
+    expect(service.get(a.id).status).to.equal("running");
+
+    const cb = await req(`${url}/jobs/${b.id}`, "DELETE");
+    expect(cb.body.job.status).to.equal("cancelled");
+    const ca = await req(`${url}/jobs/${a.id}`, "DELETE");
+    expect(ca.body.job.status).to.equal("cancelled");
+    expect(service.status()).to.include({ running: 0, queued: 0 });
+
+    const again = await req(`${url}/jobs`, "POST", { input: input(21n) });
+    expect(again.status).to.equal(202);
+    expect(again.body.job.id).to.equal(a.id);
+    expect((await service.wait(a.id, 60000)).status).to.equal("done");
+
+    const finished = await req(`${url}/jobs/${a.id}`, "DELETE");
+    expect(finished.status).to.equal(409);
+    expect(finished.body.error).to.equal("JOB_FINISHED");
+  });
+
+  it("keeps a job's slot while the witness it was cancelled in is still being computed", async () => {
+    let open;
+    const gate = new Promise((resolve) => (open = resolve));
+    const engine = new WitnessEngine({ threads: 1 });
+    const calculate = engine.calculate.bind(engine);
+    let calls = 0;
+    engine.calculate = async (...args) => {
+      if (++calls === 1) await gate;
+      return calculate(...args);
+    };
+
+    try {
+      const { service } = await start({ concurrency: 1, witnessEngine: engine });
+      const a = (await service.submit(input(41n))).job;
+      const b = (await service.submit(input(42n))).job;
+      expect(service.get(a.id).status).to.equal("running");
+
+      expect((await service.cancel(a.id)).status).to.equal("cancelled");
+      // a's witness is still running on the engine: b must wait for it
+      expect(service.get(b.id).status).to.equal("queued");
+      expect(calls).to.equal(1);
+
+      open();
+      expect((await service.wait(b.id, 60000)).status).to.equal("done");
+      expect(calls).to.equal(2);
+    } finally {
+      await engine.close();
+    }
+  });
+
+  it("marks unsatisfiable inputs failed and maps request errors to status codes", async () => {
+    const { url } = await start({ maxQueue: 1, concurrency: 1 });
+    const bad = await req(`${url}/jobs`, "POST", { input: { ...input(2n), pubInput0: "1" } });
+    const failed = await req(`${url}/jobs/${bad.body.job.id}?wait=60000`);
+    expect(failed.body.job.status).to.equal("failed");
+    expect(failed.body.job.error).to.be.a("string").and.not.equal("");
+    expect(failed.body.job.witnessMs).to.equal(null);
+
+    expect((await req(`${url}/jobs`, "POST", "{nope")).body.error).to.equal("BAD_JSON");
+    const noInput = await req(`${url}/jobs`, "POST", { input: [1] });
+    expect([noInput.status, noInput.body.error]).to.deep.equal([400, "BAD_INPUT"]);
+    expect((await req(`${url}/jobs/abc`)).status).to.equal(404);
+    expect((await req(`${url}/nope`)).status).to.equal(404);
+
+    // one running + one queued fills a queue of 1
+    await req(`${url}/jobs`, "POST", { input: input(31n) });
+    await req(`${url}/jobs`, "POST", { input: input(32n) });
+    const full = await req(`${url}/jobs`, "POST", { input: input(33n) });
+    expect([full.status, full.body.error]).to.deep.equal([503, "QUEUE_FULL"]);
+  });
+
+  it("httpProver is a drop-in for groth16Prover", async () => {
+    const { url } = await start();
+    const prove = httpProver({ url, waitMs: 1000 });
+    const r = await prove(input(4n));
+    expect(r.a.every((v) => typeof v === "bigint")).to.equal(true);
+    expect(r.publicSignals).to.deep.equal(["25"]);
+    expect(await snarkjs.groth16.verify(vkey, r.publicSignals, solidityArgsToProof(r))).to.equal(true);
+
+    let err = null;
+    try {
+      await prove({ ...input(4n), pubInput0: 1n });
+    } catch (e) {
+      err = e;
+    }
+    expect(err?.code).to.equal("PROOF_FAILED");
+  });
+});
@@ -4,52 +4,10 @@ import { wasm as wasm_tester } from "circom_tester";
 import { fileURLToPath } from "url";
 import crypto from "crypto";
 
+import { BI, sha256, u32be, u64be, digestBytesToBitsMSB, mask253FromDigestBytes } from "../lib/encoding.mjs";
+import { withEngine } from "../lib/witness_engine.mjs";
+
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const BI = (x) => (typeof x === "bigint" ? x : BigInt(x));
-
-function u32be(n) {
-  const b = Buffer.alloc(4);
-  b.writeUInt32BE(Number(n >>> 0), 0);
-  return b;
-}
-
-function u64be(nBig) {
-  // nBig should fit in uint64 for this test
-  let x = BigInt(nBig);
-  const b = Buffer.alloc(8);
-  for (let i = 7; i >= 0; i--) {
-    b[i] = Number(x & 0xffn);
-    x >>= 8n;
-  }
-  return b;
-}
-
-function sha256(buf) {
-  return crypto.createHash("sha256").update(buf).digest();
-}
-
-// Convert a 32-byte digest to 256 bits in the exact convention your circom expects:
-// digest[0] = MSB of byte0, digest[7]=LSB of byte0, digest[8]=MSB of byte1, ...
-function digestBytesToBitsMSB(bytes32) {
-  const bits = new Array(256);
-  for (let i = 0; i < 32; i++) {
-    const v = bytes32[i];
-    for (let k = 0; k < 8; k++) {
-      bits[i * 8 + k] = BigInt((v >> (7 - k)) & 1);
-    }
-  }
-  return bits;
-}
-
-// Mask to 253 bits the same way the circuit does:
-// circuit takes digest[] bits (MSB-first), then lsb253[i] = digest[255 - i],
-// then Bits2Num(253) with LSB-first => integer formed by digest's 253 LSBs.
-function mask253FromDigestBytes(digest32) {
-  // interpret digest as big-endian integer, then take low 253 bits
-  const x = BigInt("0x" + digest32.toString("hex"));
-  const mask = (1n << 253n) - 1n;
-  return x & mask;
-}
 
 describe("PubInputsMaskedTest out[1]=mask253(sha256(packed))", function () {
   this.timeout(240000);
@@ -59,9 +17,11 @@ describe("PubInputsMaskedTest out[1]=mask253(sha256(packed))", function () {
 
   before(async () => {
     const repoRoot = path.join(__dirname, "../..");
-    circuit = await wasm_tester(circuitPath, {
-      include: [path.join(repoRoot, "node_modules"), path.join(repoRoot, "circuits")],
-    });
+    circuit = withEngine(
+      await wasm_tester(circuitPath, {
+        include: [path.join(repoRoot, "node_modules"), path.join(repoRoot, "circuits")],
+      })
+    );
   });
 
   async function calc(input) {
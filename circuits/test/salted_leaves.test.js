@@ -0,0 +1,252 @@
+import { expect } from "chai";
+import path from "path";
+import { wasm as wasm_tester } from "circom_tester";
+import { fileURLToPath } from "url";
+import { buildPoseidon } from "circomlibjs";
+
+import { OP_ADD, OP_REVOKE, decodeTxDataFixed } from "../lib/encoding.mjs";
+import { GraphState, deriveSalt, emptyNeighbors } from "../lib/graph_state.mjs";
+import { buildBatchWitness } from "../lib/witness.mjs";
+import { proveAccount, proveLink, buildMembershipVerifier } from "../lib/membership.mjs";
+import { buildAccountCommitment, buildEdgeMembershipInput } from "../lib/edge_membership.mjs";
+import { withEngine } from "../lib/witness_engine.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, "../..");
+const include = [path.join(repoRoot, "node_modules"), path.join(repoRoot, "circuits")];
+
+// circuits/test_circuits/process_batch_salted_test.circom
+const BATCH_SIZE = 3;
+const SMT_LEVELS = 16;
+const SECRET = "forger leaf-salt secret";
+
+const add = (ilo, ihi) => ({ op: OP_ADD, ilo, ihi });
+const revoke = (ilo, ihi) => ({ op: OP_REVOKE, ilo, ihi });
+const OPS = [add(1, 2), add(2, 3), add(1, 9), revoke(2, 3), add(3, 9)];
+
+async function graph(ops, opts = {}) {
+  const s = await GraphState.create({ smtLevels: SMT_LEVELS, ...opts });
+  for (const op of ops) await s.apply(op);
+  return s;
+}
+
+async function expectFail(fn, message) {
+  let err = null;
+  try {
+    await fn();
+  } catch (e) {
+    err = e;
+  }
+  expect(err, "expected a failure").to.not.equal(null);
+  if (message) expect(err.message).to.match(message);
+}
+
+// What the salts buy and what they do not: leaves and roots become unopenable without the salt, but the
+// ops themselves stay public in BatchSubmitted.txData (and TxQueued), so the graph does not.
+describe("salted leaves: what an observer without the salts can still see", function () {
+  this.timeout(120000);
+
+  let H;
+  before(async () => {
+    const poseidon = await buildPoseidon();
+    H = (xs) => poseidon.F.toObject(poseidon(xs));
+  });
+
+  it("leaves no longer match an unsalted recomputation, and the same graph has another root", async () => {
+    const salted = await graph(OPS, { saltSecret: SECRET });
+    const plain = await graph(OPS);
+
+    for (const idx of [1, 2, 3, 9]) {
+      expect(salted.neighbors(idx)).to.deep.equal(plain.neighbors(idx));
+      const unsalted = plain.commit(salted.neighbors(idx), salted.degree(idx));
+      expect(unsalted).to.equal(plain.leafValue(idx));
+      expect(salted.leafValue(idx)).to.not.equal(unsalted);
+      expect(salted.leafValue(idx)).to.equal(H([unsalted, salted.salt(idx)]));
+      expect(salted.salt(idx)).to.equal(deriveSalt(SECRET, idx));
+    }
+    expect(new Set([1, 2, 3, 9].map((i) => salted.salt(i))).size).to.equal(4);
+    expect(salted.root).to.not.equal(plain.root);
+    expect((await graph(OPS, { saltSecret: "another secret" })).root).to.not.equal(salted.root);
+  });
+
+  it("trade-off: replaying the public txData rebuilds every edge, but not the salted root", async () => {
+    const salted = await GraphState.create({ smtLevels: SMT_LEVELS, saltSecret: SECRET });
+    const replay = await GraphState.create({ smtLevels: SMT_LEVELS });
+    const opts = { batchSize: BATCH_SIZE, smtLevels: SMT_LEVELS };
+
+    for (const [batchId, ops] of [[0n, OPS.slice(0, 3)], [1n, OPS.slice(3)]]) {
+      const built = await buildBatchWitness(salted, ops, { ...opts, batchId, start: 1 + 3 * Number(batchId) });
+      // what an indexer reads from BatchSubmitted: the same bytes an unsalted forger would publish
+      const records = decodeTxDataFixed(built.txData).slice(0, built.n);
+      const mirror = await buildBatchWitness(replay, records, { ...opts, batchId, start: 1 + 3 * Number(batchId) });
+      expect(mirror.txData.equals(built.txData)).to.equal(true);
+      expect(mirror.newRoot).to.not.equal(built.newRoot);
+    }
+
+    for (const idx of [1, 2, 3, 9]) expect(replay.neighbors(idx)).to.deep.equal(salted.neighbors(idx));
+    expect(replay.root).to.not.equal(salted.root);
+  });
+
+  it("an exclusion proof's neighbor leaf opens by guessing when unsalted, not when salted", async () => {
+    // 1 and 2 differ in bit 0, so 5's path ends at account 1's leaf (degree 1, neighbors [2])
+    const guess = (leaf, commit, salt) => {
+      for (let c = 1n; c <= 64n; c++) {
+        const ns = emptyNeighbors();
+        ns[0] = c;
+        if (commit(ns, 1n, salt) === leaf) return c;
+      }
+      return null;
+    };
+
+    const verifier = await buildMembershipVerifier();
+    for (const [opts, opened] of [[{}, 2n], [{ saltSecret: SECRET }, null]]) {
+      const s = await graph([add(1, 2)], opts);
+      const p = await proveAccount(s, 5);
+      expect(p).to.include({ type: "exclusion", isOld0: 0, oldKey: "1" });
+      expect(p).to.not.have.property("salt");
+      expect(verifier.verify(p, s.root)).to.include({ ok: true });
+      expect(guess(BigInt(p.oldValue), s.commit)).to.equal(opened);
+    }
+
+    // the holder of account 1's salt can open it
+    const s = await graph([add(1, 2)], { saltSecret: SECRET });
+    const p = await proveAccount(s, 5);
+    expect(guess(BigInt(p.oldValue), s.commit, s.salt(1))).to.equal(2n);
+  });
+});
+
+describe("salted leaves: GraphState, witness and membership proofs", function () {
+  this.timeout(120000);
+
+  it("inclusion and link proofs carry the salt and verify; without it they do not", async () => {
+    const s = await graph(OPS, { saltSecret: SECRET });
+    const { verify } = await buildMembershipVerifier();
+
+    const p = await proveAccount(s, 9);
+    expect(p).to.include({ type: "inclusion", salt: s.salt(9).toString() });
+    expect(verify(p, s.root)).to.deep.include({ ok: true, idx: 9, degree: 2n });
+
+    const { salt: _s, ...unsalted } = p;
+    expect(verify(unsalted, s.root)).to.deep.equal({ ok: false, reason: "root mismatch" });
+    expect(verify({ ...p, salt: s.salt(1).toString() }, s.root)).to.deep.equal({ ok: false, reason: "root mismatch" });
+
+    const link = await proveLink(s, 1, 9);
+    expect(link.a.salt).to.equal(s.salt(1).toString());
+    expect(verify(link, s.root)).to.deep.equal({ ok: true, type: "link", a: 1, b: 9 });
+
+    // unsalted proofs are unchanged: no salt field
+    expect(await proveAccount(await graph(OPS), 9)).to.not.have.property("salt");
+  });
+
+  it("toJSON keeps the salts but not the secret; a restore without it cannot insert", async () => {
+    const s = await graph(OPS, { saltSecret: SECRET });
+    const json = s.toJSON();
+    expect(json.salted).to.equal(true);
+    expect(json.accounts.find((a) => a.idx === 9).salt).to.equal(s.salt(9).toString());
+    expect(JSON.stringify(json)).to.not.include(SECRET);
+
+    const restored = await GraphState.fromJSON(json);
+    expect(restored.root).to.equal(s.root);
+    await restored.apply(revoke(1, 9)); // existing accounts: stored salts
+
+    const root = restored.root;
+    await expectFail(() => restored.apply(add(1, 4)), /SALT_SECRET_REQUIRED/);
+    expect(restored.root).to.equal(root);
+    expect(restored.has(4)).to.equal(false);
+
+    const keyed = await GraphState.fromJSON(json, { saltSecret: SECRET });
+    await keyed.apply(add(1, 4));
+    expect(keyed.salt(4)).to.equal(deriveSalt(SECRET, 4));
+    const cloned = await keyed.clone();
+    expect(cloned.root).to.equal(keyed.root);
+    await cloned.apply(add(4, 5)); // the clone keeps the secret
+
+    const plain = (await graph(OPS)).toJSON();
+    await expectFail(() => GraphState.fromJSON(plain, { saltSecret: SECRET }), /unsalted state/);
+    await expectFail(() => GraphState.fromJSON({ ...json, accounts: [{ ...json.accounts[0], salt: undefined }] }), /has no salt/);
+  });
+
+  it("buildBatchWitness adds salt_lo / salt_hi (0 in NOP slots) for a salted state only", async () => {
+    const opts = { batchId: 0n, start: 1, batchSize: BATCH_SIZE, smtLevels: SMT_LEVELS };
+    const s = await GraphState.create({ smtLevels: SMT_LEVELS, saltSecret: SECRET });
+    const built = await buildBatchWitness(s, [add(1, 2), add(2, 3)], opts);
+    expect(built.input.salt_lo).to.deep.equal([s.salt(1), s.salt(2), 0n]);
+    expect(built.input.salt_hi).to.deep.equal([s.salt(2), s.salt(3), 0n]);
+
+    const plain = await buildBatchWitness(await GraphState.create({ smtLevels: SMT_LEVELS }), [add(1, 2), add(2, 3)], opts);
+    expect(plain.input).to.not.have.property("salt_lo");
+    const { salt_lo: _l, salt_hi: _h, ...rest } = built.input;
+    expect(Object.keys(rest)).to.deep.equal(Object.keys(plain.input));
+  });
+});
+
+describe(`ProcessBatch(${BATCH_SIZE}, ${SMT_LEVELS}, 1) on salted batches`, function () {
+  this.timeout(600000);
+
+  let circuit;
+  before(async () => {
+    circuit = withEngine(await wasm_tester(path.join(__dirname, "../test_circuits/process_batch_salted_test.circom"), { include }));
+  });
+
+  async function calc(input) {
+    const { pubInput0: _p, ...rest } = input;
+    const w = await circuit.calculateWitness(rest, true);
+    await circuit.checkConstraints(w);
+    return w;
+  }
+
+  const opts = { batchSize: BATCH_SIZE, smtLevels: SMT_LEVELS };
+
+  it("chains two batches (INSERT, UPDATE, REVOKE, NOP tail); pubInput0 is the JS transcript's", async () => {
+    const s = await GraphState.create({ smtLevels: SMT_LEVELS, saltSecret: SECRET });
+    const b0 = await buildBatchWitness(s, OPS.slice(0, 3), { ...opts, batchId: 0n, start: 1 });
+    const b1 = await buildBatchWitness(s, OPS.slice(3), { ...opts, batchId: 1n, start: 4 });
+    expect(b1.input.ops).to.deep.equal([2n, 1n, 0n]);
+    for (const b of [b0, b1]) expect((await calc(b.input))[1]).to.equal(b.pubInput0);
+  });
+
+  it("rejects a wrong salt on an update or an insert, and an unsalted witness", async () => {
+    const s = await graph(OPS.slice(0, 3), { saltSecret: SECRET });
+    // slot 0 updates 2 and inserts 4; slot 1 updates 1 and 3
+    const built = await buildBatchWitness(s, [add(2, 4), add(1, 3)], { ...opts, batchId: 1n, start: 4 });
+    await calc(built.input);
+
+    const bump = (col, i) => {
+      const c = [...built.input[col]];
+      c[i] += 1n;
+      return { ...built.input, [col]: c };
+    };
+    await expectFail(() => calc(bump("salt_lo", 0)), /Assert Failed/); // old leaf of 2 no longer opens
+    await expectFail(() => calc(bump("salt_hi", 0)), /Assert Failed/); // 4's new leaf moves the root
+    await expectFail(() => calc(bump("salt_hi", 1)), /Assert Failed/);
+
+    const plain = await buildBatchWitness(await GraphState.create({ smtLevels: SMT_LEVELS }), [add(1, 2)], { ...opts, batchId: 0n, start: 1 });
+    await expectFail(() => calc({ ...plain.input, salt_lo: [0n, 0n, 0n], salt_hi: [0n, 0n, 0n] }), /Assert Failed/);
+  });
+});
+
+describe("EdgeMembership(32, 16, 1) for the holder of a leaf salt", function () {
+  this.timeout(600000);
+
+  let circuit;
+  let state;
+  before(async () => {
+    circuit = withEngine(await wasm_tester(path.join(__dirname, "../edge_membership_salted.circom"), { include }));
+    state = await GraphState.create({ smtLevels: 32, saltSecret: SECRET });
+    for (const op of OPS) await state.apply(op);
+  });
+
+  it("proves account 9 is linked to a member of {3}; a wrong or missing leaf salt fails", async () => {
+    const commitment = await buildAccountCommitment();
+    const input = await buildEdgeMembershipInput(state, { account: 9, allowSet: [3], salt: 5n });
+    expect(input.leafSalt).to.equal(state.salt(9));
+
+    const w = await circuit.calculateWitness(input, true);
+    await circuit.checkConstraints(w);
+    await circuit.assertOut(w, { accountCommitment: commitment(9, 5n) });
+
+    await expectFail(() => circuit.calculateWitness({ ...input, leafSalt: state.salt(3) }, true), /Assert Failed/);
+    const { leafSalt: _l, ...missing } = input;
+    await expectFail(() => circuit.calculateWitness(missing, true));
+  });
+});
@@ -0,0 +1,181 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+
+import { OP_ADD, fieldToBytes32BE } from "../lib/encoding.mjs";
+import { GraphState } from "../lib/graph_state.mjs";
+import { Forger } from "../lib/forger.mjs";
+import {
+  batchProfit,
+  compare,
+  createPolicy,
+  eagerPolicy,
+  fullBatchPolicy,
+  maxLatencyPolicy,
+  profitPolicy,
+  simulate,
+} from "../lib/schedule.mjs";
+import { FakeRollup, TX_FEE_WEI, fakeProver } from "./helpers/fake_rollup.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, "../..");
+const CLI = path.join(repoRoot, "circuits/scripts/schedule.mjs");
+
+const GWEI = 1_000_000_000n;
+const CHEAP = GWEI / 5n; // 0.2 gwei: one op does not pay for a batch, two do
+
+// indexer store records (normalizeEvent) for a queue that fills at these timestamps
+const TS = [1000, 1010, 1020, 2000, 5000, 5030, 9000];
+const stream = (ts = TS) =>
+  ts.map((t, i) => ({ type: "event", contract: "rollup", event: "TxQueued", blockNumber: i + 1, logIndex: 0, args: { txId: String(i + 1), ts: String(t) } }));
+
+const ctx = (over) => ({ now: 1000, lag: 1, maxBatch: 3, oldestTs: 1000, gasPriceWei: CHEAP, txFeeWei: TX_FEE_WEI, ...over });
+
+describe("forging schedule (policies + simulator)", function () {
+  this.timeout(120000);
+
+  it("prices a batch as n * fee - gas - proving", () => {
+    expect(batchProfit({ n: 2, txFeeWei: TX_FEE_WEI, gasPriceWei: CHEAP, proveCostWei: 10n })).to.deep.equal({
+      revenueWei: 2n * TX_FEE_WEI,
+      gasWei: 304000n * CHEAP,
+      proveWei: 10n,
+      profitWei: 2n * TX_FEE_WEI - 304000n * CHEAP - 10n,
+    });
+  });
+
+  it("each policy forges, defers or reports when it will look again", () => {
+    expect(eagerPolicy().decide(ctx({ lag: 0 })).forge).to.equal(false);
+    expect(eagerPolicy().decide(ctx({ lag: 5 }))).to.include({ forge: true, n: 3 });
+
+    expect(fullBatchPolicy().decide(ctx({ lag: 2 }))).to.include({ forge: false, wakeAt: Infinity });
+    expect(fullBatchPolicy().decide(ctx({ lag: 3 }))).to.include({ forge: true, n: 3 });
+    expect(fullBatchPolicy({ maxWait: 60 }).decide(ctx({ lag: 2, now: 1060 }))).to.include({ forge: true, n: 2 });
+
+    const latency = maxLatencyPolicy({ targetLatency: 300, proveSeconds: 60 });
+    expect(latency.decide(ctx({ now: 1100 }))).to.include({ forge: false, wakeAt: 1240 });
+    expect(latency.decide(ctx({ now: 1240 }))).to.include({ forge: true, n: 1 });
+
+    const profit = profitPolicy({ targetLatency: 600 });
+    expect(profit.decide(ctx({ lag: 1 }))).to.include({ forge: false, wakeAt: 1600 });
+    expect(profit.decide(ctx({ lag: 3 }))).to.include({ forge: true, n: 3 });
+    expect(profit.decide(ctx({ lag: 3, gasPriceWei: GWEI })).reason).to.match(/waiting for cheaper gas$/);
+    expect(profit.decide(ctx({ lag: 1, now: 1600 }))).to.include({ forge: true, n: 1 });
+    expect(profitPolicy({ minProfitWei: TX_FEE_WEI }).decide(ctx({ lag: 2 })).forge).to.equal(false);
+  });
+
+  it("profit policy weighs a partial batch against the full batch it could become", () => {
+    const full = batchProfit({ n: 3, txFeeWei: TX_FEE_WEI, gasPriceWei: CHEAP }).profitWei;
+    const two = batchProfit({ n: 2, txFeeWei: TX_FEE_WEI, gasPriceWei: CHEAP }).profitWei;
+    expect(two > 0n && full > two).to.equal(true);
+
+    // two ops already pay, but a third one would pay more: hold until the latency target
+    const profit = profitPolicy({ targetLatency: 600 });
+    const held = profit.decide(ctx({ lag: 2 }));
+    expect(held).to.include({ forge: false, wakeAt: 1600, profitWei: two, fullProfitWei: full });
+    expect(held.reason).to.equal(`2/3 queued: profit ${two} wei now, ${full} as a full batch`);
+    expect(profit.decide(ctx({ lag: 2, now: 1600 }))).to.include({ forge: true, n: 2, reason: `profit ${two} wei` });
+
+    // without a latency target nothing bounds the wait: take the current profit
+    expect(profitPolicy().decide(ctx({ lag: 2 }))).to.include({ forge: true, n: 2 });
+
+    // when an op costs as much gas as it pays, more ops do not help, so there is nothing to wait for
+    const flat = profitPolicy({ targetLatency: 600, gas: { base: 0n, perOp: TX_FEE_WEI / GWEI } });
+    expect(flat.decide(ctx({ lag: 1, gasPriceWei: GWEI }))).to.include({ forge: true, n: 1, profitWei: 0n, fullProfitWei: 0n });
+
+    expect(() => createPolicy("max-latency")).to.throw(/targetLatency/);
+    expect(() => createPolicy("cheapest")).to.throw(/unknown policy cheapest/);
+  });
+
+  it("replays a TxQueued stream: latency vs fill per policy", () => {
+    const opts = { maxBatch: 3, gasPrice: CHEAP, intervalSec: 5, horizon: 3600 };
+    const [eager, full, latency, profit] = compare(
+      stream(),
+      [eagerPolicy(), fullBatchPolicy(), maxLatencyPolicy({ targetLatency: 300 }), profitPolicy()],
+      opts
+    );
+
+    expect(eager).to.include({ batches: 7, ops: 7, unforged: 0, avgFill: 1 });
+    expect(eager.latency).to.deep.equal({ mean: 0, p50: 0, p95: 0, max: 0 });
+    expect(eager.profitWei < 0n).to.equal(true);
+
+    // 1000..1020 fill a batch; 2000 waits for 5000 and 5030; 9000 never gets company
+    expect(full).to.include({ batches: 2, ops: 6, unforged: 1, avgFill: 3 });
+    expect(full.latency.max).to.equal(3030);
+
+    expect(latency).to.include({ batches: 4, ops: 7, unforged: 0 });
+    expect(latency.latency.max).to.equal(300);
+
+    expect(profit).to.include({ batches: 3, ops: 6, unforged: 1, avgFill: 2 });
+    expect(profit.profitWei).to.equal(3n * (2n * TX_FEE_WEI - 304000n * CHEAP));
+    expect(profit.revenueWei - profit.gasWei - profit.proveWei).to.equal(profit.profitWei);
+  });
+
+  it("follows a gas price schedule", () => {
+    // nothing pays at 1 gwei; at 3000 the price drops and the backlog goes out
+    const r = simulate(stream(), profitPolicy(), { gasPrice: [[0, GWEI], [3000, CHEAP]], intervalSec: 5, horizon: 3600 });
+    expect(r).to.include({ batches: 3, ops: 7, unforged: 0 });
+    expect(r.latency.max).to.equal(3970);
+    expect(r.latency.p50).to.equal(1990);
+  });
+
+  it("Forger defers until its policy says go", async () => {
+    const rollup = new FakeRollup({ maxBatch: 3 });
+    const state = await GraphState.create({ smtLevels: 32 });
+    const f = await new Forger({
+      rollup,
+      state,
+      prover: fakeProver,
+      provider: rollup,
+      policy: maxLatencyPolicy({ targetLatency: 300 }),
+    }).init();
+    expect(f.txFeeWei).to.equal(TX_FEE_WEI);
+
+    rollup.enqueue(OP_ADD, 1, 2);
+    expect(await f.forgeOnce()).to.include({ status: "deferred", lag: 1 });
+
+    rollup.now += 400;
+    rollup.mine();
+    expect(await f.forgeOnce()).to.include({ status: "submitted", n: 1 });
+
+    f.policy = profitPolicy();
+    rollup.gasPrice = CHEAP;
+    rollup.enqueue(OP_ADD, 2, 3);
+    const d = await f.forgeOnce();
+    expect(d.status).to.equal("deferred");
+    expect(d.reason).to.match(/^profit -\d+ < 0 wei, \d+ as a full batch$/);
+
+    rollup.enqueue(OP_ADD, 3, 4);
+    expect(await f.forgeOnce()).to.include({ status: "submitted", n: 2 });
+    expect(rollup.root).to.equal("0x" + fieldToBytes32BE(f.state.root).toString("hex"));
+  });
+
+  it("CLI compares every policy on an indexer store", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "schedule-"));
+    try {
+      const file = path.join(dir, "events.jsonl");
+      fs.writeFileSync(file, [...stream(), { type: "cursor", toBlock: TS.length }].map((e) => JSON.stringify(e)).join("\n") + "\n");
+
+      const run = (...args) => spawnSync(process.execPath, [CLI, "--events", file, "--gas-price-gwei", "0.2", ...args], { cwd: repoRoot, encoding: "utf8", timeout: 60000 });
+
+      const all = run("--json", "--horizon", "3600");
+      expect(all.status, all.stderr).to.equal(0);
+      const rows = JSON.parse(all.stdout);
+      expect(rows.map((r) => r.policy)).to.deep.equal(["eager", "full-batch", "max-latency(600s)", "profit(>=0, 600s)"]);
+      expect(rows[2]).to.include({ batches: 4, unforged: 0 });
+      expect(rows[3].profitWei).to.be.a("string");
+
+      const one = run("--policy", "max-latency", "--target-latency", "300");
+      expect(one.status, one.stderr).to.equal(0);
+      const lines = one.stdout.trim().split("\n");
+      expect(lines[0]).to.match(/^policy\s+batches\s+ops/);
+      expect(lines[1]).to.match(/^max-latency\(300s\)\s+4\s+7\s+0\s/);
+
+      expect(run("--policy", "max-latency").status).to.equal(1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
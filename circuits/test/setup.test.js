@@ -0,0 +1,122 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+import { fileURLToPath } from "url";
+import * as snarkjs from "snarkjs";
+
+import { BN254_P } from "../lib/encoding.mjs";
+import { requiredPower, readPtauPower, pickPtau, runSetup, sha256File } from "../lib/setup.mjs";
+import { makePtau } from "./helpers/ptau.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, "../..");
+
+const STEPS = ["compile", "setup", "contribute", "beacon", "verify", "export"];
+
+const chain = (n) => `pragma circom 2.1.6;
+include "sq.circom";
+template Chain(n) {
+  signal input x;
+  signal output y;
+  component s[n];
+  for (var i = 0; i < n; i++) {
+    s[i] = Sq();
+    s[i].in <== i == 0 ? x : s[i - 1].out;
+  }
+  y <== s[n - 1].out;
+}
+component main { public [x] } = Chain(${n});
+`;
+
+const SQ = "pragma circom 2.1.6;\ntemplate Sq() { signal input in; signal output out; out <== in * in; }\n";
+
+describe("setup pipeline (compile -> zkey -> verifier, with manifest)", function () {
+  this.timeout(600000);
+
+  let dir;
+  let ptauDir;
+
+  before(async function () {
+    try {
+      execFileSync("circom", ["--version"], { stdio: "ignore" });
+    } catch {
+      this.skip();
+    }
+    // inside the repo: circom resolves relative includes from the repo root
+    fs.mkdirSync(path.join(repoRoot, "circuits/build"), { recursive: true });
+    dir = fs.mkdtempSync(path.join(repoRoot, "circuits/build/setup-test-"));
+    ptauDir = path.join(dir, "ptau");
+    fs.mkdirSync(ptauDir);
+    await makePtau(path.join(ptauDir, "small.ptau"), 3);
+    await makePtau(path.join(ptauDir, "big.ptau"), 5);
+
+    fs.writeFileSync(path.join(dir, "chain.circom"), chain(10));
+    fs.writeFileSync(path.join(dir, "sq.circom"), SQ);
+  });
+
+  // snarkjs keeps bn128 worker threads alive on a global curve; release them so mocha can exit
+  after(async () => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    await globalThis.curve_bn128?.terminate();
+  });
+
+  const setup = (opts = {}) =>
+    runSetup({
+      circuit: path.join(dir, "chain.circom"),
+      outDir: path.join(dir, "build"),
+      ptauDir,
+      verifier: path.join(dir, "build/ChainVerifier.sol"),
+      contributions: 2,
+      ...opts,
+    });
+
+  it("picks the smallest ptau that fits constraints + public inputs + outputs", () => {
+    expect(requiredPower({ nConstraints: 10, nPubInputs: 1, nOutputs: 1 })).to.equal(4);
+    expect(requiredPower({ nConstraints: 6, nPubInputs: 1, nOutputs: 0 })).to.equal(3);
+    expect(requiredPower({ nConstraints: 7, nPubInputs: 1, nOutputs: 0 })).to.equal(4);
+
+    expect(readPtauPower(path.join(ptauDir, "small.ptau")).power).to.equal(3);
+    expect(pickPtau({ ptauDir, power: 3 }).path).to.equal(path.join(ptauDir, "small.ptau"));
+    expect(pickPtau({ ptauDir, power: 4 })).to.deep.equal({ path: path.join(ptauDir, "big.ptau"), power: 5 });
+
+    expect(() => pickPtau({ ptauDir, power: 6 })).to.throw(/needs a ptau of power >= 6[\s\S]*powersOfTau28_hez_final_08\.ptau/);
+    expect(() => pickPtau({ ptau: path.join(ptauDir, "small.ptau"), power: 4 })).to.throw(/has power 3/);
+  });
+
+  it("runs every step, records artifact hashes and produces a working zkey", async () => {
+    const { ran, manifest, paths } = await setup();
+    expect(ran).to.deep.equal(STEPS);
+    expect(manifest.r1cs).to.include({ nConstraints: 10, requiredPower: 4 });
+    expect(manifest.ptau).to.include({ power: 5 });
+    expect(manifest.steps.contribute.contributionHashes).to.have.length(2);
+
+    const onDisk = JSON.parse(fs.readFileSync(paths.manifest, "utf8"));
+    for (const step of STEPS) {
+      for (const [file, hash] of Object.entries(onDisk.steps[step].outputs)) {
+        expect(sha256File(path.join(repoRoot, file)), file).to.equal(hash);
+      }
+    }
+
+    const vkey = JSON.parse(fs.readFileSync(paths.vkey, "utf8"));
+    const { proof, publicSignals } = await snarkjs.groth16.fullProve({ x: 2 }, paths.wasm, paths.zkey);
+    expect(publicSignals).to.deep.equal([(2n ** 1024n % BN254_P).toString(), "2"]);
+    expect(await snarkjs.groth16.verify(vkey, publicSignals, proof)).to.equal(true);
+    expect(fs.readFileSync(paths.verifier, "utf8")).to.match(/contract Groth16Verifier/);
+  });
+
+  it("skips unchanged steps and re-runs only what depends on a change", async () => {
+    expect((await setup()).ran).to.deep.equal([]);
+
+    // a hand-edited export is detected by its hash
+    fs.writeFileSync(path.join(dir, "build/verification_key.json"), "{}");
+    expect((await setup()).ran).to.deep.equal(["export"]);
+
+    // an included file changes -> everything downstream of compile
+    fs.writeFileSync(path.join(dir, "sq.circom"), SQ.replace("out <== in * in;", "signal t; t <== in * in; out <== t * in;"));
+    const { ran, manifest } = await setup();
+    expect(ran).to.deep.equal(STEPS);
+    expect(manifest.r1cs.nConstraints).to.equal(20);
+    expect(manifest.ptau.power).to.equal(5);
+  });
+});
@@ -0,0 +1,289 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import { wasm as wasm_tester } from "circom_tester";
+import { fileURLToPath } from "url";
+
+import { OP_ADD, OP_REVOKE, buildTxDataFixedBytes, computePubInput0, storageHash } from "../lib/encoding.mjs";
+import { GraphState } from "../lib/graph_state.mjs";
+import { buildBatchWitness, withoutPubInput0 } from "../lib/witness.mjs";
+import { withEngine } from "../lib/witness_engine.mjs";
+import { wrapperVariants } from "./helpers/variants.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, "../..");
+const templatesDir = path.join(repoRoot, "circuits/templates");
+
+// Malicious prover: start from the honest witness of a batch and tamper with it. The contract fixes oldRoot,
+// batchId, start, numOps and txData; newRoot is whatever the forger claims. A mutation is caught when the
+// witness fails a constraint before the final root check, or when it passes but out[0] cannot equal the
+// pubInput0 the contract computes from its own txData.
+//
+// Batch (after ADD 1-2, ADD 2-3, ADD 2-4):
+//   slot 0  ADD 3-9     lo = 3 exists (UPDATE), hi = 9 is new (INSERT)
+//   slot 1  REVOKE 2-3  neighbors(2) = [4, 3, 1], neighbors(3) = [9, 2]   (batchSize >= 3)
+//   rest    NOP tail
+
+// 1-based line of `snippet` in the circuits/templates file that defines `template`
+function lineOf(template, snippet) {
+  for (const f of fs.readdirSync(templatesDir)) {
+    const lines = fs.readFileSync(path.join(templatesDir, f), "utf8").split("\n");
+    if (!lines.some((l) => l.startsWith(`template ${template}(`))) continue;
+    const hits = lines.flatMap((l, i) => (l.includes(snippet) ? [i + 1] : []));
+    if (hits.length !== 1) throw new Error(`"${snippet}" found ${hits.length} times in ${f}`);
+    return hits[0];
+  }
+  throw new Error(`template ${template} not found`);
+}
+
+// Fields the commented-out "stricter hygiene" block in process_batch.circom would zero in unused slots
+function hygieneFields() {
+  const src = fs.readFileSync(path.join(templatesDir, "process_batch.circom"), "utf8");
+  const fields = [...src.matchAll(/^\s*\/\/\s*\(1 - active\[i\]\) \* (\w+)\[i\]/gm)].map((m) => m[1]);
+  return [...new Set(fields)];
+}
+
+const JUNK = {
+  arrIdx: () => 5n, // NOP still range-checks the hint to 6 bits
+  isOld0: () => 1n, // still boolean-checked
+  oldKey: () => 12345n,
+  oldValue: () => 777n,
+  oldDeg: () => 7n,
+  neighbors: (n) => Array.from({ length: n }, (_, j) => BigInt(1000 - j)),
+  siblings: (n) => Array.from({ length: n }, (_, j) => BigInt(j + 99)),
+};
+
+for (const variant of wrapperVariants("process_batch_test")) {
+  const [BATCH_SIZE, SMT_LEVELS] = variant.args;
+
+  describe(`soundness: tampered ProcessBatchTest(${BATCH_SIZE}, ${SMT_LEVELS}) witnesses [${variant.label}]`, function () {
+    this.timeout(240000);
+
+    let circuit;
+
+    before(async () => {
+      circuit = withEngine(
+        await wasm_tester(variant.path, {
+          include: [path.join(repoRoot, "node_modules"), path.join(repoRoot, "circuits")],
+        })
+      );
+    });
+
+    const ops = [
+      { op: OP_ADD, ilo: 3, ihi: 9 },
+      { op: OP_REVOKE, ilo: 2, ihi: 3 },
+    ].slice(0, Math.max(1, Math.min(2, BATCH_SIZE - 1)));
+    const hasRevoke = ops.length > 1;
+    const tail = ops.length < BATCH_SIZE ? ops.length : null;
+
+    // `forge(state)` may tamper with the model before the witness is built, so the forged witness is
+    // self-consistent (roots included) apart from the lie itself.
+    async function honest(forge) {
+      const state = await GraphState.create({ smtLevels: SMT_LEVELS });
+      for (const [ilo, ihi] of [[1, 2], [2, 3], [2, 4]]) await state.apply({ op: OP_ADD, ilo, ihi });
+      forge?.(state);
+      const built = await buildBatchWitness(state, ops, { batchId: 4n, start: 4, batchSize: BATCH_SIZE, smtLevels: SMT_LEVELS });
+      return { built, input: withoutPubInput0(built.input) };
+    }
+
+    // { ok, out } or { ok: false, chain: [{ template, line }] } with the innermost template first
+    async function evaluate(input) {
+      try {
+        const w = await circuit.calculateWitness(input, true);
+        await circuit.checkConstraints(w);
+        return { ok: true, out: w[1] };
+      } catch (e) {
+        // the engine rebuilds a calculator that threw, so the message holds this witness's errors only
+        const message = String(e.message);
+        const chain = [...message.matchAll(/template (\w+?)_\d+ line: (\d+)/g)].map(([, template, line]) => ({
+          template,
+          line: Number(line),
+        }));
+        return { ok: false, chain, message };
+      }
+    }
+
+    async function expectRejected(input, template, snippet) {
+      const res = await evaluate(input);
+      expect(res.ok, "tampered witness was accepted").to.equal(false);
+      if (snippet) expect(res.chain[0], res.message).to.deep.equal({ template, line: lineOf(template, snippet) });
+      else expect(res.chain.map((c) => c.template), res.message).to.include(template);
+    }
+
+    it("accepts the honest witness", async () => {
+      const { built, input } = await honest();
+      const res = await evaluate(input);
+      expect(res).to.deep.equal({ ok: true, out: built.pubInput0 });
+    });
+
+    // -----------------------------
+    // Rejected by a constraint
+    // -----------------------------
+    const MUTATIONS = [
+      {
+        name: "arrIdx hint off by one on an ADD",
+        mutate: (i) => (i.arrIdx_lo[0] += 1n),
+        reject: ["ModifyArray", "doInsert * (1 - posOk) === 0;"],
+      },
+      {
+        name: "arrIdx hint on a REVOKE pointing at another neighbor",
+        revoke: true,
+        mutate: (i) => (i.arrIdx_lo[1] = 0n),
+        reject: ["ModifyArray", "doRemove * (1 - atEq.out) === 0;"],
+      },
+      {
+        name: "arrIdx hint out of range (64)",
+        mutate: (i) => (i.arrIdx_hi[0] = 64n),
+        reject: ["ModifyArray"],
+      },
+      {
+        name: "numOps above batchSize",
+        mutate: (i) => (i.numOps = BigInt(BATCH_SIZE + 1)),
+        reject: ["BatchTransition", "numOpsLe.out === 1;"],
+      },
+      {
+        name: "isOld0 = 1 on an existing leaf (INSERT over it)",
+        mutate: (i) => (i.isOld0_lo[0] = 1n),
+        reject: ["ProcessOp", "fncLo0 * neighbors_lo[i] === 0;"],
+      },
+      {
+        name: "isOld0 not boolean",
+        mutate: (i) => (i.isOld0_hi[0] = 2n),
+        reject: ["ProcessOp", "isOld0_hi * (isOld0_hi - 1) === 0;"],
+      },
+      {
+        name: "oldValue that is not the leaf in the tree",
+        mutate: (i) => (i.oldValue_lo[0] += 1n),
+        reject: ["ProcessOp", "fncLo1 * (oldValue_lo - oldNcLo.out) === 0;"],
+      },
+      {
+        name: "siblings that do not lead to the current root",
+        mutate: (i) => (i.siblings_hi[0][0] += 1n),
+        reject: ["SMTProcessor"],
+      },
+      {
+        name: "oldKey of another account on an UPDATE",
+        mutate: (i) => (i.oldKey_lo[0] = 2n),
+        reject: ["ProcessOp", "fncLo0 * neighbors_lo[i] === 0;"],
+      },
+      {
+        name: "swapped ilo / ihi",
+        mutate: (i) => ([i.ilos[0], i.ihis[0]] = [i.ihis[0], i.ilos[0]]),
+        reject: ["ProcessOp", "fncLo0 * neighbors_lo[i] === 0;"],
+      },
+      {
+        name: "op value 3",
+        mutate: (i) => (i.ops[0] = 3n),
+        reject: ["ProcessOp", "(is0.out + is1.out + is2.out) === 1;"],
+      },
+      {
+        name: "inserting the sentinel 0 as a neighbor",
+        mutate: (i) => {
+          i.ilos[0] = 0n;
+          i.neighbors_hi[0] = i.neighbors_hi[0].map(() => 0n);
+        },
+        reject: ["ModifyArray", "doInsert * (1 - posOk) === 0;"],
+      },
+      {
+        name: "duplicate neighbor in the old array",
+        forge: (s) => s.accounts.set(3, { neighbors: [2n, 2n, ...s.neighbors(3).slice(2)], degree: 2n }),
+        reject: ["ProcessOp", "fncLo1 * (oldValue_lo - oldNcLo.out) === 0;"],
+      },
+      {
+        name: "degree that does not match the array",
+        forge: (s) => s.accounts.set(3, { neighbors: s.neighbors(3), degree: 5n }),
+        reject: ["ProcessOp", "fncLo1 * (oldValue_lo - oldNcLo.out) === 0;"],
+      },
+      {
+        name: "neighbor list rewritten on an existing account",
+        forge: (s) => s.accounts.set(3, { neighbors: [99n, ...s.neighbors(3).slice(0, 63)], degree: 2n }),
+        reject: ["ProcessOp", "fncLo1 * (oldValue_lo - oldNcLo.out) === 0;"],
+      },
+      {
+        name: "new account inserted with a pre-filled array",
+        mutate: (i) => {
+          i.neighbors_hi[0][0] = 50n;
+          i.oldDeg_hi[0] = 1n;
+          i.arrIdx_hi[0] = 1n;
+        },
+        reject: ["ProcessOp", "fncHi0 * neighbors_hi[i] === 0;"],
+      },
+      {
+        name: "non-zero op in a tail slot",
+        tail: true,
+        mutate: (i) => (i.ops[tail] = BigInt(OP_ADD)),
+        reject: ["BatchTransition", "(1 - active[i]) * ops[i]  === 0;"],
+      },
+      {
+        name: "non-zero ilo / ihi in a tail slot",
+        tail: true,
+        mutate: (i) => (i.ihis[tail] = 9n),
+        reject: ["BatchTransition", "(1 - active[i]) * ihis[i] === 0;"],
+      },
+      {
+        name: "an active op hidden in the tail (numOps - 1)",
+        mutate: (i) => (i.numOps -= 1n),
+        reject: ["BatchTransition", "(1 - active[i]) * ops[i]  === 0;"],
+      },
+    ];
+
+    for (const m of MUTATIONS) {
+      it(`rejects ${m.name}`, async function () {
+        if (m.revoke && !hasRevoke) this.skip();
+        if (m.tail && tail === null) this.skip();
+        const { input } = await honest(m.forge);
+        m.mutate?.(input);
+        await expectRejected(input, ...m.reject);
+      });
+    }
+
+    // -----------------------------
+    // Satisfiable, but bound by pubInput0
+    // -----------------------------
+    it("an active slot turned into a NOP proves a different pubInput0 than the contract's", async () => {
+      const { built, input } = await honest();
+      const last = ops.length - 1;
+      input.ops[last] = 0n;
+      input.newRootF = built.steps[last].oldRoot; // the root the forger would claim
+
+      const res = await evaluate(input);
+      expect(res.ok).to.equal(true);
+      const contract = computePubInput0({
+        oldRoot: built.oldRoot,
+        newRoot: input.newRootF,
+        batchId: 4n,
+        start: 4,
+        n: ops.length,
+        storageHash: storageHash(buildTxDataFixedBytes(ops, BATCH_SIZE)),
+      });
+      expect(res.out).to.not.equal(contract);
+    });
+
+    // -----------------------------
+    // Junk in unused slots: accepted, cannot move the root or the transcript
+    // -----------------------------
+    describe("what the commented-out \"stricter hygiene\" block would add", () => {
+      const fields = hygieneFields();
+
+      it("covers every per-slot witness except oldDeg", () => {
+        expect(fields).to.have.members([
+          "arrIdx_lo", "arrIdx_hi", "isOld0_lo", "isOld0_hi", "oldKey_lo", "oldKey_hi",
+          "oldValue_lo", "oldValue_hi", "neighbors_lo", "neighbors_hi", "siblings_lo", "siblings_hi",
+        ]);
+      });
+
+      for (const field of [...fields, "oldDeg_lo", "oldDeg_hi"]) {
+        const covered = fields.includes(field);
+        it(`${field} junk in a tail slot is accepted and leaves pubInput0 unchanged${covered ? "" : " (not in the block)"}`, async function () {
+          if (tail === null) this.skip();
+          const { built, input } = await honest();
+          const junk = JUNK[field.replace(/_(lo|hi)$/, "")];
+          input[field][tail] = junk(Array.isArray(input[field][tail]) ? input[field][tail].length : 0);
+
+          const res = await evaluate(input);
+          expect(res).to.deep.equal({ ok: true, out: built.pubInput0 });
+        });
+      }
+    });
+  });
+}
@@ -0,0 +1,109 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+import { fileURLToPath } from "url";
+
+import {
+  benchmarkVariant,
+  compileVariant,
+  generateVariant,
+  listVariants,
+  parseVariant,
+  readMainComponent,
+  renderWrapper,
+} from "../lib/variants.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, "../..");
+
+describe("variants (parametric main / test wrappers)", function () {
+  this.timeout(600000);
+
+  it("parses <batchSize>x<smtLevels> and rejects out-of-range variants", () => {
+    expect(parseVariant("3x32")).to.deep.equal({ batchSize: 3, smtLevels: 32 });
+    expect(parseVariant(" 10x16 ")).to.deep.equal({ batchSize: 10, smtLevels: 16 });
+    for (const bad of ["3", "3x", "x32", "0x32", "3x1", "3x33", "3x32x1", "-1x8"]) {
+      expect(() => parseVariant(bad), bad).to.throw();
+    }
+  });
+
+  it("rewrites only the arguments of `component main`", () => {
+    const src = fs.readFileSync(path.join(repoRoot, "circuits/main.circom"), "utf8");
+    expect(readMainComponent(src)).to.deep.equal({ template: "Main", args: [3, 32], publics: "{ public [pubInput0] }" });
+
+    const out = renderWrapper(src, [8, 20]);
+    expect(readMainComponent(out)).to.deep.equal({ template: "Main", args: [8, 20], publics: "{ public [pubInput0] }" });
+    expect(out.replace("Main(8, 20)", "Main(3, 32)")).to.equal(src);
+
+    const plain = "template T(n) {}\ncomponent main = T(10);\n";
+    expect(renderWrapper(plain, [4])).to.equal("template T(n) {}\ncomponent main = T(4);\n");
+    expect(() => renderWrapper("template T() {}\n", [1])).to.throw(/component main/);
+  });
+
+  describe("generate + compile + bench", () => {
+    let outRoot;
+
+    before(function () {
+      try {
+        execFileSync("circom", ["--version"], { stdio: "ignore" });
+      } catch {
+        this.skip();
+      }
+      fs.mkdirSync(path.join(repoRoot, "circuits/build"), { recursive: true });
+      outRoot = fs.mkdtempSync(path.join(repoRoot, "circuits/build/variants-test-"));
+    });
+
+    after(async () => {
+      if (outRoot) fs.rmSync(outRoot, { recursive: true, force: true });
+      await globalThis.curve_bn128?.terminate();
+    });
+
+    it("writes every wrapper per variant and keeps a sorted index", () => {
+      const a = generateVariant({ batchSize: 2, smtLevels: 4 }, { outRoot });
+      generateVariant({ batchSize: 1, smtLevels: 4 }, { outRoot });
+      generateVariant({ batchSize: 2, smtLevels: 4 }, { outRoot });
+
+      expect(a.id).to.equal("b2_s4");
+      expect(listVariants({ outRoot })).to.deep.equal([
+        { batchSize: 1, smtLevels: 4 },
+        { batchSize: 2, smtLevels: 4 },
+      ]);
+
+      const args = Object.fromEntries(
+        Object.entries(a.files).map(([name, f]) => [name, readMainComponent(fs.readFileSync(f, "utf8")).args])
+      );
+      expect(args).to.deep.equal({
+        main: [2, 4],
+        process_batch_test: [2, 4],
+        process_op_test: [4],
+        storage_hash_test: [2],
+        storage_hash_bytes32_test: [2],
+      });
+      expect(fs.readFileSync(a.files.main, "utf8")).to.match(/^\/\/ generated by circuits\/scripts\/variants\.mjs from circuits\/main\.circom/);
+    });
+
+    it("constraint counts grow with batchSize and smtLevels", async () => {
+      const small = await compileVariant(generateVariant({ batchSize: 1, smtLevels: 4 }, { outRoot }), { only: ["process_batch_test"] });
+      const wide = await compileVariant(generateVariant({ batchSize: 2, smtLevels: 4 }, { outRoot }), { only: ["process_batch_test"] });
+      const deep = await compileVariant(generateVariant({ batchSize: 1, smtLevels: 8 }, { outRoot }), { only: ["process_batch_test"] });
+
+      const n = (c) => c.process_batch_test.nConstraints;
+      expect(n(wide)).to.be.greaterThan(n(small));
+      expect(n(deep)).to.be.greaterThan(n(small));
+      expect(fs.existsSync(small.process_batch_test.wasm)).to.equal(true);
+    });
+
+    it("benchmarks main: witness time always, prove skipped without a ptau", async () => {
+      const gen = generateVariant({ batchSize: 1, smtLevels: 4 }, { outRoot });
+      const { main } = await compileVariant(gen, { only: ["main"] });
+      expect(main.requiredPower).to.be.greaterThan(10);
+
+      const res = await benchmarkVariant(gen, main);
+      expect(res).to.include({ id: "b1_s4", batchSize: 1, smtLevels: 4, nConstraints: main.nConstraints, constraintsPerOp: main.nConstraints });
+      expect(res.witnessMs).to.be.a("number");
+      expect(res.proveMs).to.equal(null);
+      expect(res.proveSkipped).to.equal("no ptau given");
+    });
+  });
+});
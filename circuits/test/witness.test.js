@@ -0,0 +1,169 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+import { wasm as wasm_tester } from "circom_tester";
+import { fileURLToPath } from "url";
+
+import { OP_ADD, OP_REVOKE, packTx, computePubInput0, storageHash } from "../lib/encoding.mjs";
+import { GraphState } from "../lib/graph_state.mjs";
+import { buildBatchWitness, toCircuitJSON } from "../lib/witness.mjs";
+import { withEngine } from "../lib/witness_engine.mjs";
+import { wrapperVariants } from "./helpers/variants.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, "../..");
+
+// builder unit tests; the Main(...) circuit checks below run for every variant
+const BATCH_SIZE = 3;
+const SMT_LEVELS = 32;
+
+describe("buildBatchWitness => Main(batchSize, smtLevels) input", function () {
+  this.timeout(240000);
+
+  const opts = { batchSize: BATCH_SIZE, smtLevels: SMT_LEVELS };
+
+  it("pads tail slots with zeros and commits to the contract transcript", async () => {
+    const state = await GraphState.create({ smtLevels: SMT_LEVELS });
+    const built = await buildBatchWitness(state, [{ op: OP_ADD, ilo: 4, ihi: 9 }], { ...opts, batchId: 5n, start: 17 });
+
+    const { input } = built;
+    expect(input.numOps).to.equal(1n);
+    expect(input.ops).to.deep.equal([1n, 0n, 0n]);
+    expect(input.ilos).to.deep.equal([4n, 0n, 0n]);
+    expect(input.ihis).to.deep.equal([9n, 0n, 0n]);
+    expect(input.siblings_lo[2]).to.deep.equal(new Array(SMT_LEVELS).fill(0n));
+    expect(input.neighbors_hi[1]).to.have.length(64);
+    expect(input.newRootF).to.equal(state.root);
+
+    expect(built.txData.length).to.equal(BATCH_SIZE * 9);
+    expect(built.txData.subarray(0, 9).toString("hex")).to.equal("000000040000000901");
+    expect(built.pubInput0).to.equal(
+      computePubInput0({
+        oldRoot: 0n,
+        newRoot: state.root,
+        batchId: 5n,
+        start: 17,
+        n: 1,
+        storageHash: storageHash(built.txData),
+      })
+    );
+  });
+
+  it("accepts packed queue words (Rollup.getQueuedWords)", async () => {
+    const a = await GraphState.create({ smtLevels: SMT_LEVELS });
+    const b = await GraphState.create({ smtLevels: SMT_LEVELS });
+    const recs = [
+      { op: OP_ADD, ilo: 1, ihi: 2 },
+      { op: OP_REVOKE, ilo: 1, ihi: 2 },
+    ];
+    const w1 = await buildBatchWitness(a, recs, { ...opts, batchId: 0n, start: 1 });
+    const w2 = await buildBatchWitness(b, recs.map((r) => packTx(r.ilo, r.ihi, r.op)), { ...opts, batchId: 0n, start: 1 });
+    expect(w2.pubInput0).to.equal(w1.pubInput0);
+    expect(w2.newRoot).to.equal(w1.newRoot);
+  });
+
+  it("rejects oversize batches, NOP records and smtLevels mismatch", async () => {
+    const state = await GraphState.create({ smtLevels: SMT_LEVELS });
+    const four = [1, 2, 3, 4].map((i) => ({ op: OP_ADD, ilo: i, ihi: i + 10 }));
+    const cases = [
+      () => buildBatchWitness(state, four, { ...opts, batchId: 0n, start: 1 }),
+      () => buildBatchWitness(state, [{ op: 0, ilo: 0, ihi: 0 }], { ...opts, batchId: 0n, start: 1 }),
+      () => buildBatchWitness(state, [], { ...opts, smtLevels: 20, batchId: 0n, start: 1 }),
+    ];
+    for (const f of cases) {
+      let threw = false;
+      try {
+        await f();
+      } catch {
+        threw = true;
+      }
+      expect(threw).to.equal(true);
+    }
+    expect(state.root).to.equal(0n);
+  });
+
+  it("CLI prints the same input JSON", async () => {
+    const ops = [
+      { op: OP_ADD, ilo: 1, ihi: 2 },
+      { op: OP_ADD, ilo: 2, ihi: 3 },
+    ];
+    const out = execFileSync(
+      "node",
+      ["circuits/scripts/build-witness.mjs", "--ops", JSON.stringify(ops), "--batch-id", "2", "--start", "7"],
+      { cwd: repoRoot, stdio: ["ignore", "pipe", "ignore"] }
+    );
+
+    const state = await GraphState.create({ smtLevels: SMT_LEVELS });
+    const built = await buildBatchWitness(state, ops, { ...opts, batchId: 2n, start: 7 });
+    expect(JSON.parse(out.toString())).to.deep.equal(toCircuitJSON(built.input));
+  });
+
+  it("CLI refuses a --state file that does not exist instead of starting from an empty graph", () => {
+    const stateOut = path.join(repoRoot, "circuits/build/witness-test-state-out.json");
+    fs.rmSync(stateOut, { force: true });
+    let err = null;
+    try {
+      execFileSync(
+        "node",
+        ["circuits/scripts/build-witness.mjs", "--ops", '[{"op":1,"ilo":1,"ihi":2}]', "--batch-id", "0", "--start", "1",
+          "--state", "circuits/build/no-such-state.json", "--state-out", stateOut],
+        { cwd: repoRoot, stdio: ["ignore", "pipe", "pipe"] }
+      );
+    } catch (e) {
+      err = e;
+    }
+    expect(err?.status).to.equal(1);
+    expect(err.stderr.toString()).to.include("--state file not found: circuits/build/no-such-state.json");
+    expect(fs.existsSync(stateOut)).to.equal(false);
+  });
+
+  for (const variant of wrapperVariants("main")) {
+    const [batchSize, smtLevels] = variant.args;
+    const opts = { batchSize, smtLevels };
+
+    describe(`Main(${batchSize}, ${smtLevels}) [${variant.label}]`, () => {
+      let circuit;
+
+      before(async () => {
+        circuit = withEngine(
+          await wasm_tester(variant.path, {
+            include: [path.join(repoRoot, "node_modules"), path.join(repoRoot, "circuits")],
+          })
+        );
+      });
+
+      it("accepts the builder output for a mixed ADD/REVOKE batch", async () => {
+        const state = await GraphState.create({ smtLevels });
+        await buildBatchWitness(state, [{ op: OP_ADD, ilo: 1, ihi: 2 }], { ...opts, batchId: 0n, start: 1 });
+
+        const built = await buildBatchWitness(
+          state,
+          [
+            { op: OP_ADD, ilo: 2, ihi: 3 },
+            { op: OP_REVOKE, ilo: 1, ihi: 2 },
+            { op: OP_ADD, ilo: 1, ihi: 3 },
+          ].slice(0, batchSize),
+          { ...opts, batchId: 1n, start: 2 }
+        );
+        const w = await circuit.calculateWitness(built.input, true);
+        await circuit.checkConstraints(w);
+      });
+
+      it("rejects a wrong pubInput0", async () => {
+        const state = await GraphState.create({ smtLevels });
+        const built = await buildBatchWitness(state, [{ op: OP_ADD, ilo: 1, ihi: 2 }], { ...opts, batchId: 0n, start: 1 });
+        const input = { ...built.input, pubInput0: built.pubInput0 + 1n };
+
+        let failed = false;
+        try {
+          const w = await circuit.calculateWitness(input, true);
+          await circuit.checkConstraints(w);
+        } catch {
+          failed = true;
+        }
+        expect(failed).to.equal(true, "Expected constraints to fail, but they passed");
+      });
+    });
+  }
+});
@@ -0,0 +1,176 @@
+import { expect } from "chai";
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+import { wasm as wasm_tester } from "circom_tester";
+import { fileURLToPath } from "url";
+import * as snarkjs from "snarkjs";
+
+import { WitnessEngine, withEngine } from "../lib/witness_engine.mjs";
+import { benchmarkWitness } from "../lib/witness_bench.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(__dirname, "../..");
+
+// witness (--O0): [1, y, x, k, sq]
+const CUBE = (k) => `pragma circom 2.1.6;
+template Cube() {
+  signal input x;
+  signal input k;
+  signal output y;
+  k === ${k};
+  signal sq <== x * x;
+  y <== sq * x + k;
+}
+component main = Cube();
+`;
+
+const expected = (x, k = 5n) => [1n, x * x * x + k, x, k, x * x];
+
+describe("witness engine (cached wasm, worker pool)", function () {
+  this.timeout(300000);
+
+  let work;
+  let wasm;
+  const engines = [];
+  const engine = (opts) => {
+    const e = new WitnessEngine(opts);
+    engines.push(e);
+    return e;
+  };
+
+  const compile = (k) => {
+    fs.writeFileSync(path.join(work, "cube.circom"), CUBE(k));
+    execFileSync("circom", [path.relative(repoRoot, path.join(work, "cube.circom")), "--wasm", "--O0", "-o", path.relative(repoRoot, work)], {
+      cwd: repoRoot,
+      stdio: "ignore",
+    });
+  };
+
+  before(function () {
+    try {
+      execFileSync("circom", ["--version"], { stdio: "ignore" });
+    } catch {
+      this.skip();
+    }
+    fs.mkdirSync(path.join(repoRoot, "circuits/build"), { recursive: true });
+    work = fs.mkdtempSync(path.join(repoRoot, "circuits/build/witness-engine-test-"));
+    compile(5);
+    wasm = path.join(work, "cube_js/cube.wasm");
+  });
+
+  afterEach(async () => {
+    for (const e of engines.splice(0)) await e.close();
+  });
+
+  after(() => {
+    if (work) fs.rmSync(work, { recursive: true, force: true });
+  });
+
+  it("loads the wasm once and reuses it for every witness", async () => {
+    const e = engine({ threads: 1 });
+    for (const x of [2n, 3n, 4n]) expect(await e.calculate(wasm, { x, k: 5n })).to.deep.equal(expected(x));
+    expect(e.stats()).to.deep.include({ threads: 1, workers: 1, busy: 0, queued: 0 });
+    expect(e.stats().circuits).to.have.length(1);
+    expect(e.stats().circuits[0]).to.include({ wasm, loads: 1, calls: 3, failed: 0 });
+  });
+
+  it("hands back .wtns bytes or files that snarkjs reads", async () => {
+    const e = engine({ threads: 1 });
+    const mem = await e.calculate(wasm, { x: 3n, k: 5n }, { format: "wtns" });
+    expect(mem).to.be.instanceOf(Uint8Array);
+    expect(await snarkjs.wtns.exportJson({ type: "mem", data: mem })).to.deep.equal(expected(3n));
+
+    const file = path.join(work, "three.wtns");
+    expect(await e.calculate(wasm, { x: 3n, k: 5n }, { out: file })).to.equal(file);
+    expect(await snarkjs.wtns.exportJson(file)).to.deep.equal(expected(3n));
+  });
+
+  it("streams many inputs over several threads in input order", async () => {
+    const e = engine({ threads: 2 });
+    const xs = Array.from({ length: 9 }, (_, i) => BigInt(i + 1));
+    const got = [];
+    for await (const r of e.stream(wasm, xs.map((x) => ({ x, k: 5n })))) got.push(r);
+    expect(got.map((r) => r.index)).to.deep.equal(xs.map((_, i) => i));
+    expect(got.map((r) => r.result)).to.deep.equal(xs.map((x) => expected(x)));
+    expect(got.every((r) => typeof r.ms === "number")).to.equal(true);
+    expect(e.stats()).to.include({ workers: 2 });
+    expect(e.stats().circuits[0]).to.include({ loads: 1, calls: 9 });
+
+    const outDir = path.join(work, "stream");
+    for await (const r of e.stream(wasm, [{ x: 2n, k: 5n }, { x: 7n, k: 5n }], { outDir })) {
+      expect(r.result).to.equal(path.join(outDir, `${r.index}.wtns`));
+    }
+    expect(await snarkjs.wtns.exportJson(path.join(outDir, "1.wtns"))).to.deep.equal(expected(7n));
+  });
+
+  it("reports each failing witness on its own and keeps serving", async () => {
+    const e = engine({ threads: 1 });
+    const errors = [];
+    for (const k of [6n, 7n]) {
+      try {
+        await e.calculate(wasm, { x: 2n, k });
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+    expect(errors).to.have.length(2);
+    // a fresh calculator per failure: the second message does not repeat the first
+    for (const m of errors) expect(m.match(/Assert Failed/g)).to.have.length(1);
+    expect(await e.calculate(wasm, { x: 2n, k: 5n })).to.deep.equal(expected(2n));
+    expect(e.stats().circuits[0]).to.include({ calls: 1, failed: 2 });
+
+    let err = null;
+    try {
+      await e.calculate(wasm, { x: 2n, k: 5n }, { format: "json" });
+    } catch (x) {
+      err = x;
+    }
+    expect(err?.message).to.match(/unknown format json/);
+  });
+
+  it("reloads a recompiled wasm and rejects calls after close", async () => {
+    const e = engine({ threads: 1 });
+    expect(await e.calculate(wasm, { x: 2n, k: 5n })).to.deep.equal(expected(2n));
+    compile(9);
+    // mtime resolution: make sure the rebuilt file does not look unchanged
+    const later = new Date(Date.now() + 2000);
+    fs.utimesSync(wasm, later, later);
+    expect(await e.calculate(wasm, { x: 2n, k: 9n })).to.deep.equal(expected(2n, 9n));
+    // the old build's calculator is gone from the worker, not kept next to the new one
+    expect(e.stats()).to.include({ workers: 1, cached: 1 });
+    expect(e.stats().circuits[0]).to.include({ loads: 2 });
+
+    await e.close();
+    let err = null;
+    try {
+      await e.calculate(wasm, { x: 2n, k: 9n });
+    } catch (x) {
+      err = x;
+    }
+    expect(err?.code).to.equal("ENGINE_CLOSED");
+    compile(5);
+  });
+
+  it("backs a circom_tester circuit (withEngine)", async () => {
+    const e = engine({ threads: 1 });
+    const circuit = withEngine(await wasm_tester(path.join(work, "cube.circom")), e);
+    const w = await circuit.calculateWitness({ x: 3n, k: 5n }, true);
+    await circuit.checkConstraints(w);
+    await circuit.assertOut(w, { y: 32n });
+    expect(e.stats().circuits[0]).to.include({ wasm: circuit.wasm, calls: 1 });
+  });
+
+  it("benchmarks cold vs engine latency per witness", async () => {
+    const res = await benchmarkWitness({ wasm, input: { x: 3n, k: 5n }, samples: 3, threads: [1, 2], outDir: path.join(work, "bench"), format: "wtns" });
+    expect(res).to.include({ circuit: null, samples: 3, format: "wtns" });
+    expect(res.rows.map((r) => [r.mode, r.threads])).to.deep.equal([["cold", 1], ["engine", 1], ["engine", 2]]);
+    for (const r of res.rows) {
+      expect(r.avgMs).to.be.a("number");
+      expect(r.p95Ms).to.be.at.least(r.p50Ms);
+      expect(r.perSec).to.be.above(0);
+    }
+    expect(res.rows[0].firstMs).to.equal(null);
+    expect(fs.existsSync(path.join(work, "bench/wtns"))).to.equal(false);
+  });
+});
@@ -0,0 +1,6 @@
+pragma circom 2.1.0;
+
+include "templates/aggregate_batches.circom";
+
+// outputs: pubInput0
+component main = AggregateBatches(2, 2, 16);
@@ -0,0 +1,7 @@
+pragma circom 2.1.0;
+
+include "templates/poseidon_commit.circom";
+
+// 20 slots: PoseidonChain(20) = Poseidon(h16, 4 more), past the 16-input limit
+// outputs: storageHash, input0
+component main = PoseidonPubInput(20);
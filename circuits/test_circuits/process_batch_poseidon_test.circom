@@ -0,0 +1,6 @@
+pragma circom 2.1.0;
+
+include "templates/process_batch_poseidon.circom";
+
+// outputs: pubInput0, storageHash
+component main = ProcessBatchPoseidon(3, 16);
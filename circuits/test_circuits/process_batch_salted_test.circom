@@ -0,0 +1,7 @@
+pragma circom 2.1.0;
+
+include "templates/process_batch.circom";
+
+// salted leaves; inputs: Main's minus pubInput0, plus salt_lo / salt_hi
+// outputs: pubInput0
+component main = ProcessBatch(3, 16, 1);
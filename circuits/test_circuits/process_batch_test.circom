@@ -32,7 +32,7 @@ template ProcessBatchTest(BATCH_SIZE, SMT_LEVELS) {
 
     signal output out[1];
 
-    component pb = ProcessBatch(BATCH_SIZE, SMT_LEVELS);
+    component pb = ProcessBatch(BATCH_SIZE, SMT_LEVELS, 0);
 
     pb.oldRootF <== oldRootF;
     pb.newRootF <== newRootF;
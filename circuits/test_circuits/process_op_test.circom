@@ -33,7 +33,7 @@ template ProcessOpTest(smtLevels) {
 
     signal output out[1];
 
-    component p = ProcessOp(smtLevels);
+    component p = ProcessOp(smtLevels, 0);
 
     p.currentRoot <== currentRoot;
 
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.24;
 
 import "forge-std/Test.sol";
+import "./utils/Base64.sol";
 
 contract CircuitFFITest is Test {
     function _hexNibble(uint8 c) internal pure returns (uint8) {
@@ -38,18 +39,24 @@ contract CircuitFFITest is Test {
         revert("hex too short");
     }
 
-    function ffiStorageHashBytes32(
+    function _txJson(
         uint32[3] memory ilo,
         uint32[3] memory ihi,
         uint8[3] memory op
-    ) internal returns (bytes32) {
-        string memory json = string.concat(
-            "{",
+    ) internal pure returns (string memory) {
+        return string.concat(
             "\"ilo\":[", vm.toString(ilo[0]), ",", vm.toString(ilo[1]), ",", vm.toString(ilo[2]), "],",
             "\"ihi\":[", vm.toString(ihi[0]), ",", vm.toString(ihi[1]), ",", vm.toString(ihi[2]), "],",
-            "\"op\":[",  vm.toString(uint256(op[0])), ",", vm.toString(uint256(op[1])), ",", vm.toString(uint256(op[2])), "]",
-            "}"
+            "\"op\":[",  vm.toString(uint256(op[0])), ",", vm.toString(uint256(op[1])), ",", vm.toString(uint256(op[2])), "]"
         );
+    }
+
+    function ffiStorageHashBytes32(
+        uint32[3] memory ilo,
+        uint32[3] memory ihi,
+        uint8[3] memory op
+    ) internal returns (bytes32) {
+        string memory json = string.concat("{", _txJson(ilo, ihi, op), "}");
 
         string[] memory cmd = new string[](4);
         cmd[0] = "node";
@@ -100,16 +107,36 @@ contract CircuitFFITest is Test {
         assertEq(cir, sol, "storageHash mismatch");
     }
 
+    /// @notice Generic eval mode: several named signals in one call, returned as base64(abi.encode(...)).
+    /// Needs circuits/build/storage_hash_bytes32_test (see circuits/README.md).
+    function test_eval_multiOutput_matches_solidity() public {
+        uint32[3] memory ilo = [uint32(10), uint32(20), uint32(0)];
+        uint32[3] memory ihi = [uint32(11), uint32(21), uint32(0)];
+        uint8[3]  memory op  = [uint8(1),  uint8(2),  uint8(0)];
+
+        string memory json = string.concat(
+            "{\"circuit\":\"storage_hash_bytes32_test\",\"input\":{", _txJson(ilo, ihi, op), "},",
+            "\"outputs\":[\"outBytes:bytes32\",\"ilo:uint32[3]\",\"op:uint8[3]\",\"outBytes:bytes\"]}"
+        );
+
+        string[] memory cmd = new string[](4);
+        cmd[0] = "node";
+        cmd[1] = "circuits/scripts/circuit-eval.mjs";
+        cmd[2] = "eval";
+        cmd[3] = json;
+
+        bytes memory abiOut = Base64Decoder.decode(string(vm.ffi(cmd)));
+        (bytes32 cir, uint32[3] memory ilo2, uint8[3] memory op2, bytes memory raw) =
+            abi.decode(abiOut, (bytes32, uint32[3], uint8[3], bytes));
+
+        assertEq(cir, sha256(buildTxDataFixed(ilo, ihi, op)), "storageHash mismatch");
+        assertEq(raw, abi.encodePacked(cir), "bytes view mismatch");
+        for (uint256 i = 0; i < 3; i++) {
+            assertEq(ilo2[i], ilo[i], "ilo echo");
+            assertEq(op2[i], op[i], "op echo");
+        }
+    }
 
-    function _b64Index(bytes1 c) internal pure returns (uint8) {
-    uint8 x = uint8(c);
-    if (x >= 65 && x <= 90) return x - 65;        // A-Z -> 0..25
-    if (x >= 97 && x <= 122) return x - 71;       // a-z -> 26..51
-    if (x >= 48 && x <= 57) return x + 4;         // 0-9 -> 52..61
-    if (c == bytes1("+")) return 62;
-    if (c == bytes1("/")) return 63;
-    revert("bad b64");
-}
 
     function _decodeB64ToBytes32(string memory s) internal pure returns (bytes32 out) {
         bytes memory b = bytes(s);
@@ -136,11 +163,11 @@ contract CircuitFFITest is Test {
             bytes1 c2 = (i < r) ? b[i++] : bytes1("=");
             bytes1 c3 = (i < r) ? b[i++] : bytes1("=");
 
-            uint256 v0 = _b64Index(c0);
-            uint256 v1 = _b64Index(c1);
+            uint256 v0 = Base64Decoder.index(c0);
+            uint256 v1 = Base64Decoder.index(c1);
 
-            uint256 v2 = (c2 == bytes1("=")) ? 0 : _b64Index(c2);
-            uint256 v3 = (c3 == bytes1("=")) ? 0 : _b64Index(c3);
+            uint256 v2 = (c2 == bytes1("=")) ? 0 : Base64Decoder.index(c2);
+            uint256 v3 = (c3 == bytes1("=")) ? 0 : Base64Decoder.index(c3);
 
             uint256 triple = (v0 << 18) | (v1 << 12) | (v2 << 6) | v3;
 
@@ -17,6 +17,7 @@ pragma solidity ^0.8.24;
 import "forge-std/Test.sol";
 import "../src/Rollup.sol";
 import "../src/Registry.sol";
+import "./utils/Base64.sol";
 
 contract MockVerifier is IGroth16Verifier {
     bool public ok = true;
@@ -597,6 +598,86 @@ contract RollupTest is Test {
         assertEq(rollup.feePool(), feePoolBefore - uint256(n) * TXFEE);
     }
 
+    // ------------------------------------------------------------
+    // submitBatch with a real Groth16 proof (FFI: circuit-eval.mjs proveBatch)
+    // Needs `npm run circuits:setup` (circuits/build/main + src/Verifier.sol) and `forge build`;
+    // skipped otherwise.
+    // ------------------------------------------------------------
+    function _realProverReady() internal view returns (bool) {
+        return vm.exists("circuits/build/main/zkey/main_final.zkey")
+            && vm.exists("circuits/build/main/main_js/main.wasm")
+            && vm.exists("out/Verifier.sol/Groth16Verifier.json");
+    }
+
+    function _wordsJson(uint128[] memory words) internal pure returns (string memory json) {
+        json = "[";
+        for (uint256 i = 0; i < words.length; i++) {
+            json = string.concat(json, i == 0 ? "\"" : ",\"", vm.toString(uint256(words[i])), "\"");
+        }
+        json = string.concat(json, "]");
+    }
+
+    /// @dev historyJson: JSON array of the word arrays of every earlier batch, e.g. "[]" for the first one.
+    function _ffiProveBatch(uint128[] memory words, uint64 batchId_, uint32 start, string memory historyJson)
+        internal
+        returns (bytes32 newRoot, uint256[2] memory a, uint256[2][2] memory b, uint256[2] memory c)
+    {
+        string[] memory cmd = new string[](4);
+        cmd[0] = "node";
+        cmd[1] = "circuits/scripts/circuit-eval.mjs";
+        cmd[2] = "proveBatch";
+        cmd[3] = string.concat(
+            "{\"words\":", _wordsJson(words),
+            ",\"batchId\":", vm.toString(uint256(batchId_)),
+            ",\"start\":", vm.toString(uint256(start)),
+            ",\"history\":", historyJson, "}"
+        );
+        (newRoot, a, b, c) = abi.decode(Base64Decoder.decode(string(vm.ffi(cmd))), (bytes32, uint256[2], uint256[2][2], uint256[2]));
+    }
+
+    function testSubmitBatchWithRealProof() public {
+        if (!_realProverReady()) {
+            vm.skip(true);
+            return;
+        }
+        rollup = _deployRollup(
+            address(registry), deployCode("Verifier.sol:Groth16Verifier"), STAKE, DUR, DEPLOY_TXFEE
+        );
+
+        // batch 0: ADD alice-bob, ADD alice-charlie
+        _finalizeAfterWindow(alice, bob);
+        _finalizeAfterWindow(alice, charlie);
+        (uint32 start0,, uint32 n0) = rollup.pendingOps();
+        uint128[] memory words0 = rollup.getQueuedWords(start0, n0);
+
+        (bytes32 root0, uint256[2] memory A, uint256[2][2] memory B, uint256[2] memory C) =
+            _ffiProveBatch(words0, rollup.batchId(), start0, "[]");
+
+        // the proof binds newGraphRoot
+        vm.prank(batcher);
+        vm.expectRevert(abi.encodeWithSelector(Rollup.VerifyFail.selector));
+        rollup.submitBatch(bytes32(uint256(root0) ^ 1), n0, A, B, C);
+
+        vm.prank(batcher);
+        rollup.submitBatch(root0, n0, A, B, C);
+        assertEq(rollup.latestGraphRoot(), root0);
+
+        // batch 1: REVOKE alice-bob on top of batch 0
+        vm.prank(bob);
+        rollup.revoke{value: TXFEE}(alice);
+        (uint32 start1,, uint32 n1) = rollup.pendingOps();
+        uint128[] memory words1 = rollup.getQueuedWords(start1, n1);
+
+        bytes32 root1;
+        (root1, A, B, C) = _ffiProveBatch(words1, rollup.batchId(), start1, string.concat("[", _wordsJson(words0), "]"));
+        assertTrue(root1 != root0);
+
+        vm.prank(batcher);
+        rollup.submitBatch(root1, n1, A, B, C);
+        assertEq(rollup.latestGraphRoot(), root1);
+        assertEq(rollup.lag(), 0);
+    }
+
     // ------------------------------------------------------------
     // Revoke gating semantics sanity
     // ------------------------------------------------------------
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// @notice Standard base64 decoding for FFI output (circuits/scripts/circuit-eval.mjs prints base64).
+library Base64Decoder {
+    function index(bytes1 c) internal pure returns (uint8) {
+        uint8 x = uint8(c);
+        if (x >= 65 && x <= 90) return x - 65;        // A-Z -> 0..25
+        if (x >= 97 && x <= 122) return x - 71;       // a-z -> 26..51
+        if (x >= 48 && x <= 57) return x + 4;         // 0-9 -> 52..61
+        if (c == bytes1("+")) return 62;
+        if (c == bytes1("/")) return 63;
+        revert("bad b64");
+    }
+
+    /// @notice Decode standard base64 (with or without '=' padding) of any length.
+    /// Leading and trailing whitespace (space, \t, \n, \r) is ignored.
+    function decode(string memory s) internal pure returns (bytes memory out) {
+        bytes memory b = bytes(s);
+
+        uint256 l = 0;
+        uint256 r = b.length;
+        while (l < r && (b[l] == 0x20 || b[l] == 0x0a || b[l] == 0x0d || b[l] == 0x09)) l++;
+        while (r > l && (b[r-1] == 0x20 || b[r-1] == 0x0a || b[r-1] == 0x0d || b[r-1] == 0x09)) r--;
+        while (r > l && b[r-1] == bytes1("=")) r--;
+
+        out = new bytes(((r - l) * 6) / 8);
+        uint256 acc = 0;
+        uint256 nbits = 0;
+        uint256 pos = 0;
+        for (uint256 i = l; i < r; i++) {
+            acc = (acc << 6) | uint256(index(b[i]));
+            nbits += 6;
+            if (nbits >= 8) {
+                nbits -= 8;
+                out[pos++] = bytes1(uint8(acc >> nbits));
+                acc &= (uint256(1) << nbits) - 1;
+            }
+        }
+        require(pos == out.length, "b64 decoded len");
+    }
+}